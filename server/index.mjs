@@ -0,0 +1,34 @@
+// Room server for networked games. Run it with `npm run server`; PORT picks
+// the port (8787 by default). The messages and how they are handled are
+// described in src/lib/roomServer.mjs; this file only does the networking.
+
+import WebSocket from 'ws';
+import { DEFAULT_ROOM_PORT } from '../src/lib/roomProtocol.mjs';
+import { createRoomServer } from '../src/lib/roomServer.mjs';
+
+const rooms = createRoomServer();
+
+const port = Number(process.env.PORT) || DEFAULT_ROOM_PORT;
+const server = new WebSocket.Server({ port });
+
+server.on('connection', (socket) => {
+  const client = rooms.connect((message) => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  });
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      message = null;
+    }
+    rooms.handleMessage(client, message);
+  });
+  socket.on('close', () => rooms.handleClose(client));
+});
+
+server.on('listening', () => {
+  console.log(`Room server listening on ws://localhost:${port}`);
+});
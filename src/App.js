@@ -1,11 +1,17 @@
-import React from 'react';
-import GeoGlobeGame from './components/GeoGlobeGame';
+import React, { Suspense, lazy } from 'react';
 import './index.css';
 
+// The game, with the country data it bundles, is a chunk of its own. That
+// keeps every file under Workbox's 5 MB limit, so the service worker
+// precaches all of it and the first visit is enough to play offline.
+const GeoGlobeGame = lazy(() => import('./components/GeoGlobeGame'));
+
 function App() {
   return (
     <div className="min-h-screen bg-background font-sans antialiased">
-      <GeoGlobeGame />
+      <Suspense fallback={null}>
+        <GeoGlobeGame />
+      </Suspense>
     </div>
   );
 }
@@ -0,0 +1,97 @@
+import React, { useMemo } from 'react';
+import { cn } from '../lib/utils';
+import { intlLocale } from '../lib/i18n';
+import { PUZZLE_STATUS, getArchiveRange, getCalendarMonth, getPuzzleStatus, shiftMonth } from '../lib/archive';
+
+const STATUS_STYLES = {
+  [PUZZLE_STATUS.WON]: { className: 'bg-emerald-500/70 text-white', mark: '✓', label: 'archiveWon' },
+  [PUZZLE_STATUS.LOST]: { className: 'bg-rose-500/60 text-white', mark: '✗', label: 'archiveLost' },
+  [PUZZLE_STATUS.PLAYING]: { className: 'bg-amber-400/60 text-white', mark: '…', label: 'archiveInProgress' },
+  [PUZZLE_STATUS.UNPLAYED]: { className: 'bg-white/10 text-white/80 hover:bg-white/20', mark: '', label: 'archiveUnplayed' }
+};
+
+// Month grid of past daily puzzles, coloured by how each one went
+const ArchiveCalendar = ({ month, today, archive, activeDate, language, t, onMonthChange, onSelect }) => {
+  const weeks = useMemo(() => getCalendarMonth(month, today), [month, today]);
+  const { first, last } = getArchiveRange(today);
+  const locale = intlLocale(language);
+
+  const monthLabel = new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' })
+    .format(new Date(`${month}-01T00:00:00Z`));
+  const dayLabel = new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'long', timeZone: 'UTC' });
+  // 2024-01-01 was a Monday, so its week gives the weekday names in order
+  const weekdayLabel = new Intl.DateTimeFormat(locale, { weekday: 'narrow', timeZone: 'UTC' });
+  const weekdays = Array.from({ length: 7 }, (_, i) => weekdayLabel.format(new Date(Date.UTC(2024, 0, 1 + i))));
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => onMonthChange(shiftMonth(month, -1))}
+          disabled={month <= first}
+          aria-label={t('previousMonth')}
+          className="px-3 py-1 rounded-lg text-white/80 hover:bg-white/10 disabled:opacity-30 disabled:hover:bg-transparent"
+        >
+          ‹
+        </button>
+        <h3 className="text-white font-semibold capitalize" aria-live="polite">{monthLabel}</h3>
+        <button
+          onClick={() => onMonthChange(shiftMonth(month, 1))}
+          disabled={month >= last}
+          aria-label={t('nextMonth')}
+          className="px-3 py-1 rounded-lg text-white/80 hover:bg-white/10 disabled:opacity-30 disabled:hover:bg-transparent"
+        >
+          ›
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center">
+        {weekdays.map((weekday, i) => (
+          <div key={i} className="text-xs text-white/40 pb-1">{weekday}</div>
+        ))}
+        {weeks.flat().map((cell, i) => {
+          if (!cell) return <div key={`pad-${i}`} />;
+          if (cell.puzzleNumber == null) {
+            return (
+              <div key={cell.date} className="h-10 flex items-center justify-center rounded-lg text-sm text-white/20">
+                {cell.day}
+              </div>
+            );
+          }
+          const status = getPuzzleStatus(archive[cell.date]);
+          const { className, mark, label } = STATUS_STYLES[status];
+          return (
+            <button
+              key={cell.date}
+              onClick={() => onSelect(cell)}
+              aria-label={t('archiveDayLabel', {
+                number: cell.puzzleNumber,
+                date: dayLabel.format(new Date(`${cell.date}T00:00:00Z`)),
+                status: t(label)
+              })}
+              className={cn(
+                'h-10 rounded-lg text-sm font-medium transition-colors relative',
+                className,
+                cell.date === activeDate && 'ring-2 ring-white'
+              )}
+            >
+              {cell.day}
+              {mark && <span className="absolute top-0 right-1 text-[10px]" aria-hidden="true">{mark}</span>}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-white/60">
+        {Object.entries(STATUS_STYLES).map(([status, { className, label }]) => (
+          <span key={status} className="flex items-center gap-1.5">
+            <span className={cn('w-3 h-3 rounded', className)} />
+            {t(label)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ArchiveCalendar;
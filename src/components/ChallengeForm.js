@@ -0,0 +1,194 @@
+import React, { useMemo, useState } from 'react';
+import { cn } from '../lib/utils';
+import { countryData } from '../lib/countries';
+import { localName } from '../lib/i18n';
+import { buildNameIndex, lookupName } from '../lib/nameResolver';
+import { countryInRegions } from '../lib/regions';
+import { shareResult } from '../lib/share';
+import { CHALLENGE_GUESS_LIMITS, MAX_CHALLENGER_NAME_LENGTH, challengeUrl } from '../lib/challenge';
+
+const inputClassName = "w-full h-10 rounded-lg bg-white/10 border border-white/10 px-3 text-white placeholder:text-white/40 focus:outline-none focus:ring-2 focus:ring-[#4A628A]";
+
+const optionClassName = (active) => cn(
+  "px-3 py-2 rounded-lg text-sm font-medium transition-colors",
+  active ? "bg-[#4A628A] text-white" : "bg-white/10 text-white/60 hover:bg-white/20"
+);
+
+// Build a challenge link: pick a target, a guess limit and a region that
+// contains the target. `result` is the player's finished game
+// ({ targetId, bands, won }), sent along when the challenge is for that target.
+const ChallengeForm = ({ regionFilters, language, t, initialTargetId, result }) => {
+  const nameIndex = useMemo(() => buildNameIndex(countryData), []);
+  const countryNames = useMemo(() => (
+    countryData.map(country => localName(country, language)).sort((a, b) => a.localeCompare(b, language))
+  ), [language]);
+
+  const [targetName, setTargetName] = useState(() => {
+    const initial = countryData.find(country => country.id === initialTargetId);
+    return initial ? localName(initial, language) : '';
+  });
+  const [maxGuesses, setMaxGuesses] = useState(null);
+  const [region, setRegion] = useState(null);
+  const [name, setName] = useState('');
+  const [link, setLink] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const target = targetName.trim() ? lookupName(nameIndex, targetName) : null;
+  // Only regions the target is in can be offered
+  const regions = target
+    ? Object.entries(regionFilters).filter(([key]) => countryInRegions(target, [key], regionFilters))
+    : [];
+  const regionKey = regions.some(([key]) => key === region) ? region : null;
+  const withResult = Boolean(result && target && result.targetId === target.id);
+
+  const reset = () => {
+    setLink(null);
+    setCopied(false);
+  };
+
+  const createLink = (e) => {
+    e.preventDefault();
+    if (!target) return;
+    let from = null;
+    if (withResult) from = { name: name.trim(), bands: result.bands, won: result.won };
+    else if (name.trim()) from = { name: name.trim(), bands: null, won: null };
+    setLink(challengeUrl({ targetId: target.id, maxGuesses, region: regionKey, from }));
+    setCopied(false);
+  };
+
+  const shareLink = async () => {
+    try {
+      const outcome = await shareResult(link);
+      setCopied(outcome === 'copied');
+    } catch (error) {
+      console.error('Error sharing challenge:', error);
+    }
+  };
+
+  return (
+    <form onSubmit={createLink} className="space-y-5">
+      <div>
+        <label htmlFor="challenge-target" className="block text-white font-semibold mb-2">{t('challengeTarget')}</label>
+        <input
+          id="challenge-target"
+          list="challenge-countries"
+          value={targetName}
+          onChange={(e) => {
+            setTargetName(e.target.value);
+            reset();
+          }}
+          placeholder={t('challengeTargetPlaceholder')}
+          autoComplete="off"
+          className={inputClassName}
+        />
+        <datalist id="challenge-countries">
+          {countryNames.map(country => <option key={country} value={country} />)}
+        </datalist>
+        {targetName.trim() && !target && (
+          <p role="alert" className="text-rose-300 text-sm mt-2">{t('challengeUnknownTarget')}</p>
+        )}
+      </div>
+
+      <div>
+        <h4 className="text-white font-semibold mb-2">{t('challengeGuessLimit')}</h4>
+        <div className="flex flex-wrap gap-2">
+          {CHALLENGE_GUESS_LIMITS.map(limit => (
+            <button
+              key={limit ?? 'unlimited'}
+              type="button"
+              onClick={() => {
+                setMaxGuesses(limit);
+                reset();
+              }}
+              aria-pressed={maxGuesses === limit}
+              className={optionClassName(maxGuesses === limit)}
+            >
+              {limit === null ? t('challengeUnlimited') : t('challengeGuesses', { count: limit })}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {target && (
+        <div>
+          <h4 className="text-white font-semibold mb-1">{t('challengeRegion')}</h4>
+          <p className="text-white/60 text-sm mb-2">{t('challengeRegionDescription')}</p>
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={() => {
+                setRegion(null);
+                reset();
+              }}
+              aria-pressed={regionKey === null}
+              className={optionClassName(regionKey === null)}
+            >
+              {t('allCountries')}
+            </button>
+            {regions.map(([key, filter]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => {
+                  setRegion(key);
+                  reset();
+                }}
+                aria-pressed={regionKey === key}
+                className={optionClassName(regionKey === key)}
+              >
+                {t(filter.label)}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="challenge-name" className="block text-white font-semibold mb-2">{t('challengeYourName')}</label>
+        <input
+          id="challenge-name"
+          value={name}
+          onChange={(e) => {
+            setName(e.target.value);
+            reset();
+          }}
+          maxLength={MAX_CHALLENGER_NAME_LENGTH}
+          placeholder={t('challengeNamePlaceholder')}
+          className={inputClassName}
+        />
+        <p className="text-white/60 text-sm mt-2">
+          {withResult ? t('challengeIncludesResult') : t('challengeNoResult')}
+        </p>
+      </div>
+
+      {link ? (
+        <div className="space-y-2">
+          <input
+            readOnly
+            value={link}
+            aria-label={t('challengeLink')}
+            onFocus={(e) => e.target.select()}
+            className={cn(inputClassName, "text-sm")}
+          />
+          <button
+            type="button"
+            onClick={shareLink}
+            className="w-full bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+          >
+            {copied ? t('challengeCopied') : t('challengeShare')}
+          </button>
+        </div>
+      ) : (
+        <button
+          type="submit"
+          disabled={!target}
+          className="w-full bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors disabled:opacity-50"
+        >
+          {t('challengeCreateLink')}
+        </button>
+      )}
+    </form>
+  );
+};
+
+export default ChallengeForm;
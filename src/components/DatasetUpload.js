@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { cn } from '../lib/utils';
+import { DATASET_ERRORS, MIN_PLACES, buildPlaces, parseGeoJson, propertyNames } from '../lib/places';
+
+const ERROR_LABELS = {
+  [DATASET_ERRORS.INVALID_JSON]: 'datasetInvalidJson',
+  [DATASET_ERRORS.NOT_FEATURE_COLLECTION]: 'datasetNotFeatureCollection',
+  [DATASET_ERRORS.MISSING_FIELDS]: 'datasetMissingFields',
+  [DATASET_ERRORS.TOO_FEW_PLACES]: 'datasetTooFewPlaces',
+  [DATASET_ERRORS.UNSUPPORTED_GEOMETRY]: 'datasetUnsupportedGeometry',
+  [DATASET_ERRORS.MIXED_GEOMETRY]: 'datasetMixedGeometry',
+  [DATASET_ERRORS.MISSING_NAME]: 'datasetMissingName',
+  [DATASET_ERRORS.MISSING_ID]: 'datasetMissingId',
+  [DATASET_ERRORS.DUPLICATE_ID]: 'datasetDuplicateId'
+};
+
+const selectClassName = "w-full h-10 rounded-lg bg-white/10 border border-white/10 px-3 text-white focus:outline-none focus:ring-2 focus:ring-[#4A628A]";
+
+// Likely candidates among a file's properties, tried in order
+const NAME_FIELDS = ['name', 'name_en', 'label', 'title'];
+const ID_FIELDS = ['id', 'iso_a3', 'code', 'postal', 'abbrev'];
+
+const guessField = (properties, candidates, fallback) =>
+  properties.find(property => candidates.includes(property.toLowerCase())) || fallback;
+
+// Pick a GeoJSON file and the properties holding each place's name, id and
+// other accepted names. `onUpload` gets { name, fields, geojson } once the
+// file checks out.
+const DatasetUpload = ({ t, onUpload }) => {
+  const [file, setFile] = useState(null); // { name, geojson, properties }
+  const [nameField, setNameField] = useState('');
+  const [idField, setIdField] = useState('');
+  const [aliasFields, setAliasFields] = useState('');
+  const [error, setError] = useState(null); // { error, feature, value }
+
+  const readFile = async (picked) => {
+    const result = parseGeoJson(await picked.text());
+    if (!result.ok) {
+      setFile(null);
+      setError(result);
+      return;
+    }
+    const properties = propertyNames(result.geojson);
+    const name = guessField(properties, NAME_FIELDS, properties[0] || '');
+    setFile({ name: picked.name, geojson: result.geojson, properties });
+    setNameField(name);
+    setIdField(guessField(properties, ID_FIELDS, name));
+    setAliasFields('');
+    setError(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const fields = {
+      id: idField,
+      name: nameField,
+      aliases: aliasFields.split(',').map(field => field.trim()).filter(Boolean)
+    };
+    const result = buildPlaces(file.geojson, fields);
+    if (!result.ok) {
+      setError(result);
+      return;
+    }
+    setError(null);
+    onUpload({ name: file.name, fields, geojson: file.geojson });
+    setFile(null);
+  };
+
+  const fieldSelect = (id, label, value, onChange) => (
+    <div>
+      <label htmlFor={id} className="block text-white/80 text-sm mb-1">{label}</label>
+      <select
+        id={id}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setError(null);
+        }}
+        className={selectClassName}
+      >
+        {file.properties.map(property => (
+          <option key={property} value={property} className="bg-[#1a1a1a]">{property}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const message = error && t(ERROR_LABELS[error.error], {
+    feature: error.feature,
+    value: error.value,
+    field: error.error === DATASET_ERRORS.MISSING_ID ? idField : nameField,
+    count: MIN_PLACES
+  });
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <label className="block px-3 py-2 rounded-lg text-sm font-medium text-center transition-colors bg-white/10 text-white/80 hover:bg-white/20 cursor-pointer focus-within:ring-2 focus-within:ring-white">
+        {file ? file.name : t('datasetChooseFile')}
+        <input
+          type="file"
+          accept="application/geo+json,application/json,.geojson,.json"
+          className="sr-only"
+          onChange={(e) => {
+            const [picked] = e.target.files;
+            e.target.value = '';
+            if (picked) readFile(picked);
+          }}
+        />
+      </label>
+
+      {file && (
+        <>
+          {fieldSelect('dataset-name-field', t('datasetNameField'), nameField, setNameField)}
+          {fieldSelect('dataset-id-field', t('datasetIdField'), idField, setIdField)}
+          <div>
+            <label htmlFor="dataset-alias-fields" className="block text-white/80 text-sm mb-1">{t('datasetAliasFields')}</label>
+            <input
+              id="dataset-alias-fields"
+              value={aliasFields}
+              onChange={(e) => {
+                setAliasFields(e.target.value);
+                setError(null);
+              }}
+              placeholder={file.properties.slice(0, 3).join(', ')}
+              className={cn(selectClassName, "placeholder:text-white/40")}
+            />
+          </div>
+          <button
+            type="submit"
+            className="w-full bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+          >
+            {t('datasetUse')}
+          </button>
+        </>
+      )}
+
+      {message && <p role="alert" className="text-rose-300 text-sm">{message}</p>}
+    </form>
+  );
+};
+
+export default DatasetUpload;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { cn } from '../lib/utils';
+import { recordedPlaces } from '../lib/gameModes';
+import { intlLocale, localName } from '../lib/i18n';
+import { GAME_MODES } from '../lib/history';
+
+const MODE_LABELS = {
+  [GAME_MODES.DAILY]: 'modeDaily',
+  [GAME_MODES.ARCHIVE]: 'modeArchive',
+  [GAME_MODES.PRACTICE]: 'modePractice',
+  [GAME_MODES.ROOM]: 'modeRoom',
+  [GAME_MODES.CHALLENGE]: 'modeChallenge',
+  [GAME_MODES.CAPITALS_DAILY]: 'modeCapitals'
+};
+
+// Finished games, newest first, each with a button to replay it on the globe
+const GameHistoryList = ({ history, language, t, onReplay }) => {
+  if (history.length === 0) {
+    return <p className="text-white/60 text-sm">{t('historyEmpty')}</p>;
+  }
+
+  const dateLabel = new Intl.DateTimeFormat(intlLocale(language), { dateStyle: 'medium', timeZone: 'UTC' });
+
+  return (
+    <ul className="space-y-2">
+      {history.map(entry => {
+        const target = localName(recordedPlaces(entry.mode).get(entry.targetId), language);
+        return (
+          <li key={entry.id} className="flex items-center gap-3 bg-white/5 rounded-lg px-4 py-3">
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-2 text-sm text-white/60">
+                <span>{dateLabel.format(new Date(`${entry.date}T00:00:00Z`))}</span>
+                <span className="px-1.5 py-0.5 rounded bg-white/10 text-xs">{t(MODE_LABELS[entry.mode])}</span>
+                {entry.puzzle != null && <span>#{entry.puzzle}</span>}
+              </div>
+              <div className="text-white truncate">{target}</div>
+            </div>
+            <span className={cn('text-sm whitespace-nowrap', entry.won ? 'text-emerald-400' : 'text-rose-400')}>
+              {entry.won ? t('historyWon', { count: entry.guesses.length }) : t('historyLost')}
+            </span>
+            <button
+              onClick={() => onReplay(entry)}
+              aria-label={t('replayGame', { country: target })}
+              className="px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-white/10 text-white/80 hover:bg-white/20"
+            >
+              ▶ {t('replay')}
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default GameHistoryList;
@@ -1,68 +1,192 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import Globe from 'react-globe.gl';
-import { format } from 'date-fns';
-import countriesGeoJson from '../data/countries-50m.json';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
 import { Badge } from './ui/badge';
 import { Switch } from './ui/switch';
-import { cn } from '../lib/utils';
-
-const MAX_GUESSES = 10;
-const EARTH_RADIUS_KM = 6371;
-const GAME_STATE_KEY = 'geoGlobeGameState';
-const STATS_KEY = 'geoGlobeStats';
-
-// Process the GeoJSON data to create our country list
-const countryData = countriesGeoJson.features.map(feature => ({
-  name: feature.properties.NAME || feature.properties.ADMIN,
-  latitude: feature.properties.LATITUDE || feature.properties.LAT || 0,
-  longitude: feature.properties.LONGITUDE || feature.properties.LONG || 0,
-  geometry: feature.geometry,
-  id: feature.properties.ISO_A3 || feature.properties.ADM0_A3
-}));
+import { Dialog, DialogContent, DialogTitle } from './ui/dialog';
+import ArchiveCalendar from './ArchiveCalendar';
+import GameHistoryList from './GameHistoryList';
+import StatsDashboard from './StatsDashboard';
+import PartySetup from './PartySetup';
+import RoomPanel from './RoomPanel';
+import ChallengeForm from './ChallengeForm';
+import DatasetUpload from './DatasetUpload';
+import Silhouette from './Silhouette';
+import { cn, escapeHtml } from '../lib/utils';
+import { compassDirection } from '../lib/geo';
+import earthDayTexture from '../assets/earth-texture.jpg';
+import earthBlueMarbleTexture from '../assets/earth-blue-marble.jpg';
+import earthNightTexture from '../assets/earth-night.jpg';
+import nightSkyTexture from '../assets/night-sky.png';
+import { countryById, countryData } from '../lib/countries';
+import { isPointPlace, randomPlace } from '../lib/places';
+import {
+  PLAY_MODES,
+  currentMode,
+  isSilhouetteGame,
+  modeMap,
+  placesInPlay,
+  practiceMap,
+  readChallengeLink,
+  recordedPlaces,
+  regionPlaces
+} from '../lib/gameModes';
+import { BUILT_IN_DATASETS, DEFAULT_DATASET, UPLOADED_DATASET, capitalsDataset } from '../lib/datasets';
+import { findCountryByName, guessesLeft, GAME_STATUS, GUESS_ERRORS, HARD_RULES, MAX_GUESSES } from '../lib/gameEngine';
+import { FINISH_OUTCOMES, finishGame, finishSpeedRun } from '../lib/results';
+import { ALL_REGIONS, REGIONS, buildRegionFilters, filtersWithPlaces, groupSubregions, toggleRegion } from '../lib/regions';
+import { loadSettings, saveSettings } from '../lib/settings';
+import { getPuzzleDateKey } from '../lib/schedule';
+import { LEGEND_TICKS, PALETTES, bandColor, distanceColor, distancePosition, legendGradient } from '../lib/colorScale';
+import { buildShareText, shareResult } from '../lib/share';
+import { getBandByKey, getDistanceBand } from '../lib/distanceBands';
+import { ARCHIVE_MODES, loadArchive, saveArchive, summariseArchive, withArchivedGame } from '../lib/archive';
+import {
+  SPEED_RUN_DURATIONS,
+  createSpeedRun,
+  formatCountdown,
+  loadPersonalBests,
+  recordSpeedRunGuess,
+  regionSelectionKey,
+  savePersonalBests,
+  timeLeft
+} from '../lib/speedRun';
+import { createParty, currentPlayerIndex, loadParty, nextPartyGame, recordPartyGuess, saveParty } from '../lib/party';
+import { roomProgress } from '../lib/rooms';
+import { CHALLENGE_ERRORS, CHALLENGE_PARAM, challengerResult, compareWithChallenger } from '../lib/challenge';
+import { IMPORT_ERRORS, buildBackup, historyToCsv, mergeBackup, parseBackup } from '../lib/backup';
+import { INTERFACE_LANGUAGES, LANGUAGES, localName, textDirection, translate, wikipediaUrl } from '../lib/i18n';
+import { buildNameIndex, searchNames } from '../lib/nameResolver';
+import { useGameRecords } from '../hooks/useGameRecords';
+import { useGameSession } from '../hooks/useGameSession';
+import { useMapDataset } from '../hooks/useMapDataset';
+import { useRoom } from '../hooks/useRoom';
+
+// Textures are bundled so the globe renders without network access
+const GLOBE_TEXTURES = {
+  default: earthDayTexture,
+  satellite: earthBlueMarbleTexture,
+  dark: earthNightTexture
+};
+
+// Interface string for each colour palette
+const PALETTE_LABELS = {
+  default: 'paletteDefault',
+  deuteranopia: 'paletteDeuteranopia',
+  'high-contrast': 'paletteHighContrast',
+  monochrome: 'paletteMonochrome'
+};
+
+// Interface string for each distance band, for screen reader announcements
+const BAND_LABELS = {
+  'very-close': 'bandVeryClose',
+  close: 'bandClose',
+  far: 'bandFar',
+  'very-far': 'bandVeryFar'
+};
+
+// Interface string for each reason an import file is refused
+const IMPORT_ERROR_LABELS = {
+  [IMPORT_ERRORS.INVALID_JSON]: 'importInvalidJson',
+  [IMPORT_ERRORS.WRONG_APP]: 'importWrongApp',
+  [IMPORT_ERRORS.UNSUPPORTED_VERSION]: 'importUnsupportedVersion',
+  [IMPORT_ERRORS.INVALID_DATA]: 'importInvalidData'
+};
+
+// Keyboard globe control: degrees per arrow press, zoom factor per +/- press
+// and the view 0 returns to
+const ROTATE_STEP = 15;
+const ZOOM_FACTOR = 1.25;
+const MIN_ALTITUDE = 0.5;
+const MAX_ALTITUDE = 5;
+const DEFAULT_VIEW = { lat: 0, lng: 0, altitude: 2.5 };
+
+// Time each replayed guess stays on screen before the next one appears
+const REPLAY_STEP_MS = 1200;
+
+const regionFilters = buildRegionFilters(countryData);
+
+// Interface string for each reason a challenge link can't be played
+const CHALLENGE_ERROR_LABELS = {
+  [CHALLENGE_ERRORS.INVALID]: 'challengeInvalidLink',
+  [CHALLENGE_ERRORS.UNKNOWN_COUNTRY]: 'challengeUnknownCountry'
+};
+
+const CHALLENGE_VERDICT_LABELS = {
+  ahead: 'challengeAhead',
+  behind: 'challengeBehind',
+  tie: 'challengeTie'
+};
+
+const bandEmojis = (bands) => bands.map(key => getBandByKey(key).emoji).join('');
 
 const GeoGlobeGame = () => {
-  const [guesses, setGuesses] = useState([]);
   const [currentGuess, setCurrentGuess] = useState('');
-  const [targetCountry, setTargetCountry] = useState(null);
-  const [gameOver, setGameOver] = useState(false);
-  const [won, setWon] = useState(false);
-  const [isLoading, setIsLoading] = useState(true);
+  const [archivePuzzle, setArchivePuzzle] = useState(null); // { number, date } of a past puzzle being played
+  const [archive, setArchive] = useState(() => loadArchive());
+  const [archiveMonth, setArchiveMonth] = useState(() => getPuzzleDateKey().slice(0, 7)); // 'yyyy-MM' shown in the archive calendar
+  const [showArchive, setShowArchive] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [replay, setReplay] = useState(null); // { entry, step } while a finished game is replayed
+  const [speedRun, setSpeedRun] = useState(null); // run in progress, see lib/speedRun
+  const [speedRunResult, setSpeedRunResult] = useState(null); // { run, isBest } of the last finished run
+  const [speedRunBests, setSpeedRunBests] = useState(() => loadPersonalBests());
+  const [showSpeedRun, setShowSpeedRun] = useState(false);
+  const [clock, setClock] = useState(() => Date.now()); // ticks while a speed run counts down
+  const [party, setParty] = useState(() => loadParty()); // pass-and-play players and scoreboard, see lib/party
+  const [showParty, setShowParty] = useState(false);
+  const [showRoom, setShowRoom] = useState(false);
+  // The ?challenge= link the page was opened with, read once
+  const [challengeLink] = useState(() => readChallengeLink(window.location.search, regionFilters));
+  const [challenge, setChallenge] = useState(challengeLink.challenge); // challenge link being played, see lib/challenge
+  const [challengeLinkError, setChallengeLinkError] = useState(challengeLink.error);
+  const [showChallenge, setShowChallenge] = useState(false);
+  const [importConflicts, setImportConflicts] = useState([]); // { section, key } clashes from the last import
   const [toasts, setToasts] = useState([]);
   const [filteredCountries, setFilteredCountries] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [showStats, setShowStats] = useState(false);
   const [showInfo, setShowInfo] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
-  const [isPracticeMode, setIsPracticeMode] = useState(false);
-  const [autoRotate, setAutoRotate] = useState(true);
-  const [showDistanceGuide, setShowDistanceGuide] = useState(true);
-  const [showPreviousGuesses, setShowPreviousGuesses] = useState(true);
-  const [globeStyle, setGlobeStyle] = useState('default'); // 'default', 'satellite', 'dark'
-  const [selectedRegion, setSelectedRegion] = useState('all'); // 'all', 'europe', 'asia', etc.
-  const [distanceUnit, setDistanceUnit] = useState('km'); // 'km' or 'mi'
-  const [stats, setStats] = useState({
-    gamesPlayed: 0,
-    gamesWon: 0,
-    currentStreak: 0,
-    maxStreak: 0,
-    lastPlayedDate: null,
-    guessDistribution: {
-      1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 
-      6: 0, 7: 0, 8: 0, 9: 0, 10: 0
-    }
-  });
+  const [settings, setSettings] = useState(() => loadSettings({ regionKeys: Object.keys(regionFilters) }));
+  const {
+    isPracticeMode,
+    hardMode, // rules for the daily game, until its first guess
+    capitals, // capital cities instead of countries, daily and in practice
+    silhouette, // practice from the target's outline, see lib/silhouette
+    silhouetteTiny, // tiny islands as silhouette targets
+    autoRotate,
+    showDistanceGuide,
+    showPreviousGuesses,
+    showDirections,
+    globeStyle, // 'default', 'satellite', 'dark'
+    selectedRegions, // empty for all, or keys like 'europe', 'caribbean'
+    distanceUnit, // 'km' or 'mi'
+    palette, // colour palette key from PALETTES
+    language, // interface and country name language, e.g. 'en', 'de'
+    guessLanguages, // 'all' or 'selected'
+    dataset: datasetId // map for practice games, see lib/datasets
+  } = settings;
+  const t = useCallback((key, params) => translate(language, key, params), [language]);
+  // Languages a typed guess may be in; undefined accepts every language
+  const guessOptions = useMemo(() => ({
+    languages: guessLanguages === 'selected' ? [language] : undefined
+  }), [guessLanguages, language]);
+  // Name of a place as shown at the end of a game: a capital comes with its country
+  const placeName = useCallback((place) => (place && place.country
+    ? t('capitalOf', { city: localName(place, language), country: localName(countryById.get(place.id), language) })
+    : localName(place, language)
+  ), [t, language]);
+  // Stats and history, see hooks/useGameRecords
+  const { stats, capitalStats, history, recordFinish, replaceRecords } = useGameRecords();
   
   const suggestionsRef = useRef(null);
   const inputRef = useRef(null);
-  const statsModalRef = useRef(null);
-  const statsButtonRef = useRef(null);
-  const infoModalRef = useRef(null);
-  const infoButtonRef = useRef(null);
-  const settingsModalRef = useRef(null);
-  const settingsButtonRef = useRef(null);
   const [selectedIndex, setSelectedIndex] = useState(-1);
+  const globeRef = useRef(null);
+  const [announcedGuess, setAnnouncedGuess] = useState(null); // latest guess, read out by the live region
 
   const addToast = useCallback((toast) => {
     const id = Math.random().toString(36).substr(2, 9);
@@ -72,289 +196,499 @@ const GeoGlobeGame = () => {
     }, toast.duration || 3000);
   }, []);
 
-  // Load saved game state
-  useEffect(() => {
-    const today = format(new Date(), 'yyyy-MM-dd');
-    const savedState = localStorage.getItem(GAME_STATE_KEY);
-    
-    if (savedState) {
-      const { date, guesses: savedGuesses, gameOver: savedGameOver, won: savedWon } = JSON.parse(savedState);
-      
-      if (date === today) {
-        setGuesses(savedGuesses);
-        setGameOver(savedGameOver);
-        setWon(savedWon);
-      } else {
-        localStorage.removeItem(GAME_STATE_KEY);
-      }
-    }
+  // Update a single setting; saved to the device by the effect below
+  const updateSetting = useCallback((key, value) => {
+    setSettings(prev => ({ ...prev, [key]: value }));
   }, []);
 
-  // Get daily country based on the date
   useEffect(() => {
-    const today = format(new Date(), 'yyyy-MM-dd');
-    // Create a more unique seed using date components
-    const dateParts = today.split('-');
-    const year = parseInt(dateParts[0]);
-    const month = parseInt(dateParts[1]);
-    const day = parseInt(dateParts[2]);
-    
-    // Combine date components with prime numbers for better distribution
-    const seed = (year * 373) + (month * 37) + (day * 7);
-    const countryIndex = seed % countryData.length;
-    setTargetCountry(countryData[countryIndex]);
-    setIsLoading(false);
-  }, []);
+    document.documentElement.lang = language;
+    document.documentElement.dir = textDirection(language);
+  }, [language]);
 
-  // Save game state
   useEffect(() => {
-    if (!isLoading) {
-      const today = format(new Date(), 'yyyy-MM-dd');
-      localStorage.setItem(GAME_STATE_KEY, JSON.stringify({
-        date: today,
-        guesses,
-        gameOver,
-        won
-      }));
+    saveSettings(settings);
+  }, [settings]);
+
+  // The practice map. One that can't be loaded any more falls back to the
+  // world countries.
+  const { map: mapDataset, upload, pickUpload } = useMapDataset({
+    datasetId,
+    onFailed: () => {
+      updateSetting('dataset', DEFAULT_DATASET);
+      addToast({
+        title: t('datasetLoadFailedTitle'),
+        description: t('datasetLoadFailedDescription'),
+        status: 'error',
+        duration: 5000,
+      });
     }
-  }, [guesses, gameOver, won, isLoading]);
+  });
 
-  // Load stats from localStorage
   useEffect(() => {
-    const savedStats = localStorage.getItem(STATS_KEY);
-    if (savedStats) {
-      setStats(JSON.parse(savedStats));
-    }
-  }, []);
+    saveArchive(archive);
+  }, [archive]);
 
-  // Update stats when game is won
-  const updateStats = useCallback((won, numGuesses) => {
-    const today = format(new Date(), 'yyyy-MM-dd');
-    
-    setStats(prevStats => {
-      // If the user has already played today, don't update stats
-      if (prevStats.lastPlayedDate === today) {
-        return prevStats;
-      }
+  useEffect(() => {
+    savePersonalBests(speedRunBests);
+  }, [speedRunBests]);
 
-      const newStats = { ...prevStats };
-      
-      // Update games played and won
-      newStats.gamesPlayed++;
-      if (won) {
-        newStats.gamesWon++;
-        newStats.guessDistribution[numGuesses]++;
-      }
-      
-      // Update streak
-      if (won) {
-        if (prevStats.lastPlayedDate === format(new Date(Date.now() - 86400000), 'yyyy-MM-dd')) {
-          newStats.currentStreak++;
-        } else {
-          newStats.currentStreak = 1;
-        }
-        newStats.maxStreak = Math.max(newStats.currentStreak, prevStats.maxStreak);
-      } else {
-        newStats.currentStreak = 0;
-      }
-      
-      newStats.lastPlayedDate = today;
-      
-      // Save to localStorage
-      localStorage.setItem(STATS_KEY, JSON.stringify(newStats));
-      return newStats;
-    });
-  }, []);
+  useEffect(() => {
+    saveParty(party);
+  }, [party]);
+
+  // Globe polygon colour from the shared distance scale, or from the guess's
+  // distance band alone when `bandsOnly`
+  const getColorByDistance = useCallback((distance, correct = false, bandsOnly = false) => (
+    (bandsOnly ? bandColor : distanceColor)(distance, correct, { palette, opacity: 0.8 })
+  ), [palette]);
+
+  // Networked rooms, see hooks/useRoom. Each player's guesses are checked
+  // here and only their distance bands are sent on.
+  const {
+    room,
+    error: roomError,
+    connect: connectRoom,
+    leave: leaveRoom,
+    send: sendToRoom
+  } = useRoom({
+    onJoined: (message) => {
+      leaveChallenge();
+      startRoomGame(message.targetId);
+      setSpeedRun(null);
+      setReplay(null);
+      setShowRoom(false);
+      addToast({
+        title: t('roomJoinedTitle', { code: message.code }),
+        description: t('roomShareCode'),
+        status: 'success',
+        duration: 5000,
+      });
+    },
+    onDisconnected: () => addToast({
+      title: t('roomDisconnectedTitle'),
+      description: t('roomDisconnected'),
+      status: 'warning',
+      duration: 5000,
+    })
+  });
 
-  // Calculate the centroid of a polygon
-  const calculateCentroid = useCallback((coordinates) => {
-    if (!coordinates || coordinates.length === 0) return [0, 0];
-    
-    try {
-      // Handle MultiPolygon
-      if (coordinates[0][0][0] && typeof coordinates[0][0][0] === 'number') {
-        // Single polygon
-        const points = coordinates[0];
-        const sumLat = points.reduce((sum, point) => sum + point[1], 0);
-        const sumLng = points.reduce((sum, point) => sum + point[0], 0);
-        return [sumLng / points.length, sumLat / points.length];
-      } else {
-        // MultiPolygon - use the largest polygon
-        const polygons = coordinates.map(poly => poly[0]);
-        const largestPolygon = polygons.reduce((largest, current) => 
-          current.length > largest.length ? current : largest
-        , polygons[0]);
-        
-        const sumLat = largestPolygon.reduce((sum, point) => sum + point[1], 0);
-        const sumLng = largestPolygon.reduce((sum, point) => sum + point[0], 0);
-        return [sumLng / largestPolygon.length, sumLat / largestPolygon.length];
-      }
-    } catch (error) {
-      console.error('Error calculating centroid:', error);
-      return [0, 0];
+  // What is being played and on which map, see lib/gameModes
+  const roomTarget = room ? room.targetId : null;
+  const mode = currentMode({ roomTarget, challenge, isPracticeMode, archivePuzzle, capitals });
+  // A room game or a challenge plays a target of its own
+  const specialGame = mode === PLAY_MODES.ROOM || mode === PLAY_MODES.CHALLENGE;
+  const practiceSource = practiceMap({ capitals, mapDataset });
+  // Only the regions the practice map has are offered, e.g. the smaller
+  // world map has no Micronesia, and saved ones it hasn't are left out
+  const mapRegionFilters = useMemo(() => (
+    filtersWithPlaces(regionFilters, practiceSource.places)
+  ), [practiceSource]);
+  const subregionGroups = useMemo(() => groupSubregions(mapRegionFilters), [mapRegionFilters]);
+  const mapRegions = useMemo(() => (
+    practiceSource.hasRegions ? selectedRegions.filter(key => mapRegionFilters[key]) : selectedRegions
+  ), [practiceSource, selectedRegions, mapRegionFilters]);
+  const practicePlaces = useMemo(() => (
+    regionPlaces(practiceSource, mapRegions, regionFilters)
+  ), [practiceSource, mapRegions]);
+  useEffect(() => {
+    if (mapRegions.length !== selectedRegions.length) updateSetting('selectedRegions', mapRegions);
+  }, [mapRegions, selectedRegions, updateSetting]);
+  const activeMap = modeMap(mode, practiceSource);
+  const onWorldMap = activeMap.id === DEFAULT_DATASET;
+  const silhouetteMode = isSilhouetteGame(mode, { silhouette, practice: practiceSource });
+  const regionCountries = useMemo(() => (
+    placesInPlay(mode, { map: activeMap, practice: practicePlaces, challenge, regionFilters })
+  ), [mode, activeMap, practicePlaces, challenge]);
+
+  // The game being played, see hooks/useGameSession
+  const {
+    game,
+    gameState,
+    setGameState,
+    dailyPuzzle,
+    isLoading,
+    isPlaying,
+    dailyGame,
+    resetPracticeGame,
+    startRoomGame,
+    openArchiveGame,
+    dropChallengeGame
+  } = useGameSession({
+    mode,
+    hardMode,
+    challenge,
+    roomTarget,
+    archivePuzzle,
+    regionFilters,
+    practicePlaces,
+    silhouette: silhouetteMode,
+    silhouetteTiny,
+    // Keep an earlier day's game so the archive can show how it went
+    onExpiredDaily: ({ date, puzzle, state }) => setArchive(prev => withArchivedGame(prev, date, {
+      puzzle,
+      mode: ARCHIVE_MODES.DAILY,
+      state
+    })),
+    // A party moves on to its next game, unless this one hasn't started
+    onNewPracticeGame: () => setParty(prev => (
+      prev && (prev.owners.length > 0 || prev.winner !== null) ? nextPartyGame(prev) : prev
+    )),
+    onNoPracticePlaces: () => addToast({
+      title: t('noPracticePlacesTitle'),
+      description: t('noPracticePlaces'),
+      status: 'warning',
+      duration: 5000,
+    })
+  });
+
+  // A new game starts with an empty input
+  useEffect(() => {
+    setCurrentGuess('');
+  }, [game]);
+
+  const leaveChallenge = useCallback(() => {
+    dropChallengeGame();
+    setChallenge(null);
+    // Drop the link from the address bar so a reload doesn't open it again
+    const url = new URL(window.location.href);
+    if (url.searchParams.has(CHALLENGE_PARAM)) {
+      url.searchParams.delete(CHALLENGE_PARAM);
+      window.history.replaceState(null, '', url);
     }
-  }, []);
+  }, [dropChallengeGame]);
 
-  // Calculate distance between two points on Earth
-  const calculateDistance = useCallback((lat1, lon1, lat2, lon2) => {
-    try {
-      const toRad = (deg) => (deg * Math.PI) / 180;
-      const dLat = toRad(lat2 - lat1);
-      const dLon = toRad(lon2 - lon1);
-      const a =
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-      return EARTH_RADIUS_KM * c;
-    } catch (error) {
-      console.error('Error calculating distance:', error);
-      return Infinity;
+  // Save archive games once they have new guesses. Opening a finished
+  // puzzle only to look at it leaves its entry, and its mode, alone.
+  useEffect(() => {
+    if (!archivePuzzle || !gameState || !isPlaying(PLAY_MODES.ARCHIVE)) return;
+    setArchive(prev => {
+      const saved = prev[archivePuzzle.date];
+      if (gameState.guesses.length === (saved ? saved.state.guesses.length : 0)) return prev;
+      return withArchivedGame(prev, archivePuzzle.date, {
+        puzzle: archivePuzzle.number,
+        mode: ARCHIVE_MODES.ARCHIVE,
+        state: gameState
+      });
+    });
+  }, [archivePuzzle, gameState, isPlaying]);
+
+  // Start a timed run over the selected practice regions, on the practice globe
+  const startSpeedRun = (duration) => {
+    leaveRoom();
+    leaveChallenge();
+    setParty(null);
+    setSpeedRun(createSpeedRun({ duration, regions: selectedRegions }));
+    setSpeedRunResult(null);
+    setShowSpeedRun(false);
+    setReplay(null);
+    setClock(Date.now());
+    if (isPracticeMode) {
+      resetPracticeGame();
+    } else {
+      updateSetting('isPracticeMode', true);
     }
-  }, []);
+  };
 
-  // Get color based on distance
-  const getColorByDistance = useCallback((distance) => {
-    if (distance === 0) return 'rgba(52, 211, 153, 0.8)';     // Keep the emerald green for correct
-    if (distance < 1000) return 'rgba(74, 98, 138, 0.8)';     // Dark blue for very close
-    if (distance < 2500) return 'rgba(122, 178, 211, 0.8)';   // Medium blue for close
-    if (distance < 5000) return 'rgba(185, 229, 232, 0.8)';   // Light blue for far
-    return 'rgba(223, 242, 235, 0.8)';                        // Mint for very far
-  }, []);
+  useEffect(() => {
+    if (!speedRun) return undefined;
+    const timer = setInterval(() => setClock(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [speedRun]);
 
-  // Get random country for practice mode
-  const getRandomCountry = useCallback(() => {
-    const randomIndex = Math.floor(Math.random() * countryData.length);
-    return countryData[randomIndex];
-  }, []);
+  // Time's up: score the run against the personal bests and show the result
+  // Personal bests are only kept on the world countries.
+  useEffect(() => {
+    if (!speedRun || clock < speedRun.endsAt) return;
+    const { bests, isBest } = finishSpeedRun(speedRunBests, speedRun, practiceSource);
+    setSpeedRunBests(bests);
+    setSpeedRunResult({ run: speedRun, isBest });
+    setSpeedRun(null);
+    setShowSpeedRun(true);
+  }, [clock, speedRun, speedRunBests, practiceSource]);
+
+  // Leaving practice mode or changing the regions abandons a run
+  useEffect(() => {
+    if (speedRun && (!isPracticeMode || regionSelectionKey(selectedRegions) !== regionSelectionKey(speedRun.regions))) {
+      setSpeedRun(null);
+    }
+  }, [speedRun, isPracticeMode, selectedRegions]);
 
-  // Reset game state for practice mode
-  const resetPracticeGame = useCallback(() => {
-    setGuesses([]);
-    setGameOver(false);
-    setWon(false);
-    setCurrentGuess('');
-    setTargetCountry(getRandomCountry());
-  }, [getRandomCountry]);
+  // So does changing the map
+  useEffect(() => {
+    setSpeedRun(null);
+  }, [practiceSource]);
+
+  // Play practice games on the player's own map file. Files too big for
+  // storage still work until the page is closed.
+  const pickUploadedDataset = (next) => {
+    const saved = pickUpload(next);
+    updateSetting('dataset', UPLOADED_DATASET);
+    addToast({
+      title: t('datasetUploadedTitle'),
+      description: t(saved ? 'datasetUploadedDescription' : 'datasetNotSaved', { name: next.name }),
+      status: saved ? 'success' : 'warning',
+      duration: 5000,
+    });
+  };
 
-  // Modified handleGuess to hide suggestions
-  const handleGuess = useCallback(() => {
-    // Hide suggestions when making a guess
-    setShowSuggestions(false);
-    
-    if (isLoading || !targetCountry) {
-      addToast({
-        title: 'Game not ready',
-        description: 'Please wait a moment and try again',
-        status: 'warning',
-        duration: 3000,
-      });
-      return;
+  // Start pass-and-play: the players share practice games over the selected
+  // regions, taking turns
+  const startParty = (names) => {
+    leaveRoom();
+    leaveChallenge();
+    setSpeedRun(null);
+    setParty(createParty(names));
+    setShowParty(false);
+    setReplay(null);
+    if (isPracticeMode) {
+      resetPracticeGame();
+    } else {
+      updateSetting('isPracticeMode', true);
     }
+  };
 
-    if (!currentGuess.trim()) {
-      addToast({
-        title: 'Empty guess',
-        description: 'Please enter a country name',
-        status: 'warning',
-        duration: 3000,
-      });
-      return;
-    }
+  // A new room races for a random country anywhere in the world
+  const createRoom = (name) => {
+    connectRoom({ type: 'create', name, targetId: randomPlace(countryData).id });
+  };
 
-    const guessedCountry = countryData.find(
-      (country) => country.name.toLowerCase().trim() === currentGuess.toLowerCase().trim()
-    );
+  const joinRoom = (code, name) => {
+    connectRoom({ type: 'join', code, name });
+  };
+
+  useEffect(() => {
+    if (!challengeLinkError) return;
+    addToast({
+      title: t('challengeLinkFailedTitle'),
+      description: t(CHALLENGE_ERROR_LABELS[challengeLinkError]),
+      status: 'error',
+      duration: 5000,
+    });
+    setChallengeLinkError(null);
+    leaveChallenge();
+  }, [challengeLinkError, addToast, t, leaveChallenge]);
+
+  // Play a past daily puzzle, with the same target it had on its day
+  const openArchivePuzzle = useCallback(({ date, puzzleNumber }) => {
+    const saved = archive[date];
+    openArchiveGame({ puzzleNumber, state: saved ? saved.state : null });
+    leaveChallenge();
+    setArchivePuzzle({ number: puzzleNumber, date });
+    updateSetting('isPracticeMode', false);
+    setShowArchive(false);
+  }, [archive, updateSetting, leaveChallenge, openArchiveGame]);
+
+  const backToToday = useCallback(() => {
+    leaveChallenge();
+    setArchivePuzzle(null);
+    updateSetting('isPracticeMode', false);
+  }, [updateSetting, leaveChallenge]);
+
+  const handleRegionToggle = (key) => {
+    updateSetting('selectedRegions', toggleRegion(selectedRegions, key));
+  };
 
-    if (!guessedCountry) {
+  const targetCountry = game ? game.target : null;
+  const gameOver = gameState ? gameState.status !== GAME_STATUS.PLAYING : false;
+  const won = gameState ? gameState.status === GAME_STATUS.WON : false;
+  const hardGame = Boolean(gameState && gameState.rules.hard);
+  // A party plays on the practice globe; outside practice it waits
+  const partyActive = Boolean(party && isPracticeMode && !specialGame);
+  const partyTurn = partyActive ? party.players[currentPlayerIndex(party)] : null;
+  // Hard mode games show each guess's distance band, without exact distances
+  // or directions; so do their replays
+  const bandsOnly = replay ? Boolean(replay.entry.hard) : hardGame;
+  const showBearings = showDirections && !bandsOnly;
+
+  // Guesses as globe features, coloured by their distance. During a replay
+  // these are the replayed game's guesses so far instead of the current ones.
+  const guesses = useMemo(() => (
+    replay ? replay.entry.guesses.slice(0, replay.step) : (gameState ? gameState.guesses : [])
+  ).map((guess, i) => {
+    // In a party each guess is outlined in its player's colour
+    const player = partyActive && !replay && party.owners[i] != null ? party.players[party.owners[i]] : null;
+    // Replays are always of world countries; a game knows its own places
+    const place = replay ? recordedPlaces(replay.entry.mode).get(guess.id) : game.getCountry(guess.id);
+    return {
+      type: 'Feature',
+      properties: {
+        name: localName(place, language),
+        distance: guess.distance,
+        bearing: guess.bearing,
+        correct: guess.correct,
+        player: player ? player.name : null
+      },
+      geometry: place.geometry,
+      lat: place.latitude,
+      lng: place.longitude,
+      color: getColorByDistance(guess.distance, guess.correct, bandsOnly),
+      stroke: player ? player.color : null
+    };
+  }), [game, gameState, replay, getColorByDistance, bandsOnly, language, partyActive, party]);
+
+  // Cities are drawn as labelled points, everything else as polygons. A
+  // silhouette game keeps its guesses off the globe until it's over.
+  const hideGuesses = silhouetteMode && !gameOver;
+  const guessPolygons = useMemo(() => (
+    hideGuesses ? [] : guesses.filter(guess => !isPointPlace(guess))
+  ), [guesses, hideGuesses]);
+  const guessPoints = useMemo(() => guesses.filter(isPointPlace), [guesses]);
+
+  // Tell the player how the game ended, see lib/results
+  const announceFinish = useCallback((outcome) => {
+    const win = (description, duration = 5000) => addToast({
+      title: t('congratulations'),
+      description,
+      status: 'success',
+      duration,
+    });
+    if (outcome === FINISH_OUTCOMES.STATS) {
+      setShowStats(true);
+    } else if (outcome === FINISH_OUTCOMES.ROOM) {
+      win(t('roomWinDescription', { country: localName(game.target, language) }));
+      setShowRoom(true);
+    } else if (outcome === FINISH_OUTCOMES.CHALLENGE) {
+      win(t('challengeWinDescription', { country: localName(game.target, language) }));
+    } else if (outcome === FINISH_OUTCOMES.PARTY) {
+      win(t('partyWinDescription', { player: partyTurn.name, country: localName(game.target, language) }));
+    } else if (outcome === FINISH_OUTCOMES.SPEED_RUN) {
+      // Straight on to the next target
+      addToast({
+        title: t('speedRunFoundTitle', { country: placeName(game.target) }),
+        description: t('speedRunNext'),
+        status: 'success',
+        duration: 1500,
+      });
+      resetPracticeGame();
+    } else if (outcome === FINISH_OUTCOMES.LOST) {
       addToast({
-        title: 'Invalid country',
-        description: 'Please enter a valid country name',
+        title: t('gameOver'),
+        description: t('answerWas', { country: placeName(game.target) }),
         status: 'error',
-        duration: 3000,
+        duration: 10000,
       });
-      return;
+      if (mode === PLAY_MODES.ROOM) setShowRoom(true);
+    } else {
+      win(t(outcome === FINISH_OUTCOMES.PRACTICE ? 'practiceWinDescription' : 'archiveWinDescription', {
+        country: placeName(game.target)
+      }));
     }
+  }, [game, mode, partyTurn, addToast, resetPracticeGame, placeName, language, t]);
 
-    // Check if country has already been guessed
-    const alreadyGuessed = guesses.some(
-      guess => guess.properties.name.toLowerCase().trim() === guessedCountry.name.toLowerCase().trim()
-    );
-
-    if (alreadyGuessed) {
+  // Modified handleGuess to hide suggestions
+  const handleGuess = useCallback(() => {
+    // Hide suggestions when making a guess
+    setShowSuggestions(false);
+    
+    if (isLoading || !game) {
       addToast({
-        title: 'Already Guessed',
-        description: `You've already guessed ${guessedCountry.name}. Try a different country!`,
+        title: t('notReadyTitle'),
+        description: t('notReadyDescription'),
         status: 'warning',
         duration: 3000,
       });
-      setCurrentGuess('');
       return;
     }
 
     try {
-      // Calculate centroid for distance calculation
-      const [guessedLon, guessedLat] = calculateCentroid(guessedCountry.geometry.coordinates);
-      const [targetLon, targetLat] = calculateCentroid(targetCountry.geometry.coordinates);
-
-      const distance = calculateDistance(
-        guessedLat,
-        guessedLon,
-        targetLat,
-        targetLon
-      );
-
-      const newGuess = {
-        type: 'Feature',
-        properties: {
-          name: guessedCountry.name,
-          distance: distance
-        },
-        geometry: guessedCountry.geometry,
-        color: getColorByDistance(distance)
-      };
-
-      setGuesses((prev) => [...prev, newGuess]);
-      setCurrentGuess('');
+      const result = game.submitGuess(currentGuess, guessOptions);
 
-      if (distance === 0) {
-        setWon(true);
-        setGameOver(true);
-        if (!isPracticeMode) {
-          updateStats(true, guesses.length + 1);
-          setShowStats(true);
-        } else {
+      if (!result.ok) {
+        if (result.error === GUESS_ERRORS.EMPTY) {
+          addToast({
+            title: t('emptyGuessTitle'),
+            description: t('emptyGuessDescription'),
+            status: 'warning',
+            duration: 3000,
+          });
+        } else if (result.error === GUESS_ERRORS.UNKNOWN && findCountryByName(activeMap.places, currentGuess, guessOptions)) {
+          addToast({
+            title: t('outsideRegionTitle'),
+            description: t('outsideRegionDescription', {
+              country: localName(findCountryByName(activeMap.places, currentGuess, guessOptions), language)
+            }),
+            status: 'warning',
+            duration: 3000,
+          });
+        } else if (result.error === GUESS_ERRORS.UNKNOWN && result.suggestion && !hardGame) {
+          // Put the suggestion in the input so Enter accepts it
+          const suggestion = localName(result.suggestion, language);
           addToast({
-            title: '🎉 Congratulations!',
-            description: `You found ${targetCountry.name}! Click "Play Again" to try another country.`,
-            status: 'success',
-            duration: 5000,
+            title: t('invalidCountryTitle'),
+            description: t('didYouMean', { country: suggestion }),
+            status: 'warning',
+            duration: 4000,
           });
+          setCurrentGuess(suggestion);
+        } else if (result.error === GUESS_ERRORS.UNKNOWN) {
+          addToast({
+            title: t('invalidCountryTitle'),
+            description: t('invalidCountryDescription'),
+            status: 'error',
+            duration: 3000,
+          });
+        } else if (result.error === GUESS_ERRORS.DUPLICATE) {
+          addToast({
+            title: t('alreadyGuessedTitle'),
+            description: t('alreadyGuessedDescription', { country: localName(result.country, language) }),
+            status: 'warning',
+            duration: 3000,
+          });
+          setCurrentGuess('');
+        } else if (result.error === GUESS_ERRORS.NOT_CLOSER) {
+          addToast({
+            title: t('notCloserTitle'),
+            description: t('notCloserDescription', { country: localName(result.country, language) }),
+            status: 'warning',
+            duration: 3000,
+          });
+          setCurrentGuess('');
         }
-      } else if (!isPracticeMode && guesses.length + 1 >= MAX_GUESSES) {
-        setGameOver(true);
-        updateStats(false, MAX_GUESSES);
-        addToast({
-          title: 'Game Over',
-          description: `The country was ${targetCountry.name}`,
-          status: 'error',
-          duration: 10000,
-        });
+        return;
+      }
+
+      setGameState(result.state);
+      setAnnouncedGuess(result.guess);
+      setCurrentGuess('');
+      if (speedRun) {
+        setSpeedRun(prev => prev && recordSpeedRunGuess(prev, result.guess.correct));
+      }
+      if (partyActive) {
+        setParty(prev => prev && recordPartyGuess(prev, result.guess, result.state.guesses));
+      }
+      if (mode === PLAY_MODES.ROOM) {
+        sendToRoom({ type: 'progress', ...roomProgress(result.state) });
+      }
+
+      const finished = finishGame({
+        mode,
+        map: activeMap,
+        state: result.state,
+        dailyPuzzle,
+        archivePuzzle,
+        party: partyActive,
+        speedRun: Boolean(speedRun)
+      });
+      if (finished) {
+        recordFinish(finished);
+        announceFinish(finished.outcome);
       }
     } catch (error) {
       console.error('Error processing guess:', error);
       addToast({
-        title: 'Error',
-        description: 'An error occurred while processing your guess. Please try again.',
+        title: t('errorTitle'),
+        description: t('errorDescription'),
         status: 'error',
         duration: 3000,
       });
     }
-  }, [currentGuess, targetCountry, guesses.length, addToast, isLoading, calculateCentroid, calculateDistance, getColorByDistance, updateStats, isPracticeMode]);
+  }, [currentGuess, game, addToast, isLoading, recordFinish, announceFinish, hardGame, speedRun, partyActive, sendToRoom, guessOptions, language, t, dailyPuzzle, archivePuzzle, activeMap, mode, setGameState]);
 
-  // Create a list of country suggestions for the input
-  const countryNames = useMemo(() => countryData.map(country => country.name), []);
+  // Name index the autocomplete searches, same as the one guesses resolve against
+  const nameIndex = useMemo(() => buildNameIndex(regionCountries, guessOptions), [regionCountries, guessOptions]);
 
-  // Add click outside handler for modals
+  // Close the suggestions when clicking elsewhere; the dialogs handle their own
   useEffect(() => {
     function handleClickOutside(event) {
       // Handle suggestions dropdown
@@ -362,27 +696,6 @@ const GeoGlobeGame = () => {
           inputRef.current && !inputRef.current.contains(event.target)) {
         setShowSuggestions(false);
       }
-      
-      // Handle stats modal - ignore clicks on the stats button
-      if (statsModalRef.current && 
-          !statsModalRef.current.contains(event.target) &&
-          !statsButtonRef.current?.contains(event.target)) {
-        setShowStats(false);
-      }
-
-      // Handle info modal - ignore clicks on the info button
-      if (infoModalRef.current && 
-          !infoModalRef.current.contains(event.target) &&
-          !infoButtonRef.current?.contains(event.target)) {
-        setShowInfo(false);
-      }
-
-      // Handle settings modal - ignore clicks on the settings button
-      if (settingsModalRef.current && 
-          !settingsModalRef.current.contains(event.target) &&
-          !settingsButtonRef.current?.contains(event.target)) {
-        setShowSettings(false);
-      }
     }
 
     document.addEventListener('mousedown', handleClickOutside);
@@ -395,17 +708,17 @@ const GeoGlobeGame = () => {
     setCurrentGuess(value);
     setSelectedIndex(-1); // Reset selection when input changes
     
-    if (value.length > 0) {
-      const filtered = countryNames
-        .filter(name => name.toLowerCase().includes(value.toLowerCase()))
-        .slice(0, 5); // Limit to 5 suggestions
+    // Hard mode games have no autocomplete
+    if (value.length > 0 && !hardGame) {
+      // Ranked matches, limited to 5 and shown in the display language
+      const filtered = searchNames(nameIndex, value, 5).map(country => localName(country, language));
       setFilteredCountries(filtered);
       setShowSuggestions(true);
     } else {
       setFilteredCountries([]);
       setShowSuggestions(false);
     }
-  }, [countryNames]);
+  }, [nameIndex, language, hardGame]);
 
   // Handle keyboard navigation
   const handleKeyDown = (e) => {
@@ -455,42 +768,266 @@ const GeoGlobeGame = () => {
     inputRef.current?.focus();
   };
 
+  // Arrow and 8-point compass label for a bearing, e.g. '↗ NE'
+  const formatDirection = (bearing) => {
+    const { arrow, label } = compassDirection(bearing);
+    return `${arrow} ${label}`;
+  };
+
   // Helper function to convert distance based on selected unit
   const formatDistance = (distanceKm) => {
+    if (distanceKm === 0) {
+      return t('bordering');
+    }
     if (distanceUnit === 'mi') {
       return `${Math.round(distanceKm * 0.621371)} mi`;
     }
     return `${Math.round(distanceKm)} km`;
   };
 
-  // Region definitions
-  const regions = {
-    all: { name: 'All Countries', description: 'Countries from all continents' },
-    europe: { name: 'Europe', description: 'European countries only' },
-    asia: { name: 'Asia', description: 'Asian countries only' },
-    americas: { name: 'Americas', description: 'North and South American countries' },
-    africa: { name: 'Africa', description: 'African countries only' },
-    oceania: { name: 'Oceania', description: 'Oceanian countries only' }
+  // Exact distance, or only its band in hard mode
+  const describeDistance = (distanceKm) => (
+    bandsOnly ? t(BAND_LABELS[getDistanceBand(distanceKm).key]) : formatDistance(distanceKm)
+  );
+
+  // Tooltip for a guess on the globe. The globe inserts it as HTML, and place
+  // names can come from an uploaded file and player names are typed in, so
+  // both are escaped.
+  const guessLabel = ({ properties }) =>
+    `<div class="bg-popover/95 text-popover-foreground p-3 rounded-lg shadow-lg">
+      <div class="font-semibold mb-1">${escapeHtml(properties.name)}</div>
+      ${properties.player ? `<div class="text-muted-foreground">${t('partyGuessBy', { player: escapeHtml(properties.player) })}</div>` : ''}
+      <div class="text-muted-foreground">${properties.correct ? t('correct') : t('distance', { distance: describeDistance(properties.distance) })}</div>
+      ${showBearings && properties.bearing != null
+        ? `<div class="text-muted-foreground">${t('direction', { direction: formatDirection(properties.bearing) })}</div>`
+        : ''}
+    </div>`;
+
+  // Spoken summary of a guess for the live region
+  const describeGuess = (guess) => {
+    const place = game && game.getCountry(guess.id);
+    const country = place ? localName(place, language) : guess.name;
+    if (guess.correct) return t('announceCorrect', { country });
+    const band = t(BAND_LABELS[getDistanceBand(guess.distance).key]);
+    const summary = bandsOnly
+      ? t('announceBand', { country, band })
+      : t('announceGuess', { country, distance: formatDistance(guess.distance), band });
+    return showBearings && guess.bearing != null
+      ? `${summary} ${t('headToward', { direction: compassDirection(guess.bearing).label })}`
+      : summary;
   };
 
-  // Filter countries based on selected region
-  const getFilteredCountries = () => {
-    if (selectedRegion === 'all') return countryData;
-    return countryData.filter(country => country.region === selectedRegion);
+  // Keyboard control of the globe: arrows rotate, + and - zoom, 0 resets.
+  // Ignored while typing and while a dialog is open.
+  useEffect(() => {
+    const handleGlobeKeys = (event) => {
+      const globe = globeRef.current;
+      if (!globe || event.altKey || event.ctrlKey || event.metaKey) return;
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"], [role="dialog"]')) return;
+
+      const view = globe.pointOfView();
+      let next;
+      switch (event.key) {
+        case 'ArrowLeft':
+          next = { lng: view.lng - ROTATE_STEP };
+          break;
+        case 'ArrowRight':
+          next = { lng: view.lng + ROTATE_STEP };
+          break;
+        case 'ArrowUp':
+          next = { lat: Math.min(view.lat + ROTATE_STEP, 85) };
+          break;
+        case 'ArrowDown':
+          next = { lat: Math.max(view.lat - ROTATE_STEP, -85) };
+          break;
+        case '+':
+        case '=':
+          next = { altitude: Math.max(view.altitude / ZOOM_FACTOR, MIN_ALTITUDE) };
+          break;
+        case '-':
+        case '_':
+          next = { altitude: Math.min(view.altitude * ZOOM_FACTOR, MAX_ALTITUDE) };
+          break;
+        case '0':
+          next = DEFAULT_VIEW;
+          break;
+        default:
+          return;
+      }
+      event.preventDefault();
+      globe.pointOfView(next, 300);
+    };
+
+    window.addEventListener('keydown', handleGlobeKeys);
+    return () => window.removeEventListener('keydown', handleGlobeKeys);
+  }, []);
+
+  // Step through a replay, turning the globe to each guess as it appears
+  useEffect(() => {
+    if (!replay) return undefined;
+    const { entry, step } = replay;
+    const place = step > 0 && recordedPlaces(entry.mode).get(entry.guesses[step - 1].id);
+    if (place) {
+      globeRef.current?.pointOfView({ lat: place.latitude, lng: place.longitude, altitude: 2 }, REPLAY_STEP_MS / 2);
+    }
+    if (step >= entry.guesses.length) return undefined;
+    const timer = setTimeout(() => setReplay(prev => prev && { ...prev, step: prev.step + 1 }), REPLAY_STEP_MS);
+    return () => clearTimeout(timer);
+  }, [replay]);
+
+  // A silhouette game ends by flying the globe to the answer
+  useEffect(() => {
+    if (!silhouetteMode || !gameOver || !targetCountry) return;
+    globeRef.current?.pointOfView({ lat: targetCountry.latitude, lng: targetCountry.longitude, altitude: 1.5 }, 2000);
+  }, [silhouetteMode, gameOver, targetCountry]);
+
+  const startReplay = (entry) => {
+    setShowHistory(false);
+    setReplay({ entry, step: 0 });
   };
 
-  const StatsModal = () => {
-    const maxGuesses = Math.max(...Object.values(stats.guessDistribution));
-    const winPercentage = stats.gamesPlayed > 0 
-      ? Math.round((stats.gamesWon / stats.gamesPlayed) * 100) 
+  // The daily puzzle being played: today's, or one from the archive
+  const activePuzzle = archivePuzzle || dailyPuzzle;
+
+  // Copy or share a spoiler-free summary of a finished daily puzzle
+  const handleShare = useCallback(async () => {
+    if (!activePuzzle || !gameState) return;
+
+    const text = buildShareText({
+      puzzleNumber: activePuzzle.number,
+      guesses: gameState.guesses,
+      maxGuesses: gameState.rules.maxGuesses,
+      won: gameState.status === GAME_STATUS.WON,
+      hard: hardGame,
+      capitals: mode === PLAY_MODES.CAPITALS_DAILY,
+      url: window.location.origin
+    });
+
+    try {
+      const outcome = await shareResult(text);
+      if (outcome === 'copied') {
+        addToast({
+          title: t('copiedTitle'),
+          description: t('copiedDescription'),
+          status: 'success',
+          duration: 3000,
+        });
+      }
+    } catch (error) {
+      console.error('Error sharing result:', error);
+      addToast({
+        title: t('shareFailedTitle'),
+        description: t('shareFailedDescription'),
+        status: 'error',
+        duration: 3000,
+      });
+    }
+  }, [activePuzzle, mode, gameState, hardGame, addToast, t]);
+
+  const canShare = gameOver && !isPracticeMode && !specialGame;
+
+  // A finished challenge, next to the challenger's result
+  const challengeResult = challenge && !roomTarget && gameOver ? challengerResult('', gameState) : null;
+  const challengeVerdict = challengeResult ? compareWithChallenger(challengeResult, challenge.from) : null;
+
+  // Save a file through a temporary download link
+  const downloadFile = (fileName, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const exportJson = () => {
+    const backup = buildBackup({ stats, capitalStats, history, archive });
+    downloadFile(`globle-${getPuzzleDateKey()}.json`, JSON.stringify(backup, null, 2), 'application/json');
+  };
+
+  const exportCsv = () => {
+    downloadFile(`globle-games-${getPuzzleDateKey()}.csv`, historyToCsv(history), 'text/csv');
+  };
+
+  // Merge an exported file into this device's stats, history and archive
+  const importBackup = async (file) => {
+    const result = parseBackup(await file.text());
+    if (!result.ok) {
+      setImportConflicts([]);
+      addToast({
+        title: t('importFailedTitle'),
+        description: t(IMPORT_ERROR_LABELS[result.error], { section: result.section }),
+        status: 'error',
+        duration: 5000,
+      });
+      return;
+    }
+
+    const merged = mergeBackup({ stats, capitalStats, history, archive }, result.backup);
+    replaceRecords(merged);
+    setArchive(merged.archive);
+    setImportConflicts(merged.conflicts);
+    addToast({
+      title: t('importedTitle'),
+      description: t('importedDescription', {
+        games: merged.addedGames,
+        archive: merged.addedArchive,
+        conflicts: merged.conflicts.length
+      }),
+      status: merged.conflicts.length > 0 ? 'warning' : 'success',
+      duration: 5000,
+    });
+  };
+
+  // Gradient bar for the distance scale, with distance ticks and the colour for
+  // a correct guess; used by the Distance Guide and the How to Play modal
+  const DistanceScaleLegend = () => (
+    <div className="w-56">
+      <div className="h-3 rounded-full" style={{ background: legendGradient(palette) }} />
+      <div className="relative h-4 mt-1 text-[10px] text-white/60">
+        {LEGEND_TICKS.map((distance, index) => (
+          <span
+            key={distance}
+            className={cn(
+              "absolute whitespace-nowrap",
+              index === LEGEND_TICKS.length - 1 ? "-translate-x-full" : index > 0 && "-translate-x-1/2"
+            )}
+            style={{ left: `${distancePosition(distance) * 100}%` }}
+          >
+            {distance === 0 ? '0' : formatDistance(distance)}
+            {index === LEGEND_TICKS.length - 1 && '+'}
+          </span>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-white/60 mt-1">
+        <span>{t('closer')}</span>
+        <span>{t('further')}</span>
+      </div>
+      <div className="flex items-center gap-2 mt-2">
+        <div className="w-4 h-4 rounded-full" style={{ backgroundColor: distanceColor(0, true, { palette }) }} />
+        <span className="text-sm text-white/80">{t('correct')}</span>
+      </div>
+    </div>
+  );
+
+  // The modals are rendered by calling these rather than as <StatsModal />, so
+  // their contents aren't remounted on every state change, which would throw
+  // keyboard focus out of the dialog
+  const renderStatsModal = () => {
+    // Those of today's puzzle: the capitals one in capitals mode
+    const puzzleStats = capitals ? capitalStats : stats;
+    const maxGuesses = Math.max(...Object.values(puzzleStats.guessDistribution));
+    const winPercentage = puzzleStats.gamesPlayed > 0 
+      ? Math.round((puzzleStats.gamesWon / puzzleStats.gamesPlayed) * 100) 
       : 0;
 
     return (
-      <div ref={statsModalRef} className="bg-[#1a1a1a] p-8 rounded-xl w-[90%] max-w-md border border-[#232323]">
+      <DialogContent aria-describedby={undefined} className="bg-[#1a1a1a] p-8 rounded-xl w-[90%] max-w-md border border-[#232323]">
         <div className="flex justify-between items-center mb-6">
-          <h2 className="text-2xl font-['EB Garamond'] text-white">Statistics</h2>
+          <DialogTitle>{t(capitals ? 'capitalStatisticsTitle' : 'statisticsTitle')}</DialogTitle>
           <button 
             onClick={() => setShowStats(false)}
+            aria-label={t('close')}
             className="text-white/60 hover:text-white/80 transition-colors"
           >
             ✕
@@ -499,26 +1036,47 @@ const GeoGlobeGame = () => {
 
         <div className="grid grid-cols-4 gap-4 mb-8">
           <div className="text-center">
-            <div className="text-2xl font-bold text-white mb-1">{stats.gamesPlayed}</div>
-            <div className="text-xs text-white/60">Played</div>
+            <div className="text-2xl font-bold text-white mb-1">{puzzleStats.gamesPlayed}</div>
+            <div className="text-xs text-white/60">{t('played')}</div>
           </div>
           <div className="text-center">
             <div className="text-2xl font-bold text-white mb-1">{winPercentage}</div>
-            <div className="text-xs text-white/60">Win %</div>
+            <div className="text-xs text-white/60">{t('winPercent')}</div>
           </div>
           <div className="text-center">
-            <div className="text-2xl font-bold text-white mb-1">{stats.currentStreak}</div>
-            <div className="text-xs text-white/60">Streak</div>
+            <div className="text-2xl font-bold text-white mb-1">{puzzleStats.currentStreak}</div>
+            <div className="text-xs text-white/60">{t('streak')}</div>
           </div>
           <div className="text-center">
-            <div className="text-2xl font-bold text-white mb-1">{stats.maxStreak}</div>
-            <div className="text-xs text-white/60">Max Streak</div>
+            <div className="text-2xl font-bold text-white mb-1">{puzzleStats.maxStreak}</div>
+            <div className="text-xs text-white/60">{t('maxStreak')}</div>
           </div>
         </div>
 
-        <h3 className="text-lg font-['EB Garamond'] text-white mb-4">Guess Distribution</h3>
+        {puzzleStats.lastPuzzleNumber && (
+          <p className="text-sm text-white/60 -mt-4 mb-6 text-center">
+            {t('lastPlayed', { number: puzzleStats.lastPuzzleNumber })}
+          </p>
+        )}
+
+        {puzzleStats.hardGamesPlayed > 0 && (
+          <p className="text-sm text-rose-300/80 -mt-4 mb-6 text-center">
+            {t('hardModeRecord', { won: puzzleStats.hardGamesWon, played: puzzleStats.hardGamesPlayed })}
+          </p>
+        )}
+
+        {canShare && (
+          <button
+            onClick={handleShare}
+            className="w-full mb-6 bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+          >
+            {t('share')}
+          </button>
+        )}
+
+        <h3 className="text-lg font-['EB Garamond'] text-white mb-4">{t('guessDistribution')}</h3>
         <div className="space-y-2">
-          {Object.entries(stats.guessDistribution).map(([guesses, count]) => (
+          {Object.entries(puzzleStats.guessDistribution).map(([guesses, count]) => (
             <div key={guesses} className="flex items-center gap-2">
               <div className="text-white/80 w-4">{guesses}</div>
               <div className="flex-1 h-5 relative">
@@ -536,87 +1094,415 @@ const GeoGlobeGame = () => {
             </div>
           ))}
         </div>
-      </div>
+
+        <div className="grid grid-cols-2 gap-2 mt-6">
+          <button
+            onClick={() => {
+              setShowStats(false);
+              setShowDashboard(true);
+            }}
+            className="bg-white/10 hover:bg-white/20 text-white px-4 py-3 rounded-lg font-medium transition-colors"
+          >
+            📊 {t('dashboardButton')}
+          </button>
+          <button
+            onClick={() => {
+              setShowStats(false);
+              setShowHistory(true);
+            }}
+            className="bg-white/10 hover:bg-white/20 text-white px-4 py-3 rounded-lg font-medium transition-colors"
+          >
+            🕘 {t('historyButton')}
+          </button>
+        </div>
+      </DialogContent>
     );
   };
 
-  const InfoModal = () => {
+  const renderHistoryModal = () => (
+    <DialogContent aria-describedby={undefined} className="bg-[#1a1a1a] rounded-xl w-[90%] max-w-lg border border-[#232323] flex flex-col max-h-[85vh]">
+      <div className="p-8 pb-4 border-b border-[#232323] flex justify-between items-center">
+        <DialogTitle>{t('historyTitle')}</DialogTitle>
+        <button
+          onClick={() => setShowHistory(false)}
+          aria-label={t('close')}
+          className="text-white/60 hover:text-white/80 transition-colors"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="flex-1 overflow-y-auto p-8 pt-4 custom-scrollbar">
+        <GameHistoryList history={history} language={language} t={t} onReplay={startReplay} />
+      </div>
+    </DialogContent>
+  );
+
+  const renderDashboardModal = () => (
+    <DialogContent aria-describedby={undefined} className="bg-[#1a1a1a] rounded-xl w-[90%] max-w-2xl border border-[#232323] flex flex-col max-h-[85vh]">
+      <div className="p-8 pb-4 border-b border-[#232323] flex justify-between items-center">
+        <DialogTitle>{t('dashboardTitle')}</DialogTitle>
+        <button
+          onClick={() => setShowDashboard(false)}
+          aria-label={t('close')}
+          className="text-white/60 hover:text-white/80 transition-colors"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="flex-1 overflow-y-auto p-8 pt-4 custom-scrollbar">
+        <StatsDashboard
+          history={history}
+          language={language}
+          palette={palette}
+          formatDistance={formatDistance}
+          t={t}
+        />
+      </div>
+    </DialogContent>
+  );
+
+  const renderInfoModal = () => {
     return (
-      <div ref={infoModalRef} className="bg-[#1a1a1a] p-8 rounded-xl w-[90%] max-w-3xl border border-[#232323]">
+      <DialogContent aria-describedby={undefined} className="bg-[#1a1a1a] p-8 rounded-xl w-[90%] max-w-3xl border border-[#232323]">
         <div className="flex justify-between items-center mb-6">
-          <h2 className="text-2xl font-['EB Garamond'] text-white">How to Play</h2>
+          <DialogTitle>{t('howToPlayTitle')}</DialogTitle>
           <button 
             onClick={() => setShowInfo(false)}
+            aria-label={t('close')}
             className="text-white/60 hover:text-white/80 transition-colors"
           >
             ✕
           </button>
         </div>
         <div className="space-y-4 text-white/80">
-          <p>Welcome to Globle! Try to guess the mystery country in 6 tries or less.</p>
+          <p>{t('welcome')}</p>
           
           <div className="grid grid-cols-2 gap-6">
             <div className="space-y-4">
               <div className="space-y-2">
-                <h3 className="text-white font-semibold">How it works:</h3>
+                <h3 className="text-white font-semibold">{t('howItWorks')}</h3>
                 <ul className="list-disc pl-5 space-y-2">
-                  <li>Type a country name and press enter to make a guess</li>
-                  <li>The globe will highlight your guess and show how close you are</li>
-                  <li>Use the colors below to gauge your distance from the target</li>
+                  <li>{t('ruleType')}</li>
+                  <li>{t('ruleHighlight')}</li>
+                  <li>{t('ruleColors')}</li>
+                  <li>{t('ruleBorders')}</li>
                 </ul>
               </div>
 
               <div>
-                <p className="mb-2">The globe is interactive! You can:</p>
+                <p className="mb-2">{t('globeInteractive')}</p>
                 <ul className="list-disc pl-5 space-y-2">
-                  <li>Drag to rotate the view</li>
-                  <li>Scroll to zoom in/out</li>
-                  <li>Click and hold to tilt the perspective</li>
+                  <li>{t('globeDrag')}</li>
+                  <li>{t('globeScroll')}</li>
+                  <li>{t('globeTilt')}</li>
+                  <li>{t('globeKeys')}</li>
                 </ul>
               </div>
 
-              <p className="text-white/60 text-sm">A new country is selected each day. Come back daily to test your geography knowledge!</p>
+              <p className="text-white/60 text-sm">{t('dailyNote')}</p>
             </div>
 
             <div className="bg-[#232323] p-6 rounded-lg space-y-3">
-              <h3 className="text-white font-semibold mb-4">Distance Indicators:</h3>
-              <div className="flex items-center gap-3">
-                <div className="w-4 h-4 rounded-full bg-green-500"></div>
-                <span>Correct - You found it!</span>
-              </div>
-              <div className="flex items-center gap-3">
-                <div className="w-4 h-4 rounded-full bg-[#7AB2D3]"></div>
-                <span>Less than 1000km away</span>
-              </div>
-              <div className="flex items-center gap-3">
-                <div className="w-4 h-4 rounded-full bg-[#4A628A]"></div>
-                <span>Less than 2500km away</span>
-              </div>
-              <div className="flex items-center gap-3">
-                <div className="w-4 h-4 rounded-full bg-purple-900"></div>
-                <span>Less than 5000km away</span>
-              </div>
-              <div className="flex items-center gap-3">
-                <div className="w-4 h-4 rounded-full bg-[#DFF2EB]"></div>
-                <span>More than 5000km away</span>
-              </div>
+              <h3 className="text-white font-semibold mb-4">{t('distanceIndicators')}</h3>
+              <DistanceScaleLegend />
             </div>
           </div>
         </div>
-      </div>
+      </DialogContent>
     );
   };
 
-  // Settings Modal Component
-  const SettingsModal = () => {
+  const renderArchiveModal = () => {
+    const summary = summariseArchive(archive);
+    const winPercentage = summary.gamesPlayed > 0
+      ? Math.round((summary.gamesWon / summary.gamesPlayed) * 100)
+      : 0;
+
     return (
-      <div ref={settingsModalRef} className="bg-[#1a1a1a] rounded-xl w-[90%] max-w-md border border-[#232323] flex flex-col max-h-[85vh]">
+      <DialogContent aria-describedby={undefined} className="bg-[#1a1a1a] p-8 rounded-xl w-[90%] max-w-md border border-[#232323]">
+        <div className="flex justify-between items-center mb-6">
+          <DialogTitle>{t('archiveTitle')}</DialogTitle>
+          <button
+            onClick={() => setShowArchive(false)}
+            aria-label={t('close')}
+            className="text-white/60 hover:text-white/80 transition-colors"
+          >
+            ✕
+          </button>
+        </div>
+
+        <p className="text-white/60 text-sm mb-4">{t('archiveDescription')}</p>
+
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          <div className="text-center">
+            <div className="text-2xl font-bold text-white mb-1">{summary.gamesPlayed}</div>
+            <div className="text-xs text-white/60">{t('played')}</div>
+          </div>
+          <div className="text-center">
+            <div className="text-2xl font-bold text-white mb-1">{winPercentage}</div>
+            <div className="text-xs text-white/60">{t('winPercent')}</div>
+          </div>
+        </div>
+
+        {dailyPuzzle && archiveMonth && (
+          <ArchiveCalendar
+            month={archiveMonth}
+            today={dailyPuzzle.date}
+            archive={archive}
+            activeDate={archivePuzzle && archivePuzzle.date}
+            language={language}
+            t={t}
+            onMonthChange={setArchiveMonth}
+            onSelect={openArchivePuzzle}
+          />
+        )}
+
+        {archivePuzzle && (
+          <button
+            onClick={() => {
+              backToToday();
+              setShowArchive(false);
+            }}
+            className="w-full mt-6 bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+          >
+            {t('backToToday')}
+          </button>
+        )}
+      </DialogContent>
+    );
+  };
+
+  // Names of the practice regions a run used, or "All Countries"
+  const regionLabel = (regions) => (
+    regions.length === 0
+      ? t('allCountries')
+      : regions.map(key => (regionFilters[key] ? t(regionFilters[key].label) : key)).join(', ')
+  );
+
+  const renderSpeedRunModal = () => {
+    const bests = Object.values(speedRunBests)
+      .sort((a, b) => a.duration - b.duration || b.found - a.found);
+
+    return (
+      <DialogContent aria-describedby={undefined} className="bg-[#1a1a1a] p-8 rounded-xl w-[90%] max-w-md border border-[#232323]">
+        <div className="flex justify-between items-center mb-6">
+          <DialogTitle>{t('speedRunTitle')}</DialogTitle>
+          <button
+            onClick={() => setShowSpeedRun(false)}
+            aria-label={t('close')}
+            className="text-white/60 hover:text-white/80 transition-colors"
+          >
+            ✕
+          </button>
+        </div>
+
+        {speedRunResult && (
+          <div className="mb-6 text-center" role="status">
+            <div className="text-4xl font-bold text-white">{speedRunResult.run.found}</div>
+            <div className="text-white/60 text-sm">
+              {t('speedRunScore', { found: speedRunResult.run.found, guesses: speedRunResult.run.guesses })}
+            </div>
+            {speedRunResult.isBest && (
+              <div className="text-[#7AB2D3] font-semibold mt-2">{t('speedRunNewBest')}</div>
+            )}
+          </div>
+        )}
+
+        {speedRun ? (
+          <div className="space-y-3 mb-6">
+            <p className="text-white/80">
+              {t('speedRunInProgress', { time: formatCountdown(timeLeft(speedRun, clock)), count: speedRun.found })}
+            </p>
+            <button
+              onClick={() => setSpeedRun(null)}
+              className="w-full bg-white/10 hover:bg-white/20 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+            >
+              {t('speedRunStop')}
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-3 mb-6">
+            <p className="text-white/60 text-sm">
+              {t('speedRunDescription', { regions: regionLabel(selectedRegions) })}
+            </p>
+            <div className="grid grid-cols-2 gap-2">
+              {SPEED_RUN_DURATIONS.map(duration => (
+                <button
+                  key={duration}
+                  onClick={() => startSpeedRun(duration)}
+                  className="bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+                >
+                  {t('speedRunStart', { count: duration })}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <h3 className="text-lg font-['EB Garamond'] text-white mb-3">{t('speedRunBests')}</h3>
+        {bests.length === 0 ? (
+          <p className="text-white/60 text-sm">{t('speedRunNoBests')}</p>
+        ) : (
+          <table className="w-full text-sm text-left">
+            <thead className="text-white/50">
+              <tr>
+                <th className="font-normal pb-2">{t('speedRunDuration')}</th>
+                <th className="font-normal pb-2">{t('regionSelection')}</th>
+                <th className="font-normal pb-2 text-right">{t('speedRunFoundColumn')}</th>
+                <th className="font-normal pb-2 text-right">{t('speedRunGuessesColumn')}</th>
+              </tr>
+            </thead>
+            <tbody className="text-white/90">
+              {bests.map(best => (
+                <tr key={`${best.duration}:${regionSelectionKey(best.regions)}`} className="border-t border-white/10">
+                  <td className="py-2">{t('speedRunMinutes', { count: best.duration })}</td>
+                  <td className="py-2 pr-2">{regionLabel(best.regions)}</td>
+                  <td className="py-2 text-right font-semibold">{best.found}</td>
+                  <td className="py-2 text-right">{best.guesses}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </DialogContent>
+    );
+  };
+
+  // Offers the finished game's target, and its result, as the challenge
+  const renderChallengeModal = () => (
+    <DialogContent aria-describedby={undefined} className="bg-[#1a1a1a] rounded-xl w-[90%] max-w-md border border-[#232323] flex flex-col max-h-[85vh]">
+      <div className="p-8 pb-4 border-b border-[#232323] flex justify-between items-center">
+        <DialogTitle>{t('challengeTitle')}</DialogTitle>
+        <button
+          onClick={() => setShowChallenge(false)}
+          aria-label={t('close')}
+          className="text-white/60 hover:text-white/80 transition-colors"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="flex-1 overflow-y-auto p-8 pt-4 custom-scrollbar">
+        <p className="text-white/60 text-sm mb-4">{t('challengeDescription')}</p>
+        <ChallengeForm
+          regionFilters={regionFilters}
+          language={language}
+          t={t}
+          initialTargetId={gameOver && targetCountry && onWorldMap ? targetCountry.id : null}
+          result={gameOver && gameState && onWorldMap ? { targetId: gameState.targetId, ...challengerResult('', gameState) } : null}
+        />
+      </div>
+    </DialogContent>
+  );
+
+  const renderRoomModal = () => (
+    <DialogContent aria-describedby={undefined} className="bg-[#1a1a1a] p-8 rounded-xl w-[90%] max-w-md border border-[#232323]">
+      <div className="flex justify-between items-center mb-6">
+        <DialogTitle>{t('roomTitle')}</DialogTitle>
+        <button
+          onClick={() => setShowRoom(false)}
+          aria-label={t('close')}
+          className="text-white/60 hover:text-white/80 transition-colors"
+        >
+          ✕
+        </button>
+      </div>
+      <RoomPanel
+        room={room}
+        error={roomError}
+        t={t}
+        onCreate={createRoom}
+        onJoin={joinRoom}
+        onLeave={() => {
+          leaveRoom();
+          setShowRoom(false);
+        }}
+      />
+    </DialogContent>
+  );
+
+  const renderPartyModal = () => (
+    <DialogContent aria-describedby={undefined} className="bg-[#1a1a1a] p-8 rounded-xl w-[90%] max-w-md border border-[#232323]">
+      <div className="flex justify-between items-center mb-6">
+        <DialogTitle>{t('partyTitle')}</DialogTitle>
+        <button
+          onClick={() => setShowParty(false)}
+          aria-label={t('close')}
+          className="text-white/60 hover:text-white/80 transition-colors"
+        >
+          ✕
+        </button>
+      </div>
+
+      {party ? (
+        <>
+          <p className="text-white/60 text-sm mb-4">{t('partyGameNumber', { number: party.game })}</p>
+          <table className="w-full text-sm text-left mb-6">
+            <thead className="text-white/50">
+              <tr>
+                <th className="font-normal pb-2">{t('partyPlayer')}</th>
+                <th className="font-normal pb-2 text-right">{t('partyWins')}</th>
+                <th className="font-normal pb-2 text-right">{t('partyClosestRounds')}</th>
+              </tr>
+            </thead>
+            <tbody className="text-white/90">
+              {party.players.map(player => (
+                <tr key={player.name} className="border-t border-white/10">
+                  <td className="py-2">
+                    <span className="inline-block w-3 h-3 rounded-full mr-2 align-middle" style={{ backgroundColor: player.color }} />
+                    {player.name}
+                  </td>
+                  <td className="py-2 text-right font-semibold">{player.wins}</td>
+                  <td className="py-2 text-right">{player.closest}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="grid grid-cols-2 gap-2">
+            {!isPracticeMode && (
+              <button
+                onClick={() => {
+                  setShowParty(false);
+                  updateSetting('isPracticeMode', true);
+                }}
+                className="col-span-2 bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+              >
+                {t('partyResume')}
+              </button>
+            )}
+            <button
+              onClick={() => setParty(null)}
+              className="col-span-2 bg-white/10 hover:bg-white/20 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+            >
+              {t('partyEnd')}
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <p className="text-white/60 text-sm mb-4">{t('partyDescription')}</p>
+          <PartySetup t={t} onStart={startParty} />
+        </>
+      )}
+    </DialogContent>
+  );
+
+  const renderSettingsModal = () => {
+    // Hard mode can't be switched once today's puzzle, of countries or of
+    // capitals in capitals mode, has a guess
+    const todaysGame = dailyGame(capitals);
+    const dailyState = todaysGame ? todaysGame.getState() : null;
+    const dailyStarted = Boolean(dailyState && dailyState.guesses.length > 0);
+    const dailyHard = Boolean(dailyState && dailyState.rules.hard);
+
+    return (
+      <DialogContent aria-describedby={undefined} className="bg-[#1a1a1a] rounded-xl w-[90%] max-w-md border border-[#232323] flex flex-col max-h-[85vh]">
         {/* Fixed Header */}
         <div className="p-8 pb-4 border-b border-[#232323]">
           <div className="flex justify-between items-center">
-            <h2 className="text-2xl font-['EB Garamond'] text-white">Settings</h2>
+            <DialogTitle>{t('settingsTitle')}</DialogTitle>
             <button 
               onClick={() => setShowSettings(false)}
+              aria-label={t('close')}
               className="text-white/60 hover:text-white/80 transition-colors"
             >
               ✕
@@ -628,70 +1514,227 @@ const GeoGlobeGame = () => {
         <div className="flex-1 overflow-y-auto p-8 pt-4 space-y-6 custom-scrollbar">
           {/* Game Modes */}
           <div className="space-y-4">
-            <h3 className="text-white/90 text-lg font-semibold">Game Modes</h3>
+            <h3 className="text-white/90 text-lg font-semibold">{t('gameModes')}</h3>
             <div className="flex items-center justify-between">
               <div>
-                <h4 className="text-white font-semibold">Practice Mode</h4>
-                <p className="text-white/60 text-sm mt-1">Play unlimited games with random countries</p>
+                <h4 className="text-white font-semibold">{t('practiceMode')}</h4>
+                <p className="text-white/60 text-sm mt-1">{t('practiceModeDescription')}</p>
               </div>
               <Switch
                 checked={isPracticeMode}
-                onCheckedChange={(checked) => {
-                  setIsPracticeMode(checked);
-                  if (checked) {
-                    resetPracticeGame();
-                  } else {
-                    window.location.reload();
-                  }
-                }}
+                onCheckedChange={(checked) => updateSetting('isPracticeMode', checked)}
                 className="ml-4"
               />
             </div>
 
-            {isPracticeMode && (
+            <div className="flex items-center justify-between">
+              <div>
+                <h4 className="text-white font-semibold">{t('silhouetteMode')}</h4>
+                <p className="text-white/60 text-sm mt-1">{t('silhouetteModeDescription')}</p>
+              </div>
+              <Switch
+                checked={silhouette}
+                onCheckedChange={(checked) => updateSetting('silhouette', checked)}
+                className="ml-4"
+              />
+            </div>
+
+            {silhouette && (
+              <div className="flex items-center justify-between">
+                <div>
+                  <h4 className="text-white font-semibold">{t('silhouetteTiny')}</h4>
+                  <p className="text-white/60 text-sm mt-1">{t('silhouetteTinyDescription')}</p>
+                </div>
+                <Switch
+                  checked={silhouetteTiny}
+                  onCheckedChange={(checked) => updateSetting('silhouetteTiny', checked)}
+                  className="ml-4"
+                />
+              </div>
+            )}
+
+            <div className="flex items-center justify-between">
+              <div>
+                <h4 className="text-white font-semibold">{t('capitalsMode')}</h4>
+                <p className="text-white/60 text-sm mt-1">{t('capitalsModeDescription')}</p>
+              </div>
+              <Switch
+                checked={capitals}
+                onCheckedChange={(checked) => updateSetting('capitals', checked)}
+                className="ml-4"
+              />
+            </div>
+
+            <div className="flex items-center justify-between">
+              <div>
+                <h4 className="text-white font-semibold">{t('hardMode')}</h4>
+                <p className="text-white/60 text-sm mt-1">
+                  {t('hardModeDescription', { count: HARD_RULES.maxGuesses })}
+                </p>
+                {dailyStarted && (
+                  <p className="text-white/40 text-sm mt-1">{t('hardModeLocked')}</p>
+                )}
+              </div>
+              <Switch
+                checked={dailyStarted ? dailyHard : hardMode}
+                disabled={dailyStarted}
+                onCheckedChange={(checked) => updateSetting('hardMode', checked)}
+                className="ml-4"
+              />
+            </div>
+
+            <div className="flex items-center justify-between">
+              <div>
+                <h4 className="text-white font-semibold">{t('challengeFriend')}</h4>
+                <p className="text-white/60 text-sm mt-1">{t('challengeSettingDescription')}</p>
+              </div>
+              <button
+                onClick={() => {
+                  setShowSettings(false);
+                  setShowChallenge(true);
+                }}
+                className="ml-4 px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-white/10 text-white/80 hover:bg-white/20 whitespace-nowrap"
+              >
+                {t('challengeCreate')}
+              </button>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <div>
+                <h4 className="text-white font-semibold">{t('partyMode')}</h4>
+                <p className="text-white/60 text-sm mt-1">{t('partyModeDescription')}</p>
+              </div>
+              <button
+                onClick={() => {
+                  setShowSettings(false);
+                  setShowParty(true);
+                }}
+                className="ml-4 px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-white/10 text-white/80 hover:bg-white/20 whitespace-nowrap"
+              >
+                {party ? t('partyScoreboard') : t('partySetUp')}
+              </button>
+            </div>
+
+            <div className="space-y-2 mt-4">
+              <h4 className="text-white font-semibold">{t('datasetTitle')}</h4>
+              <p className="text-white/60 text-sm mb-3">{t('datasetDescription')}</p>
+              {capitals && <p className="text-white/40 text-sm">{t('datasetCapitalsNote')}</p>}
+              <div className="grid grid-cols-1 gap-2">
+                {Object.entries(BUILT_IN_DATASETS).map(([id, { label }]) => (
+                  <button
+                    key={id}
+                    onClick={() => updateSetting('dataset', id)}
+                    aria-pressed={datasetId === id}
+                    className={cn(
+                      "px-3 py-2 rounded-lg text-sm font-medium transition-colors",
+                      datasetId === id
+                        ? "bg-[#4A628A] text-white"
+                        : "bg-white/10 text-white/60 hover:bg-white/20"
+                    )}
+                  >
+                    {t(label)}
+                  </button>
+                ))}
+                {upload && (
+                  <button
+                    onClick={() => updateSetting('dataset', UPLOADED_DATASET)}
+                    aria-pressed={datasetId === UPLOADED_DATASET}
+                    className={cn(
+                      "px-3 py-2 rounded-lg text-sm font-medium transition-colors truncate",
+                      datasetId === UPLOADED_DATASET
+                        ? "bg-[#4A628A] text-white"
+                        : "bg-white/10 text-white/60 hover:bg-white/20"
+                    )}
+                  >
+                    {t('datasetUploaded', { name: upload.name })}
+                  </button>
+                )}
+              </div>
+              {datasetId !== mapDataset.id && (
+                <p className="text-white/60 text-sm" aria-live="polite">{t('datasetLoading')}</p>
+              )}
+              <p className="text-white/60 text-sm pt-2">{t('datasetUploadDescription')}</p>
+              <DatasetUpload t={t} onUpload={pickUploadedDataset} />
+            </div>
+
+            {isPracticeMode && practiceSource.hasRegions && (
               <div className="space-y-2 mt-4">
-                <h4 className="text-white font-semibold">Region Selection</h4>
-                <p className="text-white/60 text-sm mb-3">Choose which region to practice</p>
+                <h4 className="text-white font-semibold">{t('regionSelection')}</h4>
+                <p className="text-white/60 text-sm mb-3">{t('regionSelectionDescription')}</p>
                 <div className="grid grid-cols-2 gap-2">
-                  {Object.entries(regions).map(([key, { name }]) => (
+                  <button
+                    onClick={() => handleRegionToggle(ALL_REGIONS)}
+                    className={cn(
+                      "px-3 py-2 rounded-lg text-sm font-medium transition-colors",
+                      selectedRegions.length === 0
+                        ? "bg-[#4A628A] text-white"
+                        : "bg-white/10 text-white/60 hover:bg-white/20"
+                    )}
+                  >
+                    {t('allCountries')}
+                  </button>
+                  {Object.entries(REGIONS).filter(([key]) => mapRegionFilters[key]).map(([key, { label }]) => (
                     <button
                       key={key}
-                      onClick={() => setSelectedRegion(key)}
+                      onClick={() => handleRegionToggle(key)}
                       className={cn(
                         "px-3 py-2 rounded-lg text-sm font-medium transition-colors",
-                        selectedRegion === key
+                        selectedRegions.includes(key)
                           ? "bg-[#4A628A] text-white"
                           : "bg-white/10 text-white/60 hover:bg-white/20"
                       )}
                     >
-                      {name}
+                      {t(label)}
                     </button>
                   ))}
                 </div>
+
+                <h4 className="text-white font-semibold pt-2">{t('subregions')}</h4>
+                {Object.entries(REGIONS).filter(([regionKey]) => subregionGroups[regionKey]).map(([regionKey, { label: parentLabel }]) => (
+                  <div key={regionKey} className="space-y-1">
+                    <p className="text-white/40 text-xs uppercase tracking-wide">{t(parentLabel)}</p>
+                    <div className="flex flex-wrap gap-2">
+                      {subregionGroups[regionKey].map(({ key, label }) => (
+                        <button
+                          key={key}
+                          onClick={() => handleRegionToggle(key)}
+                          className={cn(
+                            "px-2.5 py-1 rounded-lg text-xs font-medium transition-colors",
+                            selectedRegions.includes(key)
+                              ? "bg-[#4A628A] text-white"
+                              : "bg-white/10 text-white/60 hover:bg-white/20"
+                          )}
+                        >
+                          {t(label)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
               </div>
             )}
           </div>
 
           {/* Globe Settings */}
           <div className="space-y-4">
-            <h3 className="text-white/90 text-lg font-semibold">Globe Settings</h3>
+            <h3 className="text-white/90 text-lg font-semibold">{t('globeSettings')}</h3>
             <div className="flex items-center justify-between">
               <div>
-                <h4 className="text-white font-semibold">Auto-Rotate</h4>
-                <p className="text-white/60 text-sm mt-1">Globe automatically rotates when idle</p>
+                <h4 className="text-white font-semibold">{t('autoRotate')}</h4>
+                <p className="text-white/60 text-sm mt-1">{t('autoRotateDescription')}</p>
               </div>
               <Switch
                 checked={autoRotate}
-                onCheckedChange={setAutoRotate}
+                onCheckedChange={(checked) => updateSetting('autoRotate', checked)}
                 className="ml-4"
               />
             </div>
 
             <div className="space-y-2">
-              <h4 className="text-white font-semibold">Globe Style</h4>
+              <h4 className="text-white font-semibold">{t('globeStyle')}</h4>
               <div className="grid grid-cols-3 gap-2">
                 <button
-                  onClick={() => setGlobeStyle('default')}
+                  onClick={() => updateSetting('globeStyle', 'default')}
                   className={cn(
                     "px-3 py-2 rounded-lg text-sm font-medium transition-colors",
                     globeStyle === 'default' 
@@ -699,10 +1742,10 @@ const GeoGlobeGame = () => {
                       : "bg-white/10 text-white/60 hover:bg-white/20"
                   )}
                 >
-                  Default
+                  {t('styleDefault')}
                 </button>
                 <button
-                  onClick={() => setGlobeStyle('satellite')}
+                  onClick={() => updateSetting('globeStyle', 'satellite')}
                   className={cn(
                     "px-3 py-2 rounded-lg text-sm font-medium transition-colors",
                     globeStyle === 'satellite' 
@@ -710,10 +1753,10 @@ const GeoGlobeGame = () => {
                       : "bg-white/10 text-white/60 hover:bg-white/20"
                   )}
                 >
-                  Satellite
+                  {t('styleSatellite')}
                 </button>
                 <button
-                  onClick={() => setGlobeStyle('dark')}
+                  onClick={() => updateSetting('globeStyle', 'dark')}
                   className={cn(
                     "px-3 py-2 rounded-lg text-sm font-medium transition-colors",
                     globeStyle === 'dark' 
@@ -721,7 +1764,7 @@ const GeoGlobeGame = () => {
                       : "bg-white/10 text-white/60 hover:bg-white/20"
                   )}
                 >
-                  Dark
+                  {t('styleDark')}
                 </button>
               </div>
             </div>
@@ -729,36 +1772,82 @@ const GeoGlobeGame = () => {
 
           {/* Interface Settings */}
           <div className="space-y-4">
-            <h3 className="text-white/90 text-lg font-semibold">Interface</h3>
+            <h3 className="text-white/90 text-lg font-semibold">{t('interface')}</h3>
+            <div className="space-y-2">
+              <h4 className="text-white font-semibold">{t('language')}</h4>
+              <p className="text-white/60 text-sm">{t('languageDescription')}</p>
+              <select
+                value={language}
+                onChange={(e) => updateSetting('language', e.target.value)}
+                className="w-full h-10 px-3 rounded-lg bg-white/10 text-white text-sm border border-white/10 focus:outline-none"
+              >
+                {INTERFACE_LANGUAGES.map(code => (
+                  <option key={code} value={code} className="bg-[#1a1a1a]">{LANGUAGES[code].label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="space-y-2">
+              <h4 className="text-white font-semibold">{t('acceptGuesses')}</h4>
+              <div className="grid grid-cols-2 gap-2">
+                {[['all', 'anyLanguage'], ['selected', 'selectedLanguage']].map(([value, labelKey]) => (
+                  <button
+                    key={value}
+                    onClick={() => updateSetting('guessLanguages', value)}
+                    className={cn(
+                      "px-3 py-2 rounded-lg text-sm font-medium transition-colors",
+                      guessLanguages === value
+                        ? "bg-[#4A628A] text-white"
+                        : "bg-white/10 text-white/60 hover:bg-white/20"
+                    )}
+                  >
+                    {t(labelKey)}
+                  </button>
+                ))}
+              </div>
+            </div>
+
             <div className="flex items-center justify-between">
               <div>
-                <h4 className="text-white font-semibold">Distance Guide</h4>
-                <p className="text-white/60 text-sm mt-1">Show color guide for distances</p>
+                <h4 className="text-white font-semibold">{t('distanceGuide')}</h4>
+                <p className="text-white/60 text-sm mt-1">{t('distanceGuideDescription')}</p>
               </div>
               <Switch
                 checked={showDistanceGuide}
-                onCheckedChange={setShowDistanceGuide}
+                onCheckedChange={(checked) => updateSetting('showDistanceGuide', checked)}
                 className="ml-4"
               />
             </div>
 
             <div className="flex items-center justify-between">
               <div>
-                <h4 className="text-white font-semibold">Previous Guesses</h4>
-                <p className="text-white/60 text-sm mt-1">Show list of previous guesses</p>
+                <h4 className="text-white font-semibold">{t('previousGuesses')}</h4>
+                <p className="text-white/60 text-sm mt-1">{t('previousGuessesDescription')}</p>
               </div>
               <Switch
                 checked={showPreviousGuesses}
-                onCheckedChange={setShowPreviousGuesses}
+                onCheckedChange={(checked) => updateSetting('showPreviousGuesses', checked)}
+                className="ml-4"
+              />
+            </div>
+
+            <div className="flex items-center justify-between">
+              <div>
+                <h4 className="text-white font-semibold">{t('directionHints')}</h4>
+                <p className="text-white/60 text-sm mt-1">{t('directionHintsDescription')}</p>
+              </div>
+              <Switch
+                checked={showDirections}
+                onCheckedChange={(checked) => updateSetting('showDirections', checked)}
                 className="ml-4"
               />
             </div>
 
             <div className="space-y-2">
-              <h4 className="text-white font-semibold">Distance Unit</h4>
+              <h4 className="text-white font-semibold">{t('distanceUnit')}</h4>
               <div className="grid grid-cols-2 gap-2">
                 <button
-                  onClick={() => setDistanceUnit('km')}
+                  onClick={() => updateSetting('distanceUnit', 'km')}
                   className={cn(
                     "px-3 py-2 rounded-lg text-sm font-medium transition-colors",
                     distanceUnit === 'km'
@@ -766,10 +1855,10 @@ const GeoGlobeGame = () => {
                       : "bg-white/10 text-white/60 hover:bg-white/20"
                   )}
                 >
-                  Kilometers
+                  {t('kilometers')}
                 </button>
                 <button
-                  onClick={() => setDistanceUnit('mi')}
+                  onClick={() => updateSetting('distanceUnit', 'mi')}
                   className={cn(
                     "px-3 py-2 rounded-lg text-sm font-medium transition-colors",
                     distanceUnit === 'mi'
@@ -777,46 +1866,108 @@ const GeoGlobeGame = () => {
                       : "bg-white/10 text-white/60 hover:bg-white/20"
                   )}
                 >
-                  Miles
+                  {t('miles')}
                 </button>
               </div>
             </div>
+
+            <div className="space-y-2">
+              <h4 className="text-white font-semibold">{t('colorPalette')}</h4>
+              <p className="text-white/60 text-sm">{t('colorPaletteDescription')}</p>
+              <div className="grid grid-cols-2 gap-2">
+                {Object.keys(PALETTES).map(key => (
+                  <button
+                    key={key}
+                    onClick={() => updateSetting('palette', key)}
+                    className={cn(
+                      "px-3 py-2 rounded-lg text-sm font-medium transition-colors space-y-1.5",
+                      palette === key
+                        ? "bg-[#4A628A] text-white"
+                        : "bg-white/10 text-white/60 hover:bg-white/20"
+                    )}
+                  >
+                    <div className="h-2 rounded-full" style={{ background: legendGradient(key) }} />
+                    <div>{t(PALETTE_LABELS[key])}</div>
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {/* Your Data */}
+          <div className="space-y-4">
+            <h3 className="text-white/90 text-lg font-semibold">{t('yourData')}</h3>
+            <p className="text-white/60 text-sm">{t('yourDataDescription')}</p>
+            <div className="grid grid-cols-2 gap-2">
+              <button
+                onClick={exportJson}
+                className="px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-white/10 text-white/80 hover:bg-white/20"
+              >
+                {t('exportJson')}
+              </button>
+              <button
+                onClick={exportCsv}
+                className="px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-white/10 text-white/80 hover:bg-white/20"
+              >
+                {t('exportCsv')}
+              </button>
+            </div>
+            <label className="block px-3 py-2 rounded-lg text-sm font-medium text-center transition-colors bg-[#4A628A] text-white hover:bg-[#4A628A]/90 cursor-pointer focus-within:ring-2 focus-within:ring-white">
+              {t('importData')}
+              <input
+                type="file"
+                accept="application/json,.json"
+                className="sr-only"
+                onChange={(e) => {
+                  const [file] = e.target.files;
+                  e.target.value = '';
+                  if (file) importBackup(file);
+                }}
+              />
+            </label>
+            {importConflicts.length > 0 && (
+              <div className="text-sm text-amber-300/90 space-y-1">
+                <p>{t('importConflicts')}</p>
+                <ul className="list-disc pl-5 text-white/60">
+                  {importConflicts.map(({ section, key }) => (
+                    <li key={`${section}:${key}`}>
+                      {section === 'archive' ? t('importConflictArchive', { date: key }) : t('importConflictHistory', { game: key })}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </div>
 
         {/* Fixed Footer */}
         <div className="p-8 pt-4 border-t border-[#232323]">
-          <p className="text-white/40 text-sm">Settings are automatically saved to your device</p>
+          <p className="text-white/40 text-sm">{t('settingsSaved')}</p>
         </div>
-      </div>
+      </DialogContent>
     );
   };
 
   return (
     <div className="h-screen w-screen relative overflow-hidden bg-background">
       {/* Globe */}
-      <div className="absolute inset-0 z-10">
+      <div className="absolute inset-0 z-10" role="img" aria-label={t('globeLabel')}>
         <Globe
-          globeImageUrl={
-            globeStyle === 'satellite' 
-              ? "//unpkg.com/three-globe/example/img/earth-blue-marble.jpg"
-              : globeStyle === 'dark'
-                ? "//unpkg.com/three-globe/example/img/earth-night.jpg"
-                : "//unpkg.com/three-globe/example/img/earth-day.jpg"
-          }
-          backgroundImageUrl="//unpkg.com/three-globe/example/img/night-sky.png"
-          polygonsData={guesses}
+          ref={globeRef}
+          globeImageUrl={GLOBE_TEXTURES[globeStyle]}
+          backgroundImageUrl={nightSkyTexture}
+          polygonsData={guessPolygons}
           polygonAltitude={0.01}
           polygonCapColor={d => d.color}
           polygonSideColor={() => 'rgba(255, 255, 255, 0.05)'}
-          polygonStrokeColor={() => 'rgba(255, 255, 255, 0.3)'}
+          polygonStrokeColor={d => d.stroke || 'rgba(255, 255, 255, 0.3)'}
           polygonStrokeWidth={0.5}
           polygonsTransitionDuration={200}
           atmosphereColor="#1b66ff"
           atmosphereAltitude={0.15}
           enablePointerInteraction={true}
           dragRotate={true}
-          autoRotate={autoRotate}
+          autoRotate={autoRotate && !(silhouetteMode && gameOver)}
           autoRotateSpeed={0.35}
           zoomOnScroll={true}
           minZoom={0.5}
@@ -825,12 +1976,23 @@ const GeoGlobeGame = () => {
           enableGlobeCover={true}
           globeCoverAltitude={0.015}
           globeCoverColor={globeStyle === 'dark' ? "rgba(0, 0, 0, 0.8)" : "rgba(0, 0, 0, 0.6)"}
-          polygonLabel={({ properties }) =>
-            `<div class="bg-popover/95 text-popover-foreground p-3 rounded-lg shadow-lg">
-              <div class="font-semibold mb-1">${properties.name}</div>
-              <div class="text-muted-foreground">Distance: ${Math.round(properties.distance)} km</div>
-            </div>`
-          }
+          polygonLabel={guessLabel}
+          pointsData={guessPoints}
+          pointLat="lat"
+          pointLng="lng"
+          pointColor={d => d.stroke || d.color}
+          pointAltitude={0.02}
+          pointRadius={0.4}
+          pointsTransitionDuration={200}
+          pointLabel={guessLabel}
+          labelsData={guessPoints}
+          labelLat="lat"
+          labelLng="lng"
+          labelText={d => d.properties.name}
+          labelColor={() => 'rgba(255, 255, 255, 0.85)'}
+          labelSize={0.6}
+          labelDotRadius={0}
+          labelAltitude={0.02}
         />
       </div>
 
@@ -839,33 +2001,76 @@ const GeoGlobeGame = () => {
         <div className="container max-w-4xl mx-auto">
           <div className="flex justify-between items-center">
             <h1 className="text-3xl font-bold tracking-tight text-white font-['EB Garamond']">
-              Globle {isPracticeMode && <span className="text-[#4A628A] ml-2">(Practice)</span>}
+              Globle {roomTarget && (
+                <span className="text-[#4A628A] ml-2">{t('roomTag', { code: room.code })}</span>
+              )}
+              {challenge && !roomTarget && (
+                <span className="text-[#4A628A] ml-2">{t('challengeTag')}</span>
+              )}
+              {!specialGame && !archivePuzzle && capitals && (
+                <span className="text-[#4A628A] ml-2">{t('capitalsTag')}</span>
+              )}
+              {silhouetteMode && <span className="text-[#4A628A] ml-2">{t('silhouetteTag')}</span>}
+              {!specialGame && (isPracticeMode
+                ? <span className="text-[#4A628A] ml-2">{t('practiceTag')}</span>
+                : activePuzzle && (
+                  <span className="text-white/50 text-xl ml-2">
+                    {t('puzzleNumber', { number: activePuzzle.number })}
+                    {archivePuzzle && <span className="text-[#4A628A] ml-2">{t('archiveTag')}</span>}
+                    {hardGame && <span className="text-rose-300 ml-2">{t('hardTag')}</span>}
+                  </span>
+                ))}
             </h1>
             <div className="flex items-center gap-4">
               <button
-                ref={statsButtonRef}
                 onClick={() => setShowStats(!showStats)}
                 className="bg-[#1a1a1a] hover:bg-[#232323] text-white border border-[#232323] h-10 px-4 rounded-lg"
               >
-                📊 Stats
+                📊 {t('statsButton')}
               </button>
               <button
-                ref={infoButtonRef}
                 onClick={() => setShowInfo(!showInfo)}
                 className="bg-[#1a1a1a] hover:bg-[#232323] text-white border border-[#232323] h-10 px-4 rounded-lg"
               >
-                ℹ️ How to Play
+                ℹ️ {t('howToPlayButton')}
+              </button>
+              <button
+                onClick={() => setShowArchive(!showArchive)}
+                className="bg-[#1a1a1a] hover:bg-[#232323] text-white border border-[#232323] h-10 px-4 rounded-lg"
+              >
+                🗓️ {t('archiveButton')}
+              </button>
+              <button
+                onClick={() => setShowSpeedRun(!showSpeedRun)}
+                className="bg-[#1a1a1a] hover:bg-[#232323] text-white border border-[#232323] h-10 px-4 rounded-lg"
+              >
+                ⏱️ {t('speedRunButton')}
+              </button>
+              <button
+                onClick={() => setShowRoom(!showRoom)}
+                className="bg-[#1a1a1a] hover:bg-[#232323] text-white border border-[#232323] h-10 px-4 rounded-lg"
+              >
+                🌐 {t('roomButton')}
               </button>
               <button
-                ref={settingsButtonRef}
                 onClick={() => setShowSettings(!showSettings)}
                 className="bg-[#1a1a1a] hover:bg-[#232323] text-white border border-[#232323] h-10 px-4 rounded-lg"
               >
-                ⚙️ Settings
+                ⚙️ {t('settingsButton')}
               </button>
-              {!isPracticeMode && (
+              {speedRun && (
+                <Badge
+                  variant="secondary"
+                  role="timer"
+                  aria-label={t('speedRunTimeLeft', { time: formatCountdown(timeLeft(speedRun, clock)) })}
+                  className="py-2 px-5 bg-[#4A628A] text-white font-medium text-sm border border-white/10 shadow-lg tabular-nums"
+                >
+                  ⏱ {formatCountdown(timeLeft(speedRun, clock))} · {t('speedRunFound', { count: speedRun.found })}
+                </Badge>
+              )}
+              {(gameState ? guessesLeft(gameState) !== Infinity : !isPracticeMode) && (
                 <Badge variant="secondary" className="py-2 px-5 bg-white/10 text-white font-medium text-sm border border-white/10 shadow-lg">
-                  {MAX_GUESSES - guesses.length} Guesses Left
+                  {t('guessesLeft', { count: gameState ? guessesLeft(gameState) : MAX_GUESSES })}
                 </Badge>
               )}
             </div>
@@ -874,60 +2079,181 @@ const GeoGlobeGame = () => {
       </div>
 
       {/* Stats Modal */}
-      {showStats && (
-        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
-          <StatsModal />
-        </div>
-      )}
+      <Dialog open={showStats} onOpenChange={setShowStats}>
+        {showStats && renderStatsModal()}
+      </Dialog>
 
       {/* Info Modal */}
-      {showInfo && (
-        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
-          <InfoModal />
-        </div>
-      )}
+      <Dialog open={showInfo} onOpenChange={setShowInfo}>
+        {showInfo && renderInfoModal()}
+      </Dialog>
+
+      {/* History Modal */}
+      <Dialog open={showHistory} onOpenChange={setShowHistory}>
+        {showHistory && renderHistoryModal()}
+      </Dialog>
+      <Dialog open={showDashboard} onOpenChange={setShowDashboard}>
+        {showDashboard && renderDashboardModal()}
+      </Dialog>
+
+      {/* Archive Modal */}
+      <Dialog open={showArchive} onOpenChange={setShowArchive}>
+        {showArchive && renderArchiveModal()}
+      </Dialog>
+
+      {/* Pass-and-Play Modal */}
+      <Dialog open={showParty} onOpenChange={setShowParty}>
+        {showParty && renderPartyModal()}
+      </Dialog>
+
+      {/* Room Modal */}
+      <Dialog open={showRoom} onOpenChange={setShowRoom}>
+        {showRoom && renderRoomModal()}
+      </Dialog>
+
+      {/* Challenge Modal */}
+      <Dialog open={showChallenge} onOpenChange={setShowChallenge}>
+        {showChallenge && renderChallengeModal()}
+      </Dialog>
+
+      {/* Speed Run Modal */}
+      <Dialog open={showSpeedRun} onOpenChange={setShowSpeedRun}>
+        {showSpeedRun && renderSpeedRunModal()}
+      </Dialog>
 
       {/* Settings Modal */}
-      {showSettings && (
-        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
-          <SettingsModal />
-        </div>
-      )}
+      <Dialog open={showSettings} onOpenChange={setShowSettings}>
+        {showSettings && renderSettingsModal()}
+      </Dialog>
 
       {/* Game Over Message - Modified for practice mode */}
-      {gameOver && (
+      {gameOver && !replay && (
         <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 z-20 bg-[#1a1a1a]/95 p-10 rounded-2xl border border-[#232323] shadow-2xl backdrop-blur-md max-w-md w-[90%] text-center">
           <h2 className={cn(
             "text-4xl mb-6",
             won ? "text-[#7AB2D3] font-['EB Garamond']" : "text-[#B9E5E8] font-['EB Garamond']"
           )}>
-            {won ? '🎉 Congratulations!' : 'Game Over'}
+            {won ? t('congratulations') : t('gameOver')}
           </h2>
           <p className="text-xl mb-4 text-white/90">
             {won 
-              ? `You found ${targetCountry?.name} in ${guesses.length} ${guesses.length === 1 ? 'guess' : 'guesses'}!`
-              : `The country was ${targetCountry?.name}`
+              ? t(guesses.length === 1 ? 'foundInOne' : 'foundIn', { country: placeName(targetCountry), count: guesses.length })
+              : t('answerWas', { country: placeName(targetCountry) })
             }
           </p>
-          <a 
-            href={`https://en.wikipedia.org/wiki/${targetCountry?.name}`}
-            target="_blank"
-            rel="noopener noreferrer"
-            className="inline-block mt-2 mb-6 text-[#7AB2D3] hover:text-[#7AB2D3]/80 transition-colors underline text-lg"
-          >
-            Learn more about {targetCountry?.name} on Wikipedia
-          </a>
-          {won && !isPracticeMode && (
+          {activeMap.wikipedia && (
+            <a 
+              href={wikipediaUrl(targetCountry, language)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-block mt-2 mb-6 text-[#7AB2D3] hover:text-[#7AB2D3]/80 transition-colors underline text-lg"
+            >
+              {t('learnMore', { country: localName(targetCountry, language) })}
+            </a>
+          )}
+          {won && partyActive && party.winner !== null && (
+            <p className="text-lg mb-4" style={{ color: party.players[party.winner].color }}>
+              {t('partyWinner', { player: party.players[party.winner].name })}
+            </p>
+          )}
+          {challengeResult && (
+            <div className="mb-4">
+              <div className="grid grid-cols-2 gap-3 text-left">
+                <div className="bg-white/5 rounded-lg p-3">
+                  <div className="text-white/60 text-sm">{t('challengeYou')}</div>
+                  <div className="text-white font-medium">
+                    {challengeResult.won ? t('historyWon', { count: challengeResult.bands.length }) : t('historyLost')}
+                  </div>
+                  <div aria-hidden="true">{bandEmojis(challengeResult.bands)}</div>
+                </div>
+                <div className="bg-white/5 rounded-lg p-3">
+                  <div className="text-white/60 text-sm">
+                    {challenge.from && challenge.from.name ? challenge.from.name : t('challengeChallenger')}
+                  </div>
+                  {challenge.from && challenge.from.bands ? (
+                    <>
+                      <div className="text-white font-medium">
+                        {challenge.from.won ? t('historyWon', { count: challenge.from.bands.length }) : t('historyLost')}
+                      </div>
+                      <div aria-hidden="true">{bandEmojis(challenge.from.bands)}</div>
+                    </>
+                  ) : (
+                    <div className="text-white/60 text-sm">{t('challengePickedOnly')}</div>
+                  )}
+                </div>
+              </div>
+              {challengeVerdict && (
+                <p className="text-[#B9E5E8] text-lg mt-3">{t(CHALLENGE_VERDICT_LABELS[challengeVerdict])}</p>
+              )}
+            </div>
+          )}
+          {won && !isPracticeMode && !archivePuzzle && !specialGame && (
             <p className="text-[#B9E5E8]/80 text-lg font-light">
-              Come back tomorrow for a new challenge!
+              {t('comeBackTomorrow')}
             </p>
           )}
-          {isPracticeMode && (
+          {canShare && (
+            <button
+              onClick={handleShare}
+              className="mt-6 bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+            >
+              {t('share')}
+            </button>
+          )}
+          {roomTarget && (
+            <div className="mt-6 flex justify-center gap-3">
+              <button
+                onClick={leaveRoom}
+                className="bg-white/10 hover:bg-white/20 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+              >
+                {t('roomLeave')}
+              </button>
+              <button
+                onClick={() => setShowRoom(true)}
+                className="bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+              >
+                {t('roomResults')}
+              </button>
+            </div>
+          )}
+          {challenge && !roomTarget && (
+            <button
+              onClick={backToToday}
+              className="mt-6 bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+            >
+              {t('backToToday')}
+            </button>
+          )}
+          {isPracticeMode && !specialGame && (
             <button
-              onClick={resetPracticeGame}
+              onClick={() => resetPracticeGame()}
               className="mt-6 bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors"
             >
-              Play Again
+              {t('playAgain')}
+            </button>
+          )}
+          {archivePuzzle && !isPracticeMode && !specialGame && (
+            <div className="mt-6 flex justify-center gap-3">
+              <button
+                onClick={() => setShowArchive(true)}
+                className="bg-white/10 hover:bg-white/20 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+              >
+                {t('archiveButton')}
+              </button>
+              <button
+                onClick={backToToday}
+                className="bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+              >
+                {t('backToToday')}
+              </button>
+            </div>
+          )}
+          {!roomTarget && onWorldMap && (
+            <button
+              onClick={() => setShowChallenge(true)}
+              className="block mx-auto mt-4 text-sm text-white/60 hover:text-white underline transition-colors"
+            >
+              🎯 {t('challengeFriend')}
             </button>
           )}
         </div>
@@ -937,6 +2263,15 @@ const GeoGlobeGame = () => {
       <div className="absolute bottom-0 left-0 right-0 z-20 pt-20 pb-8 bg-gradient-to-t from-black/90 via-[#0a1520]/60 to-transparent">
         <div className="container max-w-2xl mx-auto px-4">
           <div className="space-y-5">
+            {/* Outline to identify */}
+            {silhouetteMode && !gameOver && targetCountry && (
+              <div className="flex justify-center">
+                <div className="bg-[#1a1a1a]/80 border border-white/10 rounded-xl p-3">
+                  <Silhouette place={targetCountry} label={t('silhouetteLabel')} />
+                </div>
+              </div>
+            )}
+
             {/* Previous Guesses */}
             {showPreviousGuesses && guesses.length > 0 && (
               <div className="w-full overflow-x-auto pb-2 scrollbar-thin scrollbar-thumb-white/20 scrollbar-track-white/5">
@@ -944,20 +2279,100 @@ const GeoGlobeGame = () => {
                   {guesses.map((guess, index) => (
                     <div
                       key={index}
-                      className="flex items-center gap-2 bg-white/10 px-3 py-1.5 rounded-lg text-sm"
+                      className={cn(
+                        "flex items-center gap-2 bg-white/10 px-3 py-1.5 rounded-lg text-sm",
+                        guess.stroke && "border-2"
+                      )}
+                      style={guess.stroke ? { borderColor: guess.stroke } : undefined}
+                      title={guess.properties.player || undefined}
                     >
+                      <span
+                        className="w-3 h-3 rounded-full shrink-0"
+                        style={{ backgroundColor: (bandsOnly ? bandColor : distanceColor)(guess.properties.distance, guess.properties.correct, { palette }) }}
+                      />
                       <span className="text-white/90">{guess.properties.name}</span>
                       <span className="text-white/60">
-                        {formatDistance(guess.properties.distance)}
+                        {guess.properties.correct ? t('correct') : describeDistance(guess.properties.distance)}
                       </span>
+                      {showBearings && guess.properties.bearing != null && (
+                        <span
+                          className="text-white/80"
+                          title={t('headToward', { direction: compassDirection(guess.properties.bearing).label })}
+                        >
+                          {formatDirection(guess.properties.bearing)}
+                        </span>
+                      )}
                     </div>
                   ))}
                 </div>
               </div>
             )}
 
+            {/* Replay Controls */}
+            {replay && (
+              <div className="flex items-center gap-3 bg-[#1a1a1a]/95 border border-[#232323] rounded-lg px-4 py-3">
+                <div className="flex-1 text-white">
+                  <div className="font-semibold">
+                    ▶ {t('replaying', {
+                      game: replay.entry.puzzle != null
+                        ? t('puzzleNumber', { number: replay.entry.puzzle })
+                        : t('modePractice'),
+                      country: placeName(recordedPlaces(replay.entry.mode).get(replay.entry.targetId))
+                    })}
+                  </div>
+                  <div className="text-sm text-white/60">
+                    {t('replayProgress', { step: replay.step, total: replay.entry.guesses.length })}
+                  </div>
+                </div>
+                <button
+                  onClick={() => setReplay({ entry: replay.entry, step: 0 })}
+                  className="px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-white/10 text-white/80 hover:bg-white/20"
+                >
+                  {t('restartReplay')}
+                </button>
+                <button
+                  onClick={() => setReplay(null)}
+                  className="px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-[#4A628A] text-white hover:bg-[#4A628A]/90"
+                >
+                  {t('stopReplay')}
+                </button>
+              </div>
+            )}
+
+            {/* Pass-and-Play Turn */}
+            {partyActive && !replay && (
+              <div className="flex items-center gap-3 bg-[#1a1a1a]/95 border border-[#232323] rounded-lg px-4 py-3">
+                <div className="flex-1 flex flex-wrap gap-2" aria-label={t('partyScoreboard')}>
+                  {party.players.map(player => (
+                    <span
+                      key={player.name}
+                      className={cn(
+                        "flex items-center gap-1.5 px-2 py-1 rounded-md text-sm",
+                        player === partyTurn && !gameOver ? "bg-white/15 text-white font-semibold" : "text-white/60"
+                      )}
+                    >
+                      <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: player.color }} />
+                      {player.name}
+                      <span className="text-white/50">🏆 {player.wins}</span>
+                    </span>
+                  ))}
+                </div>
+                {!gameOver && (
+                  <span className="text-white text-sm font-medium whitespace-nowrap" aria-live="polite">
+                    {t('partyTurn', { player: partyTurn.name })}
+                  </span>
+                )}
+                <button
+                  onClick={() => setShowParty(true)}
+                  className="px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-white/10 text-white/80 hover:bg-white/20"
+                >
+                  {t('partyScoreboard')}
+                </button>
+              </div>
+            )}
+
             {/* Input Section */}
-            {!gameOver && (
+            {!gameOver && !replay && (
               <div className="flex gap-3 relative">
                 <div className="relative flex-1">
                   {showSuggestions && filteredCountries.length > 0 && (
@@ -982,7 +2397,7 @@ const GeoGlobeGame = () => {
                   )}
                   <Input
                     ref={inputRef}
-                    placeholder="Enter country name..."
+                    placeholder={t(activeMap === capitalsDataset ? 'capitalsPlaceholder' : 'inputPlaceholder')}
                     value={currentGuess}
                     onChange={handleInputChange}
                     onKeyDown={handleKeyDown}
@@ -994,7 +2409,7 @@ const GeoGlobeGame = () => {
                   size="lg"
                   className="px-8 bg-white hover:bg-white/90 text-black shadow-lg text-lg font-medium h-12"
                 >
-                  Guess
+                  {t('guessButton')}
                 </Button>
               </div>
             )}
@@ -1005,33 +2420,22 @@ const GeoGlobeGame = () => {
       {/* Color Legend */}
       {showDistanceGuide && (
         <div className="absolute top-4 right-4 z-20 bg-black/80 p-5 rounded-2xl border border-white/20 shadow-xl backdrop-blur-sm">
-          <h3 className="text-sm font-semibold mb-3 text-white/90">Distance Guide</h3>
-          <div className="space-y-2">
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 rounded-full bg-[#4a628acc]"></div>
-              <span className="text-sm text-white/80">Less than {formatDistance(1000)}</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 rounded-full bg-[#7ab2d3cc]"></div>
-              <span className="text-sm text-white/80">Less than {formatDistance(2500)}</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 rounded-full bg-[#b9e5e8cc]"></div>
-              <span className="text-sm text-white/80">Less than {formatDistance(5000)}</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 rounded-full bg-[#b9e5e8cc]"></div>
-              <span className="text-sm text-white/80">More than {formatDistance(5000)}</span>
-            </div>
-          </div>
+          <h3 className="text-sm font-semibold mb-3 text-white/90">{t('distanceGuide')}</h3>
+          <DistanceScaleLegend />
         </div>
       )}
 
+      {/* Screen reader announcement of the latest guess */}
+      <div role="status" aria-live="polite" className="sr-only">
+        {announcedGuess && describeGuess(announcedGuess)}
+      </div>
+
       {/* Toast Messages */}
-      <div className="fixed top-4 right-4 z-50 space-y-3">
+      <div className="fixed top-4 right-4 z-50 space-y-3" aria-live="polite">
         {toasts.map((toast) => (
           <div
             key={toast.id}
+            role={toast.status === 'error' ? 'alert' : 'status'}
             className={cn(
               "bg-[#1a1a1a]/95 border rounded-xl shadow-xl backdrop-blur-sm p-5 w-full max-w-sm animate-in fade-in slide-in-from-right",
               toast.status === 'error' && "border-[#4A628A]/50 text-[#B9E5E8]",
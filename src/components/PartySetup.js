@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { MAX_PLAYERS, MIN_PLAYERS, PARTY_ERRORS, PLAYER_COLORS, validatePlayerNames } from '../lib/party';
+
+const ERROR_LABELS = {
+  [PARTY_ERRORS.TOO_FEW]: 'partyTooFew',
+  [PARTY_ERRORS.TOO_MANY]: 'partyTooMany',
+  [PARTY_ERRORS.EMPTY_NAME]: 'partyEmptyName',
+  [PARTY_ERRORS.DUPLICATE_NAME]: 'partyDuplicateName'
+};
+
+// Form for naming the players of a pass-and-play party, in seat order
+const PartySetup = ({ initialNames, t, onStart }) => {
+  const [names, setNames] = useState(() => (initialNames && initialNames.length >= MIN_PLAYERS
+    ? initialNames
+    : Array.from({ length: MIN_PLAYERS }, () => '')));
+  const [error, setError] = useState(null);
+
+  const setName = (index, value) => {
+    setNames(prev => prev.map((name, i) => (i === index ? value : name)));
+    setError(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const problem = validatePlayerNames(names);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onStart(names);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      {names.map((name, i) => (
+        <div key={i} className="flex items-center gap-2">
+          <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: PLAYER_COLORS[i] }} />
+          <input
+            value={name}
+            onChange={(e) => setName(i, e.target.value)}
+            aria-label={t('partyPlayerName', { number: i + 1 })}
+            placeholder={t('partyPlayerName', { number: i + 1 })}
+            maxLength={20}
+            className="flex-1 h-10 rounded-lg bg-white/10 border border-white/10 px-3 text-white placeholder:text-white/40 focus:outline-none focus:ring-2 focus:ring-[#4A628A]"
+          />
+          {names.length > MIN_PLAYERS && (
+            <button
+              type="button"
+              onClick={() => setNames(prev => prev.filter((_, j) => j !== i))}
+              aria-label={t('partyRemovePlayer', { number: i + 1 })}
+              className="px-2 text-white/60 hover:text-white/80 transition-colors"
+            >
+              ✕
+            </button>
+          )}
+        </div>
+      ))}
+
+      {names.length < MAX_PLAYERS && (
+        <button
+          type="button"
+          onClick={() => setNames(prev => [...prev, ''])}
+          className="w-full px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-white/10 text-white/80 hover:bg-white/20"
+        >
+          + {t('partyAddPlayer')}
+        </button>
+      )}
+
+      {error && <p role="alert" className="text-rose-300 text-sm">{t(ERROR_LABELS[error], { min: MIN_PLAYERS, max: MAX_PLAYERS })}</p>}
+
+      <button
+        type="submit"
+        className="w-full bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+      >
+        {t('partyStart')}
+      </button>
+    </form>
+  );
+};
+
+export default PartySetup;
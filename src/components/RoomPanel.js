@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { cn } from '../lib/utils';
+import { getBandByKey } from '../lib/distanceBands';
+import { GAME_STATUS } from '../lib/gameEngine';
+import { formatCountdown } from '../lib/speedRun';
+import {
+  MAX_ROOM_NAME_LENGTH,
+  ROOM_CODE_LENGTH,
+  ROOM_ERRORS,
+  elapsedTime,
+  isRoomFinished,
+  normalizeRoomCode,
+  rankPlayers
+} from '../lib/rooms';
+
+const ERROR_LABELS = {
+  [ROOM_ERRORS.NOT_FOUND]: 'roomNotFound',
+  [ROOM_ERRORS.FULL]: 'roomFull',
+  [ROOM_ERRORS.NAME_TAKEN]: 'roomNameTaken',
+  [ROOM_ERRORS.INVALID_NAME]: 'roomInvalidName',
+  [ROOM_ERRORS.INVALID_MESSAGE]: 'roomInvalidMessage',
+  [ROOM_ERRORS.CONNECTION]: 'roomConnectionFailed'
+};
+
+const inputClassName = "h-10 rounded-lg bg-white/10 border border-white/10 px-3 text-white placeholder:text-white/40 focus:outline-none focus:ring-2 focus:ring-[#4A628A]";
+
+// Create or join a networked room, then follow everyone in it
+const RoomPanel = ({ room, error, t, onCreate, onJoin, onLeave }) => {
+  const [name, setName] = useState('');
+  const [code, setCode] = useState('');
+  const [formError, setFormError] = useState(null); // i18n key
+
+  const connecting = Boolean(room && !room.code);
+
+  const submit = (join) => (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      setFormError('roomInvalidName');
+      return;
+    }
+    if (join) {
+      const roomCode = normalizeRoomCode(code);
+      if (!roomCode) {
+        setFormError('roomInvalidCode');
+        return;
+      }
+      setFormError(null);
+      onJoin(roomCode, name.trim());
+    } else {
+      setFormError(null);
+      onCreate(name.trim());
+    }
+  };
+
+  if (!room || connecting) {
+    const message = formError || (error && ERROR_LABELS[error]);
+    return (
+      <form onSubmit={submit(true)} className="space-y-4">
+        <p className="text-white/60 text-sm">{t('roomDescription')}</p>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          aria-label={t('roomYourName')}
+          placeholder={t('roomYourName')}
+          maxLength={MAX_ROOM_NAME_LENGTH}
+          className={cn(inputClassName, "w-full")}
+        />
+        <button
+          type="button"
+          onClick={submit(false)}
+          disabled={connecting}
+          className="w-full bg-[#4A628A] hover:bg-[#4A628A]/90 text-white px-6 py-3 rounded-lg font-medium transition-colors disabled:opacity-50"
+        >
+          {t('roomCreate')}
+        </button>
+        <div className="flex gap-2">
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            aria-label={t('roomCode')}
+            placeholder={t('roomCode')}
+            maxLength={ROOM_CODE_LENGTH + 2}
+            className={cn(inputClassName, "flex-1 uppercase tracking-widest")}
+          />
+          <button
+            type="submit"
+            disabled={connecting}
+            className="px-4 rounded-lg text-sm font-medium transition-colors bg-white/10 text-white hover:bg-white/20 disabled:opacity-50"
+          >
+            {t('roomJoin')}
+          </button>
+        </div>
+        {connecting && <p className="text-white/60 text-sm" aria-live="polite">{t('roomConnecting')}</p>}
+        {message && <p role="alert" className="text-rose-300 text-sm">{t(message)}</p>}
+      </form>
+    );
+  }
+
+  const finished = isRoomFinished(room.players);
+  return (
+    <div>
+      <div className="text-center mb-6">
+        <div className="text-white/60 text-sm">{t('roomCode')}</div>
+        <div className="text-4xl font-bold tracking-[0.3em] text-white">{room.code}</div>
+        <p className="text-white/60 text-sm mt-2">
+          {room.status === 'closed' ? t('roomDisconnected') : t('roomShareCode')}
+        </p>
+      </div>
+
+      <h3 className="text-lg font-['EB Garamond'] text-white mb-3">
+        {finished ? t('roomResults') : t('roomStandings')}
+      </h3>
+      <table className="w-full text-sm text-left mb-6">
+        <thead className="text-white/50">
+          <tr>
+            <th className="font-normal pb-2 w-8">#</th>
+            <th className="font-normal pb-2">{t('roomPlayer')}</th>
+            <th className="font-normal pb-2">{t('roomGuesses')}</th>
+            <th className="font-normal pb-2 text-right">{t('roomTime')}</th>
+          </tr>
+        </thead>
+        <tbody className="text-white/90">
+          {rankPlayers(room.players).map(player => (
+            <tr key={player.id} className={cn("border-t border-white/10", !player.connected && "text-white/40")}>
+              <td className="py-2 font-semibold">{player.place || '–'}</td>
+              <td className="py-2">
+                {player.name}
+                {player.id === room.playerId && <span className="text-white/50"> ({t('roomYou')})</span>}
+              </td>
+              <td className="py-2">
+                <span className="mr-2 tabular-nums">{player.bands.length}</span>
+                <span aria-hidden="true">{player.bands.map(band => getBandByKey(band).emoji).join('')}</span>
+              </td>
+              <td className="py-2 text-right tabular-nums">
+                {player.status === GAME_STATUS.WON && formatCountdown(elapsedTime(player))}
+                {player.status === GAME_STATUS.LOST && t('roomOutOfGuesses')}
+                {player.status === GAME_STATUS.PLAYING && (player.connected ? t('roomPlaying') : t('roomLeft'))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button
+        onClick={onLeave}
+        className="w-full bg-white/10 hover:bg-white/20 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+      >
+        {t('roomLeave')}
+      </button>
+    </div>
+  );
+};
+
+export default RoomPanel;
@@ -0,0 +1,21 @@
+import React, { useMemo } from 'react';
+import { SILHOUETTE_SIZE, silhouettePath } from '../lib/silhouette';
+
+// The target's outline on its own, for silhouette games
+const Silhouette = ({ place, label }) => {
+  const d = useMemo(() => silhouettePath(place), [place]);
+  if (!d) return null;
+
+  return (
+    <svg
+      viewBox={`0 0 ${SILHOUETTE_SIZE} ${SILHOUETTE_SIZE}`}
+      className="w-36 h-36 sm:w-44 sm:h-44"
+      role="img"
+      aria-label={label}
+    >
+      <path d={d} className="fill-white/90" />
+    </svg>
+  );
+};
+
+export default Silhouette;
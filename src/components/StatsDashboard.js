@@ -0,0 +1,265 @@
+import React, { useMemo, useState } from 'react';
+import { geoEqualEarth, geoPath, interpolateCividis, line, max, scaleLinear, scaleSequential, scaleSqrt } from 'd3';
+import { cn } from '../lib/utils';
+import { countryById, countryData } from '../lib/countries';
+import { orientForD3 } from '../lib/geo';
+import { intlLocale, localName } from '../lib/i18n';
+import { MAX_GUESSES } from '../lib/gameEngine';
+import { distanceColor } from '../lib/colorScale';
+import { DASHBOARD_FILTERS, countryGames, filterGames, firstGuessDistances, guessTrend, mostMissed, winRateByCountry } from '../lib/insights';
+
+const FILTER_LABELS = {
+  [DASHBOARD_FILTERS.ALL]: 'dashboardAll',
+  [DASHBOARD_FILTERS.DAILY]: 'dashboardDaily',
+  [DASHBOARD_FILTERS.PRACTICE]: 'dashboardPractice'
+};
+
+// Games averaged together in the guesses-over-time line
+const TREND_WINDOW = 7;
+
+const CHART = { width: 560, height: 160, top: 10, right: 10, bottom: 22, left: 56 };
+const MAP = { width: 560, height: 280 };
+
+const winRateColor = scaleSequential(interpolateCividis).domain([0, 1]);
+
+// Interface string for each Natural Earth continent
+const CONTINENT_LABELS = {
+  Africa: 'continentAfrica',
+  Antarctica: 'continentAntarctica',
+  Asia: 'continentAsia',
+  Europe: 'continentEurope',
+  'North America': 'continentNorthAmerica',
+  Oceania: 'continentOceania',
+  'Seven seas (open ocean)': 'continentSevenSeas',
+  'South America': 'continentSouthAmerica'
+};
+
+// Country outlines on a flat world map, projected the first time the
+// dashboard opens and reused after that
+let worldPaths = null;
+const getWorldPaths = () => {
+  if (!worldPaths) {
+    const features = countryData.map(country => ({
+      type: 'Feature',
+      id: country.id,
+      geometry: orientForD3(country.geometry)
+    }));
+    const projection = geoEqualEarth().fitSize([MAP.width, MAP.height], { type: 'FeatureCollection', features });
+    const path = geoPath(projection).digits(1);
+    worldPaths = features.map(feature => ({ id: feature.id, d: path(feature) }));
+  }
+  return worldPaths;
+};
+
+const ChartFrame = ({ title, description, children }) => (
+  <section className="space-y-2">
+    <h3 className="text-white font-semibold">{title}</h3>
+    <p className="text-white/60 text-sm">{description}</p>
+    {children}
+  </section>
+);
+
+const AxisLabels = ({ x, ticks, scale, format }) => ticks.map(tick => (
+  <g key={tick}>
+    <line x1={x} x2={CHART.width - CHART.right} y1={scale(tick)} y2={scale(tick)} stroke="rgba(255,255,255,0.08)" />
+    <text x={x - 6} y={scale(tick)} dy="0.32em" textAnchor="end" className="fill-white/50 text-[10px]">
+      {format(tick)}
+    </text>
+  </g>
+));
+
+const DateLabels = ({ points, dateLabel }) => points.length > 0 && (
+  <>
+    <text x={CHART.left} y={CHART.height - 6} className="fill-white/50 text-[10px]">
+      {dateLabel(points[0].date)}
+    </text>
+    {points.length > 1 && (
+      <text x={CHART.width - CHART.right} y={CHART.height - 6} textAnchor="end" className="fill-white/50 text-[10px]">
+        {dateLabel(points[points.length - 1].date)}
+      </text>
+    )}
+  </>
+);
+
+// Guesses per win as dots, with the rolling average as a line
+const GuessTrendChart = ({ points, dateLabel, t }) => {
+  const x = scaleLinear([0, Math.max(points.length - 1, 1)], [CHART.left, CHART.width - CHART.right]);
+  // Practice games have no guess limit, so long wins stretch the scale
+  const y = scaleLinear([1, Math.max(MAX_GUESSES, max(points, point => point.guesses) || 1)], [CHART.height - CHART.bottom, CHART.top]);
+  const averageLine = line((_, i) => x(i), point => y(point.average));
+
+  return (
+    <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full" role="img" aria-label={t('averageGuessesTitle')}>
+      <AxisLabels x={CHART.left} ticks={y.ticks(4)} scale={y} format={String} />
+      {points.map((point, i) => (
+        <circle key={point.id} cx={x(i)} cy={y(point.guesses)} r={3} className="fill-white/30" />
+      ))}
+      <path d={averageLine(points)} fill="none" stroke="#7AB2D3" strokeWidth={2} />
+      <DateLabels points={points} dateLabel={dateLabel} />
+    </svg>
+  );
+};
+
+// Opening guess distance per game, coloured on the distance scale
+const FirstGuessChart = ({ points, palette, formatDistance, dateLabel, t }) => {
+  const band = (CHART.width - CHART.left - CHART.right) / points.length;
+  const y = scaleSqrt([0, max(points, point => point.distance) || 1], [CHART.height - CHART.bottom, CHART.top]).nice();
+
+  return (
+    <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full" role="img" aria-label={t('firstGuessTitle')}>
+      <AxisLabels
+        x={CHART.left}
+        ticks={y.ticks(3)}
+        scale={y}
+        format={tick => (tick === 0 ? '0' : formatDistance(tick))}
+      />
+      {points.map((point, i) => (
+        <rect
+          key={point.id}
+          x={CHART.left + i * band + band * 0.15}
+          width={Math.max(band * 0.7, 1)}
+          y={y(point.distance)}
+          height={y(0) - y(point.distance)}
+          fill={distanceColor(point.distance, false, { palette })}
+        />
+      ))}
+      <DateLabels points={points} dateLabel={dateLabel} />
+    </svg>
+  );
+};
+
+const MissList = ({ title, rows, t }) => (
+  <div className="space-y-2">
+    <h4 className="text-white/80 text-sm font-semibold">{title}</h4>
+    {rows.length === 0 ? (
+      <p className="text-white/40 text-sm">{t('noMisses')}</p>
+    ) : (
+      <ul className="space-y-1.5">
+        {rows.map(row => (
+          <li key={row.label} className="text-sm">
+            <div className="flex justify-between text-white/80">
+              <span className="truncate">{row.label}</span>
+              <span className="text-white/50 whitespace-nowrap ml-2">
+                {t('missedCount', { missed: row.missed, played: row.played })}
+              </span>
+            </div>
+            <div className="h-1.5 rounded-full bg-white/10">
+              <div className="h-full rounded-full bg-rose-400/70" style={{ width: `${(row.missed / row.played) * 100}%` }} />
+            </div>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+// World map of win rate by target country
+const WinRateMap = ({ rates, language, t }) => (
+  <>
+    <svg viewBox={`0 0 ${MAP.width} ${MAP.height}`} className="w-full" role="img" aria-label={t('winRateMapTitle')}>
+      {getWorldPaths().map(({ id, d }) => {
+        const rate = rates.get(id);
+        const name = localName(countryById.get(id), language);
+        return (
+          <path
+            key={id}
+            d={d}
+            fill={rate ? winRateColor(rate.rate) : 'rgba(255,255,255,0.08)'}
+            stroke="#1a1a1a"
+            strokeWidth={0.3}
+          >
+            <title>
+              {rate ? t('winRateTooltip', { country: name, won: rate.won, played: rate.played }) : `${name}: ${t('notPlayed')}`}
+            </title>
+          </path>
+        );
+      })}
+    </svg>
+    <div className="flex items-center gap-2 text-xs text-white/60">
+      <span>0%</span>
+      <div
+        className="h-2 flex-1 rounded-full"
+        style={{ background: `linear-gradient(to right, ${[0, 0.25, 0.5, 0.75, 1].map(winRateColor).join(', ')})` }}
+      />
+      <span>100%</span>
+    </div>
+  </>
+);
+
+// Charts of how past games went, for daily puzzles, practice or both
+const StatsDashboard = ({ history, language, palette, formatDistance, t }) => {
+  const [filter, setFilter] = useState(DASHBOARD_FILTERS.ALL);
+  const games = useMemo(() => filterGames(countryGames(history), filter), [history, filter]);
+  const trend = useMemo(() => guessTrend(games, TREND_WINDOW), [games]);
+  const firstGuesses = useMemo(() => firstGuessDistances(games), [games]);
+  const missed = useMemo(() => mostMissed(games), [games]);
+  const rates = useMemo(() => winRateByCountry(games), [games]);
+
+  const shortDate = new Intl.DateTimeFormat(intlLocale(language), { dateStyle: 'short', timeZone: 'UTC' });
+  const dateLabel = (date) => shortDate.format(new Date(`${date}T00:00:00Z`));
+
+  return (
+    <div className="space-y-8">
+      <div className="grid grid-cols-3 gap-2">
+        {Object.values(DASHBOARD_FILTERS).map(key => (
+          <button
+            key={key}
+            onClick={() => setFilter(key)}
+            aria-pressed={filter === key}
+            className={cn(
+              "px-3 py-2 rounded-lg text-sm font-medium transition-colors",
+              filter === key
+                ? "bg-[#4A628A] text-white"
+                : "bg-white/10 text-white/60 hover:bg-white/20"
+            )}
+          >
+            {t(FILTER_LABELS[key])}
+          </button>
+        ))}
+      </div>
+
+      {games.length === 0 ? (
+        <p className="text-white/60 text-sm">{t('dashboardEmpty')}</p>
+      ) : (
+        <>
+          <ChartFrame title={t('averageGuessesTitle')} description={t('averageGuessesDescription', { count: TREND_WINDOW })}>
+            {trend.length > 0
+              ? <GuessTrendChart points={trend} dateLabel={dateLabel} t={t} />
+              : <p className="text-white/40 text-sm">{t('noWinsYet')}</p>}
+          </ChartFrame>
+
+          <ChartFrame title={t('firstGuessTitle')} description={t('firstGuessDescription')}>
+            <FirstGuessChart
+              points={firstGuesses}
+              palette={palette}
+              formatDistance={formatDistance}
+              dateLabel={dateLabel}
+              t={t}
+            />
+          </ChartFrame>
+
+          <ChartFrame title={t('mostMissedTitle')} description={t('mostMissedDescription')}>
+            <div className="grid grid-cols-2 gap-6">
+              <MissList
+                title={t('missedCountries')}
+                rows={missed.countries.map(row => ({ ...row, label: localName(countryById.get(row.id), language) }))}
+                t={t}
+              />
+              <MissList
+                title={t('missedContinents')}
+                rows={missed.continents.map(row => ({ ...row, label: CONTINENT_LABELS[row.name] ? t(CONTINENT_LABELS[row.name]) : row.name }))}
+                t={t}
+              />
+            </div>
+          </ChartFrame>
+
+          <ChartFrame title={t('winRateMapTitle')} description={t('winRateMapDescription')}>
+            <WinRateMap rates={rates} language={language} t={t} />
+          </ChartFrame>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StatsDashboard;
@@ -0,0 +1,41 @@
+import { useCallback, useEffect, useState } from 'react';
+import { MAX_GUESSES } from '../lib/gameEngine';
+import { loadHistory, recordGame, saveHistory } from '../lib/history';
+import { CAPITAL_STATS_KEY, STATS_KEY, loadStats, recordResult, saveStats } from '../lib/stats';
+
+// The player's records: the stats of today's puzzles, of countries and of
+// capitals, and the game history, all saved to the device. `recordFinish()`
+// takes what lib/results says a finished game leaves behind.
+export const useGameRecords = () => {
+  const [stats, setStats] = useState(() => loadStats(MAX_GUESSES));
+  const [capitalStats, setCapitalStats] = useState(() => loadStats(MAX_GUESSES, window.localStorage, CAPITAL_STATS_KEY));
+  const [history, setHistory] = useState(() => loadHistory());
+
+  useEffect(() => {
+    saveHistory(history);
+  }, [history]);
+
+  const recordFinish = useCallback(({ history: entry, stats: puzzleStats }) => {
+    if (entry) setHistory(prev => recordGame(prev, entry));
+    if (!puzzleStats) return;
+    const { key, result } = puzzleStats;
+    const setPuzzleStats = key === CAPITAL_STATS_KEY ? setCapitalStats : setStats;
+    setPuzzleStats(prev => {
+      // A second result for the same day leaves the stats as they are
+      const next = recordResult(prev, result);
+      if (next !== prev) saveStats(next, window.localStorage, key);
+      return next;
+    });
+  }, []);
+
+  // Replace everything, e.g. with the records merged from an imported file
+  const replaceRecords = useCallback((records) => {
+    setStats(records.stats);
+    saveStats(records.stats, window.localStorage, STATS_KEY);
+    setCapitalStats(records.capitalStats);
+    saveStats(records.capitalStats, window.localStorage, CAPITAL_STATS_KEY);
+    setHistory(records.history);
+  }, []);
+
+  return { stats, capitalStats, history, recordFinish, replaceRecords };
+};
@@ -0,0 +1,155 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { countryData } from '../lib/countries';
+import { capitalsDataset } from '../lib/datasets';
+import { CAPITAL_STATE_KEY, DAILY_STATE_KEY, saveDailyGame, startDailyGames, withDailyRules } from '../lib/daily';
+import { createGame } from '../lib/gameEngine';
+import { PLAY_MODES, challengeCountries, startPracticeGame } from '../lib/gameModes';
+import { ROOM_MAX_GUESSES } from '../lib/rooms';
+import { getDailyTarget } from '../lib/schedule';
+
+// The engine games behind the modes of lib/gameModes, and the one being
+// played: `game` and its latest `gameState`. Today's puzzles, an archive
+// puzzle, a room game and a challenge are kept aside, so coming back to one
+// picks it up where it was; practice starts a new game each time, and so
+// does changing its places.
+//
+// `onExpiredDaily({ date, puzzle, state })` gets a country game left from an
+// earlier day, and `onNewPracticeGame()` is called when practice moves on.
+// `onNoPracticePlaces()` is called instead when there is nothing to practise
+// on; there is no game then.
+export const useGameSession = ({
+  mode,
+  hardMode,
+  challenge,
+  roomTarget,
+  archivePuzzle,
+  regionFilters,
+  practicePlaces,
+  silhouette,
+  silhouetteTiny,
+  onExpiredDaily,
+  onNewPracticeGame,
+  onNoPracticePlaces
+}) => {
+  const [game, setGame] = useState(null);
+  const [gameState, setGameState] = useState(null);
+  const [dailyPuzzle, setDailyPuzzle] = useState(null); // { number, date } of today's puzzle
+  const [isLoading, setIsLoading] = useState(true);
+  // The games kept aside, by mode
+  const gamesRef = useRef({});
+  // Called from effects, so they get the latest callbacks without rerunning
+  const callbacksRef = useRef({ onExpiredDaily, onNewPracticeGame, onNoPracticePlaces });
+  callbacksRef.current = { onExpiredDaily, onNewPracticeGame, onNoPracticePlaces };
+
+  const play = useCallback((next) => {
+    setGame(next);
+    setGameState(next.getState());
+  }, []);
+
+  useEffect(() => {
+    const { puzzle, daily, capitalDaily, expired } = startDailyGames();
+    if (expired) callbacksRef.current.onExpiredDaily(expired);
+    gamesRef.current[PLAY_MODES.DAILY] = daily;
+    gamesRef.current[PLAY_MODES.CAPITALS_DAILY] = capitalDaily;
+    setDailyPuzzle(puzzle);
+    setIsLoading(false);
+  }, []);
+
+  // Save daily game state, and the capital puzzle's beside it
+  useEffect(() => {
+    if (isLoading || !gameState) return;
+    let stateKey = null;
+    if (game === gamesRef.current[PLAY_MODES.DAILY]) stateKey = DAILY_STATE_KEY;
+    else if (game === gamesRef.current[PLAY_MODES.CAPITALS_DAILY]) stateKey = CAPITAL_STATE_KEY;
+    if (stateKey) {
+      saveDailyGame(stateKey, { date: dailyPuzzle.date, puzzle: dailyPuzzle.number, state: gameState });
+    }
+  }, [game, gameState, isLoading, dailyPuzzle]);
+
+  // A new practice game on the practice places
+  const resetPracticeGame = useCallback(() => {
+    const next = startPracticeGame(practicePlaces, { silhouette, tiny: silhouetteTiny });
+    if (!next) {
+      setGame(null);
+      setGameState(null);
+      callbacksRef.current.onNoPracticePlaces();
+      return;
+    }
+    play(next);
+    callbacksRef.current.onNewPracticeGame();
+  }, [play, practicePlaces, silhouette, silhouetteTiny]);
+
+  // Switch to the current mode's game
+  useEffect(() => {
+    if (isLoading) return;
+    if (mode === PLAY_MODES.PRACTICE) {
+      resetPracticeGame();
+      return;
+    }
+    const games = gamesRef.current;
+    // Made once per challenge, so coming back to it keeps its guesses
+    if (mode === PLAY_MODES.CHALLENGE && !games[mode]) {
+      games[mode] = createGame({
+        target: challenge.targetId,
+        dataset: challengeCountries(challenge, regionFilters),
+        rules: { maxGuesses: challenge.maxGuesses }
+      });
+    }
+    play(games[mode]);
+  }, [isLoading, mode, resetPracticeGame, roomTarget, challenge, archivePuzzle, regionFilters, play]);
+
+  // Until their first guess, the daily games follow the hard mode setting
+  useEffect(() => {
+    if (isLoading) return;
+    const games = gamesRef.current;
+    [[PLAY_MODES.DAILY, countryData], [PLAY_MODES.CAPITALS_DAILY, capitalsDataset.places]].forEach(([key, places]) => {
+      const daily = games[key];
+      games[key] = withDailyRules(daily, places, hardMode);
+      if (games[key] !== daily && game === daily) play(games[key]);
+    });
+  }, [isLoading, hardMode, game, play]);
+
+  // The game a room plays, on the target the server gave it
+  const startRoomGame = useCallback((targetId) => {
+    gamesRef.current[PLAY_MODES.ROOM] = createGame({
+      target: targetId,
+      dataset: countryData,
+      rules: { maxGuesses: ROOM_MAX_GUESSES }
+    });
+  }, []);
+
+  // A past daily puzzle, with the same target it had on its day
+  const openArchiveGame = useCallback(({ puzzleNumber, state = null }) => {
+    gamesRef.current[PLAY_MODES.ARCHIVE] = createGame({
+      target: getDailyTarget(countryData, puzzleNumber),
+      dataset: countryData,
+      state
+    });
+  }, []);
+
+  const dropChallengeGame = useCallback(() => {
+    gamesRef.current[PLAY_MODES.CHALLENGE] = null;
+  }, []);
+
+  // Whether the game being played is the one kept for `gameMode`
+  const isPlaying = useCallback((gameMode) => Boolean(game) && game === gamesRef.current[gameMode], [game]);
+
+  // Today's game of countries, or of capitals
+  const dailyGame = useCallback((capitals) => (
+    gamesRef.current[capitals ? PLAY_MODES.CAPITALS_DAILY : PLAY_MODES.DAILY] || null
+  ), []);
+
+  return {
+    game,
+    gameState,
+    setGameState,
+    dailyPuzzle,
+    isLoading,
+    isPlaying,
+    dailyGame,
+    resetPracticeGame,
+    startRoomGame,
+    openArchiveGame,
+    dropChallengeGame
+  };
+};
@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { loadDataset, loadUploadedDataset, saveUploadedDataset, worldDataset } from '../lib/datasets';
+
+// The practice map picked in the settings, loaded, and the player's own map
+// file, see lib/datasets. `onFailed()` is called when the map can't be loaded
+// any more, e.g. a stored file from an older version; the world countries
+// are kept meanwhile.
+export const useMapDataset = ({ datasetId, onFailed }) => {
+  const [upload, setUpload] = useState(() => loadUploadedDataset());
+  const [map, setMap] = useState(worldDataset);
+  // Called once the map has loaded, so it gets the latest callback
+  const onFailedRef = useRef(onFailed);
+  onFailedRef.current = onFailed;
+
+  useEffect(() => {
+    let cancelled = false;
+    loadDataset(datasetId, upload).then(result => {
+      if (cancelled) return;
+      if (result.ok) {
+        setMap(result.dataset);
+      } else {
+        onFailedRef.current();
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [datasetId, upload]);
+
+  // Use a new map file. False when it doesn't fit in storage; it then only
+  // lasts until the page is closed.
+  const pickUpload = useCallback((next) => {
+    const saved = saveUploadedDataset(next);
+    setUpload(next);
+    return saved;
+  }, []);
+
+  return { map, upload, pickUpload };
+};
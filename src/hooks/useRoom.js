@@ -0,0 +1,98 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { countryById } from '../lib/countries';
+import { ROOM_ERRORS, roomServerUrl } from '../lib/rooms';
+
+// The connection to a networked room, see lib/rooms. The socket lives in a
+// ref; `room` is { status, code, playerId, targetId, players } as the server
+// sent it last, and `error` why the last create or join failed.
+// `onJoined(message)` is called once the server has put the player in a room
+// and `onDisconnected()` when the server goes away during the game.
+export const useRoom = ({ onJoined, onDisconnected }) => {
+  const [room, setRoom] = useState(null);
+  const [error, setError] = useState(null);
+  const socketRef = useRef(null);
+  // The socket's handlers outlive a render, so they call the latest callbacks
+  const callbacksRef = useRef({ onJoined, onDisconnected });
+  callbacksRef.current = { onJoined, onDisconnected };
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }, []);
+
+  const leave = useCallback(() => {
+    const socket = socketRef.current;
+    socketRef.current = null;
+    if (socket) socket.close();
+    setRoom(null);
+  }, []);
+
+  // Connect to the room server and send a create or join `request`
+  const connect = useCallback((request) => {
+    leave();
+    setError(null);
+    let socket;
+    try {
+      socket = new WebSocket(roomServerUrl());
+    } catch (connectError) {
+      console.error('Error connecting to room server:', connectError);
+      setError(ROOM_ERRORS.CONNECTION);
+      return;
+    }
+    socketRef.current = socket;
+    setRoom({ status: 'connecting', code: null, playerId: null, targetId: null, players: [] });
+    let joined = false;
+
+    socket.onopen = () => socket.send(JSON.stringify(request));
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (parseError) {
+        console.error('Error reading room message:', parseError);
+        return;
+      }
+      if (message.type === 'joined') {
+        if (!countryById.has(message.targetId)) {
+          setError(ROOM_ERRORS.INVALID_MESSAGE);
+          leave();
+          return;
+        }
+        joined = true;
+        setRoom(prev => ({ ...prev, status: 'open', code: message.code, playerId: message.playerId, targetId: message.targetId }));
+        callbacksRef.current.onJoined(message);
+      } else if (message.type === 'room') {
+        setRoom(prev => prev && { ...prev, players: message.players });
+      } else if (message.type === 'error') {
+        if (joined) {
+          console.error('Room server refused a message:', message.error);
+        } else {
+          setError(message.error);
+          leave();
+        }
+      }
+    };
+    socket.onclose = () => {
+      if (socketRef.current !== socket) return; // left on purpose
+      socketRef.current = null;
+      if (joined) {
+        // Keep the game and the last standings; the rest of the game is played offline
+        setRoom(prev => prev && { ...prev, status: 'closed' });
+        callbacksRef.current.onDisconnected();
+      } else {
+        setRoom(null);
+        setError(ROOM_ERRORS.CONNECTION);
+      }
+    };
+  }, [leave]);
+
+  useEffect(() => () => {
+    const socket = socketRef.current;
+    socketRef.current = null;
+    if (socket) socket.close();
+  }, []);
+
+  return { room, error, connect, leave, send };
+};
@@ -0,0 +1,93 @@
+import { GAME_STATUS } from './gameEngine';
+import { PUZZLE_EPOCH, getPuzzleDateKey, getPuzzleNumber } from './schedule';
+import { readJson, writeJson } from './storage';
+
+// Saved games for past daily puzzles, keyed by their 'yyyy-MM-dd' date. Each
+// entry is { puzzle, mode, state } where `state` is engine state and `mode`
+// says whether it was played on the day ('daily') or later from the archive
+// ('archive'). Only archive games count towards the archive score, so
+// catching up on missed days never touches the daily streak.
+
+export const ARCHIVE_KEY = 'geoGlobeArchive';
+
+export const ARCHIVE_MODES = {
+  DAILY: 'daily',
+  ARCHIVE: 'archive'
+};
+
+export const PUZZLE_STATUS = {
+  WON: 'won',
+  LOST: 'lost',
+  PLAYING: 'playing',
+  UNPLAYED: 'unplayed'
+};
+
+const DAY_MS = 86400000;
+
+export const loadArchive = (storage = window.localStorage) => readJson(storage, ARCHIVE_KEY, { fallback: {} });
+
+export const saveArchive = (archive, storage = window.localStorage) => writeJson(storage, ARCHIVE_KEY, archive);
+
+// Copy of `archive` with the game for `date` replaced
+export const withArchivedGame = (archive, date, { puzzle, mode, state }) => ({
+  ...archive,
+  [date]: { puzzle, mode, state }
+});
+
+export const getPuzzleStatus = (entry) => {
+  if (!entry || !entry.state || entry.state.guesses.length === 0) return PUZZLE_STATUS.UNPLAYED;
+  if (entry.state.status === GAME_STATUS.WON) return PUZZLE_STATUS.WON;
+  if (entry.state.status === GAME_STATUS.LOST) return PUZZLE_STATUS.LOST;
+  return PUZZLE_STATUS.PLAYING;
+};
+
+// Score of the finished archive games, kept apart from the daily stats
+export const summariseArchive = (archive) =>
+  Object.values(archive).reduce((summary, entry) => {
+    const status = getPuzzleStatus(entry);
+    if (entry.mode !== ARCHIVE_MODES.ARCHIVE || (status !== PUZZLE_STATUS.WON && status !== PUZZLE_STATUS.LOST)) {
+      return summary;
+    }
+    const won = status === PUZZLE_STATUS.WON;
+    const numGuesses = entry.state.guesses.length;
+    return {
+      gamesPlayed: summary.gamesPlayed + 1,
+      gamesWon: summary.gamesWon + (won ? 1 : 0),
+      guessDistribution: won
+        ? { ...summary.guessDistribution, [numGuesses]: (summary.guessDistribution[numGuesses] || 0) + 1 }
+        : summary.guessDistribution
+    };
+  }, { gamesPlayed: 0, gamesWon: 0, guessDistribution: {} });
+
+// First and last month of the archive as 'yyyy-MM'
+export const getArchiveRange = (today) => ({
+  first: PUZZLE_EPOCH.slice(0, 7),
+  last: today.slice(0, 7)
+});
+
+// Move a 'yyyy-MM' month by `offset` months
+export const shiftMonth = (month, offset) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return getPuzzleDateKey(new Date(Date.UTC(year, monthIndex - 1 + offset, 1))).slice(0, 7);
+};
+
+// Weeks of a 'yyyy-MM' month for a Monday-first calendar. Each day is
+// { date, day, puzzleNumber }, with `puzzleNumber` null for days outside the
+// archive (before the first puzzle, or today and later); padding is null.
+export const getCalendarMonth = (month, today) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const first = Date.UTC(year, monthIndex - 1, 1);
+  const daysInMonth = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+  const leading = (new Date(first).getUTCDay() + 6) % 7;
+
+  const cells = Array.from({ length: leading }, () => null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    const moment = new Date(first + (day - 1) * DAY_MS);
+    const date = getPuzzleDateKey(moment);
+    const playable = date >= PUZZLE_EPOCH && date < today;
+    cells.push({ date, day, puzzleNumber: playable ? getPuzzleNumber(moment) : null });
+  }
+  while (cells.length % 7 !== 0) cells.push(null);
+
+  return Array.from({ length: cells.length / 7 }, (_, week) => cells.slice(week * 7, week * 7 + 7));
+};
@@ -0,0 +1,65 @@
+import {
+  ARCHIVE_MODES,
+  PUZZLE_STATUS,
+  getCalendarMonth,
+  getPuzzleStatus,
+  shiftMonth,
+  summariseArchive,
+  withArchivedGame
+} from './archive';
+
+const finished = (status, count) => ({
+  targetId: 'FRA',
+  rules: { maxGuesses: 10 },
+  guesses: Array.from({ length: count }, (_, i) => ({ id: `G${i}` })),
+  status
+});
+
+describe('archive', () => {
+  test('reports the status of a puzzle', () => {
+    expect(getPuzzleStatus(undefined)).toBe(PUZZLE_STATUS.UNPLAYED);
+    expect(getPuzzleStatus({ state: finished('playing', 0) })).toBe(PUZZLE_STATUS.UNPLAYED);
+    expect(getPuzzleStatus({ state: finished('playing', 2) })).toBe(PUZZLE_STATUS.PLAYING);
+    expect(getPuzzleStatus({ state: finished('won', 2) })).toBe(PUZZLE_STATUS.WON);
+    expect(getPuzzleStatus({ state: finished('lost', 10) })).toBe(PUZZLE_STATUS.LOST);
+  });
+
+  test('scores finished archive games only', () => {
+    let archive = {};
+    archive = withArchivedGame(archive, '2024-03-01', { puzzle: 61, mode: ARCHIVE_MODES.ARCHIVE, state: finished('won', 4) });
+    archive = withArchivedGame(archive, '2024-03-02', { puzzle: 62, mode: ARCHIVE_MODES.ARCHIVE, state: finished('lost', 10) });
+    archive = withArchivedGame(archive, '2024-03-03', { puzzle: 63, mode: ARCHIVE_MODES.ARCHIVE, state: finished('playing', 2) });
+    archive = withArchivedGame(archive, '2024-03-04', { puzzle: 64, mode: ARCHIVE_MODES.DAILY, state: finished('won', 1) });
+
+    expect(summariseArchive(archive)).toEqual({ gamesPlayed: 2, gamesWon: 1, guessDistribution: { 4: 1 } });
+  });
+});
+
+describe('calendar', () => {
+  test('lays out a month from Monday with playable days marked', () => {
+    const weeks = getCalendarMonth('2024-01', '2024-01-10');
+    expect(weeks[0][0]).toEqual({ date: '2024-01-01', day: 1, puzzleNumber: 1 });
+    expect(weeks.flat().filter(Boolean)).toHaveLength(31);
+    weeks.forEach(week => expect(week).toHaveLength(7));
+
+    const days = weeks.flat().filter(Boolean);
+    expect(days.find(day => day.date === '2024-01-09').puzzleNumber).toBe(9);
+    expect(days.find(day => day.date === '2024-01-10').puzzleNumber).toBeNull(); // today is the daily puzzle
+  });
+
+  test('pads months that start mid-week', () => {
+    const weeks = getCalendarMonth('2024-02', '2024-03-01');
+    expect(weeks[0].slice(0, 3)).toEqual([null, null, null]); // 1 Feb 2024 was a Thursday
+    expect(weeks[0][3].date).toBe('2024-02-01');
+  });
+
+  test('days before the first puzzle are not playable', () => {
+    const days = getCalendarMonth('2023-12', '2024-01-10').flat().filter(Boolean);
+    expect(days.every(day => day.puzzleNumber === null)).toBe(true);
+  });
+
+  test('shifts months across years', () => {
+    expect(shiftMonth('2024-01', -1)).toBe('2023-12');
+    expect(shiftMonth('2024-12', 1)).toBe('2025-01');
+  });
+});
@@ -0,0 +1,249 @@
+import { createDefaultStats } from './stats';
+import { countryById } from './countries';
+import { GAME_MODES, MAX_HISTORY } from './history';
+import { GAME_STATUS, MAX_GUESSES } from './gameEngine';
+import { ARCHIVE_MODES, PUZZLE_STATUS, getPuzzleStatus } from './archive';
+
+// Export and import of the player's data: daily stats, those of the capitals
+// puzzle, game history and archive games. Exports are versioned JSON; games can also go out as CSV.
+
+export const BACKUP_APP = 'globle';
+export const BACKUP_VERSION = 1;
+
+// Reasons an import file is refused
+export const IMPORT_ERRORS = {
+  INVALID_JSON: 'invalid-json',
+  WRONG_APP: 'wrong-app',
+  UNSUPPORTED_VERSION: 'unsupported-version',
+  INVALID_DATA: 'invalid-data'
+};
+
+export const buildBackup = ({ stats, capitalStats = createDefaultStats(MAX_GUESSES), history, archive, now = new Date() }) => ({
+  app: BACKUP_APP,
+  version: BACKUP_VERSION,
+  exportedAt: now.toISOString(),
+  stats,
+  capitalStats,
+  history,
+  archive
+});
+
+const CSV_COLUMNS = ['date', 'mode', 'puzzle', 'target', 'result', 'guesses', 'started_at', 'finished_at', 'guess_sequence'];
+
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const isoTime = (ms) => (ms == null ? '' : new Date(ms).toISOString());
+
+// One row per game, oldest first. `guess_sequence` lists each guess as
+// ISO3:km, e.g. 'DEU:812;POL:0;FRA:0'.
+export const historyToCsv = (history) => {
+  const rows = [...history].reverse().map(entry => [
+    entry.date,
+    entry.mode,
+    entry.puzzle,
+    entry.targetId,
+    entry.won ? 'won' : 'lost',
+    entry.guesses.length,
+    isoTime(entry.startedAt),
+    isoTime(entry.finishedAt),
+    entry.guesses.map(guess => `${guess.id}:${Math.round(guess.distance)}`).join(';')
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value);
+
+const validStats = (stats) => Boolean(stats)
+  && ['gamesPlayed', 'gamesWon', 'currentStreak', 'maxStreak'].every(key => isCount(stats[key]))
+  && stats.gamesWon <= stats.gamesPlayed
+  && typeof stats.guessDistribution === 'object' && stats.guessDistribution !== null
+  && Object.values(stats.guessDistribution).every(isCount)
+  && (stats.lastPlayedDate == null || isDate(stats.lastPlayedDate));
+
+// Saved games are replayed and resumed on the world countries, so every id
+// has to be one of them
+const isKnownCountry = (id) => typeof id === 'string' && countryById.has(id);
+
+const validGuesses = (guesses) => Array.isArray(guesses)
+  && guesses.every(guess => guess && isKnownCountry(guess.id) && typeof guess.distance === 'number');
+
+// Engine state as the game saves it, see lib/gameEngine
+const validState = (state) => Boolean(state)
+  && isKnownCountry(state.targetId)
+  && Boolean(state.rules)
+  && (state.rules.maxGuesses === null || (isCount(state.rules.maxGuesses) && state.rules.maxGuesses > 0))
+  && (state.rules.hard === undefined || typeof state.rules.hard === 'boolean')
+  && Object.values(GAME_STATUS).includes(state.status)
+  && validGuesses(state.guesses);
+
+const validHistory = (history) => Array.isArray(history) && history.every(entry => entry
+  && typeof entry.id === 'string'
+  && Object.values(GAME_MODES).includes(entry.mode)
+  && isDate(entry.date)
+  && isKnownCountry(entry.targetId)
+  && typeof entry.won === 'boolean'
+  && validGuesses(entry.guesses));
+
+const validArchive = (archive) => typeof archive === 'object' && archive !== null && !Array.isArray(archive)
+  && Object.entries(archive).every(([date, entry]) => isDate(date)
+    && entry
+    && Object.values(ARCHIVE_MODES).includes(entry.mode)
+    && validState(entry.state));
+
+// Check an exported file. Returns { ok: true, backup } or { ok: false, error }
+// with `section` naming the part that failed validation.
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return { ok: false, error: IMPORT_ERRORS.INVALID_JSON };
+  }
+
+  if (!backup || backup.app !== BACKUP_APP) {
+    return { ok: false, error: IMPORT_ERRORS.WRONG_APP };
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > BACKUP_VERSION) {
+    return { ok: false, error: IMPORT_ERRORS.UNSUPPORTED_VERSION };
+  }
+
+  // Files from before the capitals puzzle was recorded have no stats for it
+  const capitalStats = backup.capitalStats ?? createDefaultStats(MAX_GUESSES);
+  const sections = {
+    stats: validStats(backup.stats),
+    capitalStats: validStats(capitalStats),
+    history: validHistory(backup.history ?? []),
+    archive: validArchive(backup.archive ?? {})
+  };
+  const section = Object.keys(sections).find(key => !sections[key]);
+  if (section) {
+    return { ok: false, error: IMPORT_ERRORS.INVALID_DATA, section };
+  }
+
+  return {
+    ok: true,
+    backup: { ...backup, capitalStats, history: backup.history ?? [], archive: backup.archive ?? {} }
+  };
+};
+
+// Totals kept in the stats that can be worked out from the history
+const COUNT_KEYS = ['gamesPlayed', 'gamesWon', 'hardGamesPlayed', 'hardGamesWon'];
+
+// Played, won and distribution counts of the games of a daily puzzle, of
+// countries or capitals, in a history
+const dailyCounts = (history, mode) => history
+  .filter(entry => entry.mode === mode)
+  .reduce((counts, entry) => ({
+    gamesPlayed: counts.gamesPlayed + 1,
+    gamesWon: counts.gamesWon + (entry.won ? 1 : 0),
+    hardGamesPlayed: counts.hardGamesPlayed + (entry.hard ? 1 : 0),
+    hardGamesWon: counts.hardGamesWon + (entry.hard && entry.won ? 1 : 0),
+    guessDistribution: entry.won
+      ? { ...counts.guessDistribution, [entry.guesses.length]: (counts.guessDistribution[entry.guesses.length] || 0) + 1 }
+      : counts.guessDistribution
+  }), { gamesPlayed: 0, gamesWon: 0, hardGamesPlayed: 0, hardGamesWon: 0, guessDistribution: {} });
+
+// Stats from before hard mode have no hard mode totals, so those count as 0
+const combineCounts = (a, b, combine) => {
+  const keys = new Set([...Object.keys(a.guessDistribution), ...Object.keys(b.guessDistribution)]);
+  return {
+    ...Object.fromEntries(COUNT_KEYS.map(key => [key, combine(a[key] || 0, b[key] || 0)])),
+    guessDistribution: Object.fromEntries([...keys].map(key => [
+      key,
+      combine(a.guessDistribution[key] || 0, b.guessDistribution[key] || 0)
+    ]))
+  };
+};
+
+// Daily games the stats count but the history doesn't have, because they
+// were played before the history was kept
+const untrackedCounts = (stats, history, mode) =>
+  combineCounts(stats, dailyCounts(history, mode), (a, b) => Math.max(a - b, 0));
+
+// Stats of the `mode` puzzle for the merged data. Days in the merged history
+// count once each.
+// Older games only the totals know about can't be matched day by day, so the
+// larger of the two sides is kept rather than adding them up.
+const mergeStats = (mode, local, incoming, localHistory, incomingHistory, mergedHistory) => {
+  const untracked = combineCounts(
+    untrackedCounts(local, localHistory, mode),
+    untrackedCounts(incoming, incomingHistory, mode),
+    Math.max
+  );
+  const counts = combineCounts(dailyCounts(mergedHistory, mode), untracked, (a, b) => a + b);
+
+  const localDate = local.lastPlayedDate || '';
+  const incomingDate = incoming.lastPlayedDate || '';
+  let latest = incomingDate > localDate ? incoming : local;
+  if (incomingDate === localDate && incoming.currentStreak > local.currentStreak) latest = incoming;
+
+  const defaults = createDefaultStats(MAX_GUESSES);
+  return {
+    ...defaults,
+    ...local,
+    ...counts,
+    guessDistribution: { ...defaults.guessDistribution, ...counts.guessDistribution },
+    currentStreak: latest.currentStreak,
+    maxStreak: Math.max(local.maxStreak, incoming.maxStreak, latest.currentStreak),
+    lastPlayedDate: latest.lastPlayedDate,
+    lastPuzzleNumber: latest.lastPuzzleNumber ?? null
+  };
+};
+
+const sameGame = (a, b) => a.won === b.won
+  && a.guesses.length === b.guesses.length
+  && a.guesses.every((guess, i) => guess.id === b.guesses[i].id);
+
+const isFinished = (entry) => [PUZZLE_STATUS.WON, PUZZLE_STATUS.LOST].includes(getPuzzleStatus(entry));
+
+// Merge an imported backup into the current data. Where both sides have a
+// different result for the same game, the local one is kept and the clash
+// is listed in `conflicts` as { section, key }.
+export const mergeBackup = (current, backup) => {
+  const conflicts = [];
+
+  const localIds = new Map(current.history.map(entry => [entry.id, entry]));
+  const added = backup.history.filter(entry => {
+    const local = localIds.get(entry.id);
+    if (local && !sameGame(local, entry)) conflicts.push({ section: 'history', key: entry.id });
+    return !local;
+  });
+  const history = [...current.history, ...added]
+    .sort((a, b) => (b.finishedAt ?? 0) - (a.finishedAt ?? 0) || b.date.localeCompare(a.date))
+    .slice(0, MAX_HISTORY);
+
+  const archive = { ...current.archive };
+  let addedArchive = 0;
+  Object.entries(backup.archive).forEach(([date, entry]) => {
+    const local = archive[date];
+    if (!local || (!isFinished(local) && isFinished(entry))) {
+      archive[date] = entry;
+      addedArchive++;
+    } else if (JSON.stringify(local.state.guesses) !== JSON.stringify(entry.state.guesses)) {
+      conflicts.push({ section: 'archive', key: date });
+    }
+  });
+
+  const noStats = createDefaultStats(MAX_GUESSES);
+  return {
+    stats: mergeStats(GAME_MODES.DAILY, current.stats, backup.stats, current.history, backup.history, history),
+    capitalStats: mergeStats(
+      GAME_MODES.CAPITALS_DAILY,
+      current.capitalStats ?? noStats,
+      backup.capitalStats ?? noStats,
+      current.history,
+      backup.history,
+      history
+    ),
+    history,
+    archive,
+    addedGames: added.length,
+    addedArchive,
+    conflicts
+  };
+};
@@ -0,0 +1,189 @@
+import { BACKUP_VERSION, IMPORT_ERRORS, buildBackup, historyToCsv, mergeBackup, parseBackup } from './backup';
+import { createDefaultStats } from './stats';
+
+const game = (mode, date, won, ids, finishedAt) => ({
+  id: `${mode}:${date}`,
+  mode,
+  date,
+  puzzle: mode === 'practice' ? null : 60,
+  targetId: ids[ids.length - 1],
+  won,
+  startedAt: finishedAt - 1000,
+  finishedAt,
+  guesses: ids.map((id, i) => ({ id, distance: (ids.length - 1 - i) * 500, bearing: null, correct: won && i === ids.length - 1, at: finishedAt }))
+});
+
+const stats = (overrides) => ({ ...createDefaultStats(10), ...overrides });
+
+const archiveEntry = (status, ids) => ({
+  puzzle: 50,
+  mode: 'archive',
+  state: { targetId: 'FRA', rules: { maxGuesses: 10 }, status, guesses: ids.map(id => ({ id, distance: 0 })) }
+});
+
+describe('buildBackup', () => {
+  test('wraps the data with the app name, version and export time', () => {
+    const backup = buildBackup({ stats: stats(), history: [], archive: {}, now: new Date(Date.UTC(2024, 2, 5)) });
+    expect(backup).toMatchObject({ app: 'globle', version: BACKUP_VERSION, exportedAt: '2024-03-05T00:00:00.000Z' });
+  });
+});
+
+describe('historyToCsv', () => {
+  test('writes a header and one row per game, oldest first', () => {
+    const csv = historyToCsv([
+      game('daily', '2024-03-05', true, ['DEU', 'FRA'], Date.UTC(2024, 2, 5, 9)),
+      game('practice', '2024-03-04', false, ['ESP'], Date.UTC(2024, 2, 4, 9))
+    ]);
+    expect(csv.split('\n')).toEqual([
+      'date,mode,puzzle,target,result,guesses,started_at,finished_at,guess_sequence',
+      '2024-03-04,practice,,ESP,lost,1,2024-03-04T08:59:59.000Z,2024-03-04T09:00:00.000Z,ESP:0',
+      '2024-03-05,daily,60,FRA,won,2,2024-03-05T08:59:59.000Z,2024-03-05T09:00:00.000Z,DEU:500;FRA:0'
+    ]);
+  });
+});
+
+describe('parseBackup', () => {
+  const valid = buildBackup({ stats: stats({ gamesPlayed: 1, gamesWon: 1 }), history: [], archive: {} });
+
+  test('accepts an exported file', () => {
+    expect(parseBackup(JSON.stringify(valid))).toEqual({ ok: true, backup: valid });
+  });
+
+  test('gives files from before the capitals stats new ones', () => {
+    const { capitalStats, ...older } = valid;
+    expect(parseBackup(JSON.stringify(older))).toEqual({ ok: true, backup: valid });
+    expect(parseBackup(JSON.stringify({ ...valid, capitalStats: { ...capitalStats, gamesWon: 5 } })))
+      .toEqual({ ok: false, error: IMPORT_ERRORS.INVALID_DATA, section: 'capitalStats' });
+  });
+
+  test('rejects files that are not JSON or not from this app', () => {
+    expect(parseBackup('not json')).toEqual({ ok: false, error: IMPORT_ERRORS.INVALID_JSON });
+    expect(parseBackup('{"app":"other"}')).toEqual({ ok: false, error: IMPORT_ERRORS.WRONG_APP });
+  });
+
+  test('rejects versions newer than this build understands', () => {
+    const result = parseBackup(JSON.stringify({ ...valid, version: BACKUP_VERSION + 1 }));
+    expect(result).toEqual({ ok: false, error: IMPORT_ERRORS.UNSUPPORTED_VERSION });
+  });
+
+  test('names the section that fails validation', () => {
+    expect(parseBackup(JSON.stringify({ ...valid, stats: { ...valid.stats, gamesWon: 5 } })))
+      .toEqual({ ok: false, error: IMPORT_ERRORS.INVALID_DATA, section: 'stats' });
+    expect(parseBackup(JSON.stringify({ ...valid, history: [{ id: 'x', mode: 'daily' }] })))
+      .toEqual({ ok: false, error: IMPORT_ERRORS.INVALID_DATA, section: 'history' });
+    expect(parseBackup(JSON.stringify({ ...valid, archive: { yesterday: {} } })))
+      .toEqual({ ok: false, error: IMPORT_ERRORS.INVALID_DATA, section: 'archive' });
+  });
+
+  test('rejects games with countries that do not exist', () => {
+    const parse = (history) => parseBackup(JSON.stringify({ ...valid, history }));
+    expect(parse([game('daily', '2024-03-05', true, ['DEU', 'FRA'], 1)]).ok).toBe(true);
+    expect(parse([game('daily', '2024-03-05', true, ['XXX', 'FRA'], 1)]))
+      .toEqual({ ok: false, error: IMPORT_ERRORS.INVALID_DATA, section: 'history' });
+    expect(parse([{ ...game('daily', '2024-03-05', false, ['DEU'], 1), targetId: 'Atlantis' }]))
+      .toEqual({ ok: false, error: IMPORT_ERRORS.INVALID_DATA, section: 'history' });
+  });
+
+  test('rejects archive games without a full game state', () => {
+    const parse = (entry) => parseBackup(JSON.stringify({ ...valid, archive: { '2024-03-01': entry } }));
+    const entry = archiveEntry('won', ['DEU', 'FRA']);
+    expect(parse(entry).ok).toBe(true);
+    const invalid = [
+      { ...entry, state: { ...entry.state, rules: undefined } },
+      { ...entry, state: { ...entry.state, status: undefined } },
+      { ...entry, state: { ...entry.state, rules: { maxGuesses: 0 } } },
+      { ...entry, state: { ...entry.state, targetId: 'XXX' } },
+      { ...entry, state: { ...entry.state, guesses: [{ id: 'XXX', distance: 0 }] } },
+      { ...entry, mode: 'practice' }
+    ];
+    invalid.forEach(bad => {
+      expect(parse(bad)).toEqual({ ok: false, error: IMPORT_ERRORS.INVALID_DATA, section: 'archive' });
+    });
+  });
+});
+
+describe('mergeBackup', () => {
+  const march5 = game('daily', '2024-03-05', true, ['DEU', 'FRA'], Date.UTC(2024, 2, 5));
+  const march6 = game('daily', '2024-03-06', true, ['ESP'], Date.UTC(2024, 2, 6));
+  const march7 = game('daily', '2024-03-07', false, ['ITA'], Date.UTC(2024, 2, 7));
+
+  test('adds games the device is missing without counting shared days twice', () => {
+    const current = {
+      stats: stats({ gamesPlayed: 2, gamesWon: 2, currentStreak: 2, maxStreak: 2, lastPlayedDate: '2024-03-06', guessDistribution: { ...stats().guessDistribution, 1: 1, 2: 1 } }),
+      history: [march6, march5],
+      archive: {}
+    };
+    const backup = {
+      stats: stats({ gamesPlayed: 2, gamesWon: 1, currentStreak: 0, maxStreak: 1, lastPlayedDate: '2024-03-07', guessDistribution: { ...stats().guessDistribution, 2: 1 } }),
+      history: [march7, march5],
+      archive: {}
+    };
+
+    const merged = mergeBackup(current, backup);
+    expect(merged.history.map(entry => entry.id)).toEqual(['daily:2024-03-07', 'daily:2024-03-06', 'daily:2024-03-05']);
+    expect(merged.addedGames).toBe(1);
+    expect(merged.conflicts).toEqual([]);
+    expect(merged.stats).toMatchObject({
+      gamesPlayed: 3,
+      gamesWon: 2,
+      currentStreak: 0,
+      maxStreak: 2,
+      lastPlayedDate: '2024-03-07'
+    });
+    expect(merged.stats.guessDistribution).toMatchObject({ 1: 1, 2: 1 });
+  });
+
+  test('merges the capitals puzzle into its own stats', () => {
+    const capitals = { ...game('capitals-daily', '2024-03-06', true, ['DEU', 'FRA'], Date.UTC(2024, 2, 6)), puzzle: 61 };
+    const current = { stats: stats(), capitalStats: stats(), history: [], archive: {} };
+    const backup = {
+      stats: stats(),
+      capitalStats: stats({ gamesPlayed: 1, gamesWon: 1, currentStreak: 1, maxStreak: 1, lastPlayedDate: '2024-03-06' }),
+      history: [capitals],
+      archive: {}
+    };
+
+    const merged = mergeBackup(current, backup);
+    expect(merged.capitalStats).toMatchObject({ gamesPlayed: 1, gamesWon: 1, currentStreak: 1, lastPlayedDate: '2024-03-06' });
+    expect(merged.capitalStats.guessDistribution).toMatchObject({ 2: 1 });
+    expect(merged.stats).toMatchObject({ gamesPlayed: 0, gamesWon: 0 });
+  });
+
+  test('keeps the larger count of games played before the history existed', () => {
+    const current = { stats: stats({ gamesPlayed: 10, gamesWon: 8 }), history: [], archive: {} };
+    const backup = { stats: stats({ gamesPlayed: 12, gamesWon: 9 }), history: [], archive: {} };
+    expect(mergeBackup(current, backup).stats).toMatchObject({ gamesPlayed: 12, gamesWon: 9 });
+  });
+
+  test('keeps local results and reports games that differ', () => {
+    const lost = { ...march5, won: false, guesses: march5.guesses.slice(0, 1) };
+    const current = {
+      stats: stats({ gamesPlayed: 1, gamesWon: 1 }),
+      history: [march5],
+      archive: { '2024-02-01': archiveEntry('won', ['FRA']) }
+    };
+    const backup = {
+      stats: stats({ gamesPlayed: 1 }),
+      history: [lost],
+      archive: { '2024-02-01': archiveEntry('lost', ['DEU']) }
+    };
+
+    const merged = mergeBackup(current, backup);
+    expect(merged.history).toEqual([march5]);
+    expect(merged.archive).toEqual(current.archive);
+    expect(merged.conflicts).toEqual([
+      { section: 'history', key: 'daily:2024-03-05' },
+      { section: 'archive', key: '2024-02-01' }
+    ]);
+  });
+
+  test('takes finished archive games over unfinished local ones', () => {
+    const current = { stats: stats(), history: [], archive: { '2024-02-01': archiveEntry('playing', ['DEU']) } };
+    const backup = { stats: stats(), history: [], archive: { '2024-02-01': archiveEntry('won', ['DEU', 'FRA']), '2024-02-02': archiveEntry('lost', ['ESP']) } };
+
+    const merged = mergeBackup(current, backup);
+    expect(merged.archive).toEqual(backup.archive);
+    expect(merged.addedArchive).toBe(2);
+    expect(merged.conflicts).toEqual([]);
+  });
+});
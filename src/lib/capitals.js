@@ -0,0 +1,33 @@
+import capitalsGeoJson from '../data/capitals.geo.json';
+import { countryById } from './countries';
+import { buildPlaces } from './places';
+
+// Capital cities for capitals mode, one point per country. Each capital is
+// linked to its country by ISO_A3 and takes the country's id and regions,
+// so the region filters pick the same places as for countries.
+
+export const CAPITAL_FIELDS = {
+  id: 'ISO_A3',
+  name: 'NAME',
+  aliases: ['NAME_ALT']
+};
+
+// Seed for the daily capital puzzle, so it follows its own schedule rather
+// than naming the capital of the day's country
+export const CAPITALS_SCHEDULE_SEED = 0x85ebca6b;
+
+// Add the country's regions and name to a capital
+export const withCountry = (capital) => {
+  const country = countryById.get(capital.id);
+  return {
+    ...capital,
+    continent: country.continent,
+    region: country.region,
+    subregion: country.subregion,
+    country: country.name
+  };
+};
+
+export const capitalData = buildPlaces(capitalsGeoJson, CAPITAL_FIELDS).places
+  .filter(capital => countryById.has(capital.id))
+  .map(withCountry);
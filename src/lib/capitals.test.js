@@ -0,0 +1,43 @@
+import { countryById } from './countries';
+import { CAPITALS_SCHEDULE_SEED, capitalData } from './capitals';
+import { haversineDistance } from './geo';
+import { getDailyTarget } from './schedule';
+
+describe('capitalData', () => {
+  test('has a capital for nearly every country', () => {
+    expect(capitalData.length).toBeGreaterThan(220);
+    capitalData.forEach(capital => {
+      expect(countryById.has(capital.id)).toBe(true);
+      expect(capital.geometry.type).toBe('Point');
+    });
+  });
+
+  test('takes its country name and regions', () => {
+    const paris = capitalData.find(capital => capital.id === 'FRA');
+    expect(paris).toMatchObject({ name: 'Paris', country: 'France', region: 'Europe', subregion: 'Western Europe' });
+    expect(capitalData.find(capital => capital.id === 'UKR').aliases).toEqual(['Kiev']);
+  });
+
+  test('has unique names, so every guess names one city', () => {
+    const names = capitalData.map(capital => capital.name.toLowerCase());
+    expect(new Set(names).size).toBe(names.length);
+  });
+
+  test('lies near the middle of its country', () => {
+    const far = capitalData.filter(capital => {
+      const country = countryById.get(capital.id);
+      return haversineDistance(capital.latitude, capital.longitude, country.latitude, country.longitude) > 2500;
+    });
+    // Kiribati's islands spread across thousands of kilometres of ocean, and
+    // Tarawa is a long way from the one it is labelled at
+    expect(far.map(capital => capital.id)).toEqual(['KIR']);
+  });
+
+  test('gets a daily schedule of its own', () => {
+    const countries = [...countryById.values()];
+    const days = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    const same = days.filter(n =>
+      getDailyTarget(capitalData, n, { seed: CAPITALS_SCHEDULE_SEED }).id === getDailyTarget(countries, n).id);
+    expect(same.length).toBeLessThan(days.length);
+  });
+});
@@ -0,0 +1,133 @@
+import { CORRECT_BAND, DISTANCE_BANDS, getDistanceBand } from './distanceBands';
+import { GAME_STATUS } from './gameEngine';
+
+// Challenge links: a player picks a target, and optionally a guess limit and
+// a region, and sends it to a friend as a link. A challenge is
+//   { targetId, maxGuesses, region, from }
+// where `maxGuesses` is null for unlimited guesses and `region` a region
+// filter key, or null for the whole world. `from` is the challenger:
+// { name, bands, won } when they played the target themselves, with the
+// distance band key of each of their guesses, or { name, bands: null,
+// won: null } when they only picked it. `name` may be empty.
+//
+// The link carries the challenge scrambled so the target can't be read off
+// the URL. That keeps honest players honest; it isn't encryption.
+
+export const CHALLENGE_PARAM = 'challenge';
+
+const CHALLENGE_VERSION = 1;
+
+// Choices offered for the guess limit; null is unlimited
+export const CHALLENGE_GUESS_LIMITS = [null, 10, 6];
+
+export const MAX_CHALLENGER_NAME_LENGTH = 20;
+
+// Reasons a challenge link can't be played
+export const CHALLENGE_ERRORS = {
+  INVALID: 'invalid',
+  UNKNOWN_COUNTRY: 'unknown-country'
+};
+
+const SCRAMBLE_KEY = 'globle';
+const BAND_KEYS = [CORRECT_BAND, ...DISTANCE_BANDS].map(band => band.key);
+
+// The challenger's side of a challenge, from their finished game state
+export const challengerResult = (name, state) => ({
+  name,
+  bands: state.guesses.map(guess => getDistanceBand(guess.distance, guess.correct).key),
+  won: state.status === GAME_STATUS.WON
+});
+
+// UTF-8 bytes of a string as a binary string, and back
+const toBytes = (text) =>
+  encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+const fromBytes = (bytes) =>
+  decodeURIComponent([...bytes].map(char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+
+// XOR with a running key; applying it twice gives the input back
+const scramble = (bytes) => [...bytes]
+  .map((char, i) => String.fromCharCode(char.charCodeAt(0) ^ SCRAMBLE_KEY.charCodeAt(i % SCRAMBLE_KEY.length) ^ ((i * 31) & 0xff)))
+  .join('');
+
+const toBase64Url = (bytes) => btoa(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) => atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+// URL-safe code for a challenge. Fields go in a short array to keep links short.
+export const encodeChallenge = ({ targetId, maxGuesses = null, region = null, from = null }) => {
+  const payload = [
+    CHALLENGE_VERSION,
+    targetId,
+    maxGuesses,
+    region,
+    from ? from.name : null,
+    from && from.bands ? from.bands.map(band => BAND_KEYS.indexOf(band)).join('') : null,
+    from ? from.won : null
+  ];
+  return toBase64Url(scramble(toBytes(JSON.stringify(payload))));
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// { ok: true, challenge } for a code from encodeChallenge, or
+// { ok: false, error }. `isKnownTarget` and `isKnownRegion` check the ids
+// against the data in use, and `isInRegion(targetId, region)` that the target
+// can be played in the challenge's region.
+export const decodeChallenge = (code, {
+  isKnownTarget = () => true,
+  isKnownRegion = () => true,
+  isInRegion = () => true
+} = {}) => {
+  let payload;
+  try {
+    payload = JSON.parse(fromBytes(scramble(fromBase64Url(code))));
+  } catch (error) {
+    return { ok: false, error: CHALLENGE_ERRORS.INVALID };
+  }
+
+  if (!Array.isArray(payload) || payload[0] !== CHALLENGE_VERSION) {
+    return { ok: false, error: CHALLENGE_ERRORS.INVALID };
+  }
+  const [, targetId, maxGuesses, region, name, bands, won] = payload;
+  const valid = typeof targetId === 'string'
+    && (maxGuesses === null || isPositiveInteger(maxGuesses))
+    && (region === null || (typeof region === 'string' && isKnownRegion(region)))
+    && (name === null || typeof name === 'string')
+    && (bands === null || (typeof bands === 'string' && /^[0-9]*$/.test(bands) && [...bands].every(i => BAND_KEYS[i])))
+    && (won === null || typeof won === 'boolean');
+  if (!valid) return { ok: false, error: CHALLENGE_ERRORS.INVALID };
+  if (!isKnownTarget(targetId)) return { ok: false, error: CHALLENGE_ERRORS.UNKNOWN_COUNTRY };
+  if (region !== null && !isInRegion(targetId, region)) return { ok: false, error: CHALLENGE_ERRORS.INVALID };
+
+  return {
+    ok: true,
+    challenge: {
+      targetId,
+      maxGuesses,
+      region,
+      from: name === null
+        ? null
+        : {
+            name: name.slice(0, MAX_CHALLENGER_NAME_LENGTH),
+            bands: bands === null ? null : [...bands].map(i => BAND_KEYS[i]),
+            won
+          }
+    }
+  };
+};
+
+// How a finished game compares with the challenger's: 'ahead', 'behind' or
+// 'tie', or null when the challenger didn't play it. Finding the target
+// beats not finding it, then fewer guesses win.
+export const compareWithChallenger = (mine, from) => {
+  if (!from || !from.bands) return null;
+  if (mine.won !== from.won) return mine.won ? 'ahead' : 'behind';
+  if (!mine.won || mine.bands.length === from.bands.length) return 'tie';
+  return mine.bands.length < from.bands.length ? 'ahead' : 'behind';
+};
+
+// Link that opens `challenge` on the page at `location`
+export const challengeUrl = (challenge, location = window.location) =>
+  `${location.origin}${location.pathname}?${CHALLENGE_PARAM}=${encodeChallenge(challenge)}`;
+
+// Code from the challenge parameter of a query string, or null
+export const challengeCodeFrom = (search) => new URLSearchParams(search).get(CHALLENGE_PARAM);
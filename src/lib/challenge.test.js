@@ -0,0 +1,100 @@
+import { GAME_STATUS } from './gameEngine';
+import {
+  CHALLENGE_ERRORS,
+  challengeCodeFrom,
+  challengeUrl,
+  challengerResult,
+  compareWithChallenger,
+  decodeChallenge,
+  encodeChallenge
+} from './challenge';
+
+const challenge = {
+  targetId: 'DEU',
+  maxGuesses: 6,
+  region: 'europe',
+  from: { name: 'Zoë', bands: ['far', 'very-close', 'correct'], won: true }
+};
+
+describe('challenge codes', () => {
+  test('round-trip a challenge', () => {
+    expect(decodeChallenge(encodeChallenge(challenge))).toEqual({ ok: true, challenge });
+  });
+
+  test('fill in the optional parts', () => {
+    expect(decodeChallenge(encodeChallenge({ targetId: 'JPN' }))).toEqual({
+      ok: true,
+      challenge: { targetId: 'JPN', maxGuesses: null, region: null, from: null }
+    });
+    const picked = { targetId: 'JPN', from: { name: 'Sam', bands: null, won: null } };
+    expect(decodeChallenge(encodeChallenge(picked)).challenge.from).toEqual(picked.from);
+  });
+
+  test('are URL-safe and do not show the target', () => {
+    const code = encodeChallenge(challenge);
+    expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(code).not.toMatch(/DEU/);
+    expect(atob(code.replace(/-/g, '+').replace(/_/g, '/'))).not.toMatch(/DEU/);
+  });
+
+  test('reject damaged codes', () => {
+    const code = encodeChallenge(challenge);
+    expect(decodeChallenge('not a code')).toEqual({ ok: false, error: CHALLENGE_ERRORS.INVALID });
+    expect(decodeChallenge(code.slice(0, -6))).toEqual({ ok: false, error: CHALLENGE_ERRORS.INVALID });
+    expect(decodeChallenge(`A${code}`).ok).toBe(false);
+  });
+
+  test('check the target and region against the data', () => {
+    const code = encodeChallenge(challenge);
+    expect(decodeChallenge(code, { isKnownTarget: id => id !== 'DEU' }))
+      .toEqual({ ok: false, error: CHALLENGE_ERRORS.UNKNOWN_COUNTRY });
+    expect(decodeChallenge(code, { isKnownRegion: () => false }))
+      .toEqual({ ok: false, error: CHALLENGE_ERRORS.INVALID });
+  });
+
+  test('reject a target outside its region', () => {
+    const code = encodeChallenge({ ...challenge, targetId: 'JPN' });
+    const isInRegion = (id, region) => region === 'europe' && id === 'DEU';
+    expect(decodeChallenge(code, { isInRegion })).toEqual({ ok: false, error: CHALLENGE_ERRORS.INVALID });
+    expect(decodeChallenge(encodeChallenge(challenge), { isInRegion }).ok).toBe(true);
+    // Without a region every known target is in play
+    expect(decodeChallenge(encodeChallenge({ ...challenge, region: null }), { isInRegion: () => false }).ok).toBe(true);
+  });
+});
+
+describe('challenge links', () => {
+  test('carry the code in a query parameter', () => {
+    const url = challengeUrl(challenge, { origin: 'https://globle.example', pathname: '/play' });
+    expect(url).toMatch(/^https:\/\/globle\.example\/play\?challenge=/);
+    expect(decodeChallenge(challengeCodeFrom(new URL(url).search)).challenge).toEqual(challenge);
+    expect(challengeCodeFrom('?other=1')).toBeNull();
+  });
+});
+
+describe('challengerResult', () => {
+  test('keeps the bands of a finished game', () => {
+    const state = {
+      status: GAME_STATUS.LOST,
+      guesses: [{ distance: 6000, correct: false }, { distance: 1800, correct: false }]
+    };
+    expect(challengerResult('Ana', state)).toEqual({ name: 'Ana', bands: ['very-far', 'close'], won: false });
+  });
+});
+
+describe('compareWithChallenger', () => {
+  const result = (guesses, won) => ({ bands: Array(guesses).fill('far'), won });
+
+  test('puts finding the target first, then fewer guesses', () => {
+    expect(compareWithChallenger(result(5, true), result(6, false))).toBe('ahead');
+    expect(compareWithChallenger(result(6, false), result(2, true))).toBe('behind');
+    expect(compareWithChallenger(result(3, true), result(4, true))).toBe('ahead');
+    expect(compareWithChallenger(result(4, true), result(3, true))).toBe('behind');
+    expect(compareWithChallenger(result(4, true), result(4, true))).toBe('tie');
+    expect(compareWithChallenger(result(6, false), result(6, false))).toBe('tie');
+  });
+
+  test('has nothing to compare when the challenger only picked the target', () => {
+    expect(compareWithChallenger(result(3, true), { name: 'Sam', bands: null, won: null })).toBeNull();
+    expect(compareWithChallenger(result(3, true), null)).toBeNull();
+  });
+});
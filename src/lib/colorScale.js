@@ -0,0 +1,71 @@
+import { color, interpolateCividis, interpolateRgb, interpolateRgbBasis, scaleSqrt } from 'd3';
+import { DISTANCE_BANDS, getDistanceBand } from './distanceBands';
+
+// Continuous distance colours. The globe, the guess chips and the legends all
+// read from `distanceColor` / `legendGradient`, so they can't drift apart.
+
+// Distances beyond this get the "far" end of the palette
+export const SCALE_MAX_DISTANCE = 10000;
+
+// Distances marked on the legends
+export const LEGEND_TICKS = [0, 1000, 2500, 5000, SCALE_MAX_DISTANCE];
+
+// Each interpolator runs from 0 (touching the target) to 1 (far away)
+export const PALETTES = {
+  default: {
+    interpolator: interpolateRgbBasis(['#4A628A', '#7AB2D3', '#B9E5E8', '#DFF2EB']),
+    correct: '#34D399'
+  },
+  deuteranopia: {
+    // Cividis only varies along the blue-yellow axis
+    interpolator: t => interpolateCividis(1 - t),
+    correct: '#CC79A7'
+  },
+  'high-contrast': {
+    interpolator: interpolateRgbBasis(['#FF0000', '#FF8C00', '#FFFF00', '#FFFFFF']),
+    correct: '#00FF00'
+  },
+  monochrome: {
+    interpolator: interpolateRgb('#D9D9D9', '#404040'),
+    correct: '#FFFFFF'
+  }
+};
+
+export const DEFAULT_PALETTE = 'default';
+
+// Square-root scale, so the differences close to the target stand out more
+export const distancePosition = scaleSqrt()
+  .domain([0, SCALE_MAX_DISTANCE])
+  .range([0, 1])
+  .clamp(true);
+
+const paletteFor = (key) => PALETTES[key] || PALETTES[DEFAULT_PALETTE];
+
+const withOpacity = (value, opacity) => {
+  const rgb = color(value);
+  rgb.opacity = opacity;
+  return rgb.formatRgb();
+};
+
+// Colour for a guess `distance` km from the target
+export const distanceColor = (distance, correct = false, { palette, opacity = 1 } = {}) => {
+  const { correct: correctColor, interpolator } = paletteFor(palette);
+  return withOpacity(correct ? correctColor : interpolator(distancePosition(distance)), opacity);
+};
+
+// Colour for the distance band a guess falls in, taken at the middle of the
+// band, so the colour gives away no more than the band does (hard mode)
+export const bandColor = (distance, correct = false, options) => {
+  if (correct) return distanceColor(0, true, options);
+  const index = DISTANCE_BANDS.indexOf(getDistanceBand(distance));
+  const lower = index > 0 ? DISTANCE_BANDS[index - 1].maxKm : 0;
+  const upper = Math.min(DISTANCE_BANDS[index].maxKm, SCALE_MAX_DISTANCE);
+  return distanceColor((lower + upper) / 2, false, options);
+};
+
+// CSS gradient for a legend bar, left (touching) to right (far)
+export const legendGradient = (palette, steps = 12) => {
+  const { interpolator } = paletteFor(palette);
+  const stops = Array.from({ length: steps + 1 }, (_, i) => withOpacity(interpolator(i / steps), 1));
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+};
@@ -0,0 +1,45 @@
+import { PALETTES, SCALE_MAX_DISTANCE, bandColor, distanceColor, distancePosition, legendGradient } from './colorScale';
+
+describe('distanceColor', () => {
+  test('changes continuously with distance', () => {
+    const colors = [1100, 1800, 2400].map(distance => distanceColor(distance));
+    expect(new Set(colors).size).toBe(3);
+  });
+
+  test('clamps beyond the end of the scale', () => {
+    expect(distanceColor(SCALE_MAX_DISTANCE * 2)).toBe(distanceColor(SCALE_MAX_DISTANCE));
+    expect(distancePosition(SCALE_MAX_DISTANCE * 2)).toBe(1);
+  });
+
+  test('uses the palette colour for a correct guess, with opacity', () => {
+    expect(distanceColor(0, true, { palette: 'monochrome' })).toBe('rgb(255, 255, 255)');
+    expect(distanceColor(0, true, { opacity: 0.8 })).toBe('rgba(52, 211, 153, 0.8)');
+  });
+
+  test('falls back to the default palette', () => {
+    expect(distanceColor(500, false, { palette: 'neon' })).toBe(distanceColor(500));
+  });
+
+  test('palettes give different colours for the same distance', () => {
+    const colors = Object.keys(PALETTES).map(palette => distanceColor(1500, false, { palette }));
+    expect(new Set(colors).size).toBe(Object.keys(PALETTES).length);
+  });
+});
+
+describe('bandColor', () => {
+  test('gives every distance in a band the same colour', () => {
+    expect(bandColor(1100)).toBe(bandColor(2400));
+    expect(bandColor(1100)).toBe(distanceColor(1750));
+    expect(bandColor(900)).not.toBe(bandColor(1100));
+    expect(bandColor(20000)).toBe(distanceColor(7500));
+    expect(bandColor(0, true)).toBe(distanceColor(0, true));
+  });
+});
+
+describe('legendGradient', () => {
+  test('runs from the touching colour to the far colour', () => {
+    const gradient = legendGradient('default', 4);
+    expect(gradient.startsWith(`linear-gradient(to right, ${distanceColor(0)}`)).toBe(true);
+    expect(gradient.endsWith(`${distanceColor(SCALE_MAX_DISTANCE)})`)).toBe(true);
+  });
+});
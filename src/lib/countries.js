@@ -0,0 +1,31 @@
+import countriesGeoJson from '../data/countries-50m.json';
+import { LANGUAGES } from './i18n';
+import { toPlace } from './places';
+
+// Where each part of a country lives in Natural Earth properties
+export const NATURAL_EARTH_FIELDS = {
+  // Natural Earth uses '-99' for countries without an official ISO code
+  id: ['ISO_A3', 'ADM0_A3'],
+  name: ['NAME', 'ADMIN'],
+  aliases: ['NAME_LONG', 'NAME_ALT', 'FORMAL_EN', 'ADMIN'],
+  codes: ['ISO_A2', 'ISO_A3', 'ABBREV'],
+  names: Object.fromEntries(Object.entries(LANGUAGES).map(([code, { nameField }]) => [code, nameField])),
+  continent: 'CONTINENT',
+  region: 'REGION_UN',
+  subregion: 'SUBREGION',
+  // Natural Earth ranks small islands from 2 to 6 and gives every other
+  // country -99, which toPlace reads as not tiny
+  tiny: 'TINY',
+  // Natural Earth's own point for a country's label, inside its main part
+  labelX: 'LABEL_X',
+  labelY: 'LABEL_Y',
+  missing: ['-99']
+};
+
+// Turn a Natural Earth feature into a game country
+export const toCountry = (feature) => toPlace(feature, NATURAL_EARTH_FIELDS);
+
+// Process the GeoJSON data to create our country list
+export const countryData = countriesGeoJson.features.map(toCountry);
+
+export const countryById = new Map(countryData.map(country => [country.id, country]));
@@ -0,0 +1,72 @@
+import { capitalData, CAPITALS_SCHEDULE_SEED } from './capitals';
+import { countryData } from './countries';
+import { createGame, HARD_RULES } from './gameEngine';
+import { getDailyTarget, getPuzzleDateKey, getPuzzleNumber } from './schedule';
+import { readJson, writeJson } from './storage';
+
+// Today's puzzles, countries and capitals, and their saved games. Each is
+// saved under its own key as { date, puzzle, game } where `game` is engine
+// state; a save from an earlier day is dropped when the page opens.
+
+export const DAILY_STATE_KEY = 'geoGlobeGameState';
+export const CAPITAL_STATE_KEY = 'geoGlobeCapitalState';
+
+export const saveDailyGame = (key, { date, puzzle, state }, storage = window.localStorage) => {
+  writeJson(storage, key, { date, puzzle, game: state });
+};
+
+// Start today's puzzles at `now`, resuming their saves. Days roll over at
+// 00:00 UTC so everyone plays the same puzzle at the same time. Returns
+// { puzzle: { number, date }, daily, capitalDaily, expired }, where `expired`
+// is { date, puzzle, state } of a country game left from an earlier day, for
+// the archive, or null.
+export const startDailyGames = (now = new Date(), storage = window.localStorage) => {
+  const date = getPuzzleDateKey(now);
+  const number = getPuzzleNumber(now);
+
+  let expired = null;
+  const load = (key) => {
+    const save = readJson(storage, key);
+    if (save && save.date === date) return save;
+    if (save) {
+      storage.removeItem(key);
+      if (key === DAILY_STATE_KEY && save.game) {
+        expired = {
+          date: save.date,
+          puzzle: save.puzzle || getPuzzleNumber(new Date(save.date)),
+          state: save.game
+        };
+      }
+    }
+    return null;
+  };
+
+  const saved = load(DAILY_STATE_KEY);
+  const daily = createGame({
+    target: getDailyTarget(countryData, number),
+    dataset: countryData,
+    state: saved ? saved.game || null : null
+  });
+  // Older saves stored globe features instead of engine state
+  if (saved && !saved.game) {
+    (saved.guesses || []).forEach(guess => daily.submitGuess(guess.properties.name));
+  }
+
+  const savedCapital = load(CAPITAL_STATE_KEY);
+  const capitalDaily = createGame({
+    target: getDailyTarget(capitalData, number, { seed: CAPITALS_SCHEDULE_SEED }),
+    dataset: capitalData,
+    state: savedCapital ? savedCapital.game || null : null
+  });
+
+  return { puzzle: { number, date }, daily, capitalDaily, expired };
+};
+
+// Hard mode is picked before the first guess of the day. Until then a daily
+// game is restarted with the chosen rules; after that it keeps the rules it
+// was started with until tomorrow's puzzle. Returns `game` when it stays.
+export const withDailyRules = (game, dataset, hard) => {
+  const { guesses, rules } = game.getState();
+  if (guesses.length > 0 || Boolean(rules.hard) === hard) return game;
+  return createGame({ target: game.target, dataset, rules: hard ? HARD_RULES : {} });
+};
@@ -0,0 +1,80 @@
+import { capitalData, CAPITALS_SCHEDULE_SEED } from './capitals';
+import { countryById, countryData } from './countries';
+import { CAPITAL_STATE_KEY, DAILY_STATE_KEY, saveDailyGame, startDailyGames, withDailyRules } from './daily';
+import { createGame, HARD_RULES } from './gameEngine';
+import { getDailyTarget } from './schedule';
+
+const now = new Date('2024-05-01T12:00:00Z');
+const today = '2024-05-01';
+
+beforeEach(() => localStorage.clear());
+
+// A wrong guess, and the state it leaves
+const guessOther = (game) => {
+  const other = countryData.find(country => country.id !== game.target.id);
+  game.submitGuess(other.name);
+  return game.getState();
+};
+
+describe('startDailyGames', () => {
+  test('starts today\'s country and capital puzzles', () => {
+    const { puzzle, daily, capitalDaily, expired } = startDailyGames(now);
+    expect(puzzle.date).toBe(today);
+    expect(daily.target.id).toBe(getDailyTarget(countryData, puzzle.number).id);
+    expect(capitalDaily.target.id).toBe(getDailyTarget(capitalData, puzzle.number, { seed: CAPITALS_SCHEDULE_SEED }).id);
+    expect(daily.getState().guesses).toEqual([]);
+    expect(expired).toBeNull();
+  });
+
+  test('resumes today\'s saved games', () => {
+    const first = startDailyGames(now);
+    const state = guessOther(first.daily);
+    const capitalState = guessOther(first.capitalDaily);
+    saveDailyGame(DAILY_STATE_KEY, { date: today, puzzle: first.puzzle.number, state });
+    saveDailyGame(CAPITAL_STATE_KEY, { date: today, puzzle: first.puzzle.number, state: capitalState });
+
+    const { daily, capitalDaily } = startDailyGames(now);
+    expect(daily.getState()).toEqual(state);
+    expect(capitalDaily.getState()).toEqual(capitalState);
+  });
+
+  test('hands an earlier day\'s country game to the archive', () => {
+    const yesterday = startDailyGames(new Date('2024-04-30T12:00:00Z'));
+    const state = guessOther(yesterday.daily);
+    saveDailyGame(DAILY_STATE_KEY, { date: '2024-04-30', puzzle: yesterday.puzzle.number, state });
+    saveDailyGame(CAPITAL_STATE_KEY, { date: '2024-04-30', puzzle: yesterday.puzzle.number, state: guessOther(yesterday.capitalDaily) });
+
+    const { daily, capitalDaily, expired } = startDailyGames(now);
+    expect(expired).toEqual({ date: '2024-04-30', puzzle: yesterday.puzzle.number, state });
+    expect(daily.getState().guesses).toEqual([]);
+    expect(capitalDaily.getState().guesses).toEqual([]);
+    expect(localStorage.getItem(DAILY_STATE_KEY)).toBeNull();
+    expect(localStorage.getItem(CAPITAL_STATE_KEY)).toBeNull();
+  });
+
+  test('replays the guesses of older saves', () => {
+    const { daily: fresh } = startDailyGames(now);
+    const other = countryData.find(country => country.id !== fresh.target.id);
+    localStorage.setItem(DAILY_STATE_KEY, JSON.stringify({ date: today, guesses: [{ properties: { name: other.name } }] }));
+
+    expect(startDailyGames(now).daily.getState().guesses.map(guess => guess.id)).toEqual([other.id]);
+  });
+});
+
+describe('withDailyRules', () => {
+  const fresh = () => createGame({ target: 'FRA', dataset: countryData });
+
+  test('restarts a game without guesses in hard mode and back', () => {
+    const hard = withDailyRules(fresh(), countryData, true);
+    expect(hard.getState().rules).toMatchObject(HARD_RULES);
+    expect(hard.target).toBe(countryById.get('FRA'));
+    expect(withDailyRules(hard, countryData, false).getState().rules.hard).toBeFalsy();
+  });
+
+  test('keeps a game that already has its rules or a guess', () => {
+    const game = fresh();
+    expect(withDailyRules(game, countryData, false)).toBe(game);
+    game.submitGuess('Spain');
+    expect(withDailyRules(game, countryData, true)).toBe(game);
+  });
+});
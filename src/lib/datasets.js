@@ -0,0 +1,109 @@
+import { capitalData } from './capitals';
+import { NATURAL_EARTH_FIELDS, countryById, countryData } from './countries';
+import { DATASET_ERRORS, buildPlaces } from './places';
+import { readJson, writeJson } from './storage';
+
+// Maps practice games can be played on. The world countries are always
+// loaded; the other bundled maps are fetched when picked. A player can also
+// upload their own GeoJSON file, stored as { name, fields, geojson } where
+// `fields` is a field map (see lib/places).
+
+export const DATASET_KEY = 'geoGlobeDataset';
+
+export const DEFAULT_DATASET = 'countries';
+export const UPLOADED_DATASET = 'uploaded';
+
+// The same Natural Earth fields, in lower case as some exports have them
+const lowerCaseFields = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) => {
+  if (key === 'missing') return [key, value];
+  if (Array.isArray(value)) return [key, value.map(field => field.toLowerCase())];
+  if (typeof value === 'object') return [key, lowerCaseFields(value)];
+  return [key, value.toLowerCase()];
+}));
+
+// `label` is an i18n key. `wikipedia` marks maps whose places have articles
+// under their English name.
+export const BUILT_IN_DATASETS = {
+  [DEFAULT_DATASET]: {
+    label: 'datasetCountries',
+    wikipedia: true
+  },
+  'countries-110m': {
+    label: 'datasetCountriesSimplified',
+    wikipedia: true,
+    fields: NATURAL_EARTH_FIELDS,
+    load: () => import('../data/countries-110m.json')
+  },
+  'countries-custom': {
+    label: 'datasetCountriesCustom',
+    wikipedia: true,
+    fields: lowerCaseFields(NATURAL_EARTH_FIELDS),
+    load: () => import('../data/custom.geo.json')
+  }
+};
+
+export const isKnownDataset = (id) =>
+  id === UPLOADED_DATASET || Object.prototype.hasOwnProperty.call(BUILT_IN_DATASETS, id);
+
+// A loaded map: its places, a lookup by id, and whether the region filters
+// apply to it
+export const createDataset = (id, places, { wikipedia = false } = {}) => ({
+  id,
+  places,
+  byId: new Map(places.map(place => [place.id, place])),
+  hasRegions: places.some(place => place.region),
+  wikipedia
+});
+
+export const worldDataset = {
+  ...createDataset(DEFAULT_DATASET, countryData, { wikipedia: true }),
+  byId: countryById
+};
+
+// Capital cities, played instead of the countries in capitals mode. Many
+// capitals share their name with other places, so there are no article links.
+export const capitalsDataset = createDataset('capitals', capitalData);
+
+// { ok: true, dataset } or { ok: false, error }. `upload` is the player's
+// file, needed for UPLOADED_DATASET.
+export const loadDataset = async (id, upload = null) => {
+  if (id === DEFAULT_DATASET) return { ok: true, dataset: worldDataset };
+
+  let geojson;
+  let fields;
+  if (id === UPLOADED_DATASET) {
+    if (!upload) return { ok: false, error: DATASET_ERRORS.NOT_FOUND };
+    ({ geojson, fields } = upload);
+  } else {
+    const builtIn = BUILT_IN_DATASETS[id];
+    if (!builtIn) return { ok: false, error: DATASET_ERRORS.NOT_FOUND };
+    try {
+      geojson = (await builtIn.load()).default;
+    } catch (error) {
+      console.error('Error loading dataset:', error);
+      return { ok: false, error: DATASET_ERRORS.LOAD_FAILED };
+    }
+    fields = builtIn.fields;
+  }
+
+  const result = buildPlaces(geojson, fields);
+  if (!result.ok) return result;
+  const wikipedia = Boolean(BUILT_IN_DATASETS[id] && BUILT_IN_DATASETS[id].wikipedia);
+  return { ok: true, dataset: createDataset(id, result.places, { wikipedia }) };
+};
+
+export const loadUploadedDataset = (storage = window.localStorage) =>
+  readJson(storage, DATASET_KEY, { isValid: upload => Boolean(upload.geojson && upload.fields) });
+
+// False when the file doesn't fit in storage; it then only lasts the
+// session, and an older stored file is dropped so it doesn't come back
+export const saveUploadedDataset = (upload, storage = window.localStorage) => {
+  try {
+    writeJson(storage, DATASET_KEY, upload);
+    return true;
+  } catch (error) {
+    console.error('Error saving dataset:', error);
+    storage.removeItem(DATASET_KEY);
+    return false;
+  }
+};
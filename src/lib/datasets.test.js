@@ -0,0 +1,93 @@
+import { countryById } from './countries';
+import { DATASET_ERRORS } from './places';
+import {
+  BUILT_IN_DATASETS,
+  DATASET_KEY,
+  DEFAULT_DATASET,
+  UPLOADED_DATASET,
+  isKnownDataset,
+  loadDataset,
+  loadUploadedDataset,
+  saveUploadedDataset,
+  worldDataset
+} from './datasets';
+
+beforeEach(() => localStorage.clear());
+
+const square = (lon, lat) => ({
+  type: 'Polygon',
+  coordinates: [[[lon, lat], [lon + 1, lat], [lon + 1, lat + 1], [lon, lat + 1], [lon, lat]]]
+});
+
+const upload = {
+  name: 'states.geojson',
+  fields: { id: 'postal', name: 'name', aliases: [] },
+  geojson: {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { postal: 'CO', name: 'Colorado' }, geometry: square(-109, 37) },
+      { type: 'Feature', properties: { postal: 'WY', name: 'Wyoming' }, geometry: square(-111, 41) }
+    ]
+  }
+};
+
+describe('loadDataset', () => {
+  test('returns the world countries by default', async () => {
+    const result = await loadDataset(DEFAULT_DATASET);
+    expect(result).toEqual({ ok: true, dataset: worldDataset });
+    expect(result.dataset.byId).toBe(countryById);
+    expect(result.dataset.hasRegions).toBe(true);
+  });
+
+  test('loads every bundled map', async () => {
+    const others = Object.keys(BUILT_IN_DATASETS).filter(id => id !== DEFAULT_DATASET);
+    for (const id of others) {
+      const result = await loadDataset(id);
+      expect(result.ok).toBe(true);
+      expect(result.dataset.places.length).toBeGreaterThan(150);
+      expect(result.dataset.byId.get('FRA').name).toBe('France');
+      expect(result.dataset.hasRegions).toBe(true);
+    }
+  });
+
+  test('builds an uploaded file', async () => {
+    const result = await loadDataset(UPLOADED_DATASET, upload);
+    expect(result.ok).toBe(true);
+    expect(result.dataset.places.map(place => place.name)).toEqual(['Colorado', 'Wyoming']);
+    expect(result.dataset).toMatchObject({ id: UPLOADED_DATASET, hasRegions: false, wikipedia: false });
+  });
+
+  test('reports maps it cannot load', async () => {
+    expect(await loadDataset(UPLOADED_DATASET)).toEqual({ ok: false, error: DATASET_ERRORS.NOT_FOUND });
+    expect(await loadDataset('atlantis')).toEqual({ ok: false, error: DATASET_ERRORS.NOT_FOUND });
+    const broken = { ...upload, fields: { id: 'fips', name: 'name' } };
+    expect(await loadDataset(UPLOADED_DATASET, broken)).toMatchObject({ ok: false, error: DATASET_ERRORS.MISSING_ID });
+  });
+});
+
+describe('isKnownDataset', () => {
+  test('accepts bundled maps and the uploaded file', () => {
+    expect(isKnownDataset(DEFAULT_DATASET)).toBe(true);
+    expect(isKnownDataset(UPLOADED_DATASET)).toBe(true);
+    expect(isKnownDataset('toString')).toBe(false);
+  });
+});
+
+describe('uploaded dataset storage', () => {
+  test('drops the stored file when a new one does not fit', () => {
+    expect(saveUploadedDataset(upload, localStorage)).toBe(true);
+    expect(loadUploadedDataset(localStorage)).toEqual(upload);
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new DOMException('Storage is full', 'QuotaExceededError');
+    });
+    const bigger = { ...upload, name: 'regions.geojson' };
+    expect(saveUploadedDataset(bigger, localStorage)).toBe(false);
+    setItem.mockRestore();
+    expect(loadUploadedDataset(localStorage)).toBeNull();
+  });
+
+  test('ignores an upload without its file or fields', () => {
+    localStorage.setItem(DATASET_KEY, '{"name":"x"}');
+    expect(loadUploadedDataset(localStorage)).toBeNull();
+  });
+});
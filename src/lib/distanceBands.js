@@ -0,0 +1,26 @@
+// Coarse distance bands for the share text and anything else that needs a
+// category rather than a colour. Colours come from `colorScale.js`.
+
+export const CORRECT_BAND = {
+  key: 'correct',
+  emoji: '🟩'
+};
+
+// Ordered nearest first; the last band has no upper limit
+export const DISTANCE_BANDS = [
+  { key: 'very-close', maxKm: 1000, emoji: '🟥' },
+  { key: 'close', maxKm: 2500, emoji: '🟧' },
+  { key: 'far', maxKm: 5000, emoji: '🟨' },
+  { key: 'very-far', maxKm: Infinity, emoji: '⬜' }
+];
+
+export const getDistanceBand = (distance, correct = false) => {
+  if (correct) return CORRECT_BAND;
+  return DISTANCE_BANDS.find(band => distance < band.maxKm) || DISTANCE_BANDS[DISTANCE_BANDS.length - 1];
+};
+
+export const getBandByEmoji = (emoji) =>
+  [CORRECT_BAND, ...DISTANCE_BANDS].find(band => band.emoji === emoji) || null;
+
+export const getBandByKey = (key) =>
+  [CORRECT_BAND, ...DISTANCE_BANDS].find(band => band.key === key) || null;
@@ -0,0 +1,144 @@
+import { calculateCentroid, geometryDistance, initialBearing } from './geo';
+import { buildNameIndex, lookupName, suggestName } from './nameResolver';
+
+export const MAX_GUESSES = 10;
+
+export const HARD_MAX_GUESSES = 6;
+
+// Default ruleset for the daily game; `maxGuesses: null` means unlimited.
+// With `hard` set every guess after the first must be closer to the target
+// than the one before.
+export const DEFAULT_RULES = {
+  maxGuesses: MAX_GUESSES,
+  hard: false
+};
+
+// Hard mode for the daily game. The interface also turns off autocomplete and
+// shows only distance bands for these games.
+export const HARD_RULES = {
+  maxGuesses: HARD_MAX_GUESSES,
+  hard: true
+};
+
+export const GAME_STATUS = {
+  PLAYING: 'playing',
+  WON: 'won',
+  LOST: 'lost'
+};
+
+// Reasons a guess can be rejected without counting as an attempt
+export const GUESS_ERRORS = {
+  EMPTY: 'empty',
+  UNKNOWN: 'unknown',
+  DUPLICATE: 'duplicate',
+  NOT_CLOSER: 'not-closer',
+  FINISHED: 'finished'
+};
+
+// Country named by `name` in any of its names, aliases or codes, limited to
+// `languages` when given
+export const findCountryByName = (dataset, name, { languages } = {}) =>
+  lookupName(buildNameIndex(dataset, { languages }), name);
+
+// [lon, lat] of a dataset entry, using its cached centroid when present
+const centroidOf = (country) => (
+  typeof country.latitude === 'number' && typeof country.longitude === 'number'
+    ? [country.longitude, country.latitude]
+    : calculateCentroid(country.geometry)
+);
+
+export const guessesLeft = (state) =>
+  state.rules.maxGuesses == null ? Infinity : state.rules.maxGuesses - state.guesses.length;
+
+// Create a headless game over `dataset` (a list of { id, name, geometry }).
+// `target` is a dataset entry or its id. Pass a previous `getState()` result
+// as `state` to resume a game. The returned state is plain JSON so it can be
+// stored or sent anywhere; nothing here touches the DOM or storage. `now`
+// supplies the millisecond timestamps recorded on the game and each guess.
+export const createGame = ({ target, dataset, rules = {}, state: savedState = null, now = Date.now }) => {
+  const targetId = typeof target === 'string' ? target : target?.id;
+  const targetCountry = dataset.find(country => country.id === targetId);
+  if (!targetCountry) {
+    throw new Error(`Unknown target country: ${targetId}`);
+  }
+
+  let state = savedState && savedState.targetId === targetId
+    ? JSON.parse(JSON.stringify(savedState))
+    : {
+        targetId,
+        rules: { ...DEFAULT_RULES, ...rules },
+        guesses: [],
+        status: GAME_STATUS.PLAYING,
+        startedAt: now()
+      };
+
+  const getState = () => JSON.parse(JSON.stringify(state));
+
+  // `languages` limits which localised names are accepted (all by default)
+  const submitGuess = (name, { languages } = {}) => {
+    if (state.status !== GAME_STATUS.PLAYING) {
+      return { ok: false, error: GUESS_ERRORS.FINISHED };
+    }
+
+    if (!name || !name.trim()) {
+      return { ok: false, error: GUESS_ERRORS.EMPTY };
+    }
+
+    const index = buildNameIndex(dataset, { languages });
+    const guessedCountry = lookupName(index, name);
+    if (!guessedCountry) {
+      // `suggestion` is the closest name for a "Did you mean…?" prompt
+      return { ok: false, error: GUESS_ERRORS.UNKNOWN, suggestion: suggestName(index, name) };
+    }
+
+    if (state.guesses.some(guess => guess.id === guessedCountry.id)) {
+      return { ok: false, error: GUESS_ERRORS.DUPLICATE, country: guessedCountry };
+    }
+
+    // Shortest distance between the two borders, 0 for neighbours; between
+    // the two points for cities
+    const correct = guessedCountry.id === targetCountry.id;
+    const distance = correct ? 0 : geometryDistance(guessedCountry.geometry, targetCountry.geometry);
+
+    // Hard mode: a guess must be closer than the last one. Bordering counts as
+    // closer after another bordering guess, since all neighbours are at 0.
+    const previous = state.guesses[state.guesses.length - 1];
+    if (state.rules.hard && previous && distance > 0 && distance >= previous.distance) {
+      return { ok: false, error: GUESS_ERRORS.NOT_CLOSER, country: guessedCountry };
+    }
+
+    // Direction from the guess toward the target, centroid to centroid
+    const [guessLon, guessLat] = centroidOf(guessedCountry);
+    const [targetLon, targetLat] = centroidOf(targetCountry);
+    const bearing = correct ? null : initialBearing(guessLat, guessLon, targetLat, targetLon);
+    const guess = {
+      id: guessedCountry.id,
+      name: guessedCountry.name,
+      distance,
+      bearing,
+      correct,
+      at: now()
+    };
+
+    const guesses = [...state.guesses, guess];
+    let status = GAME_STATUS.PLAYING;
+    if (correct) {
+      status = GAME_STATUS.WON;
+    } else if (state.rules.maxGuesses != null && guesses.length >= state.rules.maxGuesses) {
+      status = GAME_STATUS.LOST;
+    }
+
+    state = { ...state, guesses, status };
+    return { ok: true, guess, state: getState() };
+  };
+
+  // Dataset entry for an id, e.g. to draw a guess
+  const getCountry = (id) => dataset.find(country => country.id === id) || null;
+
+  return {
+    target: targetCountry,
+    submitGuess,
+    getState,
+    getCountry
+  };
+};
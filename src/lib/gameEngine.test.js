@@ -0,0 +1,137 @@
+import { countryData } from './countries';
+import { createGame, guessesLeft, GAME_STATUS, GUESS_ERRORS, HARD_RULES } from './gameEngine';
+import { compassDirection } from './geo';
+
+const square = (lon, lat) => ({
+  type: 'Polygon',
+  coordinates: [[[lon, lat], [lon + 1, lat], [lon + 1, lat + 1], [lon, lat + 1], [lon, lat]]]
+});
+
+const dataset = [
+  { id: 'AAA', name: 'Alpha', geometry: square(0, 0) },
+  { id: 'BBB', name: 'Bravo', geometry: square(1, 0) },
+  { id: 'CCC', name: 'Charlie', geometry: square(10, 0) },
+  { id: 'DDD', name: 'Delta', geometry: square(20, 0) }
+];
+
+describe('createGame', () => {
+  test('rejects an unknown target', () => {
+    expect(() => createGame({ target: 'ZZZ', dataset })).toThrow('Unknown target');
+  });
+
+  test('wins on the target and keeps neighbours as misses', () => {
+    const game = createGame({ target: 'AAA', dataset });
+
+    const neighbour = game.submitGuess('bravo');
+    expect(neighbour.ok).toBe(true);
+    expect(neighbour.guess).toMatchObject({ id: 'BBB', distance: 0, correct: false });
+    expect(neighbour.state.status).toBe(GAME_STATUS.PLAYING);
+
+    expect(game.submitGuess('Delta').guess.bearing).toBeCloseTo(270, 0);
+
+    const hit = game.submitGuess(' Alpha ');
+    expect(hit.guess.correct).toBe(true);
+    expect(game.getState().status).toBe(GAME_STATUS.WON);
+    expect(game.submitGuess('Charlie')).toEqual({ ok: false, error: GUESS_ERRORS.FINISHED });
+  });
+
+  test('rejects empty, unknown and repeated guesses without using a turn', () => {
+    const game = createGame({ target: 'AAA', dataset });
+    expect(game.submitGuess('  ').error).toBe(GUESS_ERRORS.EMPTY);
+    expect(game.submitGuess('Atlantis').error).toBe(GUESS_ERRORS.UNKNOWN);
+    game.submitGuess('Charlie');
+    expect(game.submitGuess('charlie').error).toBe(GUESS_ERRORS.DUPLICATE);
+    expect(game.getState().guesses).toHaveLength(1);
+  });
+
+  test('suggests the closest name for a near miss', () => {
+    const game = createGame({ target: 'AAA', dataset });
+    const miss = game.submitGuess('Charlee');
+    expect(miss).toMatchObject({ ok: false, error: GUESS_ERRORS.UNKNOWN });
+    expect(miss.suggestion.id).toBe('CCC');
+    expect(game.submitGuess('Atlantis').suggestion).toBeNull();
+  });
+
+  test('is lost once the guess limit is used up', () => {
+    const game = createGame({ target: 'AAA', dataset, rules: { maxGuesses: 2 } });
+    game.submitGuess('Charlie');
+    expect(guessesLeft(game.getState())).toBe(1);
+    game.submitGuess('Delta');
+    expect(game.getState().status).toBe(GAME_STATUS.LOST);
+  });
+
+  test('hard mode only accepts guesses closer than the last one', () => {
+    const game = createGame({ target: 'AAA', dataset, rules: HARD_RULES });
+    expect(game.getState().rules).toEqual({ maxGuesses: 6, hard: true });
+    game.submitGuess('Charlie');
+    expect(game.submitGuess('Delta')).toMatchObject({ ok: false, error: GUESS_ERRORS.NOT_CLOSER });
+    expect(game.getState().guesses).toHaveLength(1);
+    expect(game.submitGuess('Bravo').ok).toBe(true);
+    expect(game.submitGuess('Alpha').guess.correct).toBe(true);
+  });
+
+  test('allows unlimited guesses when maxGuesses is null', () => {
+    const game = createGame({ target: 'AAA', dataset, rules: { maxGuesses: null } });
+    ['Bravo', 'Charlie', 'Delta'].forEach(name => game.submitGuess(name));
+    expect(game.getState().status).toBe(GAME_STATUS.PLAYING);
+    expect(guessesLeft(game.getState())).toBe(Infinity);
+  });
+
+  test('accepts localised names, optionally in the given languages only', () => {
+    const localised = dataset.map(country => ({ ...country, names: { en: country.name, de: `${country.name}land` } }));
+    const game = createGame({ target: 'AAA', dataset: localised });
+    expect(game.submitGuess('charlieland').guess.id).toBe('CCC');
+    expect(game.submitGuess('Delta', { languages: ['de'] }).error).toBe(GUESS_ERRORS.UNKNOWN);
+    expect(game.submitGuess('Deltaland', { languages: ['de'] }).guess.id).toBe('DDD');
+    expect(game.submitGuess('Bravo', { languages: ['en'] }).guess.id).toBe('BBB');
+  });
+
+  test('timestamps the game and each guess', () => {
+    let clock = 1000;
+    const game = createGame({ target: 'AAA', dataset, now: () => clock });
+    clock = 5000;
+    game.submitGuess('Charlie');
+    expect(game.getState().startedAt).toBe(1000);
+    expect(game.getState().guesses[0].at).toBe(5000);
+  });
+
+  test('round-trips its state through JSON', () => {
+    const game = createGame({ target: 'AAA', dataset });
+    game.submitGuess('Charlie');
+    const saved = JSON.parse(JSON.stringify(game.getState()));
+
+    const resumed = createGame({ target: 'AAA', dataset, state: saved });
+    expect(resumed.getState()).toEqual(game.getState());
+    expect(resumed.submitGuess('Charlie').error).toBe(GUESS_ERRORS.DUPLICATE);
+  });
+
+  test('ignores saved state for a different target', () => {
+    const game = createGame({ target: 'AAA', dataset });
+    game.submitGuess('Charlie');
+    const other = createGame({ target: 'BBB', dataset, state: game.getState() });
+    expect(other.getState().guesses).toHaveLength(0);
+  });
+
+  test('measures point places from point to point', () => {
+    const cities = [
+      { id: 'BER', name: 'Berlin', geometry: { type: 'Point', coordinates: [13.405, 52.52] } },
+      { id: 'PAR', name: 'Paris', geometry: { type: 'Point', coordinates: [2.3522, 48.8566] } }
+    ];
+    const game = createGame({ target: 'PAR', dataset: cities });
+    expect(game.submitGuess('Berlin').guess.distance).toBeCloseTo(878, -1);
+  });
+
+  test('points from a guess toward the target across the real map', () => {
+    const direction = (target, guess) =>
+      compassDirection(createGame({ target, dataset: countryData }).submitGuess(guess).guess.bearing).label;
+    expect(direction('ESP', 'France')).toBe('SW');
+    expect(direction('AND', 'France')).toBe('S');
+    expect(direction('SWE', 'Norway')).toBe('NE');
+  });
+
+  test('looks up dataset entries by id', () => {
+    const game = createGame({ target: 'AAA', dataset });
+    expect(game.getCountry('CCC')).toBe(dataset[2]);
+    expect(game.getCountry('ZZZ')).toBeNull();
+  });
+});
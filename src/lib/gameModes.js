@@ -0,0 +1,90 @@
+import { countryById, countryData } from './countries';
+import { DEFAULT_DATASET, capitalsDataset, worldDataset } from './datasets';
+import { createGame } from './gameEngine';
+import { GAME_MODES } from './history';
+import { isPointPlace, randomPlace } from './places';
+import { countryInRegions, filterCountries } from './regions';
+import { silhouetteTargets } from './silhouette';
+import { challengeCodeFrom, decodeChallenge } from './challenge';
+
+// Which game is being played, and on what. The modes are those of the
+// history, where today's capitals puzzle has its own.
+export const PLAY_MODES = GAME_MODES;
+
+// A room takes over from everything else until it is left, then a challenge.
+// Otherwise practice, an archive puzzle or today's puzzle; capitals mode
+// swaps today's puzzle, not an archive one, for the capitals.
+export const currentMode = ({ roomTarget = null, challenge = null, isPracticeMode, archivePuzzle = null, capitals }) => {
+  if (roomTarget) return PLAY_MODES.ROOM;
+  if (challenge) return PLAY_MODES.CHALLENGE;
+  if (isPracticeMode) return PLAY_MODES.PRACTICE;
+  if (archivePuzzle) return PLAY_MODES.ARCHIVE;
+  return capitals ? PLAY_MODES.CAPITALS_DAILY : PLAY_MODES.DAILY;
+};
+
+// Practice is played on the picked map, or on the capitals in capitals mode
+export const practiceMap = ({ capitals, mapDataset }) => (capitals ? capitalsDataset : mapDataset);
+
+// Places of a practice map in the selected regions, when the map has regions
+export const regionPlaces = (map, selectedRegions, regionFilters) => (
+  map.hasRegions ? filterCountries(map.places, selectedRegions, regionFilters) : map.places
+);
+
+// A new practice game over `places`, aimed at one of them or, in a silhouette
+// game, at one that can be drawn. Null when there is nothing to play.
+export const startPracticeGame = (places, { silhouette = false, tiny = false } = {}) => {
+  if (places.length === 0) return null;
+  const targets = silhouette ? silhouetteTargets(places, { tiny }) : places;
+  return createGame({
+    target: randomPlace(targets),
+    dataset: places,
+    rules: { maxGuesses: null }
+  });
+};
+
+// Map a mode is played on. Rooms, challenges and archive puzzles are always
+// on the world countries.
+export const modeMap = (mode, practice) => {
+  if (mode === PLAY_MODES.PRACTICE) return practice;
+  if (mode === PLAY_MODES.CAPITALS_DAILY) return capitalsDataset;
+  return worldDataset;
+};
+
+// Countries a challenge is played over: its region, or the whole world
+export const challengeCountries = (challenge, regionFilters) =>
+  filterCountries(countryData, challenge.region ? [challenge.region] : [], regionFilters);
+
+// Places a guess may name: practice is limited to the selected regions and a
+// challenge to its region
+export const placesInPlay = (mode, { map, practice = [], challenge = null, regionFilters }) => {
+  if (mode === PLAY_MODES.CHALLENGE) return challengeCountries(challenge, regionFilters);
+  if (mode === PLAY_MODES.PRACTICE) return practice;
+  return map.places;
+};
+
+// Silhouettes need outlines, so maps of cities are played as usual
+export const isSilhouetteGame = (mode, { silhouette, practice }) => (
+  Boolean(silhouette) && mode === PLAY_MODES.PRACTICE && !isPointPlace(practice.places[0])
+);
+
+// History mode of a finished game, or null for one that isn't recorded. The
+// capitals puzzle and games on the world countries are; games on other maps
+// aren't, as replaying them needs places such a map may no longer have.
+export const recordedMode = (mode, map) => (
+  mode === PLAY_MODES.CAPITALS_DAILY || map.id === DEFAULT_DATASET ? mode : null
+);
+
+// Places a recorded game was played on, by id, to show and replay it
+export const recordedPlaces = (mode) => (mode === PLAY_MODES.CAPITALS_DAILY ? capitalsDataset.byId : countryById);
+
+// { challenge, error } from the ?challenge= link in `search`
+export const readChallengeLink = (search, regionFilters) => {
+  const code = challengeCodeFrom(search);
+  if (!code) return { challenge: null, error: null };
+  const result = decodeChallenge(code, {
+    isKnownTarget: id => countryById.has(id),
+    isKnownRegion: key => Boolean(regionFilters[key]),
+    isInRegion: (id, key) => countryInRegions(countryById.get(id), [key], regionFilters)
+  });
+  return result.ok ? { challenge: result.challenge, error: null } : { challenge: null, error: result.error };
+};
@@ -0,0 +1,143 @@
+import { capitalData } from './capitals';
+import { CHALLENGE_ERRORS, encodeChallenge } from './challenge';
+import { countryById, countryData } from './countries';
+import { capitalsDataset, createDataset, worldDataset } from './datasets';
+import {
+  PLAY_MODES,
+  challengeCountries,
+  currentMode,
+  isSilhouetteGame,
+  modeMap,
+  placesInPlay,
+  practiceMap,
+  readChallengeLink,
+  recordedMode,
+  recordedPlaces,
+  regionPlaces,
+  startPracticeGame
+} from './gameModes';
+import { GAME_MODES } from './history';
+import { buildRegionFilters, filtersWithPlaces } from './regions';
+
+const regionFilters = buildRegionFilters(countryData);
+const puzzle = { number: 120, date: '2024-05-01' };
+const challenge = { targetId: 'DEU', maxGuesses: 6, region: 'europe', from: null };
+
+describe('currentMode', () => {
+  const today = { isPracticeMode: false, capitals: false };
+
+  test('plays today\'s puzzle, of countries or capitals', () => {
+    expect(currentMode(today)).toBe(PLAY_MODES.DAILY);
+    expect(currentMode({ ...today, capitals: true })).toBe(PLAY_MODES.CAPITALS_DAILY);
+  });
+
+  test('keeps archive puzzles on countries', () => {
+    expect(currentMode({ ...today, capitals: true, archivePuzzle: puzzle })).toBe(PLAY_MODES.ARCHIVE);
+    expect(currentMode({ ...today, archivePuzzle: puzzle, isPracticeMode: true })).toBe(PLAY_MODES.PRACTICE);
+  });
+
+  test('lets a room, then a challenge, take over', () => {
+    const everything = { isPracticeMode: true, capitals: true, archivePuzzle: puzzle, challenge };
+    expect(currentMode({ ...everything, roomTarget: 'FRA' })).toBe(PLAY_MODES.ROOM);
+    expect(currentMode(everything)).toBe(PLAY_MODES.CHALLENGE);
+  });
+});
+
+describe('maps and places', () => {
+  const islands = createDataset('islands', countryData.filter(country => country.tiny));
+
+  test('practise on the picked map, or on the capitals', () => {
+    expect(practiceMap({ capitals: false, mapDataset: islands })).toBe(islands);
+    expect(practiceMap({ capitals: true, mapDataset: islands })).toBe(capitalsDataset);
+  });
+
+  test('play everything but practice and capitals on the world countries', () => {
+    expect(modeMap(PLAY_MODES.PRACTICE, islands)).toBe(islands);
+    expect(modeMap(PLAY_MODES.CAPITALS_DAILY, islands)).toBe(capitalsDataset);
+    [PLAY_MODES.DAILY, PLAY_MODES.ARCHIVE, PLAY_MODES.ROOM, PLAY_MODES.CHALLENGE].forEach(mode => {
+      expect(modeMap(mode, islands)).toBe(worldDataset);
+    });
+  });
+
+  test('limit practice to the selected regions when the map has them', () => {
+    const europe = regionPlaces(worldDataset, ['europe'], regionFilters);
+    expect(europe.some(country => country.id === 'FRA')).toBe(true);
+    expect(europe.some(country => country.id === 'JPN')).toBe(false);
+    expect(regionPlaces(worldDataset, [], regionFilters)).toEqual(countryData);
+
+    const plain = createDataset('plain', [{ id: 'A', name: 'A', latitude: 0, longitude: 0 }]);
+    expect(regionPlaces(plain, ['europe'], regionFilters)).toBe(plain.places);
+  });
+
+  test('practise on one of the practice places, or on nothing when there are none', () => {
+    const europe = regionPlaces(worldDataset, ['europe'], regionFilters);
+    const game = startPracticeGame(europe, { silhouette: true });
+    expect(europe).toContain(game.target);
+    expect(game.getState().rules.maxGuesses).toBeNull();
+
+    // A saved region the map doesn't have, once left out, is the whole map again
+    const mainland = createDataset('mainland', countryData.filter(country => country.subregion !== 'Micronesia'));
+    expect(regionPlaces(mainland, ['micronesia'], regionFilters)).toEqual([]);
+    expect(startPracticeGame(regionPlaces(mainland, ['micronesia'], regionFilters))).toBeNull();
+    const kept = ['micronesia'].filter(key => filtersWithPlaces(regionFilters, mainland.places)[key]);
+    expect(startPracticeGame(regionPlaces(mainland, kept, regionFilters))).not.toBeNull();
+  });
+
+  test('limit guesses to what is in play', () => {
+    const practice = regionPlaces(worldDataset, ['europe'], regionFilters);
+    expect(placesInPlay(PLAY_MODES.PRACTICE, { map: worldDataset, practice, regionFilters })).toBe(practice);
+    expect(placesInPlay(PLAY_MODES.CHALLENGE, { map: worldDataset, challenge, regionFilters }))
+      .toEqual(challengeCountries(challenge, regionFilters));
+    expect(placesInPlay(PLAY_MODES.CAPITALS_DAILY, { map: capitalsDataset, regionFilters })).toBe(capitalData);
+    expect(placesInPlay(PLAY_MODES.ROOM, { map: worldDataset, regionFilters })).toBe(countryData);
+  });
+
+  test('play a challenge over its region, or the world', () => {
+    expect(challengeCountries(challenge, regionFilters).every(country => country.continent === 'Europe')).toBe(true);
+    expect(challengeCountries({ ...challenge, region: null }, regionFilters)).toEqual(countryData);
+  });
+
+  test('only draw silhouettes of practice places with outlines', () => {
+    expect(isSilhouetteGame(PLAY_MODES.PRACTICE, { silhouette: true, practice: worldDataset })).toBe(true);
+    expect(isSilhouetteGame(PLAY_MODES.PRACTICE, { silhouette: false, practice: worldDataset })).toBe(false);
+    expect(isSilhouetteGame(PLAY_MODES.PRACTICE, { silhouette: true, practice: capitalsDataset })).toBe(false);
+    expect(isSilhouetteGame(PLAY_MODES.DAILY, { silhouette: true, practice: worldDataset })).toBe(false);
+  });
+});
+
+describe('recordedMode', () => {
+  test('records games on the world countries', () => {
+    Object.values(GAME_MODES).forEach(mode => {
+      expect(recordedMode(mode, worldDataset)).toBe(mode);
+    });
+  });
+
+  test('records the capitals puzzle under its own mode', () => {
+    expect(recordedMode(PLAY_MODES.CAPITALS_DAILY, capitalsDataset)).toBe(PLAY_MODES.CAPITALS_DAILY);
+    expect(recordedPlaces(PLAY_MODES.CAPITALS_DAILY).get('FRA').name).toBe('Paris');
+    expect(recordedPlaces(PLAY_MODES.DAILY)).toBe(countryById);
+  });
+
+  test('leaves out games on other maps', () => {
+    expect(recordedMode(PLAY_MODES.PRACTICE, capitalsDataset)).toBeNull();
+    expect(recordedMode(PLAY_MODES.PRACTICE, createDataset('uploaded', []))).toBeNull();
+  });
+});
+
+describe('readChallengeLink', () => {
+  const search = (value) => `?challenge=${encodeURIComponent(value)}`;
+
+  test('reads a challenge from the address', () => {
+    expect(readChallengeLink(search(encodeChallenge(challenge)), regionFilters)).toEqual({ challenge, error: null });
+    expect(readChallengeLink('', regionFilters)).toEqual({ challenge: null, error: null });
+  });
+
+  test('says why a link can\'t be played', () => {
+    expect(readChallengeLink(search(encodeChallenge({ targetId: 'XXX' })), regionFilters))
+      .toEqual({ challenge: null, error: CHALLENGE_ERRORS.UNKNOWN_COUNTRY });
+    expect(readChallengeLink(search(encodeChallenge({ ...challenge, targetId: 'JPN' })), regionFilters))
+      .toEqual({ challenge: null, error: CHALLENGE_ERRORS.INVALID });
+    expect(readChallengeLink(search('not a challenge'), regionFilters))
+      .toEqual({ challenge: null, error: CHALLENGE_ERRORS.INVALID });
+  });
+});
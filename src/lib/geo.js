@@ -0,0 +1,229 @@
+import { geoArea, geoCentroid } from 'd3';
+
+export const EARTH_RADIUS_KM = 6371;
+
+// Boundaries closer than this are treated as touching (shared borders in the
+// source data are not always digitised with identical vertices)
+const BORDER_TOLERANCE_KM = 1;
+// Number of boundary segments grouped into one bounding sphere
+const CHUNK_SIZE = 32;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Calculate distance between two points on Earth
+export const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+};
+
+// Initial great-circle bearing from point 1 toward point 2, in degrees
+// clockwise from north (0-360)
+export const initialBearing = (lat1, lon1, lat2, lon2) => {
+  const phi1 = toRad(lat1);
+  const phi2 = toRad(lat2);
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+const COMPASS_POINTS = [
+  { label: 'N', arrow: '↑' },
+  { label: 'NE', arrow: '↗' },
+  { label: 'E', arrow: '→' },
+  { label: 'SE', arrow: '↘' },
+  { label: 'S', arrow: '↓' },
+  { label: 'SW', arrow: '↙' },
+  { label: 'W', arrow: '←' },
+  { label: 'NW', arrow: '↖' }
+];
+
+// 8-point compass label and arrow for a bearing in degrees
+export const compassDirection = (bearing) => COMPASS_POINTS[Math.round(bearing / 45) % 8];
+
+// Spherical centroid of a Polygon, or of the largest part of a MultiPolygon,
+// as [lon, lat]. Weighing every part would put France in the Atlantic,
+// between Europe and French Guiana, so only the largest one counts. Works on
+// the sphere, so features crossing the antimeridian or covering a pole
+// (Russia, Fiji, Antarctica) don't get pulled toward lon 0 or the equator.
+// A Point is its own centroid.
+export const calculateCentroid = (geometry) => {
+  if (!geometry || !geometry.coordinates || geometry.coordinates.length === 0) return [0, 0];
+  if (geometry.type === 'Point') return [geometry.coordinates[0], geometry.coordinates[1]];
+
+  const parts = toPolygons(geometry).map(coordinates => orientForD3({ type: 'Polygon', coordinates }));
+  if (parts.length === 0) return [0, 0];
+  const largest = parts.reduce((best, part) => (geoArea(part) > geoArea(best) ? part : best));
+  const [lon, lat] = geoCentroid(largest);
+  if (Number.isNaN(lon) || Number.isNaN(lat)) return [0, 0];
+  return [lon, lat];
+};
+
+// Normalise Polygon and MultiPolygon coordinates to a list of polygons
+export const toPolygons = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+// d3-geo expects clockwise exterior rings while RFC 7946 GeoJSON is
+// counter-clockwise; a polygon covering more than a hemisphere is almost
+// certainly wound the other way, so reverse its rings
+export const orientForD3 = (geometry) => {
+  if (geoArea(geometry) <= 2 * Math.PI) return geometry;
+  const reverse = polygon => polygon.map(ring => [...ring].reverse());
+  return geometry.type === 'Polygon'
+    ? { ...geometry, coordinates: reverse(geometry.coordinates) }
+    : { ...geometry, coordinates: geometry.coordinates.map(reverse) };
+};
+
+// Unit vector on the sphere for a [lon, lat] position
+const toVector = ([lon, lat]) => {
+  const phi = toRad(lat);
+  const lambda = toRad(lon);
+  const cosPhi = Math.cos(phi);
+  return [cosPhi * Math.cos(lambda), cosPhi * Math.sin(lambda), Math.sin(phi)];
+};
+
+const squaredLength = (x, y, z) => x * x + y * y + z * z;
+
+// Squared chord length from point p to the straight segment a-b
+const squaredDistanceToSegment = (p, a, b) => {
+  const abx = b[0] - a[0];
+  const aby = b[1] - a[1];
+  const abz = b[2] - a[2];
+  const lengthSq = squaredLength(abx, aby, abz);
+  let t = 0;
+  if (lengthSq > 0) {
+    t = ((p[0] - a[0]) * abx + (p[1] - a[1]) * aby + (p[2] - a[2]) * abz) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+  }
+  return squaredLength(
+    p[0] - (a[0] + t * abx),
+    p[1] - (a[1] + t * aby),
+    p[2] - (a[2] + t * abz)
+  );
+};
+
+const chordToKm = (chord) => 2 * Math.asin(Math.min(1, chord / 2)) * EARTH_RADIUS_KM;
+
+// Split every ring into chunks of segments, each wrapped in a bounding sphere
+const buildChunks = (polygons) => {
+  const chunks = [];
+  polygons.forEach(rings => {
+    rings.forEach(ring => {
+      const vectors = ring.map(toVector);
+      for (let start = 0; start < vectors.length - 1; start += CHUNK_SIZE) {
+        const points = vectors.slice(start, start + CHUNK_SIZE + 1);
+        const center = [0, 0, 0];
+        points.forEach(p => {
+          center[0] += p[0] / points.length;
+          center[1] += p[1] / points.length;
+          center[2] += p[2] / points.length;
+        });
+        const radius = Math.sqrt(Math.max(...points.map(p =>
+          squaredLength(p[0] - center[0], p[1] - center[1], p[2] - center[2])
+        )));
+        chunks.push({ points, center, radius });
+      }
+    });
+  });
+  return chunks;
+};
+
+const chunkCache = new WeakMap();
+
+const getChunks = (geometry) => {
+  if (!chunkCache.has(geometry)) {
+    chunkCache.set(geometry, buildChunks(toPolygons(geometry)));
+  }
+  return chunkCache.get(geometry);
+};
+
+// Planar ray casting in lon/lat, good enough to detect enclosed geometries
+const ringContains = (ring, [x, y]) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const polygonContains = ([outer, ...holes], point) =>
+  ringContains(outer, point) && !holes.some(hole => ringContains(hole, point));
+
+const overlaps = (polygonsA, polygonsB) =>
+  polygonsA.some(([outer]) => polygonsB.some(polygon => polygonContains(polygon, outer[0])));
+
+const chunkDistanceSq = (chunkA, chunkB, bestSq) => {
+  let best = bestSq;
+  const measure = (from, to) => {
+    for (let i = 0; i < from.points.length; i++) {
+      for (let j = 0; j < to.points.length - 1; j++) {
+        const d = squaredDistanceToSegment(from.points[i], to.points[j], to.points[j + 1]);
+        if (d < best) best = d;
+      }
+    }
+  };
+  measure(chunkA, chunkB);
+  measure(chunkB, chunkA);
+  return best;
+};
+
+// Minimum great-circle distance in km between the boundaries of two
+// Polygon/MultiPolygon geometries; 0 when they share a border or overlap
+export const borderDistance = (geometryA, geometryB) => {
+  if (!geometryA || !geometryB) return Infinity;
+  if (geometryA === geometryB) return 0;
+
+  const polygonsA = toPolygons(geometryA);
+  const polygonsB = toPolygons(geometryB);
+  if (overlaps(polygonsA, polygonsB) || overlaps(polygonsB, polygonsA)) return 0;
+
+  const chunksA = getChunks(geometryA);
+  const chunksB = getChunks(geometryB);
+
+  // Visit chunk pairs nearest first so most of them can be skipped
+  const pairs = [];
+  chunksA.forEach(a => {
+    chunksB.forEach(b => {
+      const gap = Math.sqrt(squaredLength(
+        a.center[0] - b.center[0],
+        a.center[1] - b.center[1],
+        a.center[2] - b.center[2]
+      ));
+      pairs.push({ a, b, bound: Math.max(0, gap - a.radius - b.radius) });
+    });
+  });
+  pairs.sort((p, q) => p.bound - q.bound);
+
+  let bestSq = Infinity;
+  for (const { a, b, bound } of pairs) {
+    if (bound * bound >= bestSq) break;
+    bestSq = chunkDistanceSq(a, b, bestSq);
+  }
+
+  const distance = chordToKm(Math.sqrt(bestSq));
+  return distance < BORDER_TOLERANCE_KM ? 0 : distance;
+};
+
+// Distance in km between two places' geometries: point to point for Point
+// geometries such as cities, border to border for polygons
+export const geometryDistance = (geometryA, geometryB) => {
+  if (geometryA && geometryB && geometryA.type === 'Point' && geometryB.type === 'Point') {
+    const [lonA, latA] = geometryA.coordinates;
+    const [lonB, latB] = geometryB.coordinates;
+    return haversineDistance(latA, lonA, latB, lonB);
+  }
+  return borderDistance(geometryA, geometryB);
+};
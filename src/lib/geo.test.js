@@ -0,0 +1,146 @@
+import { borderDistance, calculateCentroid, compassDirection, geometryDistance, haversineDistance, initialBearing } from './geo';
+import countriesGeoJson from '../data/countries-50m.json';
+
+const featureGeometry = (name) =>
+  countriesGeoJson.features.find(feature => feature.properties.NAME === name).geometry;
+
+const square = (lon, lat, size = 1) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [lon, lat],
+    [lon + size, lat],
+    [lon + size, lat + size],
+    [lon, lat + size],
+    [lon, lat]
+  ]]
+});
+
+describe('haversineDistance', () => {
+  test('measures one degree of latitude', () => {
+    expect(haversineDistance(0, 0, 1, 0)).toBeCloseTo(111.19, 1);
+  });
+});
+
+describe('borderDistance', () => {
+  test('is 0 for geometries sharing a border', () => {
+    expect(borderDistance(square(0, 0), square(1, 0))).toBe(0);
+  });
+
+  test('is 0 when one geometry encloses the other', () => {
+    expect(borderDistance(square(0, 0, 10), square(4, 4, 1))).toBe(0);
+  });
+
+  test('measures the gap between the closest edges', () => {
+    // Squares on the equator two degrees apart, edge to edge
+    const distance = borderDistance(square(0, 0), square(3, 0));
+    expect(distance).toBeCloseTo(haversineDistance(0, 1, 0, 3), 0);
+  });
+
+  test('uses the nearest part of a MultiPolygon', () => {
+    const islands = {
+      type: 'MultiPolygon',
+      coordinates: [square(40, 0).coordinates, square(3, 0).coordinates]
+    };
+    expect(borderDistance(square(0, 0), islands)).toBeCloseTo(haversineDistance(0, 1, 0, 3), 0);
+  });
+
+  test('measures across the antimeridian', () => {
+    const distance = borderDistance(square(178, 0), square(-179, 0));
+    expect(distance).toBeCloseTo(haversineDistance(0, 179, 0, 181), 0);
+  });
+});
+
+describe('geometryDistance', () => {
+  const point = (lon, lat) => ({ type: 'Point', coordinates: [lon, lat] });
+
+  test('measures between points directly', () => {
+    expect(geometryDistance(point(0, 0), point(0, 1))).toBeCloseTo(111.19, 1);
+    expect(geometryDistance(point(2.35, 48.86), point(2.35, 48.86))).toBe(0);
+  });
+
+  test('measures between borders for polygons', () => {
+    expect(geometryDistance(square(0, 0), square(1, 0))).toBe(0);
+    expect(geometryDistance(square(0, 0), square(3, 0))).toBeCloseTo(borderDistance(square(0, 0), square(3, 0)), 5);
+  });
+});
+
+describe('calculateCentroid', () => {
+  test('returns the middle of a simple polygon', () => {
+    const [lon, lat] = calculateCentroid(square(10, 10, 2));
+    expect(lon).toBeCloseTo(11, 1);
+    expect(lat).toBeCloseTo(11, 1);
+  });
+
+  test('uses the largest part of a MultiPolygon', () => {
+    const [lon, lat] = calculateCentroid({
+      type: 'MultiPolygon',
+      coordinates: [square(20, 0, 1).coordinates, square(0, 0, 4).coordinates]
+    });
+    // The small square far east doesn't pull it off the large one
+    expect(lon).toBeCloseTo(2, 1);
+    expect(lat).toBeCloseTo(2, 1);
+  });
+
+  test('handles polygons across the antimeridian', () => {
+    const [lon, lat] = calculateCentroid({
+      type: 'Polygon',
+      coordinates: [[[178, 0], [-178, 0], [-178, 2], [178, 2], [178, 0]]]
+    });
+    expect(Math.abs(lon)).toBeCloseTo(180, 1);
+    expect(lat).toBeCloseTo(1, 1);
+  });
+
+  test('keeps France in Europe, away from its overseas parts', () => {
+    const [lon, lat] = calculateCentroid(featureGeometry('France'));
+    expect(lon).toBeGreaterThan(0);
+    expect(lon).toBeLessThan(5);
+    expect(lat).toBeGreaterThan(44);
+    expect(lat).toBeLessThan(49);
+  });
+
+  test('keeps Russia and Fiji on their side of the antimeridian', () => {
+    const [russiaLon, russiaLat] = calculateCentroid(featureGeometry('Russia'));
+    expect(russiaLon).toBeGreaterThan(80);
+    expect(russiaLon).toBeLessThan(110);
+    expect(russiaLat).toBeGreaterThan(55);
+
+    const [fijiLon, fijiLat] = calculateCentroid(featureGeometry('Fiji'));
+    expect(Math.abs(fijiLon)).toBeGreaterThan(175);
+    expect(fijiLat).toBeCloseTo(-17.5, 0);
+  });
+
+  test('places polar features near the pole', () => {
+    const [, lat] = calculateCentroid(featureGeometry('Antarctica'));
+    expect(lat).toBeLessThan(-80);
+
+    const [, capLat] = calculateCentroid({
+      type: 'Polygon',
+      coordinates: [[[0, 80], [90, 80], [180, 80], [-90, 80], [0, 80]]]
+    });
+    expect(capLat).toBeCloseTo(90, 0);
+  });
+
+  test('falls back to [0, 0] for missing geometry', () => {
+    expect(calculateCentroid(null)).toEqual([0, 0]);
+  });
+});
+
+describe('initialBearing', () => {
+  test('points along the cardinal directions', () => {
+    expect(initialBearing(0, 0, 10, 0)).toBeCloseTo(0);
+    expect(initialBearing(0, 0, 0, 10)).toBeCloseTo(90);
+    expect(initialBearing(10, 0, 0, 0)).toBeCloseTo(180);
+    expect(initialBearing(0, 10, 0, 0)).toBeCloseTo(270);
+  });
+
+  test('takes the short way across the antimeridian', () => {
+    expect(initialBearing(0, 179, 0, -179)).toBeCloseTo(90);
+  });
+
+  test('maps to 8-point compass labels', () => {
+    expect(compassDirection(0)).toEqual({ label: 'N', arrow: '↑' });
+    expect(compassDirection(50).label).toBe('NE');
+    expect(compassDirection(350).label).toBe('N');
+    expect(compassDirection(225).label).toBe('SW');
+  });
+});
@@ -0,0 +1,64 @@
+import { GAME_STATUS } from './gameEngine';
+import { readJson, writeJson } from './storage';
+
+// Log of every finished game, newest first. Unlike the stats, which only keep
+// totals, each entry has enough to replay the game guess by guess:
+// { id, mode, date, puzzle, targetId, won, hard, startedAt, finishedAt,
+//   guesses: [{ id, distance, bearing, correct, at }] }
+
+export const HISTORY_KEY = 'geoGlobeHistory';
+
+export const GAME_MODES = {
+  DAILY: 'daily',
+  ARCHIVE: 'archive',
+  PRACTICE: 'practice',
+  ROOM: 'room',
+  CHALLENGE: 'challenge',
+  // Today's capital city puzzle. Its places are the capitals, which share
+  // their ids with their countries.
+  CAPITALS_DAILY: 'capitals-daily'
+};
+
+// Modes with one game per puzzle
+const PUZZLE_MODES = [GAME_MODES.DAILY, GAME_MODES.ARCHIVE, GAME_MODES.CAPITALS_DAILY];
+
+// Oldest entries are dropped past this, to stay well inside localStorage
+export const MAX_HISTORY = 1000;
+
+export const loadHistory = (storage = window.localStorage) =>
+  readJson(storage, HISTORY_KEY, { fallback: [], isValid: Array.isArray });
+
+export const saveHistory = (history, storage = window.localStorage) => writeJson(storage, HISTORY_KEY, history);
+
+// History entry for a finished game. `date` is the puzzle's day for daily,
+// capitals and archive games and the day it was played for practice; `puzzle` is the
+// puzzle number, or null in practice.
+export const createHistoryEntry = ({ mode, date, puzzle = null, state }) => {
+  const guesses = state.guesses.map(({ id, distance, bearing, correct, at }) => ({
+    id,
+    distance,
+    bearing,
+    correct,
+    at: at ?? null
+  }));
+  const finishedAt = guesses.length > 0 ? guesses[guesses.length - 1].at : null;
+  const startedAt = state.startedAt ?? (guesses.length > 0 ? guesses[0].at : null);
+
+  return {
+    // One entry per puzzle; any other game is told apart by when it started
+    id: PUZZLE_MODES.includes(mode) ? `${mode}:${date}` : `${mode}:${startedAt}`,
+    mode,
+    date,
+    puzzle,
+    targetId: state.targetId,
+    won: state.status === GAME_STATUS.WON,
+    hard: Boolean(state.rules && state.rules.hard),
+    startedAt,
+    finishedAt,
+    guesses
+  };
+};
+
+// Add an entry to the front of `history`, replacing any entry with its id
+export const recordGame = (history, entry) =>
+  [entry, ...history.filter(item => item.id !== entry.id)].slice(0, MAX_HISTORY);
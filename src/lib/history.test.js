@@ -0,0 +1,72 @@
+import { GAME_MODES, MAX_HISTORY, createHistoryEntry, recordGame } from './history';
+
+const state = {
+  targetId: 'FRA',
+  rules: { maxGuesses: 10 },
+  startedAt: 1000,
+  status: 'won',
+  guesses: [
+    { id: 'DEU', name: 'Germany', distance: 0, bearing: 250, correct: false, at: 2000 },
+    { id: 'FRA', name: 'France', distance: 0, bearing: null, correct: true, at: 3000 }
+  ]
+};
+
+describe('createHistoryEntry', () => {
+  test('keeps the target, ordered guesses and timestamps', () => {
+    const entry = createHistoryEntry({ mode: GAME_MODES.DAILY, date: '2024-03-05', puzzle: 65, state });
+    expect(entry).toEqual({
+      id: 'daily:2024-03-05',
+      mode: 'daily',
+      date: '2024-03-05',
+      puzzle: 65,
+      targetId: 'FRA',
+      won: true,
+      hard: false,
+      startedAt: 1000,
+      finishedAt: 3000,
+      guesses: [
+        { id: 'DEU', distance: 0, bearing: 250, correct: false, at: 2000 },
+        { id: 'FRA', distance: 0, bearing: null, correct: true, at: 3000 }
+      ]
+    });
+  });
+
+  test('tells practice games apart by start time', () => {
+    const entry = createHistoryEntry({ mode: GAME_MODES.PRACTICE, date: '2024-03-05', state });
+    expect(entry.id).toBe('practice:1000');
+    expect(entry.puzzle).toBeNull();
+    expect(createHistoryEntry({ mode: GAME_MODES.ROOM, date: '2024-03-05', state }).id).toBe('room:1000');
+    expect(createHistoryEntry({ mode: GAME_MODES.CHALLENGE, date: '2024-03-05', state }).id).toBe('challenge:1000');
+  });
+
+  test('keeps one entry per capitals puzzle, apart from the country one', () => {
+    const entry = createHistoryEntry({ mode: GAME_MODES.CAPITALS_DAILY, date: '2024-03-05', puzzle: 60, state });
+    expect(entry).toMatchObject({ id: 'capitals-daily:2024-03-05', mode: 'capitals-daily', puzzle: 60 });
+  });
+
+  test('copes with guesses saved before timestamps existed', () => {
+    const old = { ...state, startedAt: undefined, guesses: state.guesses.map(({ at, ...guess }) => guess) };
+    const entry = createHistoryEntry({ mode: GAME_MODES.DAILY, date: '2024-03-05', puzzle: 65, state: old });
+    expect(entry.startedAt).toBeNull();
+    expect(entry.guesses[0].at).toBeNull();
+  });
+});
+
+describe('recordGame', () => {
+  test('puts new games first and replaces a game with the same id', () => {
+    const first = createHistoryEntry({ mode: GAME_MODES.DAILY, date: '2024-03-05', puzzle: 65, state });
+    const second = createHistoryEntry({ mode: GAME_MODES.ARCHIVE, date: '2024-03-01', puzzle: 61, state });
+    const history = recordGame(recordGame(recordGame([], first), second), { ...first, won: false });
+    expect(history.map(entry => entry.id)).toEqual(['daily:2024-03-05', 'archive:2024-03-01']);
+    expect(history[0].won).toBe(false);
+  });
+
+  test('drops the oldest games past the limit', () => {
+    let history = [];
+    for (let i = 0; i <= MAX_HISTORY; i++) {
+      history = recordGame(history, { id: `practice:${i}` });
+    }
+    expect(history).toHaveLength(MAX_HISTORY);
+    expect(history[history.length - 1].id).toBe('practice:1');
+  });
+});
@@ -0,0 +1,1571 @@
+// Languages and interface strings. Every language listed here has country
+// names in the Natural Earth data (the NAME_XX properties), so guesses are
+// accepted in all of them. Only the ones with interface strings in `messages`
+// can be picked as the interface language. `rtl` marks right-to-left scripts.
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = {
+  ar: { label: 'العربية', nameField: 'NAME_AR', rtl: true },
+  bn: { label: 'বাংলা', nameField: 'NAME_BN' },
+  de: { label: 'Deutsch', nameField: 'NAME_DE' },
+  el: { label: 'Ελληνικά', nameField: 'NAME_EL' },
+  en: { label: 'English', nameField: 'NAME_EN' },
+  es: { label: 'Español', nameField: 'NAME_ES' },
+  fa: { label: 'فارسی', nameField: 'NAME_FA', rtl: true },
+  fr: { label: 'Français', nameField: 'NAME_FR' },
+  he: { label: 'עברית', nameField: 'NAME_HE', rtl: true },
+  hi: { label: 'हिन्दी', nameField: 'NAME_HI' },
+  hu: { label: 'Magyar', nameField: 'NAME_HU' },
+  id: { label: 'Bahasa Indonesia', nameField: 'NAME_ID' },
+  it: { label: 'Italiano', nameField: 'NAME_IT' },
+  ja: { label: '日本語', nameField: 'NAME_JA' },
+  ko: { label: '한국어', nameField: 'NAME_KO' },
+  nl: { label: 'Nederlands', nameField: 'NAME_NL' },
+  pl: { label: 'Polski', nameField: 'NAME_PL' },
+  pt: { label: 'Português', nameField: 'NAME_PT' },
+  ru: { label: 'Русский', nameField: 'NAME_RU' },
+  sv: { label: 'Svenska', nameField: 'NAME_SV' },
+  tr: { label: 'Türkçe', nameField: 'NAME_TR' },
+  uk: { label: 'Українська', nameField: 'NAME_UK' },
+  ur: { label: 'اردو', nameField: 'NAME_UR', rtl: true },
+  vi: { label: 'Tiếng Việt', nameField: 'NAME_VI' },
+  zh: { label: '简体中文', nameField: 'NAME_ZH', wikipedia: 'zh' },
+  zht: { label: '繁體中文', nameField: 'NAME_ZHT', wikipedia: 'zh', locale: 'zh-Hant' }
+};
+
+const messages = {
+  en: {
+    practiceTag: '(Practice)',
+    puzzleNumber: 'Puzzle #{number}',
+    statsButton: 'Stats',
+    howToPlayButton: 'How to Play',
+    settingsButton: 'Settings',
+    guessesLeft: '{count} Guesses Left',
+    inputPlaceholder: 'Enter country name...',
+    guessButton: 'Guess',
+    correct: 'Correct!',
+    bordering: 'Bordering',
+    distance: 'Distance: {distance}',
+    direction: 'Direction: {direction}',
+    headToward: 'Head {direction} toward the target',
+
+    noPracticePlacesTitle: 'Nothing to practise',
+    noPracticePlaces: 'This map has no places in the selected regions. Pick other regions in the settings.',
+    notReadyTitle: 'Game not ready',
+    notReadyDescription: 'Please wait a moment and try again',
+    emptyGuessTitle: 'Empty guess',
+    emptyGuessDescription: 'Please enter a country name',
+    outsideRegionTitle: 'Outside selected regions',
+    outsideRegionDescription: "{country} isn't in the regions you're practicing",
+    invalidCountryTitle: 'Invalid country',
+    invalidCountryDescription: 'Please enter a valid country name',
+    didYouMean: 'Did you mean {country}? Press Enter to guess it.',
+    alreadyGuessedTitle: 'Already Guessed',
+    alreadyGuessedDescription: "You've already guessed {country}. Try a different country!",
+    practiceWinDescription: 'You found {country}! Click "Play Again" to try another country.',
+    errorTitle: 'Error',
+    errorDescription: 'An error occurred while processing your guess. Please try again.',
+    copiedTitle: 'Copied!',
+    copiedDescription: 'Your result is on the clipboard, ready to paste',
+    shareFailedTitle: 'Could not share',
+    shareFailedDescription: 'Your browser blocked access to the clipboard',
+
+    congratulations: '🎉 Congratulations!',
+    gameOver: 'Game Over',
+    foundInOne: 'You found {country} in 1 guess!',
+    foundIn: 'You found {country} in {count} guesses!',
+    answerWas: 'The country was {country}',
+    learnMore: 'Learn more about {country} on Wikipedia',
+    comeBackTomorrow: 'Come back tomorrow for a new challenge!',
+    share: 'Share',
+    playAgain: 'Play Again',
+
+    close: 'Close',
+    globeLabel: 'Globe showing your guesses. Arrow keys rotate it, + and - zoom, 0 resets the view.',
+    globeKeys: 'Use the arrow keys to rotate, + and - to zoom and 0 to reset the view',
+    announceCorrect: '{country} is correct!',
+    announceGuess: '{country}: {distance}, {band}.',
+    bandVeryClose: 'very close',
+    bandClose: 'close',
+    bandFar: 'far',
+    bandVeryFar: 'very far',
+
+    dashboardButton: 'Dashboard',
+    dashboardTitle: 'Statistics Dashboard',
+    dashboardAll: 'All games',
+    dashboardDaily: 'Daily puzzles',
+    dashboardPractice: 'Practice',
+    dashboardEmpty: 'Finish a game to see charts here.',
+    averageGuessesTitle: 'Guesses over time',
+    averageGuessesDescription: 'Guesses per win, with the average of the last {count} wins as a line',
+    noWinsYet: 'No wins yet.',
+    firstGuessTitle: 'First guess distance',
+    firstGuessDescription: 'How far your opening guess was from the target in each game',
+    mostMissedTitle: 'Most missed',
+    mostMissedDescription: "Targets you didn't find, and the continents they're on",
+    missedCountries: 'Countries',
+    continentAfrica: 'Africa',
+    continentAntarctica: 'Antarctica',
+    continentAsia: 'Asia',
+    continentEurope: 'Europe',
+    continentNorthAmerica: 'North America',
+    continentOceania: 'Oceania',
+    continentSevenSeas: 'Open ocean',
+    continentSouthAmerica: 'South America',
+    missedContinents: 'Continents',
+    missedCount: '{missed} of {played} missed',
+    noMisses: 'Nothing missed yet.',
+    winRateMapTitle: 'Win rate by country',
+    winRateMapDescription: "Share of games won for each target country you've played",
+    winRateTooltip: '{country}: won {won} of {played}',
+    notPlayed: 'not played',
+    statisticsTitle: 'Statistics',
+    capitalStatisticsTitle: 'Capitals Statistics',
+    played: 'Played',
+    winPercent: 'Win %',
+    streak: 'Streak',
+    maxStreak: 'Max Streak',
+    lastPlayed: 'Last played: Puzzle #{number}',
+    guessDistribution: 'Guess Distribution',
+
+    archiveButton: 'Archive',
+    archiveTitle: 'Archive',
+    archiveTag: '(Archive)',
+    archiveDescription: 'Play any past daily puzzle. Archive games are scored here and never change your daily streak.',
+    archiveWinDescription: 'You found {country}! Pick another day from the archive.',
+    archiveDayLabel: 'Puzzle #{number}, {date}: {status}',
+    archiveWon: 'Won',
+    archiveLost: 'Lost',
+    archiveInProgress: 'In progress',
+    archiveUnplayed: 'Not played',
+    previousMonth: 'Previous month',
+    nextMonth: 'Next month',
+    backToToday: "Back to today's puzzle",
+
+    historyButton: 'Game History',
+    historyTitle: 'Game History',
+    historyEmpty: 'Finished games will appear here.',
+    historyWon: 'Won in {count}',
+    historyLost: 'Lost',
+    modeDaily: 'Daily',
+    modeArchive: 'Archive',
+    modePractice: 'Practice',
+    modeRoom: 'Room',
+    modeCapitals: 'Capitals',
+    modeChallenge: 'Challenge',
+    replay: 'Replay',
+    replayGame: 'Replay the game for {country}',
+    replaying: '{game}: {country}',
+    replayProgress: 'Guess {step} of {total}',
+    restartReplay: 'Restart',
+    stopReplay: 'Stop',
+
+    howToPlayTitle: 'How to Play',
+    welcome: 'Welcome to Globle! Try to guess the mystery country in 6 tries or less.',
+    howItWorks: 'How it works:',
+    ruleType: 'Type a country name and press enter to make a guess',
+    ruleHighlight: 'The globe will highlight your guess and show how close you are',
+    ruleColors: 'Use the colors below to gauge your distance from the target',
+    ruleBorders: 'Distances are measured border to border, so a neighbouring country shows as "Bordering"',
+    globeInteractive: 'The globe is interactive! You can:',
+    globeDrag: 'Drag to rotate the view',
+    globeScroll: 'Scroll to zoom in/out',
+    globeTilt: 'Click and hold to tilt the perspective',
+    dailyNote: 'A new country is selected each day at 00:00 UTC, the same one for every player. Come back daily to test your geography knowledge!',
+    distanceIndicators: 'Distance Indicators:',
+    closer: 'Closer',
+    further: 'Further',
+
+    speedRunButton: 'Speed Run',
+    speedRunTitle: 'Speed Run',
+    speedRunDescription: 'Find as many countries as you can before time runs out. A new target appears after each find. Regions: {regions}.',
+    speedRunStart: '{count} minutes',
+    speedRunMinutes: '{count} min',
+    speedRunInProgress: 'Run in progress: {time} left, {count} found.',
+    speedRunStop: 'Stop run',
+    speedRunScore: '{found} found in {guesses} guesses',
+    speedRunNewBest: 'New personal best!',
+    speedRunBests: 'Personal Bests',
+    speedRunNoBests: 'Finish a run to set a personal best.',
+    speedRunDuration: 'Time',
+    speedRunFoundColumn: 'Found',
+    speedRunGuessesColumn: 'Guesses',
+    speedRunFound: '{count} found',
+    speedRunTimeLeft: '{time} left',
+    speedRunFoundTitle: '{country}!',
+    speedRunNext: 'Next target…',
+    partyMode: 'Pass and Play',
+    partyModeDescription: '2-6 players take turns on this screen to find the same country',
+    partySetUp: 'Set up',
+    partyTitle: 'Pass and Play',
+    partyDescription: "Name the players in the order they'll take turns. Each player's guesses are outlined in their colour, and the first to find the country wins the game.",
+    partyPlayerName: 'Player {number}',
+    partyRemovePlayer: 'Remove player {number}',
+    partyAddPlayer: 'Add player',
+    partyStart: 'Start playing',
+    partyTooFew: 'Add at least {min} players.',
+    partyTooMany: 'At most {max} players can play.',
+    partyEmptyName: 'Every player needs a name.',
+    partyDuplicateName: 'Each player needs a different name.',
+    partyScoreboard: 'Scoreboard',
+    partyGameNumber: 'Game {number} of this session',
+    partyPlayer: 'Player',
+    partyWins: 'Wins',
+    partyClosestRounds: 'Closest rounds',
+    partyResume: 'Back to the game',
+    partyEnd: 'End session',
+    partyTurn: "{player}'s turn",
+    partyGuessBy: 'Guessed by {player}',
+    partyWinner: '{player} wins this game!',
+    partyWinDescription: '{player} found {country}!',
+    roomButton: 'Rooms',
+    roomTitle: 'Play Online',
+    roomDescription: "Race friends on other devices. Create a room and share its code, or join one with a code. Everyone gets the same country, and you can follow each other's guesses live.",
+    roomYourName: 'Your name',
+    roomCreate: 'Create a room',
+    roomCode: 'Room code',
+    roomJoin: 'Join',
+    roomConnecting: 'Connecting…',
+    roomInvalidCode: 'Room codes are 4 letters or digits.',
+    roomInvalidName: 'Enter a name of up to 20 characters.',
+    roomNotFound: "There's no room with that code.",
+    roomFull: 'That room is full.',
+    roomNameTaken: 'Someone in that room already has that name.',
+    roomInvalidMessage: "The room server sent something this game doesn't understand.",
+    roomConnectionFailed: "Couldn't reach the room server. Is it running?",
+    roomJoinedTitle: "You're in room {code}",
+    roomShareCode: 'Share the code so others can join. Everyone plays the same country.',
+    roomDisconnectedTitle: 'Room connection lost',
+    roomDisconnected: "You're no longer connected to the room. You can finish the game, but the others won't see your guesses.",
+    roomStandings: 'Standings',
+    roomResults: 'Results',
+    roomPlayer: 'Player',
+    roomGuesses: 'Guesses',
+    roomTime: 'Time',
+    roomYou: 'you',
+    roomPlaying: 'Playing',
+    roomOutOfGuesses: 'Out of guesses',
+    roomLeft: 'Left',
+    roomLeave: 'Leave room',
+    roomTag: 'Room {code}',
+    roomWinDescription: 'You found {country}! See how the others are doing.',
+    challengeFriend: 'Challenge a friend',
+    challengeSettingDescription: 'Pick a country and send it as a link',
+    challengeCreate: 'Create',
+    challengeTitle: 'Challenge a Friend',
+    challengeDescription: "Pick the country your friend has to find. The link hides it, so they can't read it off the address.",
+    challengeTarget: 'Country',
+    challengeTargetPlaceholder: 'Type a country name',
+    challengeUnknownTarget: "That isn't a country in the game.",
+    challengeGuessLimit: 'Guess limit',
+    challengeUnlimited: 'Unlimited',
+    challengeGuesses: '{count} guesses',
+    challengeRegion: 'Region',
+    challengeRegionDescription: 'Only countries in this region can be guessed.',
+    challengeYourName: 'Your name (optional)',
+    challengeNamePlaceholder: 'Shown to your friend',
+    challengeIncludesResult: 'Your result for this country goes with the challenge.',
+    challengeNoResult: 'Finish a game on this country first to send your result with it.',
+    challengeCreateLink: 'Create link',
+    challengeLink: 'Challenge link',
+    challengeShare: 'Share link',
+    challengeCopied: 'Link copied!',
+    challengeTag: 'Challenge',
+    challengeWinDescription: 'You found {country}! See how you did against the challenger.',
+    challengeYou: 'You',
+    challengeChallenger: 'Challenger',
+    challengePickedOnly: 'Picked this country',
+    challengeAhead: 'You beat the challenger!',
+    challengeBehind: 'The challenger did better this time.',
+    challengeTie: "It's a tie!",
+    challengeLinkFailedTitle: "Can't open this challenge",
+    challengeInvalidLink: 'The challenge link is incomplete or damaged.',
+    challengeUnknownCountry: "The challenge is for a country this version of the game doesn't have.",
+    datasetTitle: 'Practice map',
+    datasetDescription: 'Practice games are played on this map. The daily puzzle, the archive, rooms and challenges always use the world countries, and only games on them go into your history.',
+    datasetCountries: 'World countries',
+    datasetCountriesSimplified: 'World countries, simplified borders',
+    datasetCountriesCustom: 'World countries, alternative borders',
+    datasetUploaded: 'Your map: {name}',
+    datasetLoading: 'Loading map…',
+    datasetUploadDescription: 'Or play on your own GeoJSON file, such as states, regions or office locations. Each place needs a polygon outline or a point, a name and a unique id.',
+    datasetChooseFile: 'Choose a GeoJSON file',
+    datasetNameField: 'Name property',
+    datasetIdField: 'Id property',
+    datasetAliasFields: 'Other accepted names (properties, comma-separated)',
+    datasetUse: 'Play on this map',
+    datasetUploadedTitle: 'Map loaded',
+    datasetUploadedDescription: 'Practice games are now played on {name}.',
+    datasetNotSaved: '{name} is too big to keep on this device, so it only lasts until the page is closed.',
+    datasetLoadFailedTitle: 'Map unavailable',
+    datasetLoadFailedDescription: "The practice map couldn't be loaded, so you're back on the world countries.",
+    datasetInvalidJson: "This file isn't valid JSON.",
+    datasetNotFeatureCollection: "This file isn't a GeoJSON FeatureCollection.",
+    datasetMissingFields: "Pick the properties that hold each place's name and id.",
+    datasetTooFewPlaces: 'A map needs at least {count} places.',
+    datasetUnsupportedGeometry: 'Feature {feature} has no polygon outline or point. Only Polygon, MultiPolygon and Point features can be played.',
+    datasetMissingName: 'Feature {feature} has no {field}.',
+    datasetMissingId: 'Feature {feature} has no {field}.',
+    datasetDuplicateId: 'Feature {feature} repeats the id {value}. Each place needs its own id.',
+    silhouetteMode: 'Silhouette',
+    silhouetteModeDescription: 'Practice from the outline of the target alone. Guesses stay off the globe, with their distance and direction listed below, and the globe flies to the answer once you find it.',
+    silhouetteTiny: 'Tiny Islands',
+    silhouetteTinyDescription: 'Include small island nations, whose outlines are hard to make out',
+    silhouetteTag: '(Silhouette)',
+    silhouetteLabel: 'Outline of the place to find',
+    capitalsMode: 'Capital Cities',
+    capitalsModeDescription: "Find a capital city instead of a country, in the daily puzzle and in practice. Distances are measured between the cities. Capital games don't count towards your statistics.",
+    capitalsTag: '(Capitals)',
+    capitalsPlaceholder: 'Enter capital city...',
+    capitalOf: '{city}, {country}',
+    datasetCapitalsNote: 'Capital cities mode is on, so practice games use the capitals instead of this map.',
+    datasetMixedGeometry: 'Feature {feature} is a {value}, but earlier features are not. A file must hold only outlines or only points.',
+    settingsTitle: 'Settings',
+    gameModes: 'Game Modes',
+    practiceMode: 'Practice Mode',
+    practiceModeDescription: 'Play unlimited games with random countries',
+    regionEurope: 'Europe',
+    regionAsia: 'Asia',
+    regionAmericas: 'Americas',
+    regionAfrica: 'Africa',
+    regionOceania: 'Oceania',
+    regionNorthAmerica: 'North America',
+    regionAustraliaAndNewZealand: 'Australia and New Zealand',
+    regionCaribbean: 'Caribbean',
+    regionCentralAmerica: 'Central America',
+    regionCentralAsia: 'Central Asia',
+    regionEasternAfrica: 'Eastern Africa',
+    regionEasternAsia: 'Eastern Asia',
+    regionEasternEurope: 'Eastern Europe',
+    regionMelanesia: 'Melanesia',
+    regionMicronesia: 'Micronesia',
+    regionMiddleAfrica: 'Middle Africa',
+    regionNorthernAfrica: 'Northern Africa',
+    regionNorthernAmerica: 'Northern America',
+    regionNorthernEurope: 'Northern Europe',
+    regionPolynesia: 'Polynesia',
+    regionSouthAmerica: 'South America',
+    regionSouthEasternAsia: 'South-Eastern Asia',
+    regionSouthernAfrica: 'Southern Africa',
+    regionSouthernAsia: 'Southern Asia',
+    regionSouthernEurope: 'Southern Europe',
+    regionWesternAfrica: 'Western Africa',
+    regionWesternAsia: 'Western Asia',
+    regionWesternEurope: 'Western Europe',
+    regionSelection: 'Region Selection',
+    regionSelectionDescription: 'Choose one or more regions to practice',
+    allCountries: 'All Countries',
+    subregions: 'Sub-regions',
+    globeSettings: 'Globe Settings',
+    autoRotate: 'Auto-Rotate',
+    autoRotateDescription: 'Globe automatically rotates when idle',
+    globeStyle: 'Globe Style',
+    styleDefault: 'Default',
+    styleSatellite: 'Satellite',
+    styleDark: 'Dark',
+    interface: 'Interface',
+    language: 'Language',
+    languageDescription: 'Used for the interface and country names',
+    acceptGuesses: 'Accept guesses in',
+    anyLanguage: 'Any language',
+    selectedLanguage: 'Selected language',
+    distanceGuide: 'Distance Guide',
+    distanceGuideDescription: 'Show color guide for distances',
+    previousGuesses: 'Previous Guesses',
+    previousGuessesDescription: 'Show list of previous guesses',
+    directionHints: 'Direction Hints',
+    directionHintsDescription: 'Show a compass arrow from each guess toward the target',
+    distanceUnit: 'Distance Unit',
+    kilometers: 'Kilometers',
+    miles: 'Miles',
+    colorPalette: 'Colour Palette',
+    colorPaletteDescription: 'Colours used for distances on the globe and in the guide',
+    paletteDefault: 'Default',
+    paletteDeuteranopia: 'Deuteranopia',
+    paletteHighContrast: 'High contrast',
+    paletteMonochrome: 'Monochrome',
+    yourData: 'Your Data',
+    yourDataDescription: 'Stats and history are stored in this browser only. Export them to keep a copy or move them to another device.',
+    exportJson: 'Export JSON',
+    exportCsv: 'Export games (CSV)',
+    importData: 'Import JSON file',
+    importedTitle: 'Data imported',
+    importedDescription: 'Added {games} games and {archive} archive puzzles. Conflicts: {conflicts}.',
+    importFailedTitle: 'Import failed',
+    importInvalidJson: "The file isn't valid JSON.",
+    importWrongApp: "The file isn't a Globle export.",
+    importUnsupportedVersion: 'The file was exported by a newer version of Globle.',
+    importInvalidData: 'The {section} in the file are damaged.',
+    importConflicts: 'These games differ in the imported file. Your local results were kept:',
+    importConflictHistory: 'Game {game}',
+    importConflictArchive: 'Archive puzzle of {date}',
+    hardTag: 'Hard',
+    hardMode: 'Hard Mode',
+    hardModeDescription: 'For the daily puzzle: {count} guesses, no autocomplete, only distance bands, and every guess must be closer than the last',
+    hardModeLocked: "Locked until tomorrow's puzzle: today's game has started.",
+    hardModeRecord: 'Hard mode: won {won} of {played}',
+    notCloserTitle: 'Not closer',
+    notCloserDescription: "Hard mode: {country} isn't closer than your last guess. Try another country.",
+    announceBand: '{country}: {band}.',
+    settingsSaved: 'Settings are automatically saved to your device'
+  },
+
+  de: {
+    practiceTag: '(Übung)',
+    puzzleNumber: 'Rätsel #{number}',
+    statsButton: 'Statistik',
+    howToPlayButton: 'Spielanleitung',
+    settingsButton: 'Einstellungen',
+    guessesLeft: 'Noch {count} Versuche',
+    inputPlaceholder: 'Land eingeben...',
+    guessButton: 'Raten',
+    correct: 'Richtig!',
+    bordering: 'Grenzt an',
+    distance: 'Entfernung: {distance}',
+    direction: 'Richtung: {direction}',
+    headToward: 'Richtung {direction} zum Ziel',
+
+    noPracticePlacesTitle: 'Nichts zum Üben',
+    noPracticePlaces: 'Diese Karte hat keine Orte in den gewählten Regionen. Wähle in den Einstellungen andere Regionen.',
+    notReadyTitle: 'Spiel nicht bereit',
+    notReadyDescription: 'Bitte warte einen Moment und versuche es erneut',
+    emptyGuessTitle: 'Leere Eingabe',
+    emptyGuessDescription: 'Bitte gib einen Ländernamen ein',
+    outsideRegionTitle: 'Außerhalb der Regionen',
+    outsideRegionDescription: '{country} liegt nicht in den Regionen, die du übst',
+    invalidCountryTitle: 'Unbekanntes Land',
+    invalidCountryDescription: 'Bitte gib einen gültigen Ländernamen ein',
+    didYouMean: 'Meintest du {country}? Drücke Enter, um es zu raten.',
+    alreadyGuessedTitle: 'Schon geraten',
+    alreadyGuessedDescription: 'Du hast {country} schon geraten. Versuche ein anderes Land!',
+    practiceWinDescription: 'Du hast {country} gefunden! Klicke auf „Nochmal spielen“ für ein neues Land.',
+    errorTitle: 'Fehler',
+    errorDescription: 'Beim Verarbeiten deines Tipps ist ein Fehler aufgetreten. Bitte versuche es erneut.',
+    copiedTitle: 'Kopiert!',
+    copiedDescription: 'Dein Ergebnis ist in der Zwischenablage',
+    shareFailedTitle: 'Teilen fehlgeschlagen',
+    shareFailedDescription: 'Dein Browser hat den Zugriff auf die Zwischenablage blockiert',
+
+    congratulations: '🎉 Glückwunsch!',
+    gameOver: 'Spiel vorbei',
+    foundInOne: 'Du hast {country} mit 1 Versuch gefunden!',
+    foundIn: 'Du hast {country} mit {count} Versuchen gefunden!',
+    answerWas: 'Das Land war {country}',
+    learnMore: 'Mehr über {country} auf Wikipedia',
+    comeBackTomorrow: 'Komm morgen wieder für ein neues Rätsel!',
+    share: 'Teilen',
+    playAgain: 'Nochmal spielen',
+
+    close: 'Schließen',
+    globeLabel: 'Globus mit deinen Tipps. Pfeiltasten drehen ihn, + und - zoomen, 0 setzt die Ansicht zurück.',
+    globeKeys: 'Mit den Pfeiltasten drehen, mit + und - zoomen und mit 0 die Ansicht zurücksetzen',
+    announceCorrect: '{country} ist richtig!',
+    announceGuess: '{country}: {distance}, {band}.',
+    bandVeryClose: 'sehr nah',
+    bandClose: 'nah',
+    bandFar: 'weit',
+    bandVeryFar: 'sehr weit',
+
+    dashboardButton: 'Übersicht',
+    dashboardTitle: 'Statistik-Übersicht',
+    dashboardAll: 'Alle Spiele',
+    dashboardDaily: 'Tägliche Rätsel',
+    dashboardPractice: 'Übung',
+    dashboardEmpty: 'Beende ein Spiel, um hier Diagramme zu sehen.',
+    averageGuessesTitle: 'Versuche im Zeitverlauf',
+    averageGuessesDescription: 'Versuche pro Sieg, die Linie zeigt den Schnitt der letzten {count} Siege',
+    noWinsYet: 'Noch keine Siege.',
+    firstGuessTitle: 'Entfernung des ersten Tipps',
+    firstGuessDescription: 'Wie weit dein erster Tipp in jedem Spiel vom Ziel entfernt war',
+    mostMissedTitle: 'Am häufigsten verfehlt',
+    mostMissedDescription: 'Gesuchte Länder, die du nicht gefunden hast, und ihre Kontinente',
+    missedCountries: 'Länder',
+    continentAfrica: 'Afrika',
+    continentAntarctica: 'Antarktis',
+    continentAsia: 'Asien',
+    continentEurope: 'Europa',
+    continentNorthAmerica: 'Nordamerika',
+    continentOceania: 'Ozeanien',
+    continentSevenSeas: 'Offener Ozean',
+    continentSouthAmerica: 'Südamerika',
+    missedContinents: 'Kontinente',
+    missedCount: '{missed} von {played} verfehlt',
+    noMisses: 'Noch nichts verfehlt.',
+    winRateMapTitle: 'Siegquote nach Land',
+    winRateMapDescription: 'Anteil gewonnener Spiele für jedes gespielte Zielland',
+    winRateTooltip: '{country}: {won} von {played} gewonnen',
+    notPlayed: 'nicht gespielt',
+    statisticsTitle: 'Statistik',
+    capitalStatisticsTitle: 'Hauptstadt-Statistik',
+    played: 'Gespielt',
+    winPercent: 'Siege %',
+    streak: 'Serie',
+    maxStreak: 'Beste Serie',
+    lastPlayed: 'Zuletzt gespielt: Rätsel #{number}',
+    guessDistribution: 'Verteilung der Versuche',
+
+    archiveButton: 'Archiv',
+    archiveTitle: 'Archiv',
+    archiveTag: '(Archiv)',
+    archiveDescription: 'Spiele jedes vergangene Tagesrätsel. Archivspiele werden hier gezählt und ändern nie deine Tagesserie.',
+    archiveWinDescription: 'Du hast {country} gefunden! Wähle einen anderen Tag im Archiv.',
+    archiveDayLabel: 'Rätsel #{number}, {date}: {status}',
+    archiveWon: 'Gewonnen',
+    archiveLost: 'Verloren',
+    archiveInProgress: 'Begonnen',
+    archiveUnplayed: 'Nicht gespielt',
+    previousMonth: 'Vorheriger Monat',
+    nextMonth: 'Nächster Monat',
+    backToToday: 'Zurück zum heutigen Rätsel',
+
+    historyButton: 'Spielverlauf',
+    historyTitle: 'Spielverlauf',
+    historyEmpty: 'Beendete Spiele erscheinen hier.',
+    historyWon: 'Gewonnen in {count}',
+    historyLost: 'Verloren',
+    modeDaily: 'Täglich',
+    modeArchive: 'Archiv',
+    modePractice: 'Übung',
+    modeRoom: 'Raum',
+    modeCapitals: 'Hauptstädte',
+    modeChallenge: 'Herausforderung',
+    replay: 'Abspielen',
+    replayGame: 'Spiel um {country} abspielen',
+    replaying: '{game}: {country}',
+    replayProgress: 'Tipp {step} von {total}',
+    restartReplay: 'Neu starten',
+    stopReplay: 'Beenden',
+
+    howToPlayTitle: 'Spielanleitung',
+    welcome: 'Willkommen bei Globle! Errate das gesuchte Land in 6 Versuchen oder weniger.',
+    howItWorks: 'So funktioniert es:',
+    ruleType: 'Gib einen Ländernamen ein und drücke Enter',
+    ruleHighlight: 'Der Globus markiert deinen Tipp und zeigt, wie nah du bist',
+    ruleColors: 'Die Farben unten zeigen deine Entfernung zum Ziel',
+    ruleBorders: 'Entfernungen werden von Grenze zu Grenze gemessen, ein Nachbarland zeigt also „Grenzt an“',
+    globeInteractive: 'Der Globus ist interaktiv! Du kannst:',
+    globeDrag: 'Ziehen, um die Ansicht zu drehen',
+    globeScroll: 'Scrollen, um zu zoomen',
+    globeTilt: 'Klicken und halten, um die Perspektive zu neigen',
+    dailyNote: 'Jeden Tag um 00:00 UTC wird ein neues Land gewählt, für alle dasselbe. Komm täglich wieder und teste dein Geografiewissen!',
+    distanceIndicators: 'Entfernungsfarben:',
+    closer: 'Näher',
+    further: 'Weiter',
+
+    speedRunButton: 'Zeitrennen',
+    speedRunTitle: 'Zeitrennen',
+    speedRunDescription: 'Finde so viele Länder wie möglich, bevor die Zeit abläuft. Nach jedem Treffer erscheint ein neues Ziel. Regionen: {regions}.',
+    speedRunStart: '{count} Minuten',
+    speedRunMinutes: '{count} Min.',
+    speedRunInProgress: 'Läuft: noch {time}, {count} gefunden.',
+    speedRunStop: 'Rennen beenden',
+    speedRunScore: '{found} gefunden mit {guesses} Versuchen',
+    speedRunNewBest: 'Neue Bestleistung!',
+    speedRunBests: 'Bestleistungen',
+    speedRunNoBests: 'Beende ein Rennen, um eine Bestleistung aufzustellen.',
+    speedRunDuration: 'Zeit',
+    speedRunFoundColumn: 'Gefunden',
+    speedRunGuessesColumn: 'Versuche',
+    speedRunFound: '{count} gefunden',
+    speedRunTimeLeft: 'noch {time}',
+    speedRunFoundTitle: '{country}!',
+    speedRunNext: 'Nächstes Ziel…',
+    partyMode: 'Weitergeben und spielen',
+    partyModeDescription: '2-6 Spieler suchen abwechselnd an diesem Bildschirm dasselbe Land',
+    partySetUp: 'Einrichten',
+    partyTitle: 'Weitergeben und spielen',
+    partyDescription: 'Gib die Spieler in der Reihenfolge ein, in der sie dran sind. Die Tipps jedes Spielers werden in seiner Farbe umrandet, und wer das Land zuerst findet, gewinnt das Spiel.',
+    partyPlayerName: 'Spieler {number}',
+    partyRemovePlayer: 'Spieler {number} entfernen',
+    partyAddPlayer: 'Spieler hinzufügen',
+    partyStart: "Los geht's",
+    partyTooFew: 'Füge mindestens {min} Spieler hinzu.',
+    partyTooMany: 'Es können höchstens {max} Spieler mitspielen.',
+    partyEmptyName: 'Jeder Spieler braucht einen Namen.',
+    partyDuplicateName: 'Jeder Spieler braucht einen anderen Namen.',
+    partyScoreboard: 'Punktestand',
+    partyGameNumber: 'Spiel {number} dieser Runde',
+    partyPlayer: 'Spieler',
+    partyWins: 'Siege',
+    partyClosestRounds: 'Nächste Tipps',
+    partyResume: 'Zurück zum Spiel',
+    partyEnd: 'Sitzung beenden',
+    partyTurn: '{player} ist dran',
+    partyGuessBy: 'Getippt von {player}',
+    partyWinner: '{player} gewinnt dieses Spiel!',
+    partyWinDescription: '{player} hat {country} gefunden!',
+    roomButton: 'Räume',
+    roomTitle: 'Online spielen',
+    roomDescription: 'Tritt gegen Freunde an anderen Geräten an. Erstelle einen Raum und teile seinen Code, oder tritt mit einem Code bei. Alle suchen dasselbe Land und sehen die Tipps der anderen live.',
+    roomYourName: 'Dein Name',
+    roomCreate: 'Raum erstellen',
+    roomCode: 'Raumcode',
+    roomJoin: 'Beitreten',
+    roomConnecting: 'Verbinde…',
+    roomInvalidCode: 'Raumcodes bestehen aus 4 Buchstaben oder Ziffern.',
+    roomInvalidName: 'Gib einen Namen mit bis zu 20 Zeichen ein.',
+    roomNotFound: 'Es gibt keinen Raum mit diesem Code.',
+    roomFull: 'Dieser Raum ist voll.',
+    roomNameTaken: 'In diesem Raum gibt es diesen Namen schon.',
+    roomInvalidMessage: 'Der Raumserver hat etwas gesendet, das dieses Spiel nicht versteht.',
+    roomConnectionFailed: 'Der Raumserver ist nicht erreichbar. Läuft er?',
+    roomJoinedTitle: 'Du bist in Raum {code}',
+    roomShareCode: 'Teile den Code, damit andere beitreten können. Alle spielen dasselbe Land.',
+    roomDisconnectedTitle: 'Verbindung zum Raum verloren',
+    roomDisconnected: 'Du bist nicht mehr mit dem Raum verbunden. Du kannst das Spiel beenden, aber die anderen sehen deine Tipps nicht.',
+    roomStandings: 'Zwischenstand',
+    roomResults: 'Ergebnisse',
+    roomPlayer: 'Spieler',
+    roomGuesses: 'Tipps',
+    roomTime: 'Zeit',
+    roomYou: 'du',
+    roomPlaying: 'Spielt',
+    roomOutOfGuesses: 'Keine Tipps mehr',
+    roomLeft: 'Gegangen',
+    roomLeave: 'Raum verlassen',
+    roomTag: 'Raum {code}',
+    roomWinDescription: 'Du hast {country} gefunden! Schau, wie es bei den anderen läuft.',
+    challengeFriend: 'Freunde herausfordern',
+    challengeSettingDescription: 'Wähle ein Land und schicke es als Link',
+    challengeCreate: 'Erstellen',
+    challengeTitle: 'Freunde herausfordern',
+    challengeDescription: 'Wähle das Land, das dein Freund finden soll. Der Link verbirgt es, man kann es also nicht aus der Adresse ablesen.',
+    challengeTarget: 'Land',
+    challengeTargetPlaceholder: 'Landesnamen eingeben',
+    challengeUnknownTarget: 'Dieses Land gibt es im Spiel nicht.',
+    challengeGuessLimit: 'Tipp-Limit',
+    challengeUnlimited: 'Unbegrenzt',
+    challengeGuesses: '{count} Tipps',
+    challengeRegion: 'Region',
+    challengeRegionDescription: 'Nur Länder in dieser Region können getippt werden.',
+    challengeYourName: 'Dein Name (optional)',
+    challengeNamePlaceholder: 'Wird deinem Freund angezeigt',
+    challengeIncludesResult: 'Dein Ergebnis für dieses Land wird mitgeschickt.',
+    challengeNoResult: 'Spiele dieses Land zuerst zu Ende, um dein Ergebnis mitzuschicken.',
+    challengeCreateLink: 'Link erstellen',
+    challengeLink: 'Link zur Herausforderung',
+    challengeShare: 'Link teilen',
+    challengeCopied: 'Link kopiert!',
+    challengeTag: 'Herausforderung',
+    challengeWinDescription: 'Du hast {country} gefunden! Sieh dir an, wie du gegen den Herausforderer abschneidest.',
+    challengeYou: 'Du',
+    challengeChallenger: 'Herausforderer',
+    challengePickedOnly: 'Hat dieses Land gewählt',
+    challengeAhead: 'Du hast den Herausforderer geschlagen!',
+    challengeBehind: 'Der Herausforderer war diesmal besser.',
+    challengeTie: 'Unentschieden!',
+    challengeLinkFailedTitle: 'Herausforderung kann nicht geöffnet werden',
+    challengeInvalidLink: 'Der Link zur Herausforderung ist unvollständig oder beschädigt.',
+    challengeUnknownCountry: 'Die Herausforderung gilt einem Land, das diese Version des Spiels nicht kennt.',
+    datasetTitle: 'Übungskarte',
+    datasetDescription: 'Übungsspiele werden auf dieser Karte gespielt. Das Tagesrätsel, das Archiv, Räume und Herausforderungen nutzen immer die Länder der Welt, und nur Spiele darauf landen in deinem Verlauf.',
+    datasetCountries: 'Länder der Welt',
+    datasetCountriesSimplified: 'Länder der Welt, vereinfachte Grenzen',
+    datasetCountriesCustom: 'Länder der Welt, alternative Grenzen',
+    datasetUploaded: 'Deine Karte: {name}',
+    datasetLoading: 'Karte wird geladen…',
+    datasetUploadDescription: 'Oder spiele mit deiner eigenen GeoJSON-Datei, etwa mit Bundesstaaten, Regionen oder Bürostandorten. Jeder Ort braucht einen Polygon-Umriss oder einen Punkt, einen Namen und eine eindeutige ID.',
+    datasetChooseFile: 'GeoJSON-Datei auswählen',
+    datasetNameField: 'Eigenschaft für den Namen',
+    datasetIdField: 'Eigenschaft für die ID',
+    datasetAliasFields: 'Weitere erlaubte Namen (Eigenschaften, durch Kommas getrennt)',
+    datasetUse: 'Auf dieser Karte spielen',
+    datasetUploadedTitle: 'Karte geladen',
+    datasetUploadedDescription: 'Übungsspiele werden jetzt auf {name} gespielt.',
+    datasetNotSaved: '{name} ist zu groß, um auf diesem Gerät gespeichert zu werden, und bleibt nur, bis die Seite geschlossen wird.',
+    datasetLoadFailedTitle: 'Karte nicht verfügbar',
+    datasetLoadFailedDescription: 'Die Übungskarte konnte nicht geladen werden, daher spielst du wieder mit den Ländern der Welt.',
+    datasetInvalidJson: 'Diese Datei ist kein gültiges JSON.',
+    datasetNotFeatureCollection: 'Diese Datei ist keine GeoJSON-FeatureCollection.',
+    datasetMissingFields: 'Wähle die Eigenschaften mit dem Namen und der ID jedes Orts.',
+    datasetTooFewPlaces: 'Eine Karte braucht mindestens {count} Orte.',
+    datasetUnsupportedGeometry: 'Feature {feature} hat keinen Polygon-Umriss und keinen Punkt. Nur Polygon-, MultiPolygon- und Point-Features sind spielbar.',
+    datasetMissingName: 'Feature {feature} hat kein {field}.',
+    datasetMissingId: 'Feature {feature} hat kein {field}.',
+    datasetDuplicateId: 'Feature {feature} wiederholt die ID {value}. Jeder Ort braucht eine eigene ID.',
+    silhouetteMode: 'Silhouette',
+    silhouetteModeDescription: 'Übe nur anhand des Umrisses des Ziels. Tipps erscheinen nicht auf dem Globus, sondern mit Entfernung und Richtung darunter, und der Globus fliegt zur Lösung, sobald du sie findest.',
+    silhouetteTiny: 'Kleine Inseln',
+    silhouetteTinyDescription: 'Auch kleine Inselstaaten, deren Umrisse kaum zu erkennen sind',
+    silhouetteTag: '(Silhouette)',
+    silhouetteLabel: 'Umriss des gesuchten Orts',
+    capitalsMode: 'Hauptstädte',
+    capitalsModeDescription: 'Finde eine Hauptstadt statt eines Landes, im Tagesrätsel und beim Üben. Entfernungen werden zwischen den Städten gemessen. Hauptstadt-Spiele zählen nicht für deine Statistik.',
+    capitalsTag: '(Hauptstädte)',
+    capitalsPlaceholder: 'Hauptstadt eingeben...',
+    capitalOf: '{city}, {country}',
+    datasetCapitalsNote: 'Der Hauptstadt-Modus ist an, daher nutzen Übungsspiele die Hauptstädte statt dieser Karte.',
+    datasetMixedGeometry: 'Feature {feature} ist ein {value}, die vorigen Features aber nicht. Eine Datei darf nur Umrisse oder nur Punkte enthalten.',
+    settingsTitle: 'Einstellungen',
+    gameModes: 'Spielmodi',
+    practiceMode: 'Übungsmodus',
+    practiceModeDescription: 'Unbegrenzt spielen mit zufälligen Ländern',
+    regionEurope: 'Europa',
+    regionAsia: 'Asien',
+    regionAmericas: 'Amerika',
+    regionAfrica: 'Afrika',
+    regionOceania: 'Ozeanien',
+    regionNorthAmerica: 'Nordamerika',
+    regionAustraliaAndNewZealand: 'Australien und Neuseeland',
+    regionCaribbean: 'Karibik',
+    regionCentralAmerica: 'Mittelamerika',
+    regionCentralAsia: 'Zentralasien',
+    regionEasternAfrica: 'Ostafrika',
+    regionEasternAsia: 'Ostasien',
+    regionEasternEurope: 'Osteuropa',
+    regionMelanesia: 'Melanesien',
+    regionMicronesia: 'Mikronesien',
+    regionMiddleAfrica: 'Zentralafrika',
+    regionNorthernAfrica: 'Nordafrika',
+    regionNorthernAmerica: 'Nördliches Amerika',
+    regionNorthernEurope: 'Nordeuropa',
+    regionPolynesia: 'Polynesien',
+    regionSouthAmerica: 'Südamerika',
+    regionSouthEasternAsia: 'Südostasien',
+    regionSouthernAfrica: 'Südliches Afrika',
+    regionSouthernAsia: 'Südasien',
+    regionSouthernEurope: 'Südeuropa',
+    regionWesternAfrica: 'Westafrika',
+    regionWesternAsia: 'Westasien',
+    regionWesternEurope: 'Westeuropa',
+    regionSelection: 'Regionen',
+    regionSelectionDescription: 'Wähle eine oder mehrere Regionen zum Üben',
+    allCountries: 'Alle Länder',
+    subregions: 'Teilregionen',
+    globeSettings: 'Globus',
+    autoRotate: 'Automatisch drehen',
+    autoRotateDescription: 'Der Globus dreht sich im Leerlauf',
+    globeStyle: 'Globus-Stil',
+    styleDefault: 'Standard',
+    styleSatellite: 'Satellit',
+    styleDark: 'Dunkel',
+    interface: 'Oberfläche',
+    language: 'Sprache',
+    languageDescription: 'Für die Oberfläche und die Ländernamen',
+    acceptGuesses: 'Tipps akzeptieren in',
+    anyLanguage: 'Jeder Sprache',
+    selectedLanguage: 'Gewählter Sprache',
+    distanceGuide: 'Entfernungslegende',
+    distanceGuideDescription: 'Farblegende für Entfernungen anzeigen',
+    previousGuesses: 'Bisherige Tipps',
+    previousGuessesDescription: 'Liste der bisherigen Tipps anzeigen',
+    directionHints: 'Richtungshinweise',
+    directionHintsDescription: 'Kompasspfeil von jedem Tipp zum Ziel anzeigen',
+    distanceUnit: 'Einheit',
+    kilometers: 'Kilometer',
+    miles: 'Meilen',
+    colorPalette: 'Farbpalette',
+    colorPaletteDescription: 'Farben für Entfernungen auf dem Globus und in der Legende',
+    paletteDefault: 'Standard',
+    paletteDeuteranopia: 'Deuteranopie',
+    paletteHighContrast: 'Hoher Kontrast',
+    paletteMonochrome: 'Einfarbig',
+    yourData: 'Deine Daten',
+    yourDataDescription: 'Statistiken und Verlauf sind nur in diesem Browser gespeichert. Exportiere sie als Sicherung oder für ein anderes Gerät.',
+    exportJson: 'Als JSON exportieren',
+    exportCsv: 'Spiele exportieren (CSV)',
+    importData: 'JSON-Datei importieren',
+    importedTitle: 'Daten importiert',
+    importedDescription: '{games} Spiele und {archive} Archiv-Rätsel hinzugefügt. Konflikte: {conflicts}.',
+    importFailedTitle: 'Import fehlgeschlagen',
+    importInvalidJson: 'Die Datei ist kein gültiges JSON.',
+    importWrongApp: 'Die Datei ist kein Globle-Export.',
+    importUnsupportedVersion: 'Die Datei stammt aus einer neueren Globle-Version.',
+    importInvalidData: 'Die Daten ({section}) in der Datei sind beschädigt.',
+    importConflicts: 'Diese Spiele weichen in der importierten Datei ab. Deine lokalen Ergebnisse wurden behalten:',
+    importConflictHistory: 'Spiel {game}',
+    importConflictArchive: 'Archiv-Rätsel vom {date}',
+    hardTag: 'Schwer',
+    hardMode: 'Schwerer Modus',
+    hardModeDescription: 'Für das tägliche Rätsel: {count} Versuche, keine Vorschläge, nur Entfernungsbereiche, und jeder Tipp muss näher sein als der vorige',
+    hardModeLocked: 'Gesperrt bis zum Rätsel von morgen: Das heutige Spiel hat begonnen.',
+    hardModeRecord: 'Schwerer Modus: {won} von {played} gewonnen',
+    notCloserTitle: 'Nicht näher',
+    notCloserDescription: 'Schwerer Modus: {country} ist nicht näher als dein letzter Tipp. Versuch ein anderes Land.',
+    announceBand: '{country}: {band}.',
+    settingsSaved: 'Einstellungen werden automatisch auf deinem Gerät gespeichert'
+  },
+
+  fr: {
+    practiceTag: '(Entraînement)',
+    puzzleNumber: 'Énigme n°{number}',
+    statsButton: 'Stats',
+    howToPlayButton: 'Comment jouer',
+    settingsButton: 'Réglages',
+    guessesLeft: '{count} essais restants',
+    inputPlaceholder: 'Nom du pays...',
+    guessButton: 'Deviner',
+    correct: 'Correct !',
+    bordering: 'Frontalier',
+    distance: 'Distance : {distance}',
+    direction: 'Direction : {direction}',
+    headToward: 'Allez vers le {direction} pour trouver la cible',
+
+    noPracticePlacesTitle: 'Rien à pratiquer',
+    noPracticePlaces: "Cette carte n'a aucun lieu dans les régions choisies. Choisissez d'autres régions dans les paramètres.",
+    notReadyTitle: 'Jeu pas prêt',
+    notReadyDescription: 'Patientez un instant puis réessayez',
+    emptyGuessTitle: 'Saisie vide',
+    emptyGuessDescription: 'Veuillez saisir un nom de pays',
+    outsideRegionTitle: 'Hors des régions choisies',
+    outsideRegionDescription: "{country} n'est pas dans les régions que vous travaillez",
+    invalidCountryTitle: 'Pays inconnu',
+    invalidCountryDescription: 'Veuillez saisir un nom de pays valide',
+    didYouMean: 'Vouliez-vous dire {country} ? Appuyez sur Entrée pour le proposer.',
+    alreadyGuessedTitle: 'Déjà proposé',
+    alreadyGuessedDescription: 'Vous avez déjà proposé {country}. Essayez un autre pays !',
+    practiceWinDescription: 'Vous avez trouvé {country} ! Cliquez sur « Rejouer » pour un autre pays.',
+    errorTitle: 'Erreur',
+    errorDescription: 'Une erreur est survenue lors du traitement de votre essai. Veuillez réessayer.',
+    copiedTitle: 'Copié !',
+    copiedDescription: 'Votre résultat est dans le presse-papiers',
+    shareFailedTitle: 'Partage impossible',
+    shareFailedDescription: "Votre navigateur a bloqué l'accès au presse-papiers",
+
+    congratulations: '🎉 Félicitations !',
+    gameOver: 'Partie terminée',
+    foundInOne: 'Vous avez trouvé {country} en 1 essai !',
+    foundIn: 'Vous avez trouvé {country} en {count} essais !',
+    answerWas: 'Le pays était {country}',
+    learnMore: 'En savoir plus sur {country} sur Wikipédia',
+    comeBackTomorrow: 'Revenez demain pour un nouveau défi !',
+    share: 'Partager',
+    playAgain: 'Rejouer',
+
+    close: 'Fermer',
+    globeLabel: 'Globe affichant vos essais. Les flèches le font tourner, + et - zooment, 0 réinitialise la vue.',
+    globeKeys: 'Utilisez les flèches pour tourner, + et - pour zoomer et 0 pour réinitialiser la vue',
+    announceCorrect: '{country} est correct !',
+    announceGuess: '{country} : {distance}, {band}.',
+    bandVeryClose: 'très proche',
+    bandClose: 'proche',
+    bandFar: 'loin',
+    bandVeryFar: 'très loin',
+
+    dashboardButton: 'Tableau de bord',
+    dashboardTitle: 'Tableau de bord des statistiques',
+    dashboardAll: 'Toutes les parties',
+    dashboardDaily: 'Énigmes du jour',
+    dashboardPractice: 'Entraînement',
+    dashboardEmpty: 'Terminez une partie pour voir les graphiques ici.',
+    averageGuessesTitle: 'Essais au fil du temps',
+    averageGuessesDescription: 'Essais par victoire, avec la moyenne des {count} dernières victoires en ligne',
+    noWinsYet: "Aucune victoire pour l'instant.",
+    firstGuessTitle: 'Distance du premier essai',
+    firstGuessDescription: 'À quelle distance de la cible était votre premier essai dans chaque partie',
+    mostMissedTitle: 'Les plus manqués',
+    mostMissedDescription: "Les pays cibles que vous n'avez pas trouvés, et leurs continents",
+    missedCountries: 'Pays',
+    continentAfrica: 'Afrique',
+    continentAntarctica: 'Antarctique',
+    continentAsia: 'Asie',
+    continentEurope: 'Europe',
+    continentNorthAmerica: 'Amérique du Nord',
+    continentOceania: 'Océanie',
+    continentSevenSeas: 'Haute mer',
+    continentSouthAmerica: 'Amérique du Sud',
+    missedContinents: 'Continents',
+    missedCount: '{missed} manqué(s) sur {played}',
+    noMisses: "Rien de manqué pour l'instant.",
+    winRateMapTitle: 'Taux de victoire par pays',
+    winRateMapDescription: 'Part des parties gagnées pour chaque pays cible joué',
+    winRateTooltip: '{country} : {won} gagnée(s) sur {played}',
+    notPlayed: 'pas joué',
+    statisticsTitle: 'Statistiques',
+    capitalStatisticsTitle: 'Statistiques des capitales',
+    played: 'Parties',
+    winPercent: 'Victoires %',
+    streak: 'Série',
+    maxStreak: 'Meilleure série',
+    lastPlayed: 'Dernière partie : énigme n°{number}',
+    guessDistribution: 'Répartition des essais',
+
+    archiveButton: 'Archives',
+    archiveTitle: 'Archives',
+    archiveTag: '(Archives)',
+    archiveDescription: "Jouez n'importe quelle énigme passée. Les parties d'archives sont comptées ici et ne touchent jamais votre série quotidienne.",
+    archiveWinDescription: 'Vous avez trouvé {country} ! Choisissez un autre jour dans les archives.',
+    archiveDayLabel: 'Énigme n°{number}, {date} : {status}',
+    archiveWon: 'Gagnée',
+    archiveLost: 'Perdue',
+    archiveInProgress: 'En cours',
+    archiveUnplayed: 'Non jouée',
+    previousMonth: 'Mois précédent',
+    nextMonth: 'Mois suivant',
+    backToToday: "Revenir à l'énigme du jour",
+
+    historyButton: 'Historique',
+    historyTitle: 'Historique des parties',
+    historyEmpty: 'Les parties terminées apparaîtront ici.',
+    historyWon: 'Gagnée en {count}',
+    historyLost: 'Perdue',
+    modeDaily: 'Quotidienne',
+    modeArchive: 'Archives',
+    modePractice: 'Entraînement',
+    modeRoom: 'Salon',
+    modeCapitals: 'Capitales',
+    modeChallenge: 'Défi',
+    replay: 'Revoir',
+    replayGame: 'Revoir la partie {country}',
+    replaying: '{game} : {country}',
+    replayProgress: 'Essai {step} sur {total}',
+    restartReplay: 'Recommencer',
+    stopReplay: 'Arrêter',
+
+    howToPlayTitle: 'Comment jouer',
+    welcome: 'Bienvenue sur Globle ! Devinez le pays mystère en 6 essais ou moins.',
+    howItWorks: 'Principe :',
+    ruleType: 'Saisissez un nom de pays et appuyez sur Entrée',
+    ruleHighlight: 'Le globe met en évidence votre essai et indique votre proximité',
+    ruleColors: 'Les couleurs ci-dessous indiquent votre distance à la cible',
+    ruleBorders: "Les distances sont mesurées de frontière à frontière : un pays voisin s'affiche « Frontalier »",
+    globeInteractive: 'Le globe est interactif ! Vous pouvez :',
+    globeDrag: 'Faire glisser pour tourner la vue',
+    globeScroll: 'Faire défiler pour zoomer',
+    globeTilt: 'Cliquer et maintenir pour incliner la perspective',
+    dailyNote: 'Un nouveau pays est choisi chaque jour à 00:00 UTC, le même pour tous. Revenez chaque jour tester vos connaissances en géographie !',
+    distanceIndicators: 'Indicateurs de distance :',
+    closer: 'Plus près',
+    further: 'Plus loin',
+
+    speedRunButton: 'Contre-la-montre',
+    speedRunTitle: 'Contre-la-montre',
+    speedRunDescription: 'Trouvez autant de pays que possible avant la fin du temps. Une nouvelle cible apparaît après chaque pays trouvé. Régions : {regions}.',
+    speedRunStart: '{count} minutes',
+    speedRunMinutes: '{count} min',
+    speedRunInProgress: 'Partie en cours : {time} restantes, {count} trouvé(s).',
+    speedRunStop: 'Arrêter',
+    speedRunScore: '{found} trouvé(s) en {guesses} essais',
+    speedRunNewBest: 'Nouveau record personnel !',
+    speedRunBests: 'Records personnels',
+    speedRunNoBests: 'Terminez une partie pour établir un record.',
+    speedRunDuration: 'Durée',
+    speedRunFoundColumn: 'Trouvés',
+    speedRunGuessesColumn: 'Essais',
+    speedRunFound: '{count} trouvé(s)',
+    speedRunTimeLeft: '{time} restantes',
+    speedRunFoundTitle: '{country} !',
+    speedRunNext: 'Cible suivante…',
+    partyMode: 'Chacun son tour',
+    partyModeDescription: '2 à 6 joueurs cherchent le même pays à tour de rôle sur cet écran',
+    partySetUp: 'Configurer',
+    partyTitle: 'Chacun son tour',
+    partyDescription: "Saisissez les joueurs dans l'ordre de passage. Les essais de chaque joueur sont entourés de sa couleur, et le premier à trouver le pays gagne la partie.",
+    partyPlayerName: 'Joueur {number}',
+    partyRemovePlayer: 'Retirer le joueur {number}',
+    partyAddPlayer: 'Ajouter un joueur',
+    partyStart: 'Commencer',
+    partyTooFew: 'Ajoutez au moins {min} joueurs.',
+    partyTooMany: '{max} joueurs au maximum.',
+    partyEmptyName: 'Chaque joueur doit avoir un nom.',
+    partyDuplicateName: 'Chaque joueur doit avoir un nom différent.',
+    partyScoreboard: 'Scores',
+    partyGameNumber: 'Partie {number} de la session',
+    partyPlayer: 'Joueur',
+    partyWins: 'Victoires',
+    partyClosestRounds: 'Tours les plus proches',
+    partyResume: 'Retour à la partie',
+    partyEnd: 'Terminer la session',
+    partyTurn: 'Au tour de {player}',
+    partyGuessBy: 'Proposé par {player}',
+    partyWinner: '{player} remporte cette partie !',
+    partyWinDescription: '{player} a trouvé {country} !',
+    roomButton: 'Salons',
+    roomTitle: 'Jouer en ligne',
+    roomDescription: "Affrontez des amis sur d'autres appareils. Créez un salon et partagez son code, ou rejoignez-en un avec un code. Tout le monde cherche le même pays et suit les essais des autres en direct.",
+    roomYourName: 'Votre nom',
+    roomCreate: 'Créer un salon',
+    roomCode: 'Code du salon',
+    roomJoin: 'Rejoindre',
+    roomConnecting: 'Connexion…',
+    roomInvalidCode: 'Un code de salon compte 4 lettres ou chiffres.',
+    roomInvalidName: 'Saisissez un nom de 20 caractères au plus.',
+    roomNotFound: 'Aucun salon ne porte ce code.',
+    roomFull: 'Ce salon est complet.',
+    roomNameTaken: "Quelqu'un porte déjà ce nom dans ce salon.",
+    roomInvalidMessage: 'Le serveur de salons a envoyé un message que ce jeu ne comprend pas.',
+    roomConnectionFailed: 'Impossible de joindre le serveur de salons. Est-il lancé ?',
+    roomJoinedTitle: 'Vous êtes dans le salon {code}',
+    roomShareCode: "Partagez le code pour que d'autres vous rejoignent. Tout le monde joue le même pays.",
+    roomDisconnectedTitle: 'Connexion au salon perdue',
+    roomDisconnected: "Vous n'êtes plus connecté au salon. Vous pouvez finir la partie, mais les autres ne verront pas vos essais.",
+    roomStandings: 'Classement provisoire',
+    roomResults: 'Résultats',
+    roomPlayer: 'Joueur',
+    roomGuesses: 'Essais',
+    roomTime: 'Temps',
+    roomYou: 'vous',
+    roomPlaying: 'En jeu',
+    roomOutOfGuesses: "Plus d'essais",
+    roomLeft: 'Parti',
+    roomLeave: 'Quitter le salon',
+    roomTag: 'Salon {code}',
+    roomWinDescription: 'Vous avez trouvé {country} ! Voyez où en sont les autres.',
+    challengeFriend: 'Défier un ami',
+    challengeSettingDescription: 'Choisissez un pays et envoyez-le sous forme de lien',
+    challengeCreate: 'Créer',
+    challengeTitle: 'Défier un ami',
+    challengeDescription: "Choisissez le pays que votre ami doit trouver. Le lien le masque, impossible de le lire dans l'adresse.",
+    challengeTarget: 'Pays',
+    challengeTargetPlaceholder: 'Saisissez un nom de pays',
+    challengeUnknownTarget: "Ce pays n'existe pas dans le jeu.",
+    challengeGuessLimit: "Nombre d'essais",
+    challengeUnlimited: 'Illimité',
+    challengeGuesses: '{count} essais',
+    challengeRegion: 'Région',
+    challengeRegionDescription: 'Seuls les pays de cette région peuvent être proposés.',
+    challengeYourName: 'Votre nom (facultatif)',
+    challengeNamePlaceholder: 'Affiché à votre ami',
+    challengeIncludesResult: 'Votre résultat pour ce pays accompagne le défi.',
+    challengeNoResult: "Terminez d'abord une partie sur ce pays pour envoyer votre résultat avec.",
+    challengeCreateLink: 'Créer le lien',
+    challengeLink: 'Lien du défi',
+    challengeShare: 'Partager le lien',
+    challengeCopied: 'Lien copié !',
+    challengeTag: 'Défi',
+    challengeWinDescription: "Vous avez trouvé {country} ! Comparez-vous à l'auteur du défi.",
+    challengeYou: 'Vous',
+    challengeChallenger: 'Auteur du défi',
+    challengePickedOnly: 'A choisi ce pays',
+    challengeAhead: "Vous avez battu l'auteur du défi !",
+    challengeBehind: "L'auteur du défi a fait mieux cette fois.",
+    challengeTie: 'Égalité !',
+    challengeLinkFailedTitle: "Impossible d'ouvrir ce défi",
+    challengeInvalidLink: 'Le lien du défi est incomplet ou abîmé.',
+    challengeUnknownCountry: 'Le défi porte sur un pays absent de cette version du jeu.',
+    datasetTitle: "Carte d'entraînement",
+    datasetDescription: "Les parties d'entraînement se jouent sur cette carte. Le puzzle du jour, les archives, les salons et les défis utilisent toujours les pays du monde, et seules ces parties entrent dans votre historique.",
+    datasetCountries: 'Pays du monde',
+    datasetCountriesSimplified: 'Pays du monde, frontières simplifiées',
+    datasetCountriesCustom: 'Pays du monde, autres frontières',
+    datasetUploaded: 'Votre carte : {name}',
+    datasetLoading: 'Chargement de la carte…',
+    datasetUploadDescription: 'Ou jouez sur votre propre fichier GeoJSON : États, régions ou bureaux. Chaque lieu doit avoir un contour polygonal ou un point, un nom et un identifiant unique.',
+    datasetChooseFile: 'Choisir un fichier GeoJSON',
+    datasetNameField: 'Propriété du nom',
+    datasetIdField: "Propriété de l'identifiant",
+    datasetAliasFields: 'Autres noms acceptés (propriétés séparées par des virgules)',
+    datasetUse: 'Jouer sur cette carte',
+    datasetUploadedTitle: 'Carte chargée',
+    datasetUploadedDescription: "Les parties d'entraînement se jouent maintenant sur {name}.",
+    datasetNotSaved: "{name} est trop volumineux pour être gardé sur cet appareil et ne dure que jusqu'à la fermeture de la page.",
+    datasetLoadFailedTitle: 'Carte indisponible',
+    datasetLoadFailedDescription: "La carte d'entraînement n'a pas pu être chargée, vous revenez aux pays du monde.",
+    datasetInvalidJson: "Ce fichier n'est pas du JSON valide.",
+    datasetNotFeatureCollection: "Ce fichier n'est pas une FeatureCollection GeoJSON.",
+    datasetMissingFields: "Choisissez les propriétés qui contiennent le nom et l'identifiant de chaque lieu.",
+    datasetTooFewPlaces: 'Une carte doit compter au moins {count} lieux.',
+    datasetUnsupportedGeometry: "L'entité {feature} n'a ni contour polygonal ni point. Seules les entités Polygon, MultiPolygon et Point sont jouables.",
+    datasetMissingName: "L'entité {feature} n'a pas de {field}.",
+    datasetMissingId: "L'entité {feature} n'a pas de {field}.",
+    datasetDuplicateId: "L'entité {feature} reprend l'identifiant {value}. Chaque lieu doit avoir le sien.",
+    silhouetteMode: 'Silhouette',
+    silhouetteModeDescription: "Entraînez-vous à partir du seul contour de la cible. Les essais n'apparaissent pas sur le globe mais en dessous, avec leur distance et leur direction, et le globe vole vers la réponse une fois trouvée.",
+    silhouetteTiny: 'Petites îles',
+    silhouetteTinyDescription: 'Inclure les petits États insulaires, dont les contours sont difficiles à reconnaître',
+    silhouetteTag: '(Silhouette)',
+    silhouetteLabel: 'Contour du lieu à trouver',
+    capitalsMode: 'Capitales',
+    capitalsModeDescription: "Trouvez une capitale au lieu d'un pays, dans le puzzle du jour et en entraînement. Les distances sont mesurées entre les villes. Les parties de capitales ne comptent pas dans vos statistiques.",
+    capitalsTag: '(Capitales)',
+    capitalsPlaceholder: 'Nom de la capitale...',
+    capitalOf: '{city}, {country}',
+    datasetCapitalsNote: "Le mode Capitales est activé : les parties d'entraînement utilisent les capitales au lieu de cette carte.",
+    datasetMixedGeometry: "L'entité {feature} est un {value}, mais pas les précédentes. Un fichier ne doit contenir que des contours ou que des points.",
+    settingsTitle: 'Réglages',
+    gameModes: 'Modes de jeu',
+    practiceMode: 'Mode entraînement',
+    practiceModeDescription: 'Parties illimitées avec des pays au hasard',
+    regionEurope: 'Europe',
+    regionAsia: 'Asie',
+    regionAmericas: 'Amériques',
+    regionAfrica: 'Afrique',
+    regionOceania: 'Océanie',
+    regionNorthAmerica: 'Amérique du Nord',
+    regionAustraliaAndNewZealand: 'Australie et Nouvelle-Zélande',
+    regionCaribbean: 'Caraïbes',
+    regionCentralAmerica: 'Amérique centrale',
+    regionCentralAsia: 'Asie centrale',
+    regionEasternAfrica: "Afrique de l'Est",
+    regionEasternAsia: "Asie de l'Est",
+    regionEasternEurope: "Europe de l'Est",
+    regionMelanesia: 'Mélanésie',
+    regionMicronesia: 'Micronésie',
+    regionMiddleAfrica: 'Afrique centrale',
+    regionNorthernAfrica: 'Afrique du Nord',
+    regionNorthernAmerica: 'Amérique septentrionale',
+    regionNorthernEurope: 'Europe du Nord',
+    regionPolynesia: 'Polynésie',
+    regionSouthAmerica: 'Amérique du Sud',
+    regionSouthEasternAsia: 'Asie du Sud-Est',
+    regionSouthernAfrica: 'Afrique australe',
+    regionSouthernAsia: 'Asie du Sud',
+    regionSouthernEurope: 'Europe du Sud',
+    regionWesternAfrica: "Afrique de l'Ouest",
+    regionWesternAsia: "Asie de l'Ouest",
+    regionWesternEurope: "Europe de l'Ouest",
+    regionSelection: 'Régions',
+    regionSelectionDescription: 'Choisissez une ou plusieurs régions à travailler',
+    allCountries: 'Tous les pays',
+    subregions: 'Sous-régions',
+    globeSettings: 'Globe',
+    autoRotate: 'Rotation automatique',
+    autoRotateDescription: "Le globe tourne tout seul en cas d'inactivité",
+    globeStyle: 'Style du globe',
+    styleDefault: 'Par défaut',
+    styleSatellite: 'Satellite',
+    styleDark: 'Sombre',
+    interface: 'Interface',
+    language: 'Langue',
+    languageDescription: "Pour l'interface et les noms de pays",
+    acceptGuesses: 'Accepter les essais en',
+    anyLanguage: 'Toute langue',
+    selectedLanguage: 'Langue choisie',
+    distanceGuide: 'Guide des distances',
+    distanceGuideDescription: 'Afficher la légende des couleurs',
+    previousGuesses: 'Essais précédents',
+    previousGuessesDescription: 'Afficher la liste des essais précédents',
+    directionHints: 'Indices de direction',
+    directionHintsDescription: 'Afficher une flèche de chaque essai vers la cible',
+    distanceUnit: 'Unité de distance',
+    kilometers: 'Kilomètres',
+    miles: 'Miles',
+    colorPalette: 'Palette de couleurs',
+    colorPaletteDescription: 'Couleurs des distances sur le globe et dans la légende',
+    paletteDefault: 'Par défaut',
+    paletteDeuteranopia: 'Deutéranopie',
+    paletteHighContrast: 'Contraste élevé',
+    paletteMonochrome: 'Monochrome',
+    yourData: 'Vos données',
+    yourDataDescription: "Les statistiques et l'historique ne sont stockés que dans ce navigateur. Exportez-les pour en garder une copie ou les transférer sur un autre appareil.",
+    exportJson: 'Exporter en JSON',
+    exportCsv: 'Exporter les parties (CSV)',
+    importData: 'Importer un fichier JSON',
+    importedTitle: 'Données importées',
+    importedDescription: "{games} parties et {archive} énigmes d'archive ajoutées. Conflits : {conflicts}.",
+    importFailedTitle: "Échec de l'import",
+    importInvalidJson: "Le fichier n'est pas un JSON valide.",
+    importWrongApp: "Le fichier n'est pas un export de Globle.",
+    importUnsupportedVersion: "Le fichier provient d'une version plus récente de Globle.",
+    importInvalidData: 'Les données ({section}) du fichier sont endommagées.',
+    importConflicts: 'Ces parties diffèrent dans le fichier importé. Vos résultats locaux ont été conservés :',
+    importConflictHistory: 'Partie {game}',
+    importConflictArchive: "Énigme d'archive du {date}",
+    hardTag: 'Difficile',
+    hardMode: 'Mode difficile',
+    hardModeDescription: "Pour l'énigme du jour : {count} essais, pas de suggestions, seulement des tranches de distance, et chaque essai doit être plus proche que le précédent",
+    hardModeLocked: "Verrouillé jusqu'à l'énigme de demain : la partie du jour a commencé.",
+    hardModeRecord: 'Mode difficile : {won} gagnée(s) sur {played}',
+    notCloserTitle: 'Pas plus proche',
+    notCloserDescription: "Mode difficile : {country} n'est pas plus proche que votre dernier essai. Essayez un autre pays.",
+    announceBand: '{country} : {band}.',
+    settingsSaved: 'Les réglages sont enregistrés automatiquement sur votre appareil'
+  },
+
+  es: {
+    practiceTag: '(Práctica)',
+    puzzleNumber: 'Reto n.º {number}',
+    statsButton: 'Estadísticas',
+    howToPlayButton: 'Cómo jugar',
+    settingsButton: 'Ajustes',
+    guessesLeft: 'Quedan {count} intentos',
+    inputPlaceholder: 'Escribe un país...',
+    guessButton: 'Adivinar',
+    correct: '¡Correcto!',
+    bordering: 'Limítrofe',
+    distance: 'Distancia: {distance}',
+    direction: 'Dirección: {direction}',
+    headToward: 'Ve hacia el {direction} para llegar al objetivo',
+
+    noPracticePlacesTitle: 'Nada que practicar',
+    noPracticePlaces: 'Este mapa no tiene lugares en las regiones elegidas. Elige otras regiones en los ajustes.',
+    notReadyTitle: 'Juego no listo',
+    notReadyDescription: 'Espera un momento y vuelve a intentarlo',
+    emptyGuessTitle: 'Respuesta vacía',
+    emptyGuessDescription: 'Escribe el nombre de un país',
+    outsideRegionTitle: 'Fuera de las regiones',
+    outsideRegionDescription: '{country} no está en las regiones que estás practicando',
+    invalidCountryTitle: 'País no válido',
+    invalidCountryDescription: 'Escribe un nombre de país válido',
+    didYouMean: '¿Quisiste decir {country}? Pulsa Intro para probarlo.',
+    alreadyGuessedTitle: 'Ya lo has intentado',
+    alreadyGuessedDescription: 'Ya has probado {country}. ¡Prueba con otro país!',
+    practiceWinDescription: '¡Has encontrado {country}! Pulsa «Jugar de nuevo» para otro país.',
+    errorTitle: 'Error',
+    errorDescription: 'Se produjo un error al procesar tu respuesta. Inténtalo de nuevo.',
+    copiedTitle: '¡Copiado!',
+    copiedDescription: 'Tu resultado está en el portapapeles',
+    shareFailedTitle: 'No se pudo compartir',
+    shareFailedDescription: 'Tu navegador bloqueó el acceso al portapapeles',
+
+    congratulations: '🎉 ¡Enhorabuena!',
+    gameOver: 'Fin del juego',
+    foundInOne: '¡Has encontrado {country} en 1 intento!',
+    foundIn: '¡Has encontrado {country} en {count} intentos!',
+    answerWas: 'El país era {country}',
+    learnMore: 'Más sobre {country} en Wikipedia',
+    comeBackTomorrow: '¡Vuelve mañana para un nuevo reto!',
+    share: 'Compartir',
+    playAgain: 'Jugar de nuevo',
+
+    close: 'Cerrar',
+    globeLabel: 'Globo con tus intentos. Las flechas lo giran, + y - hacen zoom, 0 restablece la vista.',
+    globeKeys: 'Usa las flechas para girar, + y - para hacer zoom y 0 para restablecer la vista',
+    announceCorrect: '¡{country} es correcto!',
+    announceGuess: '{country}: {distance}, {band}.',
+    bandVeryClose: 'muy cerca',
+    bandClose: 'cerca',
+    bandFar: 'lejos',
+    bandVeryFar: 'muy lejos',
+
+    dashboardButton: 'Panel',
+    dashboardTitle: 'Panel de estadísticas',
+    dashboardAll: 'Todas las partidas',
+    dashboardDaily: 'Retos diarios',
+    dashboardPractice: 'Práctica',
+    dashboardEmpty: 'Termina una partida para ver gráficos aquí.',
+    averageGuessesTitle: 'Intentos a lo largo del tiempo',
+    averageGuessesDescription: 'Intentos por victoria, con la media de las últimas {count} victorias como línea',
+    noWinsYet: 'Todavía no hay victorias.',
+    firstGuessTitle: 'Distancia del primer intento',
+    firstGuessDescription: 'A qué distancia del objetivo quedó tu primer intento en cada partida',
+    mostMissedTitle: 'Más fallados',
+    mostMissedDescription: 'Países objetivo que no encontraste y sus continentes',
+    missedCountries: 'Países',
+    continentAfrica: 'África',
+    continentAntarctica: 'Antártida',
+    continentAsia: 'Asia',
+    continentEurope: 'Europa',
+    continentNorthAmerica: 'América del Norte',
+    continentOceania: 'Oceanía',
+    continentSevenSeas: 'Mar abierto',
+    continentSouthAmerica: 'América del Sur',
+    missedContinents: 'Continentes',
+    missedCount: '{missed} de {played} fallados',
+    noMisses: 'Nada fallado todavía.',
+    winRateMapTitle: 'Porcentaje de victorias por país',
+    winRateMapDescription: 'Proporción de partidas ganadas para cada país objetivo jugado',
+    winRateTooltip: '{country}: {won} de {played} ganadas',
+    notPlayed: 'no jugado',
+    statisticsTitle: 'Estadísticas',
+    capitalStatisticsTitle: 'Estadísticas de capitales',
+    played: 'Jugadas',
+    winPercent: '% victorias',
+    streak: 'Racha',
+    maxStreak: 'Mejor racha',
+    lastPlayed: 'Última partida: reto n.º {number}',
+    guessDistribution: 'Distribución de intentos',
+
+    archiveButton: 'Archivo',
+    archiveTitle: 'Archivo',
+    archiveTag: '(Archivo)',
+    archiveDescription: 'Juega cualquier reto diario anterior. Las partidas del archivo se puntúan aquí y nunca cambian tu racha diaria.',
+    archiveWinDescription: '¡Has encontrado {country}! Elige otro día del archivo.',
+    archiveDayLabel: 'Reto n.º {number}, {date}: {status}',
+    archiveWon: 'Ganado',
+    archiveLost: 'Perdido',
+    archiveInProgress: 'En curso',
+    archiveUnplayed: 'Sin jugar',
+    previousMonth: 'Mes anterior',
+    nextMonth: 'Mes siguiente',
+    backToToday: 'Volver al reto de hoy',
+
+    historyButton: 'Historial',
+    historyTitle: 'Historial de partidas',
+    historyEmpty: 'Las partidas terminadas aparecerán aquí.',
+    historyWon: 'Ganada en {count}',
+    historyLost: 'Perdida',
+    modeDaily: 'Diaria',
+    modeArchive: 'Archivo',
+    modePractice: 'Práctica',
+    modeRoom: 'Sala',
+    modeCapitals: 'Capitales',
+    modeChallenge: 'Reto',
+    replay: 'Repetir',
+    replayGame: 'Repetir la partida de {country}',
+    replaying: '{game}: {country}',
+    replayProgress: 'Intento {step} de {total}',
+    restartReplay: 'Reiniciar',
+    stopReplay: 'Detener',
+
+    howToPlayTitle: 'Cómo jugar',
+    welcome: '¡Bienvenido a Globle! Adivina el país misterioso en 6 intentos o menos.',
+    howItWorks: 'Cómo funciona:',
+    ruleType: 'Escribe el nombre de un país y pulsa Intro',
+    ruleHighlight: 'El globo resalta tu respuesta y muestra lo cerca que estás',
+    ruleColors: 'Los colores de abajo indican tu distancia al objetivo',
+    ruleBorders: 'Las distancias se miden de frontera a frontera, así que un país vecino aparece como «Limítrofe»',
+    globeInteractive: '¡El globo es interactivo! Puedes:',
+    globeDrag: 'Arrastrar para girar la vista',
+    globeScroll: 'Desplazar para acercar o alejar',
+    globeTilt: 'Mantener pulsado para inclinar la perspectiva',
+    dailyNote: 'Cada día a las 00:00 UTC se elige un país nuevo, el mismo para todos. ¡Vuelve cada día a poner a prueba tu geografía!',
+    distanceIndicators: 'Indicadores de distancia:',
+    closer: 'Más cerca',
+    further: 'Más lejos',
+
+    speedRunButton: 'Contrarreloj',
+    speedRunTitle: 'Contrarreloj',
+    speedRunDescription: 'Encuentra tantos países como puedas antes de que se acabe el tiempo. Tras cada acierto aparece un nuevo objetivo. Regiones: {regions}.',
+    speedRunStart: '{count} minutos',
+    speedRunMinutes: '{count} min',
+    speedRunInProgress: 'En curso: quedan {time}, {count} encontrados.',
+    speedRunStop: 'Detener',
+    speedRunScore: '{found} encontrados en {guesses} intentos',
+    speedRunNewBest: '¡Nuevo récord personal!',
+    speedRunBests: 'Récords personales',
+    speedRunNoBests: 'Termina una partida para marcar un récord.',
+    speedRunDuration: 'Tiempo',
+    speedRunFoundColumn: 'Encontrados',
+    speedRunGuessesColumn: 'Intentos',
+    speedRunFound: '{count} encontrados',
+    speedRunTimeLeft: 'quedan {time}',
+    speedRunFoundTitle: '¡{country}!',
+    speedRunNext: 'Siguiente objetivo…',
+    partyMode: 'Pasa y juega',
+    partyModeDescription: 'De 2 a 6 jugadores se turnan en esta pantalla para encontrar el mismo país',
+    partySetUp: 'Configurar',
+    partyTitle: 'Pasa y juega',
+    partyDescription: 'Escribe los jugadores en el orden en que jugarán. Los intentos de cada jugador se marcan con su color, y el primero en encontrar el país gana la partida.',
+    partyPlayerName: 'Jugador {number}',
+    partyRemovePlayer: 'Quitar al jugador {number}',
+    partyAddPlayer: 'Añadir jugador',
+    partyStart: 'Empezar',
+    partyTooFew: 'Añade al menos {min} jugadores.',
+    partyTooMany: 'Pueden jugar como máximo {max} jugadores.',
+    partyEmptyName: 'Cada jugador necesita un nombre.',
+    partyDuplicateName: 'Cada jugador necesita un nombre distinto.',
+    partyScoreboard: 'Marcador',
+    partyGameNumber: 'Partida {number} de la sesión',
+    partyPlayer: 'Jugador',
+    partyWins: 'Victorias',
+    partyClosestRounds: 'Rondas más cerca',
+    partyResume: 'Volver a la partida',
+    partyEnd: 'Terminar sesión',
+    partyTurn: 'Turno de {player}',
+    partyGuessBy: 'Intento de {player}',
+    partyWinner: '¡{player} gana esta partida!',
+    partyWinDescription: '¡{player} ha encontrado {country}!',
+    roomButton: 'Salas',
+    roomTitle: 'Jugar en línea',
+    roomDescription: 'Compite con amigos en otros dispositivos. Crea una sala y comparte su código, o únete a una con un código. Todos buscan el mismo país y ven los intentos de los demás en directo.',
+    roomYourName: 'Tu nombre',
+    roomCreate: 'Crear una sala',
+    roomCode: 'Código de sala',
+    roomJoin: 'Unirse',
+    roomConnecting: 'Conectando…',
+    roomInvalidCode: 'Los códigos de sala tienen 4 letras o cifras.',
+    roomInvalidName: 'Escribe un nombre de hasta 20 caracteres.',
+    roomNotFound: 'No hay ninguna sala con ese código.',
+    roomFull: 'Esa sala está llena.',
+    roomNameTaken: 'Alguien en esa sala ya usa ese nombre.',
+    roomInvalidMessage: 'El servidor de salas envió algo que este juego no entiende.',
+    roomConnectionFailed: 'No se pudo conectar con el servidor de salas. ¿Está en marcha?',
+    roomJoinedTitle: 'Estás en la sala {code}',
+    roomShareCode: 'Comparte el código para que otros se unan. Todos juegan el mismo país.',
+    roomDisconnectedTitle: 'Conexión con la sala perdida',
+    roomDisconnected: 'Ya no estás conectado a la sala. Puedes terminar la partida, pero los demás no verán tus intentos.',
+    roomStandings: 'Clasificación',
+    roomResults: 'Resultados',
+    roomPlayer: 'Jugador',
+    roomGuesses: 'Intentos',
+    roomTime: 'Tiempo',
+    roomYou: 'tú',
+    roomPlaying: 'Jugando',
+    roomOutOfGuesses: 'Sin intentos',
+    roomLeft: 'Se fue',
+    roomLeave: 'Salir de la sala',
+    roomTag: 'Sala {code}',
+    roomWinDescription: '¡Has encontrado {country}! Mira cómo van los demás.',
+    challengeFriend: 'Retar a un amigo',
+    challengeSettingDescription: 'Elige un país y envíalo como enlace',
+    challengeCreate: 'Crear',
+    challengeTitle: 'Retar a un amigo',
+    challengeDescription: 'Elige el país que tu amigo tiene que encontrar. El enlace lo oculta, así que no se puede leer en la dirección.',
+    challengeTarget: 'País',
+    challengeTargetPlaceholder: 'Escribe el nombre de un país',
+    challengeUnknownTarget: 'Ese país no está en el juego.',
+    challengeGuessLimit: 'Límite de intentos',
+    challengeUnlimited: 'Sin límite',
+    challengeGuesses: '{count} intentos',
+    challengeRegion: 'Región',
+    challengeRegionDescription: 'Solo se pueden proponer países de esta región.',
+    challengeYourName: 'Tu nombre (opcional)',
+    challengeNamePlaceholder: 'Lo verá tu amigo',
+    challengeIncludesResult: 'Tu resultado en este país se envía con el reto.',
+    challengeNoResult: 'Termina antes una partida con este país para enviar tu resultado.',
+    challengeCreateLink: 'Crear enlace',
+    challengeLink: 'Enlace del reto',
+    challengeShare: 'Compartir enlace',
+    challengeCopied: '¡Enlace copiado!',
+    challengeTag: 'Reto',
+    challengeWinDescription: '¡Has encontrado {country}! Mira cómo te ha ido frente a quien te retó.',
+    challengeYou: 'Tú',
+    challengeChallenger: 'Retador',
+    challengePickedOnly: 'Eligió este país',
+    challengeAhead: '¡Has ganado al retador!',
+    challengeBehind: 'El retador lo hizo mejor esta vez.',
+    challengeTie: '¡Empate!',
+    challengeLinkFailedTitle: 'No se puede abrir este reto',
+    challengeInvalidLink: 'El enlace del reto está incompleto o dañado.',
+    challengeUnknownCountry: 'El reto es de un país que esta versión del juego no tiene.',
+    datasetTitle: 'Mapa de práctica',
+    datasetDescription: 'Las partidas de práctica se juegan en este mapa. El reto diario, el archivo, las salas y los desafíos usan siempre los países del mundo, y solo esas partidas entran en tu historial.',
+    datasetCountries: 'Países del mundo',
+    datasetCountriesSimplified: 'Países del mundo, fronteras simplificadas',
+    datasetCountriesCustom: 'Países del mundo, fronteras alternativas',
+    datasetUploaded: 'Tu mapa: {name}',
+    datasetLoading: 'Cargando mapa…',
+    datasetUploadDescription: 'O juega con tu propio archivo GeoJSON, como estados, regiones u oficinas. Cada lugar necesita un contorno poligonal o un punto, un nombre y un id único.',
+    datasetChooseFile: 'Elegir un archivo GeoJSON',
+    datasetNameField: 'Propiedad del nombre',
+    datasetIdField: 'Propiedad del id',
+    datasetAliasFields: 'Otros nombres aceptados (propiedades separadas por comas)',
+    datasetUse: 'Jugar en este mapa',
+    datasetUploadedTitle: 'Mapa cargado',
+    datasetUploadedDescription: 'Las partidas de práctica se juegan ahora en {name}.',
+    datasetNotSaved: '{name} es demasiado grande para guardarse en este dispositivo y solo dura hasta que cierres la página.',
+    datasetLoadFailedTitle: 'Mapa no disponible',
+    datasetLoadFailedDescription: 'No se pudo cargar el mapa de práctica, así que vuelves a los países del mundo.',
+    datasetInvalidJson: 'Este archivo no es JSON válido.',
+    datasetNotFeatureCollection: 'Este archivo no es una FeatureCollection de GeoJSON.',
+    datasetMissingFields: 'Elige las propiedades con el nombre y el id de cada lugar.',
+    datasetTooFewPlaces: 'Un mapa necesita al menos {count} lugares.',
+    datasetUnsupportedGeometry: 'La entidad {feature} no tiene contorno poligonal ni punto. Solo se pueden jugar entidades Polygon, MultiPolygon y Point.',
+    datasetMissingName: 'La entidad {feature} no tiene {field}.',
+    datasetMissingId: 'La entidad {feature} no tiene {field}.',
+    datasetDuplicateId: 'La entidad {feature} repite el id {value}. Cada lugar necesita el suyo.',
+    silhouetteMode: 'Silueta',
+    silhouetteModeDescription: 'Practica solo con el contorno del objetivo. Los intentos no aparecen en el globo sino debajo, con su distancia y dirección, y el globo vuela a la respuesta cuando la encuentras.',
+    silhouetteTiny: 'Islas pequeñas',
+    silhouetteTinyDescription: 'Incluir pequeños países insulares, cuyos contornos cuesta reconocer',
+    silhouetteTag: '(Silueta)',
+    silhouetteLabel: 'Contorno del lugar que buscas',
+    capitalsMode: 'Capitales',
+    capitalsModeDescription: 'Encuentra una capital en lugar de un país, en el reto diario y en la práctica. Las distancias se miden entre las ciudades. Las partidas de capitales no cuentan para tus estadísticas.',
+    capitalsTag: '(Capitales)',
+    capitalsPlaceholder: 'Escribe una capital...',
+    capitalOf: '{city}, {country}',
+    datasetCapitalsNote: 'El modo Capitales está activado, así que las partidas de práctica usan las capitales en lugar de este mapa.',
+    datasetMixedGeometry: 'La entidad {feature} es un {value}, pero las anteriores no. Un archivo solo puede tener contornos o solo puntos.',
+    settingsTitle: 'Ajustes',
+    gameModes: 'Modos de juego',
+    practiceMode: 'Modo práctica',
+    practiceModeDescription: 'Partidas ilimitadas con países al azar',
+    regionEurope: 'Europa',
+    regionAsia: 'Asia',
+    regionAmericas: 'América',
+    regionAfrica: 'África',
+    regionOceania: 'Oceanía',
+    regionNorthAmerica: 'América del Norte',
+    regionAustraliaAndNewZealand: 'Australia y Nueva Zelanda',
+    regionCaribbean: 'Caribe',
+    regionCentralAmerica: 'América Central',
+    regionCentralAsia: 'Asia Central',
+    regionEasternAfrica: 'África Oriental',
+    regionEasternAsia: 'Asia Oriental',
+    regionEasternEurope: 'Europa Oriental',
+    regionMelanesia: 'Melanesia',
+    regionMicronesia: 'Micronesia',
+    regionMiddleAfrica: 'África Central',
+    regionNorthernAfrica: 'África del Norte',
+    regionNorthernAmerica: 'América Septentrional',
+    regionNorthernEurope: 'Europa del Norte',
+    regionPolynesia: 'Polinesia',
+    regionSouthAmerica: 'América del Sur',
+    regionSouthEasternAsia: 'Sudeste Asiático',
+    regionSouthernAfrica: 'África Austral',
+    regionSouthernAsia: 'Asia del Sur',
+    regionSouthernEurope: 'Europa del Sur',
+    regionWesternAfrica: 'África Occidental',
+    regionWesternAsia: 'Asia Occidental',
+    regionWesternEurope: 'Europa Occidental',
+    regionSelection: 'Regiones',
+    regionSelectionDescription: 'Elige una o varias regiones para practicar',
+    allCountries: 'Todos los países',
+    subregions: 'Subregiones',
+    globeSettings: 'Globo',
+    autoRotate: 'Rotación automática',
+    autoRotateDescription: 'El globo gira solo cuando está inactivo',
+    globeStyle: 'Estilo del globo',
+    styleDefault: 'Predeterminado',
+    styleSatellite: 'Satélite',
+    styleDark: 'Oscuro',
+    interface: 'Interfaz',
+    language: 'Idioma',
+    languageDescription: 'Para la interfaz y los nombres de los países',
+    acceptGuesses: 'Aceptar respuestas en',
+    anyLanguage: 'Cualquier idioma',
+    selectedLanguage: 'Idioma elegido',
+    distanceGuide: 'Guía de distancias',
+    distanceGuideDescription: 'Mostrar la leyenda de colores',
+    previousGuesses: 'Intentos anteriores',
+    previousGuessesDescription: 'Mostrar la lista de intentos anteriores',
+    directionHints: 'Pistas de dirección',
+    directionHintsDescription: 'Mostrar una flecha de cada intento hacia el objetivo',
+    distanceUnit: 'Unidad de distancia',
+    kilometers: 'Kilómetros',
+    miles: 'Millas',
+    colorPalette: 'Paleta de colores',
+    colorPaletteDescription: 'Colores de las distancias en el globo y en la leyenda',
+    paletteDefault: 'Predeterminada',
+    paletteDeuteranopia: 'Deuteranopía',
+    paletteHighContrast: 'Alto contraste',
+    paletteMonochrome: 'Monocromo',
+    yourData: 'Tus datos',
+    yourDataDescription: 'Las estadísticas y el historial solo se guardan en este navegador. Expórtalos para tener una copia o llevarlos a otro dispositivo.',
+    exportJson: 'Exportar JSON',
+    exportCsv: 'Exportar partidas (CSV)',
+    importData: 'Importar archivo JSON',
+    importedTitle: 'Datos importados',
+    importedDescription: 'Se añadieron {games} partidas y {archive} retos del archivo. Conflictos: {conflicts}.',
+    importFailedTitle: 'Error al importar',
+    importInvalidJson: 'El archivo no es un JSON válido.',
+    importWrongApp: 'El archivo no es una exportación de Globle.',
+    importUnsupportedVersion: 'El archivo es de una versión más reciente de Globle.',
+    importInvalidData: 'Los datos ({section}) del archivo están dañados.',
+    importConflicts: 'Estas partidas son distintas en el archivo importado. Se conservaron tus resultados locales:',
+    importConflictHistory: 'Partida {game}',
+    importConflictArchive: 'Reto del archivo del {date}',
+    hardTag: 'Difícil',
+    hardMode: 'Modo difícil',
+    hardModeDescription: 'Para el reto diario: {count} intentos, sin sugerencias, solo rangos de distancia, y cada intento debe estar más cerca que el anterior',
+    hardModeLocked: 'Bloqueado hasta el reto de mañana: la partida de hoy ya ha empezado.',
+    hardModeRecord: 'Modo difícil: {won} de {played} ganadas',
+    notCloserTitle: 'No está más cerca',
+    notCloserDescription: 'Modo difícil: {country} no está más cerca que tu último intento. Prueba otro país.',
+    announceBand: '{country}: {band}.',
+    settingsSaved: 'Los ajustes se guardan automáticamente en tu dispositivo'
+  }
+};
+
+// Languages the interface is translated into
+export const INTERFACE_LANGUAGES = Object.keys(messages);
+
+export const isInterfaceLanguage = (language) => INTERFACE_LANGUAGES.includes(language);
+
+// Value for the `dir` attribute of a page in `language`
+export const textDirection = (language) => (LANGUAGES[language] && LANGUAGES[language].rtl ? 'rtl' : 'ltr');
+
+// Look up an interface string, falling back to English, and fill in
+// {placeholders} from `params`
+export const translate = (language, key, params = {}) => {
+  const template = (messages[language] && messages[language][key]) || messages.en[key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+};
+
+// Country name in `language`, falling back to the English game name
+export const localName = (country, language) => {
+  if (!country) return '';
+  if (language === DEFAULT_LANGUAGE || !country.names) return country.name;
+  return country.names[language] || country.name;
+};
+
+// BCP 47 locale for Intl date and number formatting
+export const intlLocale = (language) => (LANGUAGES[language] && LANGUAGES[language].locale) || language;
+
+export const wikipediaUrl = (country, language) => {
+  const site = (LANGUAGES[language] && LANGUAGES[language].wikipedia) || language;
+  return `https://${site}.wikipedia.org/wiki/${encodeURIComponent(localName(country, language))}`;
+};
@@ -0,0 +1,52 @@
+import { countryData } from './countries';
+import { INTERFACE_LANGUAGES, LANGUAGES, localName, textDirection, translate, wikipediaUrl } from './i18n';
+
+describe('translate', () => {
+  test('fills in placeholders', () => {
+    expect(translate('en', 'guessesLeft', { count: 3 })).toBe('3 Guesses Left');
+    expect(translate('de', 'answerWas', { country: 'Chile' })).toBe('Das Land war Chile');
+  });
+
+  test('falls back to English, then to the key', () => {
+    expect(translate('ja', 'share')).toBe('Share');
+    expect(translate('en', 'noSuchKey')).toBe('noSuchKey');
+  });
+});
+
+describe('interface languages', () => {
+  test('are listed with their own strings', () => {
+    const english = ['guessesLeft', 'share', 'regionWesternEurope', 'continentAsia', 'silhouetteMode'];
+    INTERFACE_LANGUAGES.forEach(code => {
+      expect(LANGUAGES[code]).toBeDefined();
+      english.forEach(key => expect(translate(code, key)).not.toBe(key));
+    });
+    expect(INTERFACE_LANGUAGES).toEqual(expect.arrayContaining(['en', 'de', 'fr', 'es']));
+  });
+
+  test('set the text direction', () => {
+    expect(textDirection('en')).toBe('ltr');
+    expect(textDirection('ar')).toBe('rtl');
+    expect(textDirection('he')).toBe('rtl');
+  });
+});
+
+describe('country names', () => {
+  const germany = countryData.find(country => country.id === 'DEU');
+
+  test('every language has names in the data', () => {
+    Object.keys(LANGUAGES).forEach(code => {
+      expect(germany.names[code]).toBeTruthy();
+    });
+  });
+
+  test('localName uses the language and falls back to the game name', () => {
+    expect(localName(germany, 'en')).toBe('Germany');
+    expect(localName(germany, 'fr')).toBe('Allemagne');
+    expect(localName({ name: 'Alpha', names: {} }, 'fr')).toBe('Alpha');
+  });
+
+  test('links to the matching Wikipedia', () => {
+    expect(wikipediaUrl(germany, 'es')).toBe('https://es.wikipedia.org/wiki/Alemania');
+    expect(wikipediaUrl(germany, 'zht')).toMatch(/^https:\/\/zh\.wikipedia\.org\/wiki\//);
+  });
+});
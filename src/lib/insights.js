@@ -0,0 +1,76 @@
+import { mean } from 'd3';
+import { countryById } from './countries';
+import { GAME_MODES } from './history';
+
+// Figures for the stats dashboard, worked out from the game history
+
+export const DASHBOARD_FILTERS = {
+  ALL: 'all',
+  DAILY: 'daily',
+  PRACTICE: 'practice'
+};
+
+// Games for a dashboard filter. Daily covers puzzles played on the day and
+// from the archive; practice covers every other game, including rooms and
+// challenges.
+const isDailyPuzzle = game => game.mode === GAME_MODES.DAILY || game.mode === GAME_MODES.ARCHIVE;
+
+// Games of countries, which the dashboard is about, leaving out the capitals
+// puzzle
+export const countryGames = (history) => history.filter(game => game.mode !== GAME_MODES.CAPITALS_DAILY);
+
+export const filterGames = (history, filter) => {
+  if (filter === DASHBOARD_FILTERS.DAILY) return history.filter(isDailyPuzzle);
+  if (filter === DASHBOARD_FILTERS.PRACTICE) return history.filter(game => !isDailyPuzzle(game));
+  return history;
+};
+
+const chronological = (games) => [...games].sort((a, b) =>
+  (a.finishedAt ?? 0) - (b.finishedAt ?? 0) || a.date.localeCompare(b.date));
+
+// Guesses taken in each win, oldest first, with the average over the last
+// `window` wins. Lost games have no guess count to average, so they're left
+// out here and show up in the misses instead.
+export const guessTrend = (games, window = 7) => {
+  const wins = chronological(games).filter(game => game.won);
+  return wins.map((game, i) => ({
+    id: game.id,
+    date: game.date,
+    guesses: game.guesses.length,
+    average: mean(wins.slice(Math.max(0, i - window + 1), i + 1), win => win.guesses.length)
+  }));
+};
+
+// Distance of the opening guess of every game, oldest first
+export const firstGuessDistances = (games) => chronological(games)
+  .filter(game => game.guesses.length > 0)
+  .map(game => ({ id: game.id, date: game.date, distance: game.guesses[0].distance, won: game.won }));
+
+const rank = (counts, limit) => [...counts.values()]
+  .filter(({ missed }) => missed > 0)
+  .sort((a, b) => b.missed - a.missed || b.missed / b.played - a.missed / a.played)
+  .slice(0, limit);
+
+// Targets and their continents ranked by how many games were lost on them,
+// as { countries: [{ id, missed, played }], continents: [{ name, missed, played }] }
+export const mostMissed = (games, limit = 5) => {
+  const countries = new Map();
+  const continents = new Map();
+  games.forEach(game => {
+    const country = countryById.get(game.targetId);
+    if (!country) return;
+    const missed = game.won ? 0 : 1;
+    const byCountry = countries.get(country.id) || { id: country.id, missed: 0, played: 0 };
+    countries.set(country.id, { ...byCountry, missed: byCountry.missed + missed, played: byCountry.played + 1 });
+    const byContinent = continents.get(country.continent) || { name: country.continent, missed: 0, played: 0 };
+    continents.set(country.continent, { ...byContinent, missed: byContinent.missed + missed, played: byContinent.played + 1 });
+  });
+  return { countries: rank(countries, limit), continents: rank(continents, limit) };
+};
+
+// Win rate for every target played, keyed by country id: { played, won, rate }
+export const winRateByCountry = (games) => games.reduce((rates, game) => {
+  const { played, won } = rates.get(game.targetId) || { played: 0, won: 0 };
+  const next = { played: played + 1, won: won + (game.won ? 1 : 0) };
+  return rates.set(game.targetId, { ...next, rate: next.won / next.played });
+}, new Map());
@@ -0,0 +1,79 @@
+import { DASHBOARD_FILTERS, countryGames, filterGames, firstGuessDistances, guessTrend, mostMissed, winRateByCountry } from './insights';
+
+const game = (mode, date, targetId, won, distances) => ({
+  id: `${mode}:${date}`,
+  mode,
+  date,
+  puzzle: null,
+  targetId,
+  won,
+  startedAt: Date.parse(date),
+  finishedAt: Date.parse(date) + 1000,
+  guesses: distances.map(distance => ({ id: 'XXX', distance, bearing: null, correct: distance === 0, at: null }))
+});
+
+// Newest first, like the stored history
+const history = [
+  game('practice', '2024-03-04', 'BRA', false, [9000, 4000, 2000]),
+  game('daily', '2024-03-03', 'FRA', true, [1200, 0]),
+  game('archive', '2024-03-02', 'DEU', false, [300, 100]),
+  game('daily', '2024-03-01', 'FRA', true, [2500, 800, 0, 0])
+];
+
+describe('filterGames', () => {
+  test('daily includes archive puzzles but not practice', () => {
+    expect(filterGames(history, DASHBOARD_FILTERS.DAILY).map(g => g.mode)).toEqual(['daily', 'archive', 'daily']);
+    expect(filterGames(history, DASHBOARD_FILTERS.PRACTICE)).toHaveLength(1);
+    expect(filterGames(history, DASHBOARD_FILTERS.ALL)).toBe(history);
+  });
+
+  test('leaves the capitals puzzle out of the country games', () => {
+    const withCapitals = [game('capitals-daily', '2024-03-05', 'FRA', true, [300, 0]), ...history];
+    expect(countryGames(withCapitals)).toEqual(history);
+  });
+
+  test('counts room games with practice', () => {
+    const withRoom = [game('room', '2024-03-05', 'JPN', true, [800, 0]), ...history];
+    expect(filterGames(withRoom, DASHBOARD_FILTERS.DAILY)).toHaveLength(3);
+    expect(filterGames(withRoom, DASHBOARD_FILTERS.PRACTICE).map(g => g.mode)).toEqual(['room', 'practice']);
+  });
+});
+
+describe('guessTrend', () => {
+  test('lists wins oldest first with a rolling average', () => {
+    expect(guessTrend(history, 2)).toEqual([
+      { id: 'daily:2024-03-01', date: '2024-03-01', guesses: 4, average: 4 },
+      { id: 'daily:2024-03-03', date: '2024-03-03', guesses: 2, average: 3 }
+    ]);
+  });
+});
+
+describe('firstGuessDistances', () => {
+  test('takes the opening guess of each game', () => {
+    expect(firstGuessDistances(history).map(point => point.distance)).toEqual([2500, 300, 1200, 9000]);
+  });
+});
+
+describe('mostMissed', () => {
+  test('ranks lost targets and their continents', () => {
+    expect(mostMissed(history)).toEqual({
+      countries: [
+        { id: 'BRA', missed: 1, played: 1 },
+        { id: 'DEU', missed: 1, played: 1 }
+      ],
+      continents: [
+        { name: 'South America', missed: 1, played: 1 },
+        { name: 'Europe', missed: 1, played: 3 }
+      ]
+    });
+  });
+});
+
+describe('winRateByCountry', () => {
+  test('counts games and wins per target', () => {
+    const rates = winRateByCountry(history);
+    expect(rates.get('FRA')).toEqual({ played: 2, won: 2, rate: 1 });
+    expect(rates.get('DEU')).toEqual({ played: 1, won: 0, rate: 0 });
+    expect(rates.has('ESP')).toBe(false);
+  });
+});
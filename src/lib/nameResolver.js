@@ -0,0 +1,146 @@
+// Name lookup shared by guessing and autocomplete. Every country is indexed
+// under its game name, localised names, English aliases and short codes, all
+// compared without case, diacritics, spaces or punctuation.
+
+// Where a name came from; lower ranks win when two countries share a name
+const SOURCE_RANK = {
+  name: 0,
+  localised: 1,
+  alias: 2,
+  code: 3
+};
+
+// 'Côte d’Ivoire' -> 'cotedivoire', 'U.S.A.' -> 'usa'
+export const normaliseName = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/[^\p{L}\p{N}]/gu, '');
+
+// Typos allowed before a near miss is no longer worth suggesting
+const maxTypos = (length) => {
+  if (length < 4) return 0;
+  if (length <= 5) return 1;
+  if (length <= 9) return 2;
+  return 3;
+};
+
+// Optimal string alignment distance: insertions, deletions, substitutions and
+// swaps of two neighbouring letters each cost 1
+export const editDistance = (a, b) => {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Names for one country, limited to `languages` when given. The game name
+// and the aliases are English; codes work in every language.
+const namesOf = (country, languages) => {
+  const english = !languages || languages.includes('en') || !country.names;
+  const localised = country.names
+    ? (languages || Object.keys(country.names)).map(code => country.names[code]).filter(Boolean)
+    : [];
+  return [
+    ...(english ? [{ text: country.name, source: 'name' }] : []),
+    ...localised.map(text => ({ text, source: 'localised' })),
+    ...(english ? (country.aliases || []).map(text => ({ text, source: 'alias' })) : []),
+    ...(country.codes || []).map(text => ({ text, source: 'code' }))
+  ];
+};
+
+const indexCache = new WeakMap();
+
+// Searchable index over `dataset`, cached per dataset and language list
+export const buildNameIndex = (dataset, { languages } = {}) => {
+  const cacheKey = languages ? languages.join(',') : '*';
+  if (!indexCache.has(dataset)) indexCache.set(dataset, new Map());
+  const cached = indexCache.get(dataset);
+  if (cached.has(cacheKey)) return cached.get(cacheKey);
+
+  const entries = [];
+  const byKey = new Map();
+  dataset.forEach(country => {
+    namesOf(country, languages).forEach(({ text, source }) => {
+      const key = normaliseName(text);
+      if (!key) return;
+      const entry = { key, country, rank: SOURCE_RANK[source] };
+      entries.push(entry);
+      const existing = byKey.get(key);
+      if (!existing || entry.rank < existing.rank) byKey.set(key, entry);
+    });
+  });
+
+  const index = { entries, byKey };
+  cached.set(cacheKey, index);
+  return index;
+};
+
+// The country `text` names exactly (after normalising), if any
+export const lookupName = (index, text) => {
+  const entry = index.byKey.get(normaliseName(text));
+  return entry ? entry.country : undefined;
+};
+
+// Closest country to a misspelt name, or null when nothing is near enough.
+// Codes are left out: any three letters are one typo away from some code.
+export const suggestName = (index, text) => {
+  const query = normaliseName(text);
+  const allowed = maxTypos(query.length);
+  if (allowed === 0) return null;
+
+  let best = null;
+  index.entries.forEach(entry => {
+    if (entry.rank === SOURCE_RANK.code || Math.abs(entry.key.length - query.length) > allowed) return;
+    const distance = editDistance(query, entry.key);
+    if (distance > allowed) return;
+    if (!best || distance < best.distance || (distance === best.distance && entry.rank < best.rank)) {
+      best = { distance, rank: entry.rank, country: entry.country };
+    }
+  });
+  return best ? best.country : null;
+};
+
+// Up to `limit` countries matching a partly typed name, best first: exact
+// matches, then prefixes, then substrings, then prefixes with a typo or two
+export const searchNames = (index, text, limit = 5) => {
+  const query = normaliseName(text);
+  if (!query) return [];
+  const typos = maxTypos(query.length);
+
+  const scores = new Map();
+  index.entries.forEach(({ key, country, rank }) => {
+    let score;
+    if (key === query) score = 0;
+    else if (key.startsWith(query)) score = 1;
+    else if (key.includes(query)) score = 2;
+    else if (typos > 0 && rank !== SOURCE_RANK.code) {
+      const distance = editDistance(query, key.slice(0, query.length));
+      if (distance > typos) return;
+      score = 2 + distance;
+    } else return;
+
+    const previous = scores.get(country);
+    if (!previous || score < previous.score || (score === previous.score && rank < previous.rank)) {
+      scores.set(country, { score, rank });
+    }
+  });
+
+  return [...scores.entries()]
+    .sort(([a, x], [b, y]) => x.score - y.score || x.rank - y.rank || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(([country]) => country);
+};
@@ -0,0 +1,84 @@
+import { countryData } from './countries';
+import { buildNameIndex, editDistance, lookupName, normaliseName, searchNames, suggestName } from './nameResolver';
+
+const index = buildNameIndex(countryData);
+const idOf = (country) => country && country.id;
+
+describe('normaliseName', () => {
+  test('ignores case, diacritics and punctuation', () => {
+    expect(normaliseName("Côte d'Ivoire")).toBe('cotedivoire');
+    expect(normaliseName(' U.S.A. ')).toBe('usa');
+    expect(normaliseName('Bosnia & Herzegovina')).toBe(normaliseName('Bosnia and Herzegovina'));
+  });
+});
+
+describe('editDistance', () => {
+  test('counts edits and neighbouring swaps', () => {
+    expect(editDistance('germany', 'germany')).toBe(0);
+    expect(editDistance('germny', 'germany')).toBe(1);
+    expect(editDistance('gemrany', 'germany')).toBe(1);
+    expect(editDistance('', 'abc')).toBe(3);
+  });
+});
+
+describe('lookupName', () => {
+  test.each([
+    ['USA', 'USA'],
+    ['united states', 'USA'],
+    ['Czech Republic', 'CZE'],
+    ['czechia', 'CZE'],
+    ['Cote d Ivoire', 'CIV'],
+    ['Ivory Coast', 'CIV'],
+    ['DRC', 'COD'],
+    ['Democratic Republic of the Congo', 'COD'],
+    ['Swaziland', 'SWZ'],
+    ['Deutschland', 'DEU']
+  ])('%s resolves to %s', (name, id) => {
+    expect(idOf(lookupName(index, name))).toBe(id);
+  });
+
+  test('rejects unknown names', () => {
+    expect(lookupName(index, 'Atlantis')).toBeUndefined();
+  });
+
+  test('only accepts the given languages, plus codes', () => {
+    const french = buildNameIndex(countryData, { languages: ['fr'] });
+    expect(idOf(lookupName(french, 'Allemagne'))).toBe('DEU');
+    expect(lookupName(french, 'Germany')).toBeUndefined();
+    expect(idOf(lookupName(french, 'DEU'))).toBe('DEU');
+  });
+});
+
+describe('suggestName', () => {
+  test('finds near misses', () => {
+    expect(idOf(suggestName(index, 'Germny'))).toBe('DEU');
+    expect(idOf(suggestName(index, 'Phillipines'))).toBe('PHL');
+    expect(idOf(suggestName(index, 'Argentinia'))).toBe('ARG');
+  });
+
+  test('gives up on short or distant input', () => {
+    expect(suggestName(index, 'xyz')).toBeNull();
+    expect(suggestName(index, 'Narnia Kingdom')).toBeNull();
+  });
+});
+
+describe('searchNames', () => {
+  test('ranks prefixes before substrings', () => {
+    const results = searchNames(index, 'ger').map(idOf);
+    expect(results[0]).toBe('DEU');
+    expect(results).toContain('DZA'); // Algeria
+    expect(results.indexOf('DEU')).toBeLessThan(results.indexOf('DZA'));
+  });
+
+  test('matches aliases and tolerates typos', () => {
+    expect(searchNames(index, 'usa').map(idOf)[0]).toBe('USA');
+    expect(searchNames(index, 'swit').map(idOf)).toContain('CHE');
+    expect(searchNames(index, 'swizt').map(idOf)).toContain('CHE');
+  });
+
+  test('returns one entry per country up to the limit', () => {
+    const results = searchNames(index, 'a', 5);
+    expect(results).toHaveLength(5);
+    expect(new Set(results).size).toBe(5);
+  });
+});
@@ -0,0 +1,107 @@
+import { readJson, writeJson } from './storage';
+
+// Pass-and-play: 2-6 players on one screen take turns guessing the same
+// target. The party is
+//   { players: [{ name, color, wins, closest }], game, owners, rounds, winner }
+// where `game` counts games played this session, `owners[i]` is the index of
+// the player who made guess i of the current game, `rounds` holds the
+// closest player of each finished round and `winner` is the index of the
+// player who found the target, or null.
+
+export const PARTY_KEY = 'geoGlobeParty';
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+
+// Outline colours, one per seat (Okabe-Ito, so they stay apart for
+// colour-blind players)
+export const PLAYER_COLORS = ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#D55E00', '#CC79A7'];
+
+// Reasons a list of player names is refused
+export const PARTY_ERRORS = {
+  TOO_FEW: 'too-few',
+  TOO_MANY: 'too-many',
+  EMPTY_NAME: 'empty-name',
+  DUPLICATE_NAME: 'duplicate-name'
+};
+
+// Error for a list of player names, or null when it's fine
+export const validatePlayerNames = (names) => {
+  const trimmed = names.map(name => name.trim());
+  if (trimmed.length < MIN_PLAYERS) return PARTY_ERRORS.TOO_FEW;
+  if (trimmed.length > MAX_PLAYERS) return PARTY_ERRORS.TOO_MANY;
+  if (trimmed.some(name => !name)) return PARTY_ERRORS.EMPTY_NAME;
+  const keys = trimmed.map(name => name.toLocaleLowerCase());
+  if (new Set(keys).size !== keys.length) return PARTY_ERRORS.DUPLICATE_NAME;
+  return null;
+};
+
+export const createParty = (names) => ({
+  players: names.map((name, i) => ({ name: name.trim(), color: PLAYER_COLORS[i], wins: 0, closest: 0 })),
+  game: 1,
+  owners: [],
+  rounds: [],
+  winner: null
+});
+
+// Whoever starts moves one seat along each game, so nobody always goes first
+export const currentPlayerIndex = (party) =>
+  (party.game - 1 + party.owners.length) % party.players.length;
+
+// Index of the closest of `guesses`: the correct one if any, else the
+// smallest distance, with the earlier guess winning a tie
+const closestGuess = (guesses) => {
+  const rank = guess => (guess.correct ? -1 : guess.distance);
+  return guesses.reduce((best, guess, i) => (rank(guess) < rank(guesses[best]) ? i : best), 0);
+};
+
+// Credit the closest player of a finished round
+const withRound = (party, closestIndex) => ({
+  ...party,
+  rounds: [...party.rounds, { closest: closestIndex }],
+  players: party.players.map((player, i) => (
+    i === closestIndex ? { ...player, closest: player.closest + 1 } : player
+  ))
+});
+
+// Record an accepted `guess` for the player whose turn it is. `guesses` is
+// the game's guesses including this one. A round ends once everyone has had
+// a turn, or early when the target is found, which wins the game.
+export const recordPartyGuess = (party, guess, guesses) => {
+  const player = currentPlayerIndex(party);
+  let next = { ...party, owners: [...party.owners, player] };
+
+  const roundSize = next.players.length;
+  const roundStart = next.rounds.length * roundSize;
+  if (guess.correct || next.owners.length - roundStart === roundSize) {
+    next = withRound(next, next.owners[roundStart + closestGuess(guesses.slice(roundStart))]);
+  }
+
+  if (guess.correct) {
+    next = {
+      ...next,
+      winner: player,
+      players: next.players.map((p, i) => (i === player ? { ...p, wins: p.wins + 1 } : p))
+    };
+  }
+  return next;
+};
+
+// Same players and scoreboard, fresh game
+export const nextPartyGame = (party) => ({
+  ...party,
+  game: party.game + 1,
+  owners: [],
+  rounds: [],
+  winner: null
+});
+
+// The scoreboard lasts for the browser session. The game in progress isn't
+// saved, so after a reload the current game starts over.
+export const loadParty = (storage = window.sessionStorage) => {
+  const party = readJson(storage, PARTY_KEY, { isValid: saved => Array.isArray(saved.players) });
+  return party && { ...party, owners: [], rounds: [], winner: null };
+};
+
+// Null ends the party
+export const saveParty = (party, storage = window.sessionStorage) => writeJson(storage, PARTY_KEY, party);
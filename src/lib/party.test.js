@@ -0,0 +1,83 @@
+import {
+  PARTY_ERRORS,
+  PARTY_KEY,
+  createParty,
+  currentPlayerIndex,
+  loadParty,
+  nextPartyGame,
+  recordPartyGuess,
+  saveParty,
+  validatePlayerNames
+} from './party';
+
+beforeEach(() => sessionStorage.clear());
+
+// Play `moves` in turn, each [distance, correct]
+const play = (party, moves) => {
+  const guesses = [];
+  return moves.reduce((current, [distance, correct = false]) => {
+    const guess = { distance, correct };
+    guesses.push(guess);
+    return recordPartyGuess(current, guess, [...guesses]);
+  }, party);
+};
+
+describe('validatePlayerNames', () => {
+  test('needs 2-6 distinct, non-empty names', () => {
+    expect(validatePlayerNames(['Ana'])).toBe(PARTY_ERRORS.TOO_FEW);
+    expect(validatePlayerNames(['a', 'b', 'c', 'd', 'e', 'f', 'g'])).toBe(PARTY_ERRORS.TOO_MANY);
+    expect(validatePlayerNames(['Ana', '  '])).toBe(PARTY_ERRORS.EMPTY_NAME);
+    expect(validatePlayerNames(['Ana', 'ana '])).toBe(PARTY_ERRORS.DUPLICATE_NAME);
+    expect(validatePlayerNames(['Ana', 'Ben'])).toBeNull();
+  });
+});
+
+describe('party games', () => {
+  test('gives every player a colour and takes turns', () => {
+    const party = createParty([' Ana ', 'Ben', 'Cem']);
+    expect(party.players.map(p => p.name)).toEqual(['Ana', 'Ben', 'Cem']);
+    expect(new Set(party.players.map(p => p.color)).size).toBe(3);
+    expect(currentPlayerIndex(party)).toBe(0);
+    expect(currentPlayerIndex(play(party, [[900]]))).toBe(1);
+  });
+
+  test('credits the closest guess of each round and the finder', () => {
+    const party = play(createParty(['Ana', 'Ben', 'Cem']), [
+      [900], [400], [1200], // round 1: Ben closest
+      [300], [0], [0, true] // round 2: Cem finds it, ahead of Ben's border
+    ]);
+    expect(party.rounds).toEqual([{ closest: 1 }, { closest: 2 }]);
+    expect(party.winner).toBe(2);
+    expect(party.players.map(p => [p.wins, p.closest])).toEqual([[0, 0], [0, 1], [1, 1]]);
+  });
+
+  test('ends a round early when the target is found', () => {
+    const party = play(createParty(['Ana', 'Ben', 'Cem']), [[500], [0, true]]);
+    expect(party.rounds).toEqual([{ closest: 1 }]);
+    expect(party.winner).toBe(1);
+  });
+
+  test('keeps the scoreboard and moves the first turn along in the next game', () => {
+    const finished = play(createParty(['Ana', 'Ben']), [[0, true]]);
+    const next = nextPartyGame(finished);
+    expect(next).toMatchObject({ game: 2, owners: [], rounds: [], winner: null });
+    expect(next.players[0].wins).toBe(1);
+    expect(currentPlayerIndex(next)).toBe(1);
+  });
+});
+
+describe('party storage', () => {
+  test('keeps the scoreboard but restarts the game in progress', () => {
+    const party = play(createParty(['Ana', 'Ben']), [[500]]);
+    saveParty(party);
+    expect(loadParty()).toEqual({ ...party, owners: [], rounds: [], winner: null });
+    saveParty(null);
+    expect(loadParty()).toBeNull();
+  });
+
+  test('lasts for the browser session only', () => {
+    saveParty(createParty(['Ana', 'Ben']));
+    expect(sessionStorage.getItem(PARTY_KEY)).not.toBeNull();
+    expect(localStorage.getItem(PARTY_KEY)).toBeNull();
+  });
+});
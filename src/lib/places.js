@@ -0,0 +1,156 @@
+import { calculateCentroid } from './geo';
+
+// Turning any GeoJSON FeatureCollection into places the game can use. Which
+// feature properties hold what is described by a field map:
+//   {
+//     id, name,                     // a property, or a list tried in order
+//     aliases, codes,               // properties with other accepted guesses
+//     names,                        // { [languageCode]: property }
+//     continent, region, subregion, // properties for the region filters
+//     tiny,                         // set for places too small to see; zero
+//                                   // or a negative number means it isn't
+//     labelX, labelY,               // longitude and latitude to put the place at
+//     missing                       // values that stand for "no value"
+//   }
+// Only `id` and `name` are required. Places are either all polygons, e.g.
+// countries, or all points, e.g. cities.
+
+// Fewest places a dataset needs for a game to make sense
+export const MIN_PLACES = 2;
+
+// Reasons a file can't be used as a dataset
+export const DATASET_ERRORS = {
+  INVALID_JSON: 'invalid-json',
+  NOT_FEATURE_COLLECTION: 'not-feature-collection',
+  MISSING_FIELDS: 'missing-fields',
+  TOO_FEW_PLACES: 'too-few-places',
+  UNSUPPORTED_GEOMETRY: 'unsupported-geometry',
+  MIXED_GEOMETRY: 'mixed-geometry',
+  MISSING_NAME: 'missing-name',
+  MISSING_ID: 'missing-id',
+  DUPLICATE_ID: 'duplicate-id',
+  NOT_FOUND: 'not-found',
+  LOAD_FAILED: 'load-failed'
+};
+
+const GEOMETRY_TYPES = ['Point', 'Polygon', 'MultiPolygon'];
+
+export const isPointPlace = (place) => place.geometry.type === 'Point';
+
+// A target picked at random from `places`, or null when there are none. Every
+// random target, in practice, speed runs and new rooms, comes from here.
+export const randomPlace = (places, random = Math.random) => (
+  places.length > 0 ? places[Math.floor(random() * places.length)] : null
+);
+
+const toList = (fields) => [].concat(fields || []);
+
+const hasValue = (value, missing) =>
+  value !== null && value !== undefined && String(value).trim() !== '' && !missing.includes(String(value));
+
+// First usable value among `fields`, as a string
+const firstValue = (properties, fields, missing) => {
+  const field = toList(fields).find(name => hasValue(properties[name], missing));
+  return field === undefined ? undefined : String(properties[field]);
+};
+
+const allValues = (properties, fields, missing) => toList(fields)
+  .filter(name => hasValue(properties[name], missing))
+  .map(name => String(properties[name]));
+
+// A tiny value marks the place unless it is a number of zero or less, which
+// is how Natural Earth writes "not tiny"
+const isTiny = (value) => value !== undefined && !(Number(value) <= 0);
+
+// Where a place is: its label point when the data has one, else its centroid
+const placePoint = (feature, properties, fields, missing) => {
+  const x = Number(firstValue(properties, fields.labelX, missing));
+  const y = Number(firstValue(properties, fields.labelY, missing));
+  if (Number.isFinite(x) && Number.isFinite(y)) return [x, y];
+  return calculateCentroid(feature.geometry);
+};
+
+// Turn a feature into a game place, finding where it is once up front
+export const toPlace = (feature, fields) => {
+  const properties = feature.properties || {};
+  const missing = fields.missing || [];
+  const [longitude, latitude] = placePoint(feature, properties, fields, missing);
+  return {
+    name: firstValue(properties, fields.name, missing),
+    latitude,
+    longitude,
+    geometry: feature.geometry,
+    continent: firstValue(properties, fields.continent, missing),
+    region: firstValue(properties, fields.region, missing),
+    subregion: firstValue(properties, fields.subregion, missing),
+    tiny: isTiny(firstValue(properties, fields.tiny, missing)),
+    // Localised names keyed by language code, for the ones the data has
+    names: Object.entries(fields.names || {}).reduce((names, [code, field]) => {
+      const name = firstValue(properties, field, missing);
+      if (name) names[code] = name;
+      return names;
+    }, {}),
+    // Other names and short codes accepted as guesses
+    aliases: allValues(properties, fields.aliases, missing),
+    codes: allValues(properties, fields.codes, missing),
+    id: firstValue(properties, fields.id, missing)
+  };
+};
+
+const hasCoordinates = (geometry) =>
+  Boolean(geometry) && GEOMETRY_TYPES.includes(geometry.type)
+  && Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0;
+
+// { ok: true, places } for a usable FeatureCollection, or { ok: false, error }.
+// Errors about one feature also carry its position in the file as `feature`
+// (counting from 1) and `value` where there is one, e.g. the repeated id.
+export const buildPlaces = (geojson, fields) => {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    return { ok: false, error: DATASET_ERRORS.NOT_FEATURE_COLLECTION };
+  }
+  if (!fields || !toList(fields.id).length || !toList(fields.name).length) {
+    return { ok: false, error: DATASET_ERRORS.MISSING_FIELDS };
+  }
+  if (geojson.features.length < MIN_PLACES) {
+    return { ok: false, error: DATASET_ERRORS.TOO_FEW_PLACES };
+  }
+
+  const places = [];
+  const ids = new Set();
+  for (let i = 0; i < geojson.features.length; i++) {
+    const feature = geojson.features[i] || {};
+    const problem = (error, value) => ({ ok: false, error, feature: i + 1, ...(value !== undefined && { value }) });
+
+    if (!hasCoordinates(feature.geometry)) {
+      return problem(DATASET_ERRORS.UNSUPPORTED_GEOMETRY, feature.geometry ? feature.geometry.type : undefined);
+    }
+    const place = toPlace(feature, fields);
+    if (places.length > 0 && isPointPlace(place) !== isPointPlace(places[0])) {
+      return problem(DATASET_ERRORS.MIXED_GEOMETRY, feature.geometry.type);
+    }
+    if (!place.name) return problem(DATASET_ERRORS.MISSING_NAME);
+    if (!place.id) return problem(DATASET_ERRORS.MISSING_ID);
+    if (ids.has(place.id)) return problem(DATASET_ERRORS.DUPLICATE_ID, place.id);
+    ids.add(place.id);
+    places.push(place);
+  }
+  return { ok: true, places };
+};
+
+// Parsed GeoJSON from the text of a file, as { ok, geojson } or { ok: false, error }
+export const parseGeoJson = (text) => {
+  try {
+    return { ok: true, geojson: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false, error: DATASET_ERRORS.INVALID_JSON };
+  }
+};
+
+// Property names used by the features, to offer as name, id and alias fields
+export const propertyNames = (geojson) => {
+  const names = new Set();
+  (geojson && Array.isArray(geojson.features) ? geojson.features : []).forEach(feature => {
+    Object.keys((feature && feature.properties) || {}).forEach(name => names.add(name));
+  });
+  return [...names].sort((a, b) => a.localeCompare(b));
+};
@@ -0,0 +1,130 @@
+import { DATASET_ERRORS, buildPlaces, isPointPlace, parseGeoJson, propertyNames, randomPlace, toPlace } from './places';
+
+const square = (lon, lat) => ({
+  type: 'Polygon',
+  coordinates: [[[lon, lat], [lon + 1, lat], [lon + 1, lat + 1], [lon, lat + 1], [lon, lat]]]
+});
+
+const feature = (properties, geometry = square(0, 0)) => ({ type: 'Feature', properties, geometry });
+
+const collection = (...features) => ({ type: 'FeatureCollection', features });
+
+const fields = { id: 'code', name: 'label', aliases: ['short'] };
+
+describe('toPlace', () => {
+  test('reads the configured fields', () => {
+    const place = toPlace(feature({ code: 'HQ', label: 'Head office', short: 'HQ Berlin' }, square(10, 50)), fields);
+    expect(place).toMatchObject({ id: 'HQ', name: 'Head office', aliases: ['HQ Berlin'], codes: [], names: {} });
+    expect(place.latitude).toBeCloseTo(50.5, 1);
+    expect(place.longitude).toBeCloseTo(10.5, 1);
+    expect(place.region).toBeUndefined();
+  });
+
+  test('falls back through field lists and skips missing values', () => {
+    const place = toPlace(
+      feature({ ISO: '-99', ADM: 'KOS', NAME: '', ADMIN: 'Kosovo', NAME_DE: 'Kosovo', ID: 7 }),
+      { id: ['ISO', 'ADM'], name: ['NAME', 'ADMIN'], codes: ['ISO', 'ID'], names: { de: 'NAME_DE', fr: 'NAME_FR' }, missing: ['-99'] }
+    );
+    expect(place).toMatchObject({ id: 'KOS', name: 'Kosovo', codes: ['7'], names: { de: 'Kosovo' } });
+  });
+
+  test('puts a place at its label point when it has one', () => {
+    const labelFields = { ...fields, labelX: 'LABEL_X', labelY: 'LABEL_Y', missing: ['-99'] };
+    expect(toPlace(feature({ code: 'A', label: 'A', LABEL_X: 2.5, LABEL_Y: 46.7 }), labelFields))
+      .toMatchObject({ longitude: 2.5, latitude: 46.7 });
+    const unlabelled = toPlace(feature({ code: 'A', label: 'A', LABEL_X: '-99' }, square(10, 50)), labelFields);
+    expect(unlabelled.longitude).toBeCloseTo(10.5, 1);
+    expect(unlabelled.latitude).toBeCloseTo(50.5, 1);
+  });
+
+  test('flags places with a tiny value', () => {
+    const tinyFields = { ...fields, tiny: 'TINY', missing: ['-99'] };
+    expect(toPlace(feature({ code: 'MDV', label: 'Maldives', TINY: 2 }), tinyFields).tiny).toBe(true);
+    expect(toPlace(feature({ code: 'FRA', label: 'France', TINY: -99 }), tinyFields).tiny).toBe(false);
+    expect(toPlace(feature({ code: 'FRA', label: 'France' }), fields).tiny).toBe(false);
+    // Natural Earth's -99 isn't tiny, even where it isn't listed as missing
+    expect(toPlace(feature({ code: 'FRA', label: 'France', TINY: -99 }), { ...fields, tiny: 'TINY' }).tiny).toBe(false);
+    expect(toPlace(feature({ code: 'FRA', label: 'France', TINY: 0 }), { ...fields, tiny: 'TINY' }).tiny).toBe(false);
+    expect(toPlace(feature({ code: 'MCO', label: 'Monaco', TINY: 'yes' }), { ...fields, tiny: 'TINY' }).tiny).toBe(true);
+  });
+});
+
+describe('buildPlaces', () => {
+  const offices = collection(
+    feature({ code: 'BER', label: 'Berlin' }),
+    feature({ code: 'NYC', label: 'New York' }, square(-74, 40))
+  );
+
+  test('builds a place per feature', () => {
+    const result = buildPlaces(offices, fields);
+    expect(result.ok).toBe(true);
+    expect(result.places.map(place => place.id)).toEqual(['BER', 'NYC']);
+  });
+
+  test('refuses anything but a FeatureCollection', () => {
+    expect(buildPlaces({ type: 'Feature' }, fields)).toEqual({ ok: false, error: DATASET_ERRORS.NOT_FEATURE_COLLECTION });
+    expect(buildPlaces(null, fields).error).toBe(DATASET_ERRORS.NOT_FEATURE_COLLECTION);
+  });
+
+  test('needs name and id fields and enough places', () => {
+    expect(buildPlaces(offices, { name: 'label' }).error).toBe(DATASET_ERRORS.MISSING_FIELDS);
+    expect(buildPlaces(collection(feature({ code: 'BER', label: 'Berlin' })), fields).error)
+      .toBe(DATASET_ERRORS.TOO_FEW_PLACES);
+  });
+
+  test('takes points as well as polygons, but not both', () => {
+    const point = (lon, lat) => ({ type: 'Point', coordinates: [lon, lat] });
+    const cities = collection(feature({ code: 'BER', label: 'Berlin' }, point(13.4, 52.5)), feature({ code: 'ROM', label: 'Rome' }, point(12.5, 41.9)));
+    const result = buildPlaces(cities, fields);
+    expect(result.ok).toBe(true);
+    expect(result.places[0]).toMatchObject({ id: 'BER', latitude: 52.5, longitude: 13.4 });
+    expect(isPointPlace(result.places[0])).toBe(true);
+
+    const mixed = collection(...offices.features, cities.features[0]);
+    expect(buildPlaces(mixed, fields))
+      .toEqual({ ok: false, error: DATASET_ERRORS.MIXED_GEOMETRY, feature: 3, value: 'Point' });
+  });
+
+  test('points at the first bad feature', () => {
+    const withLine = collection(offices.features[0], feature({ code: 'X', label: 'X' }, { type: 'LineString', coordinates: [[0, 0], [1, 1]] }));
+    expect(buildPlaces(withLine, fields))
+      .toEqual({ ok: false, error: DATASET_ERRORS.UNSUPPORTED_GEOMETRY, feature: 2, value: 'LineString' });
+    expect(buildPlaces(collection(...offices.features, feature({ code: 'LDN' })), fields))
+      .toEqual({ ok: false, error: DATASET_ERRORS.MISSING_NAME, feature: 3 });
+    expect(buildPlaces(collection(feature({ label: 'Nowhere' }), ...offices.features), fields))
+      .toEqual({ ok: false, error: DATASET_ERRORS.MISSING_ID, feature: 1 });
+    expect(buildPlaces(collection(...offices.features, feature({ code: 'BER', label: 'Berlin 2' })), fields))
+      .toEqual({ ok: false, error: DATASET_ERRORS.DUPLICATE_ID, feature: 3, value: 'BER' });
+  });
+});
+
+describe('randomPlace', () => {
+  const places = ['a', 'b', 'c'].map(id => toPlace(feature({ code: id, label: id }), fields));
+
+  test('picks any of the places, from first to last', () => {
+    expect(randomPlace(places, () => 0)).toBe(places[0]);
+    expect(randomPlace(places, () => 0.5)).toBe(places[1]);
+    expect(randomPlace(places, () => 0.999)).toBe(places[2]);
+    expect(places).toContain(randomPlace(places));
+  });
+
+  test('has nothing to pick from no places', () => {
+    expect(randomPlace([])).toBeNull();
+  });
+});
+
+describe('parseGeoJson', () => {
+  test('parses JSON text', () => {
+    expect(parseGeoJson('{"type":"FeatureCollection","features":[]}'))
+      .toEqual({ ok: true, geojson: { type: 'FeatureCollection', features: [] } });
+    expect(parseGeoJson('not json')).toEqual({ ok: false, error: DATASET_ERRORS.INVALID_JSON });
+  });
+});
+
+describe('propertyNames', () => {
+  test('lists every property used, sorted', () => {
+    const geojson = collection(feature({ name: 'A', id: 1 }), feature({ name: 'B', alt: 'b' }), { type: 'Feature' });
+    expect(propertyNames(geojson)).toEqual(['alt', 'id', 'name']);
+    expect(propertyNames(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,96 @@
+// Region filters for practice mode, built on the Natural Earth REGION_UN,
+// SUBREGION and CONTINENT properties carried on every country.
+
+export const ALL_REGIONS = 'all';
+
+// i18n key of a filter's name, e.g. 'regionWesternEurope' for 'western-europe'
+export const regionLabelKey = (key) =>
+  `region${key.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('')}`;
+
+// Top-level regions follow the UN regions. `name` is the English name from
+// the data; `label` is the i18n key shown in the interface.
+export const REGIONS = {
+  europe: { name: 'Europe', label: regionLabelKey('europe'), field: 'region', value: 'Europe' },
+  asia: { name: 'Asia', label: regionLabelKey('asia'), field: 'region', value: 'Asia' },
+  americas: { name: 'Americas', label: regionLabelKey('americas'), field: 'region', value: 'Americas' },
+  africa: { name: 'Africa', label: regionLabelKey('africa'), field: 'region', value: 'Africa' },
+  oceania: { name: 'Oceania', label: regionLabelKey('oceania'), field: 'region', value: 'Oceania' }
+};
+
+// Continents that cut across the UN sub-regions
+const CONTINENT_FILTERS = {
+  'north-america': {
+    name: 'North America',
+    label: regionLabelKey('north-america'),
+    parent: 'americas',
+    field: 'continent',
+    value: 'North America'
+  }
+};
+
+// Sub-regions that are not a place on their own
+const IGNORED_SUBREGIONS = ['Seven seas (open ocean)', 'Antarctica'];
+
+const slug = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Every selectable filter keyed by id: the top-level regions plus one entry
+// per sub-region found in `countries`, each pointing at its parent region
+export const buildRegionFilters = (countries) => {
+  const filters = { ...REGIONS };
+  const parents = Object.entries(REGIONS);
+
+  countries.forEach(country => {
+    if (!country.subregion || IGNORED_SUBREGIONS.includes(country.subregion)) return;
+    const key = slug(country.subregion);
+    if (filters[key]) return;
+    const parent = parents.find(([, region]) => region.value === country.region);
+    if (!parent) return;
+    filters[key] = {
+      name: country.subregion,
+      label: regionLabelKey(key),
+      parent: parent[0],
+      field: 'subregion',
+      value: country.subregion
+    };
+  });
+
+  Object.entries(CONTINENT_FILTERS).forEach(([key, filter]) => {
+    if (countries.some(country => country.continent === filter.value)) {
+      filters[key] = filter;
+    }
+  });
+
+  return filters;
+};
+
+// Sub-region filters grouped under their parent region key
+export const groupSubregions = (filters) =>
+  Object.entries(filters).reduce((groups, [key, filter]) => {
+    if (filter.parent) {
+      groups[filter.parent] = [...(groups[filter.parent] || []), { key, ...filter }]
+        .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    return groups;
+  }, {});
+
+// The filters that have at least one of `places` in them, so a map only
+// offers the regions it has
+export const filtersWithPlaces = (filters, places) => Object.fromEntries(
+  Object.entries(filters).filter(([key]) => places.some(place => countryInRegions(place, [key], filters)))
+);
+
+// A country matches when it falls in any of the selected filters; an empty
+// selection means the whole world
+export const countryInRegions = (country, selected, filters) => {
+  if (!selected || selected.length === 0 || selected.includes(ALL_REGIONS)) return true;
+  return selected.some(key => filters[key] && country[filters[key].field] === filters[key].value);
+};
+
+export const filterCountries = (countries, selected, filters) =>
+  countries.filter(country => countryInRegions(country, selected, filters));
+
+// Toggle one filter in a multi-select list; choosing 'all' clears the selection
+export const toggleRegion = (selected, key) => {
+  if (key === ALL_REGIONS) return [];
+  return selected.includes(key) ? selected.filter(k => k !== key) : [...selected, key];
+};
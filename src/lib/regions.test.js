@@ -0,0 +1,53 @@
+import { countryData } from './countries';
+import { translate } from './i18n';
+import { buildRegionFilters, filterCountries, filtersWithPlaces, groupSubregions, regionLabelKey, toggleRegion } from './regions';
+
+const filters = buildRegionFilters(countryData);
+const names = (countries) => countries.map(country => country.name);
+
+describe('region filters', () => {
+  test('builds sub-regions under their UN region', () => {
+    const groups = groupSubregions(filters);
+    expect(groups.africa.map(({ name }) => name)).toContain('Western Africa');
+    expect(groups.americas.map(({ name }) => name)).toEqual(
+      expect.arrayContaining(['Caribbean', 'North America', 'South America'])
+    );
+    expect(filters['seven-seas-open-ocean']).toBeUndefined();
+  });
+
+  test('has a translated name for every filter', () => {
+    expect(regionLabelKey('south-eastern-asia')).toBe('regionSouthEasternAsia');
+    Object.values(filters).forEach(({ label }) => {
+      ['en', 'de', 'fr', 'es'].forEach(language => {
+        expect(translate(language, label)).not.toBe(label);
+      });
+    });
+    expect(translate('de', filters['western-europe'].label)).toBe('Westeuropa');
+  });
+
+  test('an empty selection keeps every country', () => {
+    expect(filterCountries(countryData, [], filters)).toHaveLength(countryData.length);
+  });
+
+  test('combines several selections', () => {
+    const selected = names(filterCountries(countryData, ['western-africa', 'caribbean'], filters));
+    expect(selected).toEqual(expect.arrayContaining(['Nigeria', 'Jamaica']));
+    expect(selected).not.toContain('Kenya');
+  });
+
+  test('offers a map only the regions it has places in', () => {
+    const mainland = countryData.filter(country => country.region !== 'Oceania' || country.subregion === 'Australia and New Zealand');
+    const offered = filtersWithPlaces(filters, mainland);
+    expect(offered.micronesia).toBeUndefined();
+    expect(offered.polynesia).toBeUndefined();
+    expect(offered.oceania).toBe(filters.oceania);
+    expect(offered['australia-and-new-zealand']).toBe(filters['australia-and-new-zealand']);
+    expect(filtersWithPlaces(filters, [])).toEqual({});
+  });
+
+  test('toggles keys and clears on all', () => {
+    expect(toggleRegion([], 'europe')).toEqual(['europe']);
+    expect(toggleRegion(['europe', 'asia'], 'europe')).toEqual(['asia']);
+    expect(toggleRegion(['europe'], 'all')).toEqual([]);
+  });
+});
@@ -0,0 +1,93 @@
+import { GAME_STATUS } from './gameEngine';
+import { PLAY_MODES, recordedMode } from './gameModes';
+import { GAME_MODES, createHistoryEntry } from './history';
+import { getPuzzleDateKey } from './schedule';
+import { withSpeedRunResult } from './speedRun';
+import { CAPITAL_STATS_KEY, STATS_KEY } from './stats';
+
+// What a finished game leaves behind, which depends on how it was played.
+
+// How a finished game is announced. A won daily puzzle opens its stats; the
+// others are told in a message, as is any lost game.
+export const FINISH_OUTCOMES = {
+  STATS: 'stats',
+  ROOM: 'room',
+  CHALLENGE: 'challenge',
+  PARTY: 'party',
+  SPEED_RUN: 'speed-run',
+  PRACTICE: 'practice',
+  ARCHIVE: 'archive',
+  LOST: 'lost'
+};
+
+// Stats kept for today's puzzles, by mode
+const STATS_KEYS = {
+  [PLAY_MODES.DAILY]: STATS_KEY,
+  [PLAY_MODES.CAPITALS_DAILY]: CAPITAL_STATS_KEY
+};
+
+const winOutcome = (mode, { party, speedRun }) => {
+  if (STATS_KEYS[mode]) return FINISH_OUTCOMES.STATS;
+  if (mode === PLAY_MODES.ROOM) return FINISH_OUTCOMES.ROOM;
+  if (mode === PLAY_MODES.CHALLENGE) return FINISH_OUTCOMES.CHALLENGE;
+  if (party) return FINISH_OUTCOMES.PARTY;
+  if (speedRun) return FINISH_OUTCOMES.SPEED_RUN;
+  return mode === PLAY_MODES.PRACTICE ? FINISH_OUTCOMES.PRACTICE : FINISH_OUTCOMES.ARCHIVE;
+};
+
+// What to record for a game in `mode` on `map` that has `state`, or null
+// while it is still being played:
+//   {
+//     history,  // entry for the history, or null for a game that isn't kept
+//     stats,    // { key, result } to fold into the stats saved under `key`
+//               // with recordResult, for today's puzzles, or null
+//     outcome   // one of FINISH_OUTCOMES
+//   }
+// `party` and `speedRun` say whether practice is played as one.
+export const finishGame = ({ mode, map, state, dailyPuzzle, archivePuzzle = null, party = false, speedRun = false }) => {
+  if (state.status === GAME_STATUS.PLAYING) return null;
+  const won = state.status === GAME_STATUS.WON;
+
+  const historyMode = recordedMode(mode, map);
+  const puzzle = {
+    [GAME_MODES.DAILY]: dailyPuzzle,
+    [GAME_MODES.CAPITALS_DAILY]: dailyPuzzle,
+    [GAME_MODES.ARCHIVE]: archivePuzzle
+  }[historyMode];
+  const history = historyMode
+    ? createHistoryEntry({
+      mode: historyMode,
+      date: puzzle ? puzzle.date : getPuzzleDateKey(),
+      puzzle: puzzle ? puzzle.number : null,
+      state
+    })
+    : null;
+
+  const statsKey = STATS_KEYS[mode];
+  const stats = statsKey
+    ? {
+      key: statsKey,
+      result: {
+        won,
+        numGuesses: state.guesses.length,
+        date: dailyPuzzle.date,
+        puzzleNumber: dailyPuzzle.number,
+        hard: Boolean(state.rules.hard)
+      }
+    }
+    : null;
+
+  return {
+    history,
+    stats,
+    outcome: won ? winOutcome(mode, { party, speedRun }) : FINISH_OUTCOMES.LOST
+  };
+};
+
+// Personal bests once `run` is over, and whether it set one. Only runs on the
+// world countries are kept, like the history.
+export const finishSpeedRun = (bests, run, map, date = getPuzzleDateKey()) => (
+  recordedMode(PLAY_MODES.PRACTICE, map)
+    ? withSpeedRunResult(bests, run, date)
+    : { bests, isBest: false }
+);
@@ -0,0 +1,81 @@
+import { capitalsDataset, createDataset, worldDataset } from './datasets';
+import { GAME_STATUS } from './gameEngine';
+import { PLAY_MODES } from './gameModes';
+import { FINISH_OUTCOMES, finishGame, finishSpeedRun } from './results';
+import { CAPITAL_STATS_KEY, STATS_KEY } from './stats';
+
+const dailyPuzzle = { number: 120, date: '2024-05-01' };
+const archivePuzzle = { number: 90, date: '2024-04-01' };
+
+const state = (status, hard = false) => ({
+  targetId: 'FRA',
+  rules: { maxGuesses: 10, hard },
+  status,
+  startedAt: 1000,
+  guesses: [
+    { id: 'DEU', distance: 300, bearing: 250, correct: false, at: 2000 },
+    { id: 'FRA', distance: 0, bearing: null, correct: status === GAME_STATUS.WON, at: 3000 }
+  ]
+});
+
+const finish = (mode, { map = worldDataset, status = GAME_STATUS.WON, ...options } = {}) =>
+  finishGame({ mode, map, state: state(status), dailyPuzzle, archivePuzzle, ...options });
+
+describe('finishGame', () => {
+  test('records nothing while the game is being played', () => {
+    expect(finish(PLAY_MODES.DAILY, { status: GAME_STATUS.PLAYING })).toBeNull();
+  });
+
+  test('counts today\'s puzzles in their own stats and opens them', () => {
+    const daily = finish(PLAY_MODES.DAILY);
+    expect(daily.stats).toEqual({
+      key: STATS_KEY,
+      result: { won: true, numGuesses: 2, date: '2024-05-01', puzzleNumber: 120, hard: false }
+    });
+    expect(daily.history).toMatchObject({ id: 'daily:2024-05-01', puzzle: 120 });
+    expect(daily.outcome).toBe(FINISH_OUTCOMES.STATS);
+
+    const capitals = finish(PLAY_MODES.CAPITALS_DAILY, { map: capitalsDataset, status: GAME_STATUS.LOST });
+    expect(capitals.stats).toMatchObject({ key: CAPITAL_STATS_KEY, result: { won: false } });
+    expect(capitals.history).toMatchObject({ id: 'capitals-daily:2024-05-01', won: false });
+    expect(capitals.outcome).toBe(FINISH_OUTCOMES.LOST);
+  });
+
+  test('keeps other games in the history only', () => {
+    const archive = finish(PLAY_MODES.ARCHIVE);
+    expect(archive.stats).toBeNull();
+    expect(archive.history).toMatchObject({ id: 'archive:2024-04-01', puzzle: 90 });
+    expect(archive.outcome).toBe(FINISH_OUTCOMES.ARCHIVE);
+
+    const room = finish(PLAY_MODES.ROOM);
+    expect(room.history).toMatchObject({ mode: 'room', puzzle: null });
+    expect(room.outcome).toBe(FINISH_OUTCOMES.ROOM);
+    expect(finish(PLAY_MODES.CHALLENGE).outcome).toBe(FINISH_OUTCOMES.CHALLENGE);
+  });
+
+  test('leaves out games on other maps', () => {
+    const uploaded = finish(PLAY_MODES.PRACTICE, { map: createDataset('uploaded', []) });
+    expect(uploaded).toEqual({ history: null, stats: null, outcome: FINISH_OUTCOMES.PRACTICE });
+  });
+
+  test('tells a party or speed run win from plain practice', () => {
+    expect(finish(PLAY_MODES.PRACTICE).outcome).toBe(FINISH_OUTCOMES.PRACTICE);
+    expect(finish(PLAY_MODES.PRACTICE, { party: true }).outcome).toBe(FINISH_OUTCOMES.PARTY);
+    expect(finish(PLAY_MODES.PRACTICE, { speedRun: true }).outcome).toBe(FINISH_OUTCOMES.SPEED_RUN);
+  });
+});
+
+describe('finishSpeedRun', () => {
+  const run = { duration: 180, regions: [], found: 4, guesses: 9 };
+
+  test('keeps a best run on the world countries', () => {
+    const { bests, isBest } = finishSpeedRun({}, run, worldDataset, '2024-05-01');
+    expect(isBest).toBe(true);
+    expect(Object.values(bests)).toEqual([{ ...run, date: '2024-05-01' }]);
+  });
+
+  test('leaves runs on other maps out', () => {
+    const bests = {};
+    expect(finishSpeedRun(bests, run, createDataset('uploaded', []), '2024-05-01')).toEqual({ bests, isBest: false });
+  });
+});
@@ -0,0 +1,28 @@
+// Constants shared by the app (lib/rooms) and the room server
+// (server/index.mjs). This file has no imports so that Node can load it as it
+// is; that is also why it is an .mjs file.
+
+export const ROOM_CODE_LENGTH = 4;
+// No 0/O or 1/I, so a code can be read out across the room
+export const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const MAX_ROOM_PLAYERS = 8;
+export const MAX_ROOM_NAME_LENGTH = 20;
+export const DEFAULT_ROOM_PORT = 8787;
+
+// Guess limit of a room game
+export const ROOM_MAX_GUESSES = 10;
+
+// What a player may report: the distance band keys of lib/distanceBands and
+// the game statuses of lib/gameEngine, first of all 'playing'
+export const ROOM_BANDS = ['correct', 'very-close', 'close', 'far', 'very-far'];
+export const ROOM_STATUSES = ['playing', 'won', 'lost'];
+
+// Reasons the server or the connection turns a player away
+export const ROOM_ERRORS = {
+  NOT_FOUND: 'room-not-found',
+  FULL: 'room-full',
+  NAME_TAKEN: 'name-taken',
+  INVALID_NAME: 'invalid-name',
+  INVALID_MESSAGE: 'invalid-message',
+  CONNECTION: 'connection'
+};
@@ -0,0 +1,139 @@
+import {
+  MAX_ROOM_NAME_LENGTH,
+  MAX_ROOM_PLAYERS,
+  ROOM_BANDS,
+  ROOM_CODE_ALPHABET,
+  ROOM_CODE_LENGTH,
+  ROOM_ERRORS,
+  ROOM_MAX_GUESSES,
+  ROOM_STATUSES
+} from './roomProtocol.mjs';
+
+// Message handling of the room server, apart from the network so it can be
+// tested. server/index.mjs connects each socket as a client with a `send`
+// function that delivers a message to that player. Rooms live in memory: a
+// room lasts until its last player disconnects.
+//
+// Messages are JSON with a `type`. From a player:
+//   { type: 'create', name, targetId }   open a room on a target
+//   { type: 'join', code, name }         join a room by its code
+//   { type: 'progress', bands, status }  after each guess, see lib/rooms
+// To a player:
+//   { type: 'joined', code, playerId, targetId }
+//   { type: 'room', code, players }      the whole room, after every change
+//   { type: 'error', error }             one of ROOM_ERRORS
+//
+// Guesses are checked in the browser; the server only passes progress on.
+
+const [PLAYING] = ROOM_STATUSES;
+
+const cleanName = (name) => (
+  typeof name === 'string' && name.trim() && name.trim().length <= MAX_ROOM_NAME_LENGTH ? name.trim() : null
+);
+
+const validProgress = ({ bands, status }) => Array.isArray(bands) && bands.length <= ROOM_MAX_GUESSES
+  && bands.every(band => ROOM_BANDS.includes(band)) && ROOM_STATUSES.includes(status);
+
+// `now` gives the millisecond times on players and `random` picks room codes
+export const createRoomServer = ({ now = Date.now, random = Math.random } = {}) => {
+  const rooms = new Map(); // code -> { code, targetId, players: Map<id, player>, clients: Map<id, client> }
+  let nextPlayerId = 1;
+
+  const newRoomCode = () => {
+    let code;
+    do {
+      code = Array.from({ length: ROOM_CODE_LENGTH }, () => (
+        ROOM_CODE_ALPHABET[Math.floor(random() * ROOM_CODE_ALPHABET.length)]
+      )).join('');
+    } while (rooms.has(code));
+    return code;
+  };
+
+  const fail = (client, error) => client.send({ type: 'error', error });
+
+  const broadcast = (room) => {
+    const message = { type: 'room', code: room.code, players: [...room.players.values()] };
+    room.clients.forEach(client => client.send(message));
+  };
+
+  const addPlayer = (room, client, name) => {
+    const player = {
+      id: String(nextPlayerId++),
+      name,
+      bands: [],
+      status: PLAYING,
+      joinedAt: now(),
+      finishedAt: null,
+      connected: true
+    };
+    room.players.set(player.id, player);
+    room.clients.set(player.id, client);
+    client.room = room;
+    client.playerId = player.id;
+    client.send({ type: 'joined', code: room.code, playerId: player.id, targetId: room.targetId });
+    broadcast(room);
+  };
+
+  const createRoom = (client, name, targetId) => {
+    if (typeof targetId !== 'string' || !targetId) return fail(client, ROOM_ERRORS.INVALID_MESSAGE);
+    const room = { code: newRoomCode(), targetId, players: new Map(), clients: new Map() };
+    rooms.set(room.code, room);
+    return addPlayer(room, client, name);
+  };
+
+  const joinRoom = (client, name, code) => {
+    const room = rooms.get(String(code).toUpperCase());
+    if (!room) return fail(client, ROOM_ERRORS.NOT_FOUND);
+    if (room.clients.size >= MAX_ROOM_PLAYERS) return fail(client, ROOM_ERRORS.FULL);
+    const taken = [...room.players.values()].some(player => (
+      player.connected && player.name.toLowerCase() === name.toLowerCase()
+    ));
+    if (taken) return fail(client, ROOM_ERRORS.NAME_TAKEN);
+    return addPlayer(room, client, name);
+  };
+
+  const reportProgress = (client, message) => {
+    if (!validProgress(message)) return fail(client, ROOM_ERRORS.INVALID_MESSAGE);
+    const player = client.room.players.get(client.playerId);
+    // A finished game stays finished, and its time is the moment it ended
+    if (player.status !== PLAYING) return undefined;
+    player.bands = message.bands;
+    player.status = message.status;
+    if (message.status !== PLAYING) player.finishedAt = now();
+    return broadcast(client.room);
+  };
+
+  // A new connection, not in a room yet
+  const connect = (send) => ({ send, room: null, playerId: null });
+
+  // `message` is the parsed JSON, or null when it couldn't be parsed
+  const handleMessage = (client, message) => {
+    if (!message || typeof message !== 'object') return fail(client, ROOM_ERRORS.INVALID_MESSAGE);
+
+    if ((message.type === 'create' || message.type === 'join') && !client.room) {
+      const name = cleanName(message.name);
+      if (!name) return fail(client, ROOM_ERRORS.INVALID_NAME);
+      return message.type === 'create'
+        ? createRoom(client, name, message.targetId)
+        : joinRoom(client, name, message.code);
+    }
+    if (message.type === 'progress' && client.room) return reportProgress(client, message);
+
+    return fail(client, ROOM_ERRORS.INVALID_MESSAGE);
+  };
+
+  // Players who leave stay in the results; the room goes once nobody is left
+  const handleClose = (client) => {
+    const { room } = client;
+    if (!room) return;
+    room.clients.delete(client.playerId);
+    room.players.get(client.playerId).connected = false;
+    if (room.clients.size === 0) {
+      rooms.delete(room.code);
+    } else {
+      broadcast(room);
+    }
+  };
+
+  return { rooms, connect, handleMessage, handleClose };
+};
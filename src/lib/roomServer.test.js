@@ -0,0 +1,137 @@
+import { DISTANCE_BANDS, CORRECT_BAND } from './distanceBands';
+import { GAME_STATUS, MAX_GUESSES } from './gameEngine';
+import { MAX_ROOM_PLAYERS, ROOM_BANDS, ROOM_ERRORS, ROOM_MAX_GUESSES, ROOM_STATUSES } from './roomProtocol.mjs';
+import { createRoomServer } from './roomServer.mjs';
+
+// A server on a fixed clock, and players that keep what they were sent
+const setup = () => {
+  let time = 1000;
+  const server = createRoomServer({ now: () => time, random: () => 0.5 });
+  const connect = () => {
+    const received = [];
+    const client = server.connect(message => received.push(message));
+    return { client, received, last: () => received[received.length - 1] };
+  };
+  return { server, connect, tick: (ms) => { time += ms; } };
+};
+
+describe('room protocol', () => {
+  test('matches the bands and statuses the game reports', () => {
+    expect(ROOM_BANDS).toEqual([CORRECT_BAND, ...DISTANCE_BANDS].map(band => band.key));
+    expect(ROOM_STATUSES[0]).toBe(GAME_STATUS.PLAYING);
+    expect([...ROOM_STATUSES].sort()).toEqual(Object.values(GAME_STATUS).sort());
+    expect(ROOM_MAX_GUESSES).toBe(MAX_GUESSES);
+  });
+});
+
+describe('room server', () => {
+  test('creates a room and tells its creator', () => {
+    const { server, connect } = setup();
+    const alice = connect();
+    server.handleMessage(alice.client, { type: 'create', name: ' Alice ', targetId: 'FRA' });
+
+    const [joined, room] = alice.received;
+    expect(joined).toMatchObject({ type: 'joined', targetId: 'FRA', playerId: '1' });
+    expect(joined.code).toMatch(/^[A-Z2-9]{4}$/);
+    expect(room).toMatchObject({ type: 'room', code: joined.code, players: [{ id: '1', name: 'Alice', joinedAt: 1000 }] });
+    expect(server.rooms.has(joined.code)).toBe(true);
+  });
+
+  test('lets others join by code and sends the room to everyone', () => {
+    const { server, connect } = setup();
+    const alice = connect();
+    const bob = connect();
+    server.handleMessage(alice.client, { type: 'create', name: 'Alice', targetId: 'FRA' });
+    const { code } = alice.received[0];
+    server.handleMessage(bob.client, { type: 'join', name: 'Bob', code: code.toLowerCase() });
+
+    expect(bob.received[0]).toMatchObject({ type: 'joined', code, targetId: 'FRA' });
+    expect(alice.last().players.map(player => player.name)).toEqual(['Alice', 'Bob']);
+    expect(bob.last()).toEqual(alice.last());
+  });
+
+  test('turns players away with a reason', () => {
+    const { server, connect } = setup();
+    const alice = connect();
+    server.handleMessage(alice.client, { type: 'create', name: 'Alice', targetId: 'FRA' });
+    const { code } = alice.received[0];
+
+    const error = (message) => {
+      const player = connect();
+      server.handleMessage(player.client, message);
+      return player.last();
+    };
+    expect(error({ type: 'join', name: 'Bob', code: 'ZZZZ' })).toEqual({ type: 'error', error: ROOM_ERRORS.NOT_FOUND });
+    expect(error({ type: 'join', name: 'alice', code })).toEqual({ type: 'error', error: ROOM_ERRORS.NAME_TAKEN });
+    expect(error({ type: 'join', name: '  ', code })).toEqual({ type: 'error', error: ROOM_ERRORS.INVALID_NAME });
+    expect(error({ type: 'create', name: 'Carol' })).toEqual({ type: 'error', error: ROOM_ERRORS.INVALID_MESSAGE });
+    expect(error({ type: 'progress', bands: [], status: 'playing' }))
+      .toEqual({ type: 'error', error: ROOM_ERRORS.INVALID_MESSAGE });
+    expect(error(null)).toEqual({ type: 'error', error: ROOM_ERRORS.INVALID_MESSAGE });
+
+    for (let i = 1; i < MAX_ROOM_PLAYERS; i++) {
+      server.handleMessage(connect().client, { type: 'join', name: `Player ${i}`, code });
+    }
+    expect(error({ type: 'join', name: 'Late', code })).toEqual({ type: 'error', error: ROOM_ERRORS.FULL });
+  });
+
+  test('passes on progress and keeps a finished game finished', () => {
+    const { server, connect, tick } = setup();
+    const alice = connect();
+    server.handleMessage(alice.client, { type: 'create', name: 'Alice', targetId: 'FRA' });
+
+    server.handleMessage(alice.client, { type: 'progress', bands: ['far'], status: 'playing' });
+    expect(alice.last().players[0]).toMatchObject({ bands: ['far'], status: 'playing', finishedAt: null });
+
+    tick(5000);
+    server.handleMessage(alice.client, { type: 'progress', bands: ['far', 'correct'], status: 'won' });
+    expect(alice.last().players[0]).toMatchObject({ bands: ['far', 'correct'], status: 'won', finishedAt: 6000 });
+
+    const count = alice.received.length;
+    server.handleMessage(alice.client, { type: 'progress', bands: [], status: 'playing' });
+    expect(alice.received).toHaveLength(count);
+  });
+
+  test('refuses progress it cannot trust', () => {
+    const { server, connect } = setup();
+    const alice = connect();
+    server.handleMessage(alice.client, { type: 'create', name: 'Alice', targetId: 'FRA' });
+    const invalid = { type: 'error', error: ROOM_ERRORS.INVALID_MESSAGE };
+
+    server.handleMessage(alice.client, { type: 'progress', bands: ['nearby'], status: 'playing' });
+    expect(alice.last()).toEqual(invalid);
+    server.handleMessage(alice.client, { type: 'progress', bands: Array(ROOM_MAX_GUESSES + 1).fill('far'), status: 'lost' });
+    expect(alice.last()).toEqual(invalid);
+    server.handleMessage(alice.client, { type: 'progress', bands: [], status: 'paused' });
+    expect(alice.last()).toEqual(invalid);
+    // Already in a room
+    server.handleMessage(alice.client, { type: 'create', name: 'Alice', targetId: 'DEU' });
+    expect(alice.last()).toEqual(invalid);
+  });
+
+  test('keeps players who leave in the results until the room is empty', () => {
+    const { server, connect } = setup();
+    const alice = connect();
+    const bob = connect();
+    server.handleMessage(alice.client, { type: 'create', name: 'Alice', targetId: 'FRA' });
+    const { code } = alice.received[0];
+    server.handleMessage(bob.client, { type: 'join', name: 'Bob', code });
+
+    server.handleClose(bob.client);
+    expect(alice.last().players.map(player => player.connected)).toEqual([true, false]);
+
+    // The name is free again once its player has gone
+    const bobAgain = connect();
+    server.handleMessage(bobAgain.client, { type: 'join', name: 'Bob', code });
+    expect(bobAgain.received[0]).toMatchObject({ type: 'joined', code });
+
+    server.handleClose(alice.client);
+    server.handleClose(bobAgain.client);
+    expect(server.rooms.has(code)).toBe(false);
+  });
+
+  test('ignores a connection that never joined', () => {
+    const { server, connect } = setup();
+    expect(() => server.handleClose(connect().client)).not.toThrow();
+  });
+});
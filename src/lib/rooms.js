@@ -0,0 +1,82 @@
+import { getDistanceBand } from './distanceBands';
+import { GAME_STATUS } from './gameEngine';
+import { DEFAULT_ROOM_PORT, ROOM_CODE_ALPHABET, ROOM_CODE_LENGTH } from './roomProtocol.mjs';
+
+// Networked rooms: players on separate machines race to find the same target.
+// The room server (server/index.mjs) hands out room codes, picks up each
+// player's progress and sends the whole room to everyone after every change.
+// Guesses are checked in each player's browser. A player in a room update is
+//   { id, name, bands, status, joinedAt, finishedAt, connected }
+// where `bands` are the distance band keys of their guesses so far, so the
+// others can follow along without seeing which countries were guessed, and
+// the times are the server's millisecond timestamps.
+
+// Shared with the server, see lib/roomProtocol
+export {
+  DEFAULT_ROOM_PORT,
+  MAX_ROOM_NAME_LENGTH,
+  MAX_ROOM_PLAYERS,
+  ROOM_CODE_ALPHABET,
+  ROOM_CODE_LENGTH,
+  ROOM_ERRORS,
+  ROOM_MAX_GUESSES
+} from './roomProtocol.mjs';
+
+// Upper-case room code from what a player typed, or null if it can't be one
+export const normalizeRoomCode = (input) => {
+  const code = input.replace(/\s+/g, '').toUpperCase();
+  return code.length === ROOM_CODE_LENGTH && [...code].every(char => ROOM_CODE_ALPHABET.includes(char))
+    ? code
+    : null;
+};
+
+// The room server set in REACT_APP_ROOM_SERVER, or else the default port on
+// the machine serving the app, so everyone on a network can use one server
+export const roomServerUrl = (location = window.location, configured = process.env.REACT_APP_ROOM_SERVER) => {
+  if (configured) return configured;
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${location.hostname}:${DEFAULT_ROOM_PORT}`;
+};
+
+// What a player tells the room after each guess
+export const roomProgress = (state) => ({
+  bands: state.guesses.map(guess => getDistanceBand(guess.distance, guess.correct).key),
+  status: state.status
+});
+
+// Milliseconds from joining to finishing, or null while still playing
+export const elapsedTime = (player) =>
+  (player.finishedAt == null ? null : player.finishedAt - player.joinedAt);
+
+const STATUS_ORDER = {
+  [GAME_STATUS.WON]: 0,
+  [GAME_STATUS.PLAYING]: 1,
+  [GAME_STATUS.LOST]: 2
+};
+
+// Results order: players who found the target by fewest guesses, then the
+// quickest; then those still playing, then those who ran out of guesses, in
+// the order they joined. Finishers get a `place`, shared on a full tie.
+export const rankPlayers = (players) => {
+  const ranked = [...players].sort((a, b) => (
+    STATUS_ORDER[a.status] - STATUS_ORDER[b.status]
+    || (a.status === GAME_STATUS.WON
+      ? a.bands.length - b.bands.length || elapsedTime(a) - elapsedTime(b)
+      : 0)
+    || a.joinedAt - b.joinedAt
+  ));
+  let place = null;
+  return ranked.map((player, i) => {
+    if (player.status !== GAME_STATUS.WON) return { ...player, place: null };
+    const previous = ranked[i - 1];
+    const tied = previous && previous.status === GAME_STATUS.WON
+      && previous.bands.length === player.bands.length
+      && elapsedTime(previous) === elapsedTime(player);
+    if (!tied) place = i + 1;
+    return { ...player, place };
+  });
+};
+
+// Everyone still connected has finished
+export const isRoomFinished = (players) =>
+  players.length > 0 && players.every(player => player.status !== GAME_STATUS.PLAYING || !player.connected);
@@ -0,0 +1,78 @@
+import { GAME_STATUS } from './gameEngine';
+import { isRoomFinished, normalizeRoomCode, rankPlayers, roomProgress, roomServerUrl } from './rooms';
+
+const player = (id, status, bands, joinedAt, finishedAt = null, connected = true) => ({
+  id, name: `P${id}`, bands, status, joinedAt, finishedAt, connected
+});
+
+describe('room codes', () => {
+  test('accept codes typed in any case and spacing', () => {
+    expect(normalizeRoomCode(' ab cd ')).toBe('ABCD');
+    expect(normalizeRoomCode('K7PQ')).toBe('K7PQ');
+  });
+
+  test('reject codes of the wrong length or with look-alike characters', () => {
+    expect(normalizeRoomCode('ABC')).toBeNull();
+    expect(normalizeRoomCode('ABCDE')).toBeNull();
+    expect(normalizeRoomCode('AB0D')).toBeNull();
+    expect(normalizeRoomCode('')).toBeNull();
+  });
+});
+
+describe('roomServerUrl', () => {
+  test('defaults to the room port on the host serving the app', () => {
+    expect(roomServerUrl({ protocol: 'http:', hostname: '192.168.1.20' }, undefined)).toBe('ws://192.168.1.20:8787');
+    expect(roomServerUrl({ protocol: 'https:', hostname: 'globle.example' }, undefined)).toBe('wss://globle.example:8787');
+  });
+
+  test('prefers a configured server', () => {
+    expect(roomServerUrl({ protocol: 'http:', hostname: 'localhost' }, 'wss://rooms.example')).toBe('wss://rooms.example');
+  });
+});
+
+describe('roomProgress', () => {
+  test('shares distance bands and status, not countries', () => {
+    const state = {
+      status: GAME_STATUS.WON,
+      guesses: [
+        { id: 'BRA', distance: 9000, correct: false },
+        { id: 'POL', distance: 400, correct: false },
+        { id: 'DEU', distance: 0, correct: true }
+      ]
+    };
+    expect(roomProgress(state)).toEqual({ bands: ['very-far', 'very-close', 'correct'], status: GAME_STATUS.WON });
+  });
+});
+
+describe('rankPlayers', () => {
+  test('ranks winners by guesses, then time, ahead of everyone else', () => {
+    const ranked = rankPlayers([
+      player('1', GAME_STATUS.LOST, Array(10).fill('far'), 0, 50000),
+      player('2', GAME_STATUS.WON, ['far', 'correct'], 0, 40000),
+      player('3', GAME_STATUS.PLAYING, ['far'], 0),
+      player('4', GAME_STATUS.WON, ['close', 'far', 'correct'], 0, 10000),
+      player('5', GAME_STATUS.WON, ['close', 'correct'], 5000, 30000)
+    ]);
+    expect(ranked.map(p => [p.id, p.place])).toEqual([
+      ['5', 1], ['2', 2], ['4', 3], ['3', null], ['1', null]
+    ]);
+  });
+
+  test('gives tied players the same place', () => {
+    const ranked = rankPlayers([
+      player('1', GAME_STATUS.WON, ['far', 'correct'], 0, 20000),
+      player('2', GAME_STATUS.WON, ['close', 'correct'], 1000, 21000),
+      player('3', GAME_STATUS.WON, ['correct'], 0, 30000)
+    ]);
+    expect(ranked.map(p => [p.id, p.place])).toEqual([['3', 1], ['1', 2], ['2', 2]]);
+  });
+});
+
+describe('isRoomFinished', () => {
+  test('waits for connected players still guessing', () => {
+    const done = player('1', GAME_STATUS.WON, ['correct'], 0, 1000);
+    expect(isRoomFinished([done, player('2', GAME_STATUS.PLAYING, [], 0)])).toBe(false);
+    expect(isRoomFinished([done, player('2', GAME_STATUS.PLAYING, [], 0, null, false)])).toBe(true);
+    expect(isRoomFinished([])).toBe(false);
+  });
+});
@@ -0,0 +1,72 @@
+// Daily puzzle schedule. Every player gets the same puzzle for the same UTC
+// day: puzzle #1 is PUZZLE_EPOCH and the number goes up by one at 00:00 UTC.
+// Targets come from a seeded shuffle of the whole dataset, so no country
+// repeats until every other one has had its day.
+
+export const PUZZLE_EPOCH = '2024-01-01';
+export const SCHEDULE_SEED = 0x9e3779b9;
+const DAY_MS = 86400000;
+
+// The UTC day a moment belongs to, as 'yyyy-MM-dd'
+export const getPuzzleDateKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+export const getPuzzleNumber = (date = new Date()) => {
+  const day = Date.parse(getPuzzleDateKey(date));
+  return Math.floor((day - Date.parse(PUZZLE_EPOCH)) / DAY_MS) + 1;
+};
+
+export const getPuzzleDate = (puzzleNumber) =>
+  getPuzzleDateKey(new Date(Date.parse(PUZZLE_EPOCH) + (puzzleNumber - 1) * DAY_MS));
+
+// Small deterministic PRNG (mulberry32)
+const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffle = (items, seed) => {
+  const random = createRandom(seed);
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// Order of ids for one full cycle through the dataset. Ids are sorted first
+// so the schedule doesn't depend on the order of features in the file.
+const cycleOrder = (ids, cycle, seed) => {
+  const order = shuffle(ids, seed + cycle);
+  if (cycle > 0 && order.length > 1) {
+    // Don't let a cycle start with the country that ended the previous one
+    const previous = shuffle(ids, seed + cycle - 1);
+    if (order[0] === previous[previous.length - 1]) {
+      [order[0], order[1]] = [order[1], order[0]];
+    }
+  }
+  return order;
+};
+
+const orderCache = new Map();
+
+// Target country for a puzzle number, from a list of { id } entries. Another
+// `seed` gives a schedule of its own, e.g. for a second daily puzzle.
+export const getDailyTarget = (countries, puzzleNumber, { seed = SCHEDULE_SEED } = {}) => {
+  const ids = countries.map(country => country.id).sort();
+  const index = ((puzzleNumber - 1) % ids.length + ids.length) % ids.length;
+  const cycle = Math.floor((puzzleNumber - 1) / ids.length);
+
+  const cacheKey = `${ids.join(',')}#${cycle}#${seed}`;
+  if (!orderCache.has(cacheKey)) {
+    orderCache.set(cacheKey, cycleOrder(ids, cycle, seed));
+  }
+  const id = orderCache.get(cacheKey)[index];
+  return countries.find(country => country.id === id);
+};
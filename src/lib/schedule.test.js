@@ -0,0 +1,59 @@
+import { getDailyTarget, getPuzzleDate, getPuzzleDateKey, getPuzzleNumber, PUZZLE_EPOCH } from './schedule';
+
+const countries = Array.from({ length: 50 }, (_, i) => ({ id: `C${String(i).padStart(2, '0')}` }));
+
+describe('puzzle numbers', () => {
+  test('start at 1 on the epoch and follow UTC days', () => {
+    expect(getPuzzleNumber(new Date(`${PUZZLE_EPOCH}T00:00:00Z`))).toBe(1);
+    expect(getPuzzleNumber(new Date(`${PUZZLE_EPOCH}T23:59:59Z`))).toBe(1);
+    expect(getPuzzleNumber(new Date('2024-01-02T00:00:00Z'))).toBe(2);
+  });
+
+  test('are the same for the same instant in any timezone', () => {
+    // 23:30 in New York on Jan 1 is already Jan 2 in UTC
+    const newYork = new Date('2024-01-01T23:30:00-05:00');
+    const tokyo = new Date('2024-01-02T13:30:00+09:00');
+    expect(getPuzzleNumber(newYork)).toBe(getPuzzleNumber(tokyo));
+    expect(getPuzzleDateKey(newYork)).toBe('2024-01-02');
+  });
+
+  test('map back to their date', () => {
+    expect(getPuzzleDate(1)).toBe(PUZZLE_EPOCH);
+    expect(getPuzzleDate(getPuzzleNumber(new Date('2025-03-10T12:00:00Z')))).toBe('2025-03-10');
+  });
+});
+
+describe('getDailyTarget', () => {
+  test('is deterministic and independent of input order', () => {
+    const reversed = [...countries].reverse();
+    expect(getDailyTarget(countries, 42)).toBe(countries.find(c => c.id === getDailyTarget(reversed, 42).id));
+  });
+
+  test('does not repeat within a full cycle', () => {
+    const ids = new Set();
+    for (let n = 1; n <= countries.length; n++) {
+      ids.add(getDailyTarget(countries, n).id);
+    }
+    expect(ids.size).toBe(countries.length);
+  });
+
+  test('does not step through the list in a fixed stride', () => {
+    const order = [1, 2, 3, 4].map(n => countries.indexOf(getDailyTarget(countries, n)));
+    const steps = new Set(order.slice(1).map((index, i) => index - order[i]));
+    expect(steps.size).toBeGreaterThan(1);
+  });
+
+  test('follows a schedule of its own for another seed', () => {
+    const order = (options) => [1, 2, 3, 4, 5].map(n => getDailyTarget(countries, n, options).id);
+    expect(order({ seed: 12345 })).toEqual(order({ seed: 12345 }));
+    expect(order({ seed: 12345 })).not.toEqual(order());
+  });
+
+  test('never repeats across a cycle boundary', () => {
+    for (let cycle = 1; cycle < 20; cycle++) {
+      const last = getDailyTarget(countries, cycle * countries.length);
+      const first = getDailyTarget(countries, cycle * countries.length + 1);
+      expect(first.id).not.toBe(last.id);
+    }
+  });
+});
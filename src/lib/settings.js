@@ -0,0 +1,76 @@
+import { DEFAULT_PALETTE, PALETTES } from './colorScale';
+import { DEFAULT_DATASET, isKnownDataset } from './datasets';
+import { DEFAULT_LANGUAGE, isInterfaceLanguage } from './i18n';
+import { readJson, writeJson } from './storage';
+
+export const SETTINGS_KEY = 'geoGlobeSettings';
+
+export const DEFAULT_SETTINGS = {
+  isPracticeMode: false,
+  // Rules for the next daily game; each day's game keeps the rules it started with
+  hardMode: false,
+  // Play capital cities instead of countries, in the daily puzzle and practice
+  capitals: false,
+  // Practice by outline, see lib/silhouette; tiny islands only when asked for
+  silhouette: false,
+  silhouetteTiny: false,
+  autoRotate: true,
+  globeStyle: 'default',
+  distanceUnit: 'km',
+  showDistanceGuide: true,
+  showPreviousGuesses: true,
+  showDirections: true,
+  selectedRegions: [],
+  language: DEFAULT_LANGUAGE,
+  // Accept guesses in 'all' languages or only the 'selected' one
+  guessLanguages: 'all',
+  palette: DEFAULT_PALETTE,
+  // Map for practice games, see lib/datasets
+  dataset: DEFAULT_DATASET
+};
+
+const isBoolean = (value) => typeof value === 'boolean';
+const oneOf = (...options) => (value) => options.includes(value);
+
+// How each stored value is checked before it is trusted
+const VALIDATORS = {
+  isPracticeMode: isBoolean,
+  hardMode: isBoolean,
+  capitals: isBoolean,
+  silhouette: isBoolean,
+  silhouetteTiny: isBoolean,
+  autoRotate: isBoolean,
+  globeStyle: oneOf('default', 'satellite', 'dark'),
+  distanceUnit: oneOf('km', 'mi'),
+  showDistanceGuide: isBoolean,
+  showPreviousGuesses: isBoolean,
+  showDirections: isBoolean,
+  selectedRegions: Array.isArray,
+  language: isInterfaceLanguage,
+  guessLanguages: oneOf('all', 'selected'),
+  palette: oneOf(...Object.keys(PALETTES)),
+  dataset: isKnownDataset
+};
+
+// Keep only known, valid values from `raw`, falling back to the defaults.
+// `regionKeys` drops regions that no longer exist.
+export const sanitizeSettings = (raw, { regionKeys } = {}) => {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (!raw || typeof raw !== 'object') return settings;
+
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if (key in raw && VALIDATORS[key](raw[key])) {
+      settings[key] = raw[key];
+    }
+  });
+
+  if (regionKeys) {
+    settings.selectedRegions = settings.selectedRegions.filter(key => regionKeys.includes(key));
+  }
+  return settings;
+};
+
+export const loadSettings = (options, storage = window.localStorage) =>
+  sanitizeSettings(readJson(storage, SETTINGS_KEY), options);
+
+export const saveSettings = (settings, storage = window.localStorage) => writeJson(storage, SETTINGS_KEY, settings);
@@ -0,0 +1,28 @@
+import { DEFAULT_SETTINGS, loadSettings, sanitizeSettings, saveSettings } from './settings';
+
+beforeEach(() => localStorage.clear());
+
+describe('settings', () => {
+  test('falls back to defaults when nothing is stored', () => {
+    expect(loadSettings({}, localStorage)).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('round-trips saved settings', () => {
+    const settings = { ...DEFAULT_SETTINGS, autoRotate: false, distanceUnit: 'mi', selectedRegions: ['europe'], language: 'fr', guessLanguages: 'selected' };
+    saveSettings(settings, localStorage);
+    expect(loadSettings({ regionKeys: ['europe'] }, localStorage)).toEqual(settings);
+  });
+
+  test('drops invalid and unknown values', () => {
+    const settings = sanitizeSettings(
+      { globeStyle: 'neon', autoRotate: 'yes', language: 'klingon', selectedRegions: ['europe', 'atlantis'], extra: 1 },
+      { regionKeys: ['europe'] }
+    );
+    expect(settings).toEqual({ ...DEFAULT_SETTINGS, selectedRegions: ['europe'] });
+  });
+
+  test('only keeps languages the interface is translated into', () => {
+    expect(sanitizeSettings({ language: 'de' }).language).toBe('de');
+    expect(sanitizeSettings({ language: 'ja' }).language).toBe(DEFAULT_SETTINGS.language);
+  });
+});
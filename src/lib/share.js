@@ -0,0 +1,62 @@
+import { getBandByEmoji, getDistanceBand } from './distanceBands';
+
+// Spoiler-free result summary for the daily game. The format is stable so
+// other tools can read it back with parseShareText:
+//
+//   Globle #123 4/10
+//   🟨🟧🟥🟩
+//
+// The score is 'X' for a lost game and is followed by '*' for a game played
+// in hard mode; one emoji per guess, in order. The capital cities puzzle
+// reads 'Globle Capitals #123'.
+
+const HEADER_PATTERN = /^Globle (Capitals )?#(\d+) (\d+|X)\/(\d+)(\*?)$/;
+
+export const buildShareText = ({ puzzleNumber, guesses, maxGuesses, won, hard = false, capitals = false, url }) => {
+  const score = won ? guesses.length : 'X';
+  const lines = [
+    `Globle ${capitals ? 'Capitals ' : ''}#${puzzleNumber} ${score}/${maxGuesses}${hard ? '*' : ''}`,
+    guesses.map(guess => getDistanceBand(guess.distance, guess.correct).emoji).join('')
+  ];
+  if (url) lines.push(url);
+  return lines.join('\n');
+};
+
+// Returns null when `text` is not a share summary
+export const parseShareText = (text) => {
+  const lines = text.trim().split('\n').map(line => line.trim());
+  const header = lines[0] && lines[0].match(HEADER_PATTERN);
+  if (!header) return null;
+
+  const bands = Array.from(lines[1] || '')
+    .map(getBandByEmoji)
+    .filter(Boolean)
+    .map(band => band.key);
+
+  return {
+    puzzleNumber: Number(header[2]),
+    won: header[3] !== 'X',
+    guessCount: bands.length,
+    maxGuesses: Number(header[4]),
+    hard: header[5] === '*',
+    capitals: Boolean(header[1]),
+    bands
+  };
+};
+
+// Share through the Web Share API where available, else copy to the
+// clipboard. Resolves to 'shared', 'copied', or 'cancelled' when the player
+// closes the share sheet.
+export const shareResult = async (text) => {
+  if (navigator.share) {
+    try {
+      await navigator.share({ text });
+      return 'shared';
+    } catch (error) {
+      // Not allowed here: fall back to the clipboard
+      if (error.name === 'AbortError') return 'cancelled';
+    }
+  }
+  await navigator.clipboard.writeText(text);
+  return 'copied';
+};
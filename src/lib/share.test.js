@@ -0,0 +1,50 @@
+import { buildShareText, parseShareText } from './share';
+
+const guesses = [
+  { distance: 4200, correct: false },
+  { distance: 1800, correct: false },
+  { distance: 0, correct: false },
+  { distance: 0, correct: true }
+];
+
+describe('share text', () => {
+  test('summarises a win without naming countries', () => {
+    expect(buildShareText({ puzzleNumber: 123, guesses, maxGuesses: 10, won: true })).toBe(
+      'Globle #123 4/10\n🟨🟧🟥🟩'
+    );
+  });
+
+  test('marks a loss with X', () => {
+    const text = buildShareText({ puzzleNumber: 7, guesses: guesses.slice(0, 2), maxGuesses: 2, won: false });
+    expect(text.split('\n')[0]).toBe('Globle #7 X/2');
+  });
+
+  test('parses back what it builds', () => {
+    const text = buildShareText({ puzzleNumber: 123, guesses, maxGuesses: 10, won: true, url: 'https://example.com' });
+    expect(parseShareText(text)).toEqual({
+      puzzleNumber: 123,
+      won: true,
+      guessCount: 4,
+      maxGuesses: 10,
+      hard: false,
+      capitals: false,
+      bands: ['far', 'close', 'very-close', 'correct']
+    });
+  });
+
+  test('marks hard mode games with an asterisk', () => {
+    const text = buildShareText({ puzzleNumber: 7, guesses, maxGuesses: 6, won: true, hard: true });
+    expect(text.split('\n')[0]).toBe('Globle #7 4/6*');
+    expect(parseShareText(text)).toMatchObject({ won: true, maxGuesses: 6, hard: true });
+  });
+
+  test('names the capital cities puzzle', () => {
+    const text = buildShareText({ puzzleNumber: 7, guesses, maxGuesses: 10, won: true, capitals: true });
+    expect(text.split('\n')[0]).toBe('Globle Capitals #7 4/10');
+    expect(parseShareText(text)).toMatchObject({ puzzleNumber: 7, guessCount: 4, capitals: true });
+  });
+
+  test('ignores unrelated text', () => {
+    expect(parseShareText('Wordle 1,000 3/6')).toBeNull();
+  });
+});
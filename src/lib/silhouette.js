@@ -0,0 +1,28 @@
+import { geoAzimuthalEqualArea, geoPath } from 'd3';
+import { orientForD3 } from './geo';
+import { isPointPlace } from './places';
+
+// Silhouette games: the target is shown only as its outline, drawn in a
+// projection centred on itself so nothing around it gives its place away.
+// North stays up, and shapes keep their true proportions.
+
+export const SILHOUETTE_SIZE = 200;
+const PADDING = 10;
+
+// Places that can be silhouette targets. Tiny islands are just a speck
+// unless `tiny` asks for them; a map made only of them keeps them all.
+export const silhouetteTargets = (places, { tiny = false } = {}) => {
+  const targets = places.filter(place => !isPointPlace(place) && (tiny || !place.tiny));
+  return targets.length > 0 ? targets : places;
+};
+
+// SVG path data for a place's outline in a SILHOUETTE_SIZE square, or null
+// for a place without one
+export const silhouettePath = (place, size = SILHOUETTE_SIZE) => {
+  if (!place || isPointPlace(place)) return null;
+  const geometry = orientForD3(place.geometry);
+  const projection = geoAzimuthalEqualArea()
+    .rotate([-place.longitude, -place.latitude])
+    .fitExtent([[PADDING, PADDING], [size - PADDING, size - PADDING]], geometry);
+  return geoPath(projection).digits(1)(geometry);
+};
@@ -0,0 +1,57 @@
+import { countryById, countryData } from './countries';
+import { capitalData } from './capitals';
+import { SILHOUETTE_SIZE, silhouettePath, silhouetteTargets } from './silhouette';
+
+// Every x, y pair in SVG path data
+const pathPoints = (d) => (d.match(/-?\d+(\.\d+)?/g) || []).map(Number)
+  .reduce((points, value, i, values) => (i % 2 ? points : [...points, [value, values[i + 1]]]), []);
+
+describe('silhouetteTargets', () => {
+  test('leaves out tiny islands unless asked for', () => {
+    const targets = silhouetteTargets(countryData);
+    expect(targets.some(country => country.id === 'MDV')).toBe(false);
+    expect(targets.some(country => country.id === 'FRA')).toBe(true);
+    // Natural Earth ranks 2 to 6 tiny and -99 not
+    expect(countryData.filter(country => country.tiny)).toHaveLength(56);
+    expect(silhouetteTargets(countryData, { tiny: true })).toHaveLength(countryData.length);
+  });
+
+  test('keeps every place of a map with nothing else', () => {
+    const islands = countryData.filter(country => country.tiny);
+    expect(islands.length).toBeGreaterThan(0);
+    expect(silhouetteTargets(islands)).toEqual(islands);
+  });
+});
+
+describe('silhouettePath', () => {
+  test.each(['FRA', 'RUS', 'FJI', 'USA', 'NZL'])('fits %s in the square', (id) => {
+    const d = silhouettePath(countryById.get(id));
+    const points = pathPoints(d);
+    expect(points.length).toBeGreaterThan(3);
+    points.forEach(([x, y]) => {
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThanOrEqual(SILHOUETTE_SIZE);
+      expect(y).toBeGreaterThanOrEqual(0);
+      expect(y).toBeLessThanOrEqual(SILHOUETTE_SIZE);
+    });
+  });
+
+  test('draws the outline, not the rest of the world', () => {
+    const extent = (id) => {
+      const points = pathPoints(silhouettePath(countryById.get(id)));
+      const xs = points.map(([x]) => x);
+      const ys = points.map(([, y]) => y);
+      return { width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+    };
+    // Malawi runs north to south and Panama west to east
+    const malawi = extent('MWI');
+    expect(malawi.height).toBeGreaterThan(2 * malawi.width);
+    const panama = extent('PAN');
+    expect(panama.width).toBeGreaterThan(2 * panama.height);
+  });
+
+  test('has nothing to draw for a city', () => {
+    expect(silhouettePath(capitalData[0])).toBeNull();
+    expect(silhouettePath(null)).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+import { readJson, writeJson } from './storage';
+
+// Timed speed runs: find as many random targets as possible before the clock
+// runs out. A run is { duration, regions, startedAt, endsAt, found, guesses }
+// with `duration` in minutes and `regions` the practice regions it uses.
+// Personal bests are kept per duration and region selection.
+
+export const SPEED_RUN_KEY = 'geoGlobeSpeedRuns';
+
+export const SPEED_RUN_DURATIONS = [3, 5];
+
+const MINUTE_MS = 60000;
+
+// Key of a region selection in the personal best table; [] is the whole world
+export const regionSelectionKey = (regions) =>
+  (regions.length === 0 ? 'all' : [...regions].sort().join(','));
+
+export const createSpeedRun = ({ duration, regions, now = Date.now() }) => ({
+  duration,
+  regions: [...regions],
+  startedAt: now,
+  endsAt: now + duration * MINUTE_MS,
+  found: 0,
+  guesses: 0
+});
+
+export const timeLeft = (run, now = Date.now()) => Math.max(run.endsAt - now, 0);
+
+// Count an accepted guess, and a found target when it was correct
+export const recordSpeedRunGuess = (run, correct) => ({
+  ...run,
+  guesses: run.guesses + 1,
+  found: run.found + (correct ? 1 : 0)
+});
+
+// 'm:ss' for a countdown, rounding up so it reads 0:00 only at the end
+export const formatCountdown = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// More targets found wins; on a tie, fewer guesses
+export const isBetterRun = (run, best) => !best
+  || run.found > best.found
+  || (run.found === best.found && run.guesses < best.guesses);
+
+export const loadPersonalBests = (storage = window.localStorage) => readJson(storage, SPEED_RUN_KEY, { fallback: {} });
+
+export const savePersonalBests = (bests, storage = window.localStorage) => writeJson(storage, SPEED_RUN_KEY, bests);
+
+// Fold a finished run into the personal bests, which are keyed
+// '<duration>:<regions>' and hold { duration, regions, found, guesses, date }.
+// Returns the table, unchanged unless the run beat its previous best, and
+// whether it did.
+export const withSpeedRunResult = (bests, run, date) => {
+  const key = `${run.duration}:${regionSelectionKey(run.regions)}`;
+  if (run.found === 0 || !isBetterRun(run, bests[key])) {
+    return { bests, isBest: false };
+  }
+  return {
+    bests: {
+      ...bests,
+      [key]: { duration: run.duration, regions: run.regions, found: run.found, guesses: run.guesses, date }
+    },
+    isBest: true
+  };
+};
@@ -0,0 +1,56 @@
+import {
+  createSpeedRun,
+  formatCountdown,
+  recordSpeedRunGuess,
+  regionSelectionKey,
+  timeLeft,
+  withSpeedRunResult
+} from './speedRun';
+
+describe('speed runs', () => {
+  test('count down from the chosen duration', () => {
+    const run = createSpeedRun({ duration: 3, regions: [], now: 1000 });
+    expect(run).toMatchObject({ startedAt: 1000, endsAt: 181000, found: 0, guesses: 0 });
+    expect(timeLeft(run, 61000)).toBe(120000);
+    expect(timeLeft(run, 999999)).toBe(0);
+  });
+
+  test('count guesses and found targets', () => {
+    let run = createSpeedRun({ duration: 5, regions: ['europe'], now: 0 });
+    run = recordSpeedRunGuess(run, false);
+    run = recordSpeedRunGuess(run, true);
+    expect(run).toMatchObject({ found: 1, guesses: 2 });
+  });
+
+  test('format the countdown as minutes and seconds', () => {
+    expect(formatCountdown(180000)).toBe('3:00');
+    expect(formatCountdown(61001)).toBe('1:02');
+    expect(formatCountdown(0)).toBe('0:00');
+  });
+
+  test('key region selections regardless of order', () => {
+    expect(regionSelectionKey([])).toBe('all');
+    expect(regionSelectionKey(['europe', 'caribbean'])).toBe(regionSelectionKey(['caribbean', 'europe']));
+  });
+});
+
+describe('withSpeedRunResult', () => {
+  const run = (found, guesses, regions = []) => ({ ...createSpeedRun({ duration: 3, regions, now: 0 }), found, guesses });
+
+  test('keeps the best run per duration and region', () => {
+    let result = withSpeedRunResult({}, run(4, 20), '2024-03-05');
+    expect(result.isBest).toBe(true);
+    expect(result.bests['3:all']).toEqual({ duration: 3, regions: [], found: 4, guesses: 20, date: '2024-03-05' });
+
+    const { bests } = result;
+    expect(withSpeedRunResult(bests, run(3, 10), '2024-03-06')).toEqual({ bests, isBest: false });
+    expect(withSpeedRunResult(bests, run(4, 18), '2024-03-06').isBest).toBe(true);
+
+    result = withSpeedRunResult(bests, run(1, 5, ['europe']), '2024-03-06');
+    expect(Object.keys(result.bests)).toEqual(['3:all', '3:europe']);
+  });
+
+  test('ignores runs that found nothing', () => {
+    expect(withSpeedRunResult({}, run(0, 12), '2024-03-05').isBest).toBe(false);
+  });
+});
@@ -0,0 +1,63 @@
+import { format, parseISO, subDays } from 'date-fns';
+import { readJson, writeJson } from './storage';
+
+export const STATS_KEY = 'geoGlobeStats';
+// Today's capitals puzzle keeps a score and streak of its own
+export const CAPITAL_STATS_KEY = 'geoGlobeCapitalStats';
+
+export const createDefaultStats = (maxGuesses = 10) => ({
+  gamesPlayed: 0,
+  gamesWon: 0,
+  currentStreak: 0,
+  maxStreak: 0,
+  lastPlayedDate: null,
+  lastPuzzleNumber: null,
+  // Games of the above played in hard mode
+  hardGamesPlayed: 0,
+  hardGamesWon: 0,
+  guessDistribution: Object.fromEntries(
+    Array.from({ length: maxGuesses }, (_, i) => [i + 1, 0])
+  )
+});
+
+// Fold a finished daily game into the stats. `date` is the 'yyyy-MM-dd' day
+// the game belongs to; a second result for the same day is ignored. `hard`
+// also counts the game towards the hard mode totals.
+export const recordResult = (stats, { won, numGuesses, date, puzzleNumber = null, hard = false }) => {
+  if (stats.lastPlayedDate === date) {
+    return stats;
+  }
+
+  const newStats = {
+    ...stats,
+    guessDistribution: { ...stats.guessDistribution }
+  };
+
+  newStats.gamesPlayed++;
+  if (won) {
+    newStats.gamesWon++;
+    newStats.guessDistribution[numGuesses] = (newStats.guessDistribution[numGuesses] || 0) + 1;
+  }
+  if (hard) {
+    newStats.hardGamesPlayed = (stats.hardGamesPlayed || 0) + 1;
+    newStats.hardGamesWon = (stats.hardGamesWon || 0) + (won ? 1 : 0);
+  }
+
+  if (won) {
+    const yesterday = format(subDays(parseISO(date), 1), 'yyyy-MM-dd');
+    newStats.currentStreak = stats.lastPlayedDate === yesterday ? stats.currentStreak + 1 : 1;
+    newStats.maxStreak = Math.max(newStats.currentStreak, stats.maxStreak);
+  } else {
+    newStats.currentStreak = 0;
+  }
+
+  newStats.lastPlayedDate = date;
+  newStats.lastPuzzleNumber = puzzleNumber;
+  return newStats;
+};
+
+// Saved stats, or new ones when there are none or they can't be read
+export const loadStats = (maxGuesses = 10, storage = window.localStorage, key = STATS_KEY) =>
+  readJson(storage, key, { fallback: createDefaultStats(maxGuesses) });
+
+export const saveStats = (stats, storage = window.localStorage, key = STATS_KEY) => writeJson(storage, key, stats);
@@ -0,0 +1,52 @@
+import { CAPITAL_STATS_KEY, createDefaultStats, loadStats, recordResult, saveStats } from './stats';
+
+describe('recordResult', () => {
+  test('counts a win and starts a streak', () => {
+    const stats = recordResult(createDefaultStats(), { won: true, numGuesses: 3, date: '2024-05-01' });
+    expect(stats).toMatchObject({ gamesPlayed: 1, gamesWon: 1, currentStreak: 1, maxStreak: 1 });
+    expect(stats.guessDistribution[3]).toBe(1);
+  });
+
+  test('remembers the last puzzle number', () => {
+    const stats = recordResult(createDefaultStats(), { won: false, numGuesses: 10, date: '2024-05-01', puzzleNumber: 122 });
+    expect(stats.lastPuzzleNumber).toBe(122);
+  });
+
+  test('extends the streak only on consecutive days', () => {
+    let stats = recordResult(createDefaultStats(), { won: true, numGuesses: 2, date: '2024-02-28' });
+    stats = recordResult(stats, { won: true, numGuesses: 2, date: '2024-02-29' });
+    expect(stats.currentStreak).toBe(2);
+    stats = recordResult(stats, { won: true, numGuesses: 2, date: '2024-03-02' });
+    expect(stats.currentStreak).toBe(1);
+    expect(stats.maxStreak).toBe(2);
+  });
+
+  test('resets the streak on a loss and ignores a second result for the day', () => {
+    let stats = recordResult(createDefaultStats(), { won: true, numGuesses: 1, date: '2024-05-01' });
+    stats = recordResult(stats, { won: false, numGuesses: 10, date: '2024-05-02' });
+    expect(stats.currentStreak).toBe(0);
+    expect(recordResult(stats, { won: true, numGuesses: 1, date: '2024-05-02' })).toBe(stats);
+  });
+
+  test('counts hard mode games separately as well', () => {
+    let stats = recordResult(createDefaultStats(), { won: true, numGuesses: 4, date: '2024-05-01', hard: true });
+    stats = recordResult(stats, { won: false, numGuesses: 6, date: '2024-05-02', hard: true });
+    stats = recordResult(stats, { won: true, numGuesses: 2, date: '2024-05-03' });
+    expect(stats).toMatchObject({ gamesPlayed: 3, gamesWon: 2, hardGamesPlayed: 2, hardGamesWon: 1 });
+  });
+});
+
+describe('saved stats', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('keep the capitals puzzle\'s stats apart', () => {
+    const stats = recordResult(createDefaultStats(), { won: true, numGuesses: 2, date: '2024-05-01' });
+    saveStats(stats, localStorage, CAPITAL_STATS_KEY);
+    expect(loadStats(10, localStorage, CAPITAL_STATS_KEY)).toEqual(stats);
+    expect(loadStats()).toEqual(createDefaultStats());
+  });
+
+  test('start from new stats sized for the guess limit', () => {
+    expect(loadStats(6)).toEqual(createDefaultStats(6));
+  });
+});
@@ -0,0 +1,26 @@
+// JSON values kept in Web Storage, for everything the game saves on the
+// device. A value that is missing, can't be read or isn't the expected shape
+// gives a fallback instead, so a damaged save never stops the game.
+
+const isObject = (value) => typeof value === 'object';
+
+// The value saved under `key`, or `fallback` when there is none, it can't be
+// parsed or `isValid` refuses it. `isValid` only sees values that aren't null.
+export const readJson = (storage, key, { fallback = null, isValid = isObject } = {}) => {
+  try {
+    const value = JSON.parse(storage.getItem(key));
+    return value !== null && isValid(value) ? value : fallback;
+  } catch (error) {
+    console.error(`Error loading ${key}:`, error);
+    return fallback;
+  }
+};
+
+// Save `value` under `key`; null or undefined removes it
+export const writeJson = (storage, key, value) => {
+  if (value === null || value === undefined) {
+    storage.removeItem(key);
+  } else {
+    storage.setItem(key, JSON.stringify(value));
+  }
+};
@@ -0,0 +1,46 @@
+import { readJson, writeJson } from './storage';
+
+beforeEach(() => localStorage.clear());
+
+describe('readJson', () => {
+  test('reads back what was written', () => {
+    writeJson(localStorage, 'saved', { found: [1, 2] });
+    expect(readJson(localStorage, 'saved')).toEqual({ found: [1, 2] });
+  });
+
+  test('gives the fallback when nothing is saved', () => {
+    expect(readJson(localStorage, 'saved')).toBeNull();
+    expect(readJson(localStorage, 'saved', { fallback: [] })).toEqual([]);
+  });
+
+  test('gives the fallback for a value of the wrong shape', () => {
+    localStorage.setItem('saved', '"text"');
+    expect(readJson(localStorage, 'saved', { fallback: {} })).toEqual({});
+    expect(readJson(localStorage, 'saved', { isValid: value => typeof value === 'string' })).toBe('text');
+    writeJson(localStorage, 'saved', { players: 2 });
+    expect(readJson(localStorage, 'saved', { isValid: Array.isArray, fallback: [] })).toEqual([]);
+  });
+
+  test('gives the fallback for a value it can\'t parse, and logs why', () => {
+    localStorage.setItem('saved', '{oops');
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(readJson(localStorage, 'saved', { fallback: {} })).toEqual({});
+    expect(error).toHaveBeenCalledWith('Error loading saved:', expect.any(SyntaxError));
+    error.mockRestore();
+  });
+});
+
+describe('writeJson', () => {
+  test('removes the value for null', () => {
+    writeJson(localStorage, 'saved', [1]);
+    writeJson(localStorage, 'saved', null);
+    expect(localStorage.getItem('saved')).toBeNull();
+  });
+
+  test('writes to the storage it is given', () => {
+    writeJson(sessionStorage, 'saved', [1]);
+    expect(sessionStorage.getItem('saved')).toBe('[1]');
+    expect(localStorage.getItem('saved')).toBeNull();
+    sessionStorage.clear();
+  });
+});
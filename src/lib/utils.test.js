@@ -0,0 +1,13 @@
+import { escapeHtml } from './utils';
+
+describe('escapeHtml', () => {
+  test('escapes markup', () => {
+    expect(escapeHtml('<img src=x onerror="alert(1)">'))
+      .toBe('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    expect(escapeHtml("Côte d'Ivoire & co")).toBe('Côte d&#39;Ivoire &amp; co');
+  });
+
+  test('turns other values into text', () => {
+    expect(escapeHtml(42)).toBe('42');
+  });
+});
@@ -0,0 +1,51 @@
+/* eslint-disable no-restricted-globals */
+
+// This service worker precaches the app shell, the bundled country data and
+// the globe textures, so the daily game works fully offline once installed.
+// Create React App builds it with Workbox's InjectManifest plugin.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+
+clientsClaim();
+
+// Everything webpack emits (JS with the country data, CSS, textures) is listed
+// in self.__WB_MANIFEST at build time.
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for navigations so the app shell loads offline
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') {
+      return false;
+    }
+    if (url.pathname.startsWith('/_')) {
+      return false;
+    }
+    if (url.pathname.match(fileExtensionRegexp)) {
+      return false;
+    }
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Icons and other files copied from public/ are not in the precache manifest
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|json)$/.test(url.pathname),
+  new CacheFirst({
+    cacheName: 'public-assets',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Lets the page activate a waiting update straight away
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});